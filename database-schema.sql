@@ -7,11 +7,13 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 
 -- Create custom types
-CREATE TYPE plan_type AS ENUM ('free', 'starter', 'professional', 'enterprise');
+CREATE TYPE plan_type AS ENUM ('free', 'starter', 'professional', 'agency', 'enterprise');
 CREATE TYPE subscription_status AS ENUM ('active', 'canceled', 'past_due', 'trialing', 'incomplete');
 CREATE TYPE platform_type AS ENUM ('facebook', 'instagram', 'linkedin', 'google_business', 'twitter');
-CREATE TYPE post_status AS ENUM ('draft', 'scheduled', 'posting', 'posted', 'failed', 'cancelled');
+CREATE TYPE post_status AS ENUM ('draft', 'scheduled', 'processing', 'posting', 'posted', 'partially_posted', 'failed', 'cancelled');
 CREATE TYPE account_status AS ENUM ('active', 'expired', 'error', 'revoked');
+CREATE TYPE post_format AS ENUM ('feed', 'reel', 'story');
+CREATE TYPE approval_status AS ENUM ('pending_approval', 'approved', 'changes_requested');
 
 -- Organizations table (for multi-tenant business accounts)
 CREATE TABLE organizations (
@@ -28,6 +30,7 @@ CREATE TABLE organizations (
   max_users INTEGER DEFAULT 1,
   max_social_accounts INTEGER DEFAULT 3,
   max_posts_per_month INTEGER DEFAULT 30,
+  timezone TEXT, -- IANA timezone the business schedules in; NULL until set, the app then uses the viewer's
   settings JSONB DEFAULT '{}',
   created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
@@ -61,7 +64,8 @@ CREATE TABLE business_profiles (
   phone TEXT,
   email TEXT,
   address JSONB, -- {street, city, state, zip, country, lat, lng}
-  business_hours JSONB, -- {monday: {open: "09:00", close: "17:00"}, ...}
+  business_hours JSONB, -- {monday: {open: "09:00", close: "17:00"}, ...}; days left out are closed
+  posting_rules JSONB DEFAULT '{}'::jsonb NOT NULL, -- {only_while_open: true, quiet_hours: {start: "22:00", end: "07:00"}}
   logo_url TEXT,
   brand_colors JSONB, -- {primary: "#color", secondary: "#color"}
   social_links JSONB, -- {website: "", facebook: "", instagram: ""}
@@ -70,6 +74,20 @@ CREATE TABLE business_profiles (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
 
+-- Blackout calendar: days a business never posts (closed holidays, events)
+-- Posts that fall on one are deferred by the queue, see src/lib/postingRules.js.
+CREATE TABLE business_blackouts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  business_profile_id UUID REFERENCES business_profiles ON DELETE CASCADE NOT NULL,
+  starts_on DATE NOT NULL, -- In the organization's timezone
+  ends_on DATE NOT NULL, -- Inclusive
+  reason TEXT, -- e.g. 'Closed for Thanksgiving'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  CHECK (ends_on >= starts_on)
+);
+
 -- Enhanced social accounts with better security
 CREATE TABLE social_accounts (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -82,14 +100,19 @@ CREATE TABLE social_accounts (
   account_username TEXT,
   profile_picture_url TEXT,
   follower_count INTEGER DEFAULT 0,
-  -- Encrypted token storage
+  -- Encrypted token storage (written by save_social_account, read by get_social_account_tokens)
   access_token_encrypted TEXT NOT NULL,
   refresh_token_encrypted TEXT,
+  token_encrypted BOOLEAN DEFAULT false NOT NULL, -- false for legacy plaintext rows
   token_expires_at TIMESTAMP WITH TIME ZONE,
   permissions TEXT[], -- Array of granted permissions
+  facebook_page_id TEXT, -- Instagram accounts: the Page they are linked through
   status account_status DEFAULT 'active',
   last_sync_at TIMESTAMP WITH TIME ZONE,
   sync_error TEXT,
+  -- Token health (maintained by the check-token-health job)
+  token_checked_at TIMESTAMP WITH TIME ZONE,
+  expiry_warning_sent_at TIMESTAMP WITH TIME ZONE,
   is_active BOOLEAN DEFAULT true,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
@@ -106,15 +129,84 @@ CREATE TABLE post_templates (
   name TEXT NOT NULL,
   content TEXT NOT NULL,
   media_urls TEXT[],
-  category TEXT, -- 'promotion', 'event', 'holiday', 'educational', 'behind_scenes'
+  category TEXT, -- 'promotion', 'event', 'holiday', 'educational', 'behind_scenes', 'evergreen'
   industry TEXT[], -- Multiple industries this template applies to
   hashtags TEXT[],
+  variations TEXT[], -- Alternative wordings; evergreen posts rotate through content and these
   call_to_action TEXT,
   scheduling_suggestions JSONB, -- Best times, days to post
+  recurrence_rule TEXT, -- Suggested repeat schedule for posts made from the template, e.g. 'FREQ=WEEKLY;BYDAY=FR'
   performance_score DECIMAL(3,2), -- AI-calculated performance prediction
   is_public BOOLEAN DEFAULT false,
   is_ai_generated BOOLEAN DEFAULT false,
   usage_count INTEGER DEFAULT 0,
+  last_used_at TIMESTAMP WITH TIME ZONE, -- Last time the evergreen queue recycled it
+  approval_status approval_status, -- Evergreen posts only; set by request_template_approval(), NULL when it needs no sign-off
+  approval_step INTEGER, -- approval_rules.step the template waits on, or was last reviewed at
+  approval_comment TEXT, -- Comment left with the last review_template() decision
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Weekly posting schedule per social account
+-- Slots nothing else is scheduled in are filled from the organization's evergreen
+-- library (post_templates in the 'evergreen' category), see src/lib/evergreen.js.
+CREATE TABLE posting_schedules (
+  social_account_id UUID REFERENCES social_accounts ON DELETE CASCADE PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  slots JSONB DEFAULT '[]'::jsonb NOT NULL, -- [{"weekday": 5, "time": "16:00"}], weekday 0 is Sunday, time in timezone
+  timezone TEXT DEFAULT 'UTC' NOT NULL,
+  evergreen_enabled BOOLEAN DEFAULT false NOT NULL,
+  evergreen_min_days_between_repeats INTEGER DEFAULT 30 NOT NULL CHECK (evergreen_min_days_between_repeats >= 0), -- Per evergreen post and account
+  evergreen_max_weekly_share DECIMAL(3,2) DEFAULT 0.50 NOT NULL CHECK (evergreen_max_weekly_share BETWEEN 0 AND 1), -- Most of a week's posts that may be evergreen
+  filled_until TIMESTAMP WITH TIME ZONE, -- Slots before this have been filled or left alone
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Client sign-off steps per organization (Agency plan), reviewed in step order
+-- A post goes through every step whose author_roles include its author's profiles.role,
+-- see request_post_approval() and review_post().
+CREATE TABLE approval_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  step INTEGER NOT NULL CHECK (step >= 1),
+  reviewer_role TEXT NOT NULL, -- profiles.role that signs off this step, e.g. 'viewer' for client logins
+  author_roles TEXT[] NOT NULL, -- Posts by these roles go through this step
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  UNIQUE(organization_id, step)
+);
+
+-- Recurring posts: one post repeated on a recurrence rule (RRULE subset, see src/lib/recurrence.js)
+-- Upcoming occurrences are materialized into scheduled_posts ahead of time by src/lib/postSeries.js.
+CREATE TABLE post_series (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  template_id UUID REFERENCES post_templates ON DELETE SET NULL,
+  social_account_ids UUID[] NOT NULL,
+  
+  -- Content copied to every occurrence
+  content TEXT NOT NULL,
+  media_urls TEXT[],
+  media_captions TEXT[],
+  hashtags TEXT[],
+  location_name TEXT,
+  location_id TEXT,
+  link_url TEXT,
+  platform_overrides JSONB,
+  post_format post_format DEFAULT 'feed' NOT NULL,
+  format_options JSONB,
+  native_scheduling BOOLEAN DEFAULT false NOT NULL,
+  
+  -- Schedule
+  recurrence_rule TEXT NOT NULL, -- e.g. 'FREQ=WEEKLY;BYDAY=FR' or 'FREQ=MONTHLY;BYDAY=1MO;COUNT=6'
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL, -- First occurrence; every occurrence keeps its local time
+  timezone TEXT DEFAULT 'UTC' NOT NULL, -- IANA timezone the rule is read in
+  materialized_until TIMESTAMP WITH TIME ZONE, -- Occurrences before this are already in scheduled_posts
+  is_active BOOLEAN DEFAULT true NOT NULL, -- false once the user ends the series or the rule runs out
+  
   created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
@@ -131,33 +223,59 @@ CREATE TABLE scheduled_posts (
   -- Content
   content TEXT NOT NULL,
   media_urls TEXT[],
-  hashtags TEXT[],
+  media_captions TEXT[], -- Per-photo captions, in media_urls order (Facebook multi-photo posts)
+  hashtags TEXT[], -- Appended to captions that don't already use them
   mention_users TEXT[], -- @mentions
-  location_name TEXT,
+  location_name TEXT, -- Shown in previews
   location_coordinates POINT,
-  link_url TEXT,
+  location_id TEXT, -- Facebook Page ID of the place, tagged on Facebook and Instagram
+  link_url TEXT, -- Link preview on Facebook text posts, in the caption of Facebook posts with media
   call_to_action TEXT,
+  platform_overrides JSONB, -- {facebook: {content: "", media_urls: [], media_captions: []}, instagram: {...}}
+  post_format post_format DEFAULT 'feed' NOT NULL, -- Instagram publishing flow; feed posts with several media become carousels
+  format_options JSONB, -- Video options: {title: "", cover_url: "", share_to_feed: true, thumb_offset: 0}
   
   -- Scheduling
-  scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+  scheduled_for TIMESTAMP WITH TIME ZONE, -- NULL only for drafts that haven't been given a time
   timezone TEXT DEFAULT 'UTC',
   auto_reschedule BOOLEAN DEFAULT false, -- Auto-reschedule if posting fails
+  native_scheduling BOOLEAN DEFAULT false NOT NULL, -- Hand Facebook posts to Facebook's own scheduler in advance
+  native_sync_requested_at TIMESTAMP WITH TIME ZONE, -- Set by request_native_sync when Facebook's copy is out of date
+  native_synced_at TIMESTAMP WITH TIME ZONE, -- Set by claim_native_sync_posts
+  
+  -- Recurring series; skipped occurrences stay behind as cancelled rows so they aren't materialized again
+  series_id UUID REFERENCES post_series ON DELETE SET NULL,
+  series_occurrence_at TIMESTAMP WITH TIME ZONE, -- Slot the occurrence was materialized for
+  series_override BOOLEAN DEFAULT false NOT NULL, -- Occurrence was edited on its own
+  evergreen BOOLEAN DEFAULT false NOT NULL, -- Recycled from the evergreen library into an open slot
+  deferred_from TIMESTAMP WITH TIME ZONE, -- Time the post was scheduled for before posting rules moved it
+  insights_sync_at TIMESTAMP WITH TIME ZONE, -- Next time post insights are pulled; NULL when done, see src/lib/postInsights.js
   
   -- Status and results
   status post_status DEFAULT 'draft',
+  approval_status approval_status, -- Set by request_post_approval(); NULL when the post needs no sign-off
+  approval_step INTEGER, -- approval_rules.step the post waits on, or was last reviewed at
   posted_at TIMESTAMP WITH TIME ZONE,
-  platform_posts JSONB, -- {platform: {post_id: "", url: "", status: ""}}
+  platform_posts JSONB, -- {social_account_id: {platform: "", post_id: "", status: "", error: "", retry_count: 0}}
   error_details JSONB,
   retry_count INTEGER DEFAULT 0,
   last_retry_at TIMESTAMP WITH TIME ZONE,
   
+  -- Queue lease (set by claim_due_posts so only one processor publishes a post)
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
+  
   -- AI optimization
   optimal_time_suggested TIMESTAMP WITH TIME ZONE,
   engagement_prediction DECIMAL(5,2),
   ai_content_score DECIMAL(3,2),
   
   created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  
+  -- One occurrence per series slot, so materializing twice is harmless
+  UNIQUE(series_id, series_occurrence_at),
+  CHECK (status = 'draft' OR scheduled_for IS NOT NULL)
 );
 
 -- Analytics and performance tracking
@@ -189,7 +307,39 @@ CREATE TABLE post_analytics (
   
   -- Last updated from platform API
   last_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+  platform_deleted_at TIMESTAMP WITH TIME ZONE, -- Post was deleted on the platform; metrics are its last known
+  sync_error TEXT, -- Why the last pull failed
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+
+  -- One row per account a post was published to
+  UNIQUE(scheduled_post_id, social_account_id)
+);
+
+-- Metrics of a post_analytics row at each pull, for how a post did over time
+CREATE TABLE post_analytics_snapshots (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  post_analytics_id UUID REFERENCES post_analytics ON DELETE CASCADE NOT NULL,
+  recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  likes INTEGER DEFAULT 0,
+  comments INTEGER DEFAULT 0,
+  shares INTEGER DEFAULT 0,
+  saves INTEGER DEFAULT 0,
+  clicks INTEGER DEFAULT 0,
+  reach INTEGER DEFAULT 0,
+  impressions INTEGER DEFAULT 0,
+  engagement_rate DECIMAL(5,2) DEFAULT 0,
+  total_video_views INTEGER DEFAULT 0
+);
+
+-- Followers of each account, recorded once a day by sync-post-insights
+CREATE TABLE follower_counts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  social_account_id UUID REFERENCES social_accounts ON DELETE CASCADE NOT NULL,
+  recorded_on DATE NOT NULL, -- UTC
+  follower_count INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  UNIQUE(social_account_id, recorded_on)
 );
 
 -- Content calendar and planning
@@ -216,11 +366,27 @@ CREATE TABLE content_calendar (
   -- Status
   status TEXT DEFAULT 'planned', -- 'planned', 'in_progress', 'scheduled', 'completed', 'cancelled'
   notes TEXT,
+  scheduled_post_id UUID REFERENCES scheduled_posts ON DELETE SET NULL, -- Draft post the item was promoted into
   
   created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
 
+-- Review comments on posts; quoted ones are about a passage of the caption
+CREATE TABLE post_comments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  scheduled_post_id UUID REFERENCES scheduled_posts ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  quote TEXT, -- Caption passage the comment is about; NULL for the whole post
+  quote_offset INTEGER, -- Where the quote started in the caption when it was made
+  decision approval_status, -- Set on the comment left with a review_post() decision
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
 -- User activity and audit trail
 CREATE TABLE activity_logs (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -281,18 +447,39 @@ CREATE TABLE notification_settings (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
 
+-- Graph API rate limit usage, shared by every queue processor
+-- One row per budget: 'app', 'page:<id>' or 'instagram:<id>'. Percentages come
+-- from Meta's X-App-Usage, X-Page-Usage and X-Business-Use-Case-Usage headers.
+CREATE TABLE graph_api_usage (
+  budget_key TEXT PRIMARY KEY,
+  call_count INTEGER DEFAULT 0 NOT NULL,
+  total_cputime INTEGER DEFAULT 0 NOT NULL,
+  total_time INTEGER DEFAULT 0 NOT NULL,
+  blocked_until TIMESTAMP WITH TIME ZONE, -- No calls to this budget before this time
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
 -- Enable Row Level Security (RLS) on all tables
 ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE business_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE business_blackouts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE social_accounts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE post_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE posting_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE approval_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_series ENABLE ROW LEVEL SECURITY;
 ALTER TABLE scheduled_posts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE post_analytics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_analytics_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE follower_counts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE content_calendar ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_comments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE usage_metrics ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notification_settings ENABLE ROW LEVEL SECURITY;
+-- No policies: only the service role reads and writes rate limit usage
+ALTER TABLE graph_api_usage ENABLE ROW LEVEL SECURITY;
 
 -- COMPREHENSIVE RLS POLICIES
 
@@ -319,18 +506,25 @@ CREATE POLICY "Organization owners can update" ON organizations
   );
 
 -- Profiles policies
+-- The signed-in user's organization and role, read past row level security:
+-- a profiles policy that queries profiles itself recurses without end
+CREATE OR REPLACE FUNCTION current_organization_id()
+RETURNS UUID AS $$
+    SELECT organization_id FROM profiles WHERE id = auth.uid() AND is_active = true;
+$$ language 'sql' STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION current_profile_role()
+RETURNS TEXT AS $$
+    SELECT role FROM profiles WHERE id = auth.uid() AND is_active = true;
+$$ language 'sql' STABLE SECURITY DEFINER;
+
 CREATE POLICY "Users can view profiles in their organization" ON profiles
   FOR SELECT USING (
     -- Users can see their own profile
     auth.uid() = id
     OR
     -- Users can see other profiles in their organization
-    EXISTS (
-      SELECT 1 FROM profiles AS my_profile
-      WHERE my_profile.id = auth.uid()
-      AND my_profile.organization_id = profiles.organization_id
-      AND my_profile.is_active = true
-    )
+    organization_id = current_organization_id()
   );
 
 CREATE POLICY "Users can insert their own profile" ON profiles
@@ -341,13 +535,8 @@ CREATE POLICY "Users can update their own profile" ON profiles
 
 CREATE POLICY "Admins can update organization profiles" ON profiles
   FOR UPDATE USING (
-    EXISTS (
-      SELECT 1 FROM profiles AS admin_profile
-      WHERE admin_profile.id = auth.uid()
-      AND admin_profile.organization_id = profiles.organization_id
-      AND admin_profile.role IN ('owner', 'admin')
-      AND admin_profile.is_active = true
-    )
+    organization_id = current_organization_id()
+    AND current_profile_role() IN ('owner', 'admin')
   );
 
 -- Business profiles policies
@@ -372,6 +561,28 @@ CREATE POLICY "Editors can manage business profiles" ON business_profiles
     )
   );
 
+-- Business blackouts policies
+CREATE POLICY "Users can view blackouts in their organization" ON business_blackouts
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = business_blackouts.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage blackouts" ON business_blackouts
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = business_blackouts.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
 -- Social accounts policies
 CREATE POLICY "Users can view social accounts in their organization" ON social_accounts
   FOR SELECT USING (
@@ -416,6 +627,72 @@ CREATE POLICY "Editors can manage posts" ON scheduled_posts
     )
   );
 
+-- Posting schedules policies
+CREATE POLICY "Users can view posting schedules in their organization" ON posting_schedules
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = posting_schedules.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage posting schedules" ON posting_schedules
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = posting_schedules.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
+-- Approval rules policies
+CREATE POLICY "Users can view approval rules in their organization" ON approval_rules
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = approval_rules.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Admins can manage approval rules" ON approval_rules
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = approval_rules.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin')
+      AND profiles.is_active = true
+    )
+  );
+
+-- Post series policies
+CREATE POLICY "Users can view series in their organization" ON post_series
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_series.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage series" ON post_series
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_series.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
 -- Post templates policies
 CREATE POLICY "Users can view templates in their organization or public templates" ON post_templates
   FOR SELECT USING (
@@ -452,6 +729,91 @@ CREATE POLICY "Users can view analytics for their organization" ON post_analytic
     )
   );
 
+CREATE POLICY "Users can view analytics history for their organization" ON post_analytics_snapshots
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM post_analytics
+      JOIN scheduled_posts ON scheduled_posts.id = post_analytics.scheduled_post_id
+      JOIN profiles ON profiles.organization_id = scheduled_posts.organization_id
+      WHERE post_analytics.id = post_analytics_snapshots.post_analytics_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can view follower counts for their organization" ON follower_counts
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = follower_counts.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+-- Content calendar policies
+CREATE POLICY "Users can view calendar items in their organization" ON content_calendar
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = content_calendar.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage calendar items" ON content_calendar
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = content_calendar.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
+-- Post comments policies
+-- Every member may comment, viewers included: clients review from viewer logins
+CREATE POLICY "Users can view post comments in their organization" ON post_comments
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_comments.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can comment on posts in their organization" ON post_comments
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_comments.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+    AND EXISTS (
+      SELECT 1 FROM scheduled_posts
+      WHERE scheduled_posts.id = post_comments.scheduled_post_id
+      AND scheduled_posts.organization_id = post_comments.organization_id
+    )
+  );
+
+CREATE POLICY "Users can resolve post comments in their organization" ON post_comments
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_comments.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can delete their own post comments" ON post_comments
+  FOR DELETE USING (auth.uid() = user_id);
+
 -- Activity logs policies
 CREATE POLICY "Users can view activity logs for their organization" ON activity_logs
   FOR SELECT USING (
@@ -484,20 +846,27 @@ RETURNS TRIGGER AS $$
 DECLARE
     new_org_id UUID;
     business_name TEXT;
+    business_timezone TEXT;
 BEGIN
     -- Extract business name from user metadata or use email domain
     business_name := COALESCE(
         NEW.raw_user_meta_data->>'business_name',
         SPLIT_PART(NEW.email, '@', 1)
     );
+
+    -- Timezone of the browser that signed up, if Postgres knows it
+    SELECT name INTO business_timezone
+    FROM pg_timezone_names
+    WHERE name = NEW.raw_user_meta_data->>'timezone';
     
     -- Create organization
-    INSERT INTO organizations (name, slug, billing_email, max_users)
+    INSERT INTO organizations (name, slug, billing_email, max_users, timezone)
     VALUES (
         business_name,
         LOWER(REPLACE(business_name, ' ', '-')) || '-' || EXTRACT(epoch FROM NOW())::TEXT,
         NEW.email,
-        1
+        1,
+        business_timezone
     )
     RETURNING id INTO new_org_id;
     
@@ -520,33 +889,168 @@ BEGIN
     -- Create notification settings
     INSERT INTO notification_settings (user_id)
     VALUES (NEW.id);
+
+    -- Business profile with the type picked at signup, for industry best posting times
+    INSERT INTO business_profiles (organization_id, business_name, business_type)
+    VALUES (new_org_id, business_name, NULLIF(NEW.raw_user_meta_data->>'business_type', ''));
     
     RETURN NEW;
 END;
 $$ language 'plpgsql' SECURITY DEFINER;
 
 -- Function to encrypt sensitive tokens
-CREATE OR REPLACE FUNCTION encrypt_token(token TEXT)
+-- Uses app.jwt_secret unless a key is given (see rotate_token_key)
+CREATE OR REPLACE FUNCTION encrypt_token(token TEXT, encryption_key TEXT DEFAULT NULL)
 RETURNS TEXT AS $$
+DECLARE
+    key_value TEXT := COALESCE(encryption_key, current_setting('app.jwt_secret', true));
 BEGIN
+    IF key_value IS NULL OR key_value = '' THEN
+        RAISE EXCEPTION 'No token encryption key configured (app.jwt_secret)';
+    END IF;
+
     RETURN encode(
-        pgp_sym_encrypt(token, current_setting('app.jwt_secret', true)),
+        pgp_sym_encrypt(token, key_value),
         'base64'
     );
 END;
 $$ language 'plpgsql' SECURITY DEFINER;
 
 -- Function to decrypt sensitive tokens
-CREATE OR REPLACE FUNCTION decrypt_token(encrypted_token TEXT)
+CREATE OR REPLACE FUNCTION decrypt_token(encrypted_token TEXT, encryption_key TEXT DEFAULT NULL)
 RETURNS TEXT AS $$
 BEGIN
     RETURN pgp_sym_decrypt(
         decode(encrypted_token, 'base64'),
-        current_setting('app.jwt_secret', true)
+        COALESCE(encryption_key, current_setting('app.jwt_secret', true))
     );
 END;
 $$ language 'plpgsql' SECURITY DEFINER;
 
+-- Function to store a connected social account with its token encrypted
+-- Called by the Netlify functions after the OAuth exchange, so the browser never sees a page token
+CREATE OR REPLACE FUNCTION save_social_account(
+    org_id UUID,
+    owner_id UUID,
+    platform_name platform_type,
+    platform_account_id_value TEXT,
+    account_name_value TEXT,
+    access_token_value TEXT,
+    account_username_value TEXT DEFAULT NULL,
+    token_expires_at_value TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    permissions_value TEXT[] DEFAULT NULL,
+    facebook_page_id_value TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    saved_id UUID;
+BEGIN
+    INSERT INTO social_accounts (
+        organization_id,
+        user_id,
+        platform,
+        platform_account_id,
+        account_name,
+        account_username,
+        access_token_encrypted,
+        token_encrypted,
+        token_expires_at,
+        permissions,
+        facebook_page_id,
+        status,
+        is_active,
+        sync_error
+    ) VALUES (
+        org_id,
+        owner_id,
+        platform_name,
+        platform_account_id_value,
+        account_name_value,
+        account_username_value,
+        encrypt_token(access_token_value),
+        true,
+        token_expires_at_value,
+        permissions_value,
+        facebook_page_id_value,
+        'active',
+        true,
+        NULL
+    )
+    ON CONFLICT (organization_id, platform, platform_account_id) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        account_name = EXCLUDED.account_name,
+        account_username = EXCLUDED.account_username,
+        access_token_encrypted = EXCLUDED.access_token_encrypted,
+        token_encrypted = true,
+        token_expires_at = EXCLUDED.token_expires_at,
+        permissions = EXCLUDED.permissions,
+        facebook_page_id = EXCLUDED.facebook_page_id,
+        status = 'active',
+        is_active = true,
+        sync_error = NULL,
+        -- A fresh token gets a fresh health check and expiry warning
+        token_checked_at = NULL,
+        expiry_warning_sent_at = NULL
+    RETURNING id INTO saved_id;
+
+    RETURN saved_id;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Function to read decrypted access tokens for the publishing worker
+-- Legacy rows that were never encrypted are returned as stored
+CREATE OR REPLACE FUNCTION get_social_account_tokens(account_ids UUID[])
+RETURNS TABLE (social_account_id UUID, access_token TEXT) AS $$
+    SELECT
+        sa.id,
+        CASE
+            WHEN sa.token_encrypted THEN decrypt_token(sa.access_token_encrypted)
+            ELSE sa.access_token_encrypted
+        END
+    FROM social_accounts sa
+    WHERE sa.id = ANY(account_ids);
+$$ language 'sql' SECURITY DEFINER;
+
+-- Function to re-encrypt every stored token under a new key
+-- Encrypts legacy plaintext rows as well. Run in the same transaction that switches app.jwt_secret:
+--   SELECT rotate_token_key('<old key>', '<new key>');
+CREATE OR REPLACE FUNCTION rotate_token_key(old_key TEXT, new_key TEXT DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    rotated_count INTEGER;
+BEGIN
+    UPDATE social_accounts
+    SET
+        access_token_encrypted = encrypt_token(
+            CASE WHEN token_encrypted THEN decrypt_token(access_token_encrypted, old_key) ELSE access_token_encrypted END,
+            new_key
+        ),
+        refresh_token_encrypted = CASE
+            WHEN refresh_token_encrypted IS NULL THEN NULL
+            ELSE encrypt_token(
+                CASE WHEN token_encrypted THEN decrypt_token(refresh_token_encrypted, old_key) ELSE refresh_token_encrypted END,
+                new_key
+            )
+        END,
+        token_encrypted = true;
+
+    GET DIAGNOSTICS rotated_count = ROW_COUNT;
+    RETURN rotated_count;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Token functions are for the service role only
+REVOKE EXECUTE ON FUNCTION encrypt_token(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION decrypt_token(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION save_social_account(UUID, UUID, platform_type, TEXT, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TEXT[], TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_social_account_tokens(UUID[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION rotate_token_key(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION encrypt_token(TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION decrypt_token(TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION save_social_account(UUID, UUID, platform_type, TEXT, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TEXT[], TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION get_social_account_tokens(UUID[]) TO service_role;
+GRANT EXECUTE ON FUNCTION rotate_token_key(TEXT, TEXT) TO service_role;
+
 -- Function to log user activity
 CREATE OR REPLACE FUNCTION log_activity(
     org_id UUID,
@@ -576,6 +1080,411 @@ BEGIN
 END;
 $$ language 'plpgsql' SECURITY DEFINER;
 
+-- Function to atomically claim due posts for a queue processor
+-- Locks rows with SKIP LOCKED so concurrent processors never claim the same post,
+-- and reclaims posts whose lease expired (processor crashed mid-publish)
+CREATE OR REPLACE FUNCTION claim_due_posts(
+    worker_id TEXT,
+    batch_size INTEGER DEFAULT 10,
+    lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF scheduled_posts AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_posts
+    SET
+        status = 'processing',
+        lease_owner = worker_id,
+        lease_expires_at = NOW() + make_interval(secs => lease_seconds),
+        -- A reclaimed post counts as a failed attempt so a crashing post cannot loop forever
+        retry_count = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.retry_count
+            ELSE COALESCE(scheduled_posts.retry_count, 0) + 1
+        END,
+        last_retry_at = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.last_retry_at
+            ELSE NOW()
+        END
+    WHERE scheduled_posts.id IN (
+        SELECT due.id
+        FROM scheduled_posts AS due
+        -- Drafts are never claimed, whatever their scheduled_for
+        WHERE (
+            due.status = 'scheduled' AND due.scheduled_for <= NOW()
+            -- Skip posts leased by claim_native_sync_posts
+            AND (due.lease_expires_at IS NULL OR due.lease_expires_at < NOW())
+            -- Posts awaiting sign-off stay scheduled, and go out once approved
+            AND (due.approval_status IS NULL OR due.approval_status = 'approved')
+          )
+           OR (due.status IN ('processing', 'posting') AND due.lease_expires_at < NOW())
+        ORDER BY due.scheduled_for
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING scheduled_posts.*;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Only the service-role queue processor may claim posts
+REVOKE EXECUTE ON FUNCTION claim_due_posts(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_due_posts(TEXT, INTEGER, INTEGER) TO service_role;
+
+-- Function to flag natively scheduled posts whose Facebook copy is out of date
+-- Fires on creation, on edits to anything Facebook shows or schedules, on approval changes
+-- (unapproved posts are kept out of Facebook's scheduler) and on cancellation
+-- clock_timestamp() rather than NOW(): an edit committed while a claim holds the row
+-- must still be stamped later than that claim
+CREATE OR REPLACE FUNCTION request_native_sync()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.native_scheduling THEN
+            NEW.native_sync_requested_at = clock_timestamp();
+        END IF;
+    ELSIF (NEW.native_scheduling OR OLD.native_scheduling) AND (
+        NEW.native_scheduling IS DISTINCT FROM OLD.native_scheduling OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.media_captions IS DISTINCT FROM OLD.media_captions OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags OR
+        NEW.location_id IS DISTINCT FROM OLD.location_id OR
+        NEW.link_url IS DISTINCT FROM OLD.link_url OR
+        NEW.platform_overrides IS DISTINCT FROM OLD.platform_overrides OR
+        NEW.post_format IS DISTINCT FROM OLD.post_format OR
+        NEW.format_options IS DISTINCT FROM OLD.format_options OR
+        NEW.social_account_ids IS DISTINCT FROM OLD.social_account_ids OR
+        NEW.scheduled_for IS DISTINCT FROM OLD.scheduled_for OR
+        NEW.approval_status IS DISTINCT FROM OLD.approval_status OR
+        (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+    ) THEN
+        NEW.native_sync_requested_at = clock_timestamp();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to claim natively scheduled posts whose changes still need to reach Facebook
+-- Facebook accepts scheduled posts up to 30 days ahead; later posts wait until they are in range.
+-- Claiming marks the change as synced and leases the post so claim_due_posts leaves it alone.
+CREATE OR REPLACE FUNCTION claim_native_sync_posts(
+    worker_id TEXT,
+    batch_size INTEGER DEFAULT 10,
+    lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF scheduled_posts AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_posts
+    SET
+        native_synced_at = clock_timestamp(),
+        lease_owner = worker_id,
+        lease_expires_at = NOW() + make_interval(secs => lease_seconds)
+    WHERE scheduled_posts.id IN (
+        SELECT pending.id
+        FROM scheduled_posts AS pending
+        WHERE pending.native_sync_requested_at IS NOT NULL
+          AND (pending.native_synced_at IS NULL OR pending.native_synced_at < pending.native_sync_requested_at)
+          AND (
+            pending.status = 'cancelled' OR
+            (pending.status = 'scheduled' AND pending.scheduled_for <= NOW() + INTERVAL '30 days')
+          )
+          AND (pending.lease_expires_at IS NULL OR pending.lease_expires_at < NOW())
+        ORDER BY pending.native_sync_requested_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING scheduled_posts.*;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Only the service-role queue processor may claim posts
+REVOKE EXECUTE ON FUNCTION claim_native_sync_posts(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_native_sync_posts(TEXT, INTEGER, INTEGER) TO service_role;
+
+-- Function to give a slot back when another post is scheduled into it
+-- Evergreen posts only fill slots nothing else is scheduled in; one that now shares its
+-- hour with a regular post on the same account is cancelled.
+CREATE OR REPLACE FUNCTION yield_evergreen_slots()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE scheduled_posts
+    SET
+        status = 'cancelled',
+        error_details = jsonb_build_object('message', 'Slot taken by another post')
+    WHERE scheduled_posts.evergreen
+      AND scheduled_posts.status = 'scheduled'
+      AND scheduled_posts.id <> NEW.id
+      AND scheduled_posts.social_account_ids && NEW.social_account_ids
+      AND scheduled_posts.scheduled_for > NEW.scheduled_for - INTERVAL '1 hour'
+      AND scheduled_posts.scheduled_for < NEW.scheduled_for + INTERVAL '1 hour';
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- Function to keep clients from marking posts evergreen
+-- Evergreen posts the queue schedules skip approval, so the flag is only taken from
+-- the service role; posts clients write keep the value they had.
+CREATE OR REPLACE FUNCTION protect_evergreen_flag()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.evergreen = CASE WHEN TG_OP = 'INSERT' THEN false ELSE OLD.evergreen END;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to put posts up for approval under their organization's approval_rules
+-- A post starts at the first step covering its author's role when it leaves draft, and
+-- starts over whenever what it publishes changes, so an approved post that is edited is
+-- reviewed again. Otherwise the approval columns keep their values: only review_post()
+-- changes them. Evergreen posts the queue schedules were reviewed as templates (see
+-- request_template_approval()); clients editing one send it for approval like any post.
+CREATE OR REPLACE FUNCTION request_post_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('localsocial.reviewing_post', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.status = 'draft' OR (NEW.evergreen AND current_user NOT IN ('anon', 'authenticated')) THEN
+        NEW.approval_status = NULL;
+        NEW.approval_step = NULL;
+    ELSIF TG_OP = 'INSERT' OR OLD.status = 'draft' OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.media_captions IS DISTINCT FROM OLD.media_captions OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags OR
+        NEW.location_id IS DISTINCT FROM OLD.location_id OR
+        NEW.link_url IS DISTINCT FROM OLD.link_url OR
+        NEW.platform_overrides IS DISTINCT FROM OLD.platform_overrides OR
+        NEW.post_format IS DISTINCT FROM OLD.post_format OR
+        NEW.format_options IS DISTINCT FROM OLD.format_options OR
+        NEW.social_account_ids IS DISTINCT FROM OLD.social_account_ids
+    THEN
+        NEW.approval_step = (
+            SELECT MIN(approval_rules.step)
+            FROM approval_rules
+            JOIN profiles ON profiles.id = NEW.user_id
+            WHERE approval_rules.organization_id = NEW.organization_id
+              AND profiles.role = ANY(approval_rules.author_roles)
+        );
+        NEW.approval_status = CASE WHEN NEW.approval_step IS NULL THEN NULL ELSE 'pending_approval'::approval_status END;
+    ELSE
+        NEW.approval_status = OLD.approval_status;
+        NEW.approval_step = OLD.approval_step;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to record a reviewer's decision on a post awaiting approval
+-- Only active members with the reviewer role of the post's current step may decide, and
+-- never the post's own author.
+-- Approving moves the post on to the next step covering its author, or approves it after
+-- the last; requesting changes sends it back to its author. The decision's comment joins
+-- the post's comments and the decision goes to the activity log.
+CREATE OR REPLACE FUNCTION review_post(
+    post_id UUID,
+    decision approval_status,
+    review_comment TEXT DEFAULT NULL
+)
+RETURNS scheduled_posts AS $$
+DECLARE
+    post scheduled_posts;
+    next_step INTEGER;
+BEGIN
+    SELECT * INTO post FROM scheduled_posts WHERE scheduled_posts.id = post_id FOR UPDATE;
+
+    IF NOT FOUND OR post.approval_status IS DISTINCT FROM 'pending_approval' THEN
+        RAISE EXCEPTION 'This post is not waiting for approval';
+    END IF;
+
+    IF decision = 'pending_approval' THEN
+        RAISE EXCEPTION 'A review approves the post or requests changes';
+    END IF;
+
+    IF post.user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t review your own post';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM approval_rules
+        JOIN profiles ON profiles.id = auth.uid()
+        WHERE approval_rules.organization_id = post.organization_id
+          AND approval_rules.step = post.approval_step
+          AND profiles.organization_id = post.organization_id
+          AND profiles.role = approval_rules.reviewer_role
+          AND profiles.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'Only the reviewers of this step can review the post';
+    END IF;
+
+    IF decision = 'changes_requested' AND COALESCE(TRIM(review_comment), '') = '' THEN
+        RAISE EXCEPTION 'Describe the changes you need';
+    END IF;
+
+    IF decision = 'approved' THEN
+        SELECT MIN(approval_rules.step) INTO next_step
+        FROM approval_rules
+        JOIN profiles ON profiles.id = post.user_id
+        WHERE approval_rules.organization_id = post.organization_id
+          AND approval_rules.step > post.approval_step
+          AND profiles.role = ANY(approval_rules.author_roles);
+    END IF;
+
+    IF COALESCE(TRIM(review_comment), '') <> '' THEN
+        INSERT INTO post_comments (organization_id, scheduled_post_id, user_id, body, decision)
+        VALUES (post.organization_id, post_id, auth.uid(), TRIM(review_comment), decision);
+    END IF;
+
+    PERFORM log_activity(post.organization_id, 'post_' || decision::TEXT, 'post', post_id::TEXT, jsonb_build_object(
+        'step', post.approval_step,
+        'next_step', next_step,
+        'author_id', post.user_id,
+        'comment', NULLIF(TRIM(review_comment), '')
+    ));
+
+    -- Lets request_post_approval() through
+    PERFORM set_config('localsocial.reviewing_post', 'on', true);
+    UPDATE scheduled_posts
+    SET
+        approval_status = CASE WHEN next_step IS NULL THEN decision ELSE 'pending_approval'::approval_status END,
+        approval_step = COALESCE(next_step, scheduled_posts.approval_step)
+    WHERE scheduled_posts.id = post_id
+    RETURNING * INTO post;
+    PERFORM set_config('localsocial.reviewing_post', 'off', true);
+
+    RETURN post;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION review_post(UUID, approval_status, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION review_post(UUID, approval_status, TEXT) TO authenticated;
+
+-- Function to put evergreen posts in the library up for approval under approval_rules
+-- The queue schedules evergreen posts without a review of their own, so their template
+-- goes through the steps covering its author's role when it joins the library and whenever
+-- what it publishes changes. Otherwise only review_template() changes the approval columns.
+CREATE OR REPLACE FUNCTION request_template_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('localsocial.reviewing_post', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.category IS DISTINCT FROM 'evergreen' THEN
+        NEW.approval_status = NULL;
+        NEW.approval_step = NULL;
+        NEW.approval_comment = NULL;
+    ELSIF TG_OP = 'INSERT' OR OLD.category IS DISTINCT FROM 'evergreen' OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.variations IS DISTINCT FROM OLD.variations OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags
+    THEN
+        NEW.approval_step = (
+            SELECT MIN(approval_rules.step)
+            FROM approval_rules
+            JOIN profiles ON profiles.id = NEW.user_id
+            WHERE approval_rules.organization_id = NEW.organization_id
+              AND profiles.role = ANY(approval_rules.author_roles)
+        );
+        NEW.approval_status = CASE WHEN NEW.approval_step IS NULL THEN NULL ELSE 'pending_approval'::approval_status END;
+        NEW.approval_comment = NULL;
+    ELSE
+        NEW.approval_status = OLD.approval_status;
+        NEW.approval_step = OLD.approval_step;
+        NEW.approval_comment = OLD.approval_comment;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to record a reviewer's decision on an evergreen post in the library
+-- As review_post(): the reviewers of the template's current step approve it on to the next
+-- step covering its author, or request changes; the decision's comment is kept on the template.
+CREATE OR REPLACE FUNCTION review_template(
+    template_id UUID,
+    decision approval_status,
+    review_comment TEXT DEFAULT NULL
+)
+RETURNS post_templates AS $$
+DECLARE
+    template post_templates;
+    next_step INTEGER;
+BEGIN
+    SELECT * INTO template FROM post_templates WHERE post_templates.id = template_id FOR UPDATE;
+
+    IF NOT FOUND OR template.approval_status IS DISTINCT FROM 'pending_approval' THEN
+        RAISE EXCEPTION 'This evergreen post is not waiting for approval';
+    END IF;
+
+    IF decision = 'pending_approval' THEN
+        RAISE EXCEPTION 'A review approves the evergreen post or requests changes';
+    END IF;
+
+    IF template.user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t review your own evergreen post';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM approval_rules
+        JOIN profiles ON profiles.id = auth.uid()
+        WHERE approval_rules.organization_id = template.organization_id
+          AND approval_rules.step = template.approval_step
+          AND profiles.organization_id = template.organization_id
+          AND profiles.role = approval_rules.reviewer_role
+          AND profiles.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'Only the reviewers of this step can review the evergreen post';
+    END IF;
+
+    IF decision = 'changes_requested' AND COALESCE(TRIM(review_comment), '') = '' THEN
+        RAISE EXCEPTION 'Describe the changes you need';
+    END IF;
+
+    IF decision = 'approved' THEN
+        SELECT MIN(approval_rules.step) INTO next_step
+        FROM approval_rules
+        JOIN profiles ON profiles.id = template.user_id
+        WHERE approval_rules.organization_id = template.organization_id
+          AND approval_rules.step > template.approval_step
+          AND profiles.role = ANY(approval_rules.author_roles);
+    END IF;
+
+    PERFORM log_activity(template.organization_id, 'template_' || decision::TEXT, 'post_template', template_id::TEXT, jsonb_build_object(
+        'step', template.approval_step,
+        'next_step', next_step,
+        'author_id', template.user_id,
+        'comment', NULLIF(TRIM(review_comment), '')
+    ));
+
+    -- Lets request_template_approval() through
+    PERFORM set_config('localsocial.reviewing_post', 'on', true);
+    UPDATE post_templates
+    SET
+        approval_status = CASE WHEN next_step IS NULL THEN decision ELSE 'pending_approval'::approval_status END,
+        approval_step = COALESCE(next_step, post_templates.approval_step),
+        approval_comment = NULLIF(TRIM(review_comment), '')
+    WHERE post_templates.id = template_id
+    RETURNING * INTO template;
+    PERFORM set_config('localsocial.reviewing_post', 'off', true);
+
+    RETURN template;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION review_template(UUID, approval_status, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION review_template(UUID, approval_status, TEXT) TO authenticated;
+
 -- CREATE TRIGGERS
 
 -- Updated at triggers
@@ -588,15 +1497,55 @@ CREATE TRIGGER handle_profiles_updated_at BEFORE UPDATE ON profiles
 CREATE TRIGGER handle_business_profiles_updated_at BEFORE UPDATE ON business_profiles
     FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
 
+CREATE TRIGGER handle_business_blackouts_updated_at BEFORE UPDATE ON business_blackouts
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
 CREATE TRIGGER handle_social_accounts_updated_at BEFORE UPDATE ON social_accounts
     FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
 
 CREATE TRIGGER handle_post_templates_updated_at BEFORE UPDATE ON post_templates
     FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
 
+-- Evergreen template approval trigger
+CREATE TRIGGER request_post_templates_approval BEFORE INSERT OR UPDATE ON post_templates
+    FOR EACH ROW EXECUTE PROCEDURE request_template_approval();
+
+CREATE TRIGGER handle_post_series_updated_at BEFORE UPDATE ON post_series
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
 CREATE TRIGGER handle_scheduled_posts_updated_at BEFORE UPDATE ON scheduled_posts
     FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
 
+-- Evergreen flag trigger; runs before the approval trigger, which reads the flag
+CREATE TRIGGER protect_scheduled_posts_evergreen BEFORE INSERT OR UPDATE ON scheduled_posts
+    FOR EACH ROW EXECUTE PROCEDURE protect_evergreen_flag();
+
+-- Approval trigger; runs before the native sync trigger, which sees its changes
+CREATE TRIGGER request_scheduled_posts_approval BEFORE INSERT OR UPDATE ON scheduled_posts
+    FOR EACH ROW EXECUTE PROCEDURE request_post_approval();
+
+-- Native scheduling sync trigger
+CREATE TRIGGER request_scheduled_posts_native_sync BEFORE INSERT OR UPDATE ON scheduled_posts
+    FOR EACH ROW EXECUTE PROCEDURE request_native_sync();
+
+-- Evergreen slot trigger
+CREATE TRIGGER yield_scheduled_posts_evergreen_slots
+    AFTER INSERT OR UPDATE OF status, scheduled_for, social_account_ids ON scheduled_posts
+    FOR EACH ROW WHEN (NOT NEW.evergreen AND NEW.status = 'scheduled')
+    EXECUTE PROCEDURE yield_evergreen_slots();
+
+CREATE TRIGGER handle_posting_schedules_updated_at BEFORE UPDATE ON posting_schedules
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+CREATE TRIGGER handle_approval_rules_updated_at BEFORE UPDATE ON approval_rules
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+CREATE TRIGGER handle_post_comments_updated_at BEFORE UPDATE ON post_comments
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+CREATE TRIGGER handle_content_calendar_updated_at BEFORE UPDATE ON content_calendar
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
 CREATE TRIGGER handle_notification_settings_updated_at BEFORE UPDATE ON notification_settings
     FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
 
@@ -616,10 +1565,14 @@ CREATE INDEX idx_profiles_organization_id ON profiles(organization_id);
 CREATE INDEX idx_profiles_email ON profiles(email);
 CREATE INDEX idx_profiles_role ON profiles(role);
 
+-- Business blackouts indexes
+CREATE INDEX idx_business_blackouts_business_profile_id ON business_blackouts(business_profile_id, ends_on);
+
 -- Social accounts indexes
 CREATE INDEX idx_social_accounts_org_platform ON social_accounts(organization_id, platform);
 CREATE INDEX idx_social_accounts_user_id ON social_accounts(user_id);
 CREATE INDEX idx_social_accounts_status ON social_accounts(status);
+CREATE INDEX idx_social_accounts_token_checked_at ON social_accounts(token_checked_at);
 
 -- Scheduled posts indexes
 CREATE INDEX idx_scheduled_posts_organization_id ON scheduled_posts(organization_id);
@@ -627,10 +1580,31 @@ CREATE INDEX idx_scheduled_posts_user_id ON scheduled_posts(user_id);
 CREATE INDEX idx_scheduled_posts_scheduled_for ON scheduled_posts(scheduled_for);
 CREATE INDEX idx_scheduled_posts_status ON scheduled_posts(status);
 CREATE INDEX idx_scheduled_posts_status_scheduled_for ON scheduled_posts(status, scheduled_for);
+CREATE INDEX idx_scheduled_posts_drafts ON scheduled_posts(user_id, updated_at) WHERE status = 'draft';
+CREATE INDEX idx_scheduled_posts_approval_status ON scheduled_posts(organization_id, approval_status)
+    WHERE approval_status IS NOT NULL;
+CREATE INDEX idx_scheduled_posts_status_lease_expires_at ON scheduled_posts(status, lease_expires_at);
+CREATE INDEX idx_scheduled_posts_native_sync ON scheduled_posts(native_sync_requested_at)
+    WHERE native_sync_requested_at IS NOT NULL;
+CREATE INDEX idx_scheduled_posts_evergreen ON scheduled_posts(scheduled_for)
+    WHERE evergreen = true AND status = 'scheduled';
+CREATE INDEX idx_scheduled_posts_insights_sync ON scheduled_posts(insights_sync_at)
+    WHERE insights_sync_at IS NOT NULL;
+
+-- Posting schedules indexes
+CREATE INDEX idx_posting_schedules_organization_id ON posting_schedules(organization_id);
+CREATE INDEX idx_posting_schedules_filled_until ON posting_schedules(filled_until) WHERE evergreen_enabled = true;
+
+-- Post series indexes
+CREATE INDEX idx_post_series_organization_id ON post_series(organization_id);
+CREATE INDEX idx_post_series_user_id ON post_series(user_id);
+CREATE INDEX idx_post_series_materialized_until ON post_series(materialized_until) WHERE is_active = true;
 
 -- Analytics indexes
 CREATE INDEX idx_post_analytics_scheduled_post_id ON post_analytics(scheduled_post_id);
 CREATE INDEX idx_post_analytics_platform ON post_analytics(platform);
+CREATE INDEX idx_post_analytics_snapshots_post_analytics_id ON post_analytics_snapshots(post_analytics_id, recorded_at);
+CREATE INDEX idx_follower_counts_organization_id ON follower_counts(organization_id, recorded_on);
 
 -- Activity logs indexes
 CREATE INDEX idx_activity_logs_organization_id ON activity_logs(organization_id);
@@ -640,6 +1614,10 @@ CREATE INDEX idx_activity_logs_created_at ON activity_logs(created_at);
 -- Content calendar indexes
 CREATE INDEX idx_content_calendar_organization_id ON content_calendar(organization_id);
 CREATE INDEX idx_content_calendar_planned_date ON content_calendar(planned_date);
+CREATE INDEX idx_content_calendar_scheduled_post_id ON content_calendar(scheduled_post_id);
+
+-- Post comments indexes
+CREATE INDEX idx_post_comments_scheduled_post_id ON post_comments(scheduled_post_id, created_at);
 
 -- INSERT DEFAULT DATA
 
@@ -797,8 +1775,31 @@ INSERT INTO post_templates (
     7.7
 );
 
+-- Suggested repeat schedules for the templates that naturally recur
+UPDATE post_templates SET recurrence_rule = CASE name
+    WHEN 'Daily Special Announcement' THEN 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'
+    WHEN 'Happy Hour Promotion' THEN 'FREQ=WEEKLY;BYDAY=FR'
+    WHEN 'Workout Motivation' THEN 'FREQ=WEEKLY;BYDAY=MO'
+    WHEN 'Class Schedule Update' THEN 'FREQ=WEEKLY;BYDAY=SU'
+    WHEN 'Weekend Sale' THEN 'FREQ=MONTHLY;BYDAY=1FR'
+END
+WHERE is_public = true AND organization_id IS NULL AND recurrence_rule IS NULL
+AND name IN ('Daily Special Announcement', 'Happy Hour Promotion', 'Workout Motivation', 'Class Schedule Update', 'Weekend Sale');
+
+-- Starting best times for the public templates, until posts made from them have analytics
+-- Hours are local to whichever business uses the template; see src/lib/bestTimes.js
+UPDATE post_templates SET scheduling_suggestions = CASE industry[1]
+    WHEN 'restaurant' THEN '{"source": "industry", "windows": [{"weekday": 2, "hour": 11}, {"weekday": 3, "hour": 11}, {"weekday": 4, "hour": 11}, {"weekday": 5, "hour": 11}, {"weekday": 4, "hour": 17}, {"weekday": 5, "hour": 17}, {"weekday": 6, "hour": 17}, {"weekday": 0, "hour": 10}, {"weekday": 6, "hour": 10}]}'::jsonb
+    WHEN 'salon' THEN '{"source": "industry", "windows": [{"weekday": 2, "hour": 10}, {"weekday": 3, "hour": 10}, {"weekday": 4, "hour": 10}, {"weekday": 4, "hour": 18}, {"weekday": 5, "hour": 18}, {"weekday": 6, "hour": 9}]}'::jsonb
+    WHEN 'fitness' THEN '{"source": "industry", "windows": [{"weekday": 1, "hour": 6}, {"weekday": 2, "hour": 6}, {"weekday": 3, "hour": 6}, {"weekday": 4, "hour": 6}, {"weekday": 5, "hour": 6}, {"weekday": 1, "hour": 17}, {"weekday": 2, "hour": 17}, {"weekday": 3, "hour": 17}, {"weekday": 4, "hour": 17}, {"weekday": 0, "hour": 18}]}'::jsonb
+    WHEN 'retail' THEN '{"source": "industry", "windows": [{"weekday": 3, "hour": 12}, {"weekday": 4, "hour": 12}, {"weekday": 5, "hour": 12}, {"weekday": 6, "hour": 10}, {"weekday": 0, "hour": 11}]}'::jsonb
+    ELSE '{"source": "industry", "windows": [{"weekday": 2, "hour": 9}, {"weekday": 3, "hour": 9}, {"weekday": 4, "hour": 9}, {"weekday": 3, "hour": 12}, {"weekday": 5, "hour": 11}]}'::jsonb
+END
+WHERE is_public = true AND organization_id IS NULL AND scheduling_suggestions IS NULL;
+
 -- Create a view for dashboard analytics
-CREATE VIEW dashboard_analytics AS
+-- Runs with the reader's permissions, so each user only sees their own organization
+CREATE VIEW dashboard_analytics WITH (security_invoker = true) AS
 SELECT 
     o.id as organization_id,
     o.name as organization_name,
@@ -831,6 +1832,17 @@ GROUP BY o.id, o.name;
 -- Grant appropriate permissions
 GRANT SELECT ON dashboard_analytics TO authenticated;
 
+-- Token columns are never readable or writable from the browser;
+-- accounts are created through save_social_account by the Netlify functions
+REVOKE SELECT, INSERT, UPDATE ON social_accounts FROM anon, authenticated;
+GRANT SELECT (
+  id, organization_id, user_id, business_profile_id, platform, platform_account_id,
+  account_name, account_username, profile_picture_url, follower_count, token_expires_at,
+  permissions, status, last_sync_at, sync_error, token_checked_at, expiry_warning_sent_at,
+  is_active, created_at, updated_at
+) ON social_accounts TO authenticated;
+GRANT UPDATE (business_profile_id, account_name, is_active) ON social_accounts TO authenticated;
+
 -- Final setup message
 DO $$
 BEGIN
@@ -0,0 +1,39 @@
+const { createClient } = require('@supabase/supabase-js');
+const { facebookAPI } = require('../../src/lib/facebook');
+const { createSupabaseUsageStore } = require('../../src/lib/graphRateLimiter');
+const { TokenHealthMonitor } = require('../../src/lib/tokenHealthMonitor');
+
+// Service-role client: the only role allowed to decrypt tokens
+const supabase = createClient(
+  process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  }
+);
+
+// Share Graph API rate limit usage with every other function instance
+facebookAPI.setUsageStore(createSupabaseUsageStore(supabase));
+
+// Runs on the schedule configured in netlify.toml
+exports.handler = async () => {
+  const monitor = new TokenHealthMonitor(supabase);
+
+  try {
+    const summary = await monitor.checkAccounts();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary),
+    };
+  } catch (error) {
+    console.error('Error checking token health:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,83 @@
+const { createClient } = require('@supabase/supabase-js');
+const { facebookAPI } = require('../../src/lib/facebook');
+const { createSupabaseUsageStore } = require('../../src/lib/graphRateLimiter');
+const { verifyOAuthState, readCookie, OAUTH_NONCE_COOKIE } = require('../../src/lib/oauthState');
+const { connectFacebookPages } = require('../../src/lib/socialAccountStore');
+
+// Service-role client: the only role allowed to write encrypted tokens
+const supabase = createClient(
+  process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  }
+);
+
+// Share Graph API rate limit usage with every other function instance
+facebookAPI.setUsageStore(createSupabaseUsageStore(supabase));
+
+// Back to the Connect Social Accounts screen with a result summary
+const redirectToApp = (event, result) => {
+  const appUrl = process.env.VITE_BASE_URL || process.env.URL || `https://${event.headers.host}`;
+  const params = new URLSearchParams({ view: 'connect', ...result });
+
+  return {
+    statusCode: 302,
+    headers: {
+      Location: `${appUrl}/dashboard?${params.toString()}`,
+      'Set-Cookie': `${OAUTH_NONCE_COOKIE}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Lax`,
+    },
+    body: '',
+  };
+};
+
+// Facebook redirects here (via /auth/facebook/callback, see netlify.toml) after
+// the user approves the app. Everything that needs the app secret or a token
+// happens here; the browser only sees the summary.
+exports.handler = async (event) => {
+  const { code, state, error, error_description } = event.queryStringParameters || {};
+
+  if (error) {
+    return redirectToApp(event, { facebook: 'error', message: error_description || error });
+  }
+
+  const nonce = readCookie(event.headers.cookie, OAUTH_NONCE_COOKIE);
+  const userId = verifyOAuthState(state, nonce, process.env.FACEBOOK_APP_SECRET);
+
+  if (!code || !userId) {
+    return redirectToApp(event, { facebook: 'error', message: 'Invalid or expired OAuth state. Please try again.' });
+  }
+
+  try {
+    const tokenResponse = await facebookAPI.exchangeCodeForToken(code);
+    const longLivedToken = await facebookAPI.getLongLivedToken(tokenResponse.access_token);
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('organization_id')
+      .eq('id', userId)
+      .single();
+
+    if (profileError || !profile?.organization_id) {
+      return redirectToApp(event, { facebook: 'error', message: 'Could not find your organization.' });
+    }
+
+    const { accounts, errors } = await connectFacebookPages(supabase, {
+      organizationId: profile.organization_id,
+      userId,
+      userAccessToken: longLivedToken.access_token,
+    });
+
+    return redirectToApp(event, {
+      facebook: 'connected',
+      connected: String(accounts.length),
+      failed: String(errors.length),
+    });
+  } catch (error) {
+    console.error('Error completing Facebook OAuth:', error);
+    return redirectToApp(event, { facebook: 'error', message: error.message });
+  }
+};
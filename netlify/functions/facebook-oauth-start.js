@@ -0,0 +1,71 @@
+const { createClient } = require('@supabase/supabase-js');
+const { facebookAPI } = require('../../src/lib/facebook');
+const { createOAuthState, OAUTH_NONCE_COOKIE } = require('../../src/lib/oauthState');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  }
+);
+
+// Returns the Facebook OAuth URL for the signed-in user. The state is signed
+// so facebook-oauth-callback knows which user to connect the accounts to.
+exports.handler = async (event) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: '',
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  try {
+    const jwt = (event.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const { data: { user } = {}, error: authError } = await supabase.auth.getUser(jwt);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Not signed in' }),
+      };
+    }
+
+    const { state, nonce } = createOAuthState(user.id, process.env.FACEBOOK_APP_SECRET);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Set-Cookie': `${OAUTH_NONCE_COOKIE}=${nonce}; Path=/; Max-Age=900; HttpOnly; Secure; SameSite=Lax`,
+      },
+      body: JSON.stringify({ url: facebookAPI.getOAuthUrl(state) }),
+    };
+  } catch (error) {
+    console.error('Error starting Facebook OAuth:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
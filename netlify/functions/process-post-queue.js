@@ -0,0 +1,39 @@
+const { createClient } = require('@supabase/supabase-js');
+const { facebookAPI } = require('../../src/lib/facebook');
+const { createSupabaseUsageStore } = require('../../src/lib/graphRateLimiter');
+const { PostQueueProcessor } = require('../../src/lib/postQueueProcessor');
+
+// Service-role client: bypasses RLS so the worker can publish for every organization
+const supabase = createClient(
+  process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  }
+);
+
+// Share Graph API rate limit usage with every other function instance
+facebookAPI.setUsageStore(createSupabaseUsageStore(supabase));
+
+// Runs on the schedule configured in netlify.toml
+exports.handler = async () => {
+  const processor = new PostQueueProcessor(supabase);
+
+  try {
+    const summary = await processor.processQueue();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary),
+    };
+  } catch (error) {
+    console.error('Error processing post queue:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
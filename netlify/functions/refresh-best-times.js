@@ -0,0 +1,32 @@
+const { createClient } = require('@supabase/supabase-js');
+const { refreshAllTemplateSuggestions } = require('../../src/lib/bestTimes');
+
+// Service-role client: templates of every organization are updated
+const supabase = createClient(
+  process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  }
+);
+
+// Runs on the schedule configured in netlify.toml
+exports.handler = async () => {
+  try {
+    const summary = await refreshAllTemplateSuggestions(supabase);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary),
+    };
+  } catch (error) {
+    console.error('Error refreshing best times:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react'
+import { db } from '../lib/supabase'
+import {
+  ANALYTICS_RANGES,
+  comparePlatforms,
+  filterAnalytics,
+  getDailyTrend,
+  getEngagements,
+  getFollowerGrowth,
+  getTopPosts,
+  summarizeAnalytics
+} from '../lib/analytics'
+import { formatInTimeZone } from '../lib/timezone'
+import ScheduledTime from './ScheduledTime'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500'
+
+const formatNumber = value => Number(value || 0).toLocaleString()
+
+// Small line chart of a series of numbers
+function Sparkline({ values, className = 'text-blue-600' }) {
+  if (values.length < 2) return null
+
+  const max = Math.max(...values)
+  const min = Math.min(...values)
+  const points = values.map((value, index) => {
+    const x = (index / (values.length - 1)) * 100
+    const y = max === min ? 15 : 28 - ((value - min) / (max - min)) * 26
+    return `${x},${y}`
+  }).join(' ')
+
+  return (
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" className={`w-32 h-8 ${className}`}>
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+    </svg>
+  )
+}
+
+function StatCard({ label, value, detail }) {
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-5">
+      <dt className="text-sm font-medium text-gray-500">{label}</dt>
+      <dd className="text-2xl font-semibold text-gray-900 mt-1">{value}</dd>
+      {detail && <dd className="text-xs text-gray-500 mt-1">{detail}</dd>}
+    </div>
+  )
+}
+
+// Reach and engagement of published posts, filterable by business and account
+export default function Analytics({ user, accounts, businessTimeZone }) {
+  const [rangeDays, setRangeDays] = useState(30)
+  const [businessProfileId, setBusinessProfileId] = useState('')
+  const [accountId, setAccountId] = useState('')
+  const [analytics, setAnalytics] = useState([])
+  const [followerCounts, setFollowerCounts] = useState([])
+  const [summary, setSummary] = useState(null) // dashboard_analytics row
+  const [businessProfiles, setBusinessProfiles] = useState([])
+  const [selectedPostId, setSelectedPostId] = useState(null)
+  const [snapshots, setSnapshots] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const loadAnalytics = async () => {
+      setLoading(true)
+      setError('')
+
+      const { profile, error: profileError } = await db.getProfile(user.id)
+      if (profileError || !profile?.organization_id) {
+        setError('Could not load your organization')
+        setLoading(false)
+        return
+      }
+
+      const to = new Date()
+      const from = new Date(to.getTime() - rangeDays * DAY_MS)
+      const [postResults, followerResults, summaryResult, profileResults] = await Promise.all([
+        db.getOrganizationAnalytics(profile.organization_id, { from, to }),
+        db.getFollowerCounts(profile.organization_id, from),
+        db.getDashboardAnalytics(profile.organization_id),
+        db.getBusinessProfiles(profile.organization_id)
+      ])
+
+      if (postResults.error || followerResults.error) {
+        setError('Could not load analytics')
+      }
+      setAnalytics(postResults.analytics)
+      setFollowerCounts(followerResults.followerCounts)
+      setSummary(summaryResult.analytics)
+      setBusinessProfiles(profileResults.businessProfiles)
+      setLoading(false)
+    }
+
+    loadAnalytics()
+  }, [user.id, rangeDays])
+
+  // Metrics history of the post being drilled into, for every account it went to
+  useEffect(() => {
+    if (!selectedPostId) {
+      setSnapshots([])
+      return
+    }
+
+    let cancelled = false
+    const ids = analytics.filter(row => row.scheduled_post_id === selectedPostId).map(row => row.id)
+    db.getAnalyticsSnapshots(ids).then(({ snapshots: history }) => !cancelled && setSnapshots(history))
+
+    return () => { cancelled = true }
+  }, [selectedPostId, analytics])
+
+  const visibleAccounts = accounts.filter(account => !businessProfileId || account.business_profile_id === businessProfileId)
+  const rows = filterAnalytics(analytics, { accounts, accountId, businessProfileId })
+  const totals = summarizeAnalytics(rows)
+  const to = new Date()
+  const trend = getDailyTrend(rows, { from: to.getTime() - (rangeDays - 1) * DAY_MS, to, timeZone: businessTimeZone })
+  const maxReach = Math.max(1, ...trend.map(day => day.reach))
+  const platforms = comparePlatforms(rows)
+  const topPosts = getTopPosts(rows)
+  const visibleAccountIds = new Set(visibleAccounts.filter(account => !accountId || account.id === accountId).map(account => account.id))
+  const followerGrowth = getFollowerGrowth(followerCounts.filter(row => visibleAccountIds.has(row.social_account_id)))
+  const selectedRows = rows.filter(row => row.scheduled_post_id === selectedPostId)
+  const selectedPost = selectedRows[0]?.scheduled_posts
+
+  const accountName = (id) => {
+    const account = accounts.find(item => item.id === id)
+    return account ? `${account.account_name} (${account.platform})` : 'Disconnected account'
+  }
+
+  const selectBusinessProfile = (id) => {
+    setBusinessProfileId(id)
+    setAccountId('')
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={rangeDays} onChange={(e) => setRangeDays(Number(e.target.value))} aria-label="Date range" className={selectClass}>
+          {ANALYTICS_RANGES.map(range => (
+            <option key={range.days} value={range.days}>{range.label}</option>
+          ))}
+        </select>
+        {businessProfiles.length > 1 && (
+          <select value={businessProfileId} onChange={(e) => selectBusinessProfile(e.target.value)} aria-label="Business" className={selectClass}>
+            <option value="">All businesses</option>
+            {businessProfiles.map(businessProfile => (
+              <option key={businessProfile.id} value={businessProfile.id}>{businessProfile.business_name}</option>
+            ))}
+          </select>
+        )}
+        <select value={accountId} onChange={(e) => setAccountId(e.target.value)} aria-label="Account" className={selectClass}>
+          <option value="">All accounts</option>
+          {visibleAccounts.map(account => (
+            <option key={account.id} value={account.id}>{account.account_name} ({account.platform})</option>
+          ))}
+        </select>
+        {loading && <span className="text-sm text-gray-500">Loading…</span>}
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <dl className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatCard label="Reach" value={formatNumber(totals.reach)} detail={`${formatNumber(totals.impressions)} impressions`} />
+        <StatCard label="Engagements" value={formatNumber(totals.engagements)} detail="Likes, comments, shares and saves" />
+        <StatCard label="Engagement rate" value={`${totals.engagementRate}%`} detail="Of people reached" />
+        <StatCard
+          label="Posts measured"
+          value={formatNumber(totals.posts)}
+          detail={summary && `${formatNumber(summary.published_posts)} published, ${formatNumber(summary.failed_posts)} failed in 30 days`}
+        />
+      </dl>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Reach over time</h2>
+          <p className="text-sm text-gray-600 mt-1">By the day posts went out, in {businessTimeZone}.</p>
+        </div>
+        <div className="p-6">
+          <div className="flex items-end h-40 gap-px">
+            {trend.map(day => (
+              <div
+                key={day.date}
+                title={`${day.date}: ${formatNumber(day.reach)} reached, ${day.engagementRate}% engagement, ${day.posts} posts`}
+                className="flex-1 bg-blue-500 hover:bg-blue-600 rounded-t"
+                style={{ height: `${Math.max(day.reach > 0 ? 2 : 0, (day.reach / maxReach) * 100)}%` }}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-2">
+            <span>{trend[0]?.date}</span>
+            <span>{trend[trend.length - 1]?.date}</span>
+          </div>
+          <div className="flex items-center space-x-3 mt-4 text-sm text-gray-700">
+            <span>Engagement rate</span>
+            <Sparkline values={trend.filter(day => day.posts > 0).map(day => day.engagementRate)} className="text-green-600" />
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Platforms</h2>
+          </div>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="px-6 py-2 font-medium">Platform</th>
+                <th className="px-3 py-2 font-medium">Posts</th>
+                <th className="px-3 py-2 font-medium">Reach per post</th>
+                <th className="px-3 py-2 font-medium">Engagement</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {platforms.map(platform => (
+                <tr key={platform.platform}>
+                  <td className="px-6 py-2 capitalize text-gray-900">{platform.platform}</td>
+                  <td className="px-3 py-2">{formatNumber(platform.posts)}</td>
+                  <td className="px-3 py-2">{formatNumber(platform.reachPerPost)}</td>
+                  <td className="px-3 py-2">{platform.engagementRate}%</td>
+                </tr>
+              ))}
+              {platforms.length === 0 && (
+                <tr><td colSpan={4} className="px-6 py-4 text-gray-500">No published posts with insights in this range</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Followers</h2>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {followerGrowth.map(growth => (
+              <li key={growth.socialAccountId} className="px-6 py-3 flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-900">{accountName(growth.socialAccountId)}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatNumber(growth.counts[growth.counts.length - 1].followers)} followers
+                    <span className={growth.change < 0 ? 'text-red-600' : 'text-green-600'}>
+                      {' '}({growth.change < 0 ? '' : '+'}{formatNumber(growth.change)})
+                    </span>
+                  </p>
+                </div>
+                <Sparkline values={growth.counts.map(count => count.followers)} />
+              </li>
+            ))}
+            {followerGrowth.length === 0 && (
+              <li className="px-6 py-4 text-sm text-gray-500">Follower counts are recorded daily once accounts are connected</li>
+            )}
+          </ul>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Top posts</h2>
+        </div>
+        <ul className="divide-y divide-gray-100">
+          {topPosts.map(({ post, reach, engagements, engagementRate }) => (
+            <li key={post.id}>
+              <button
+                type="button"
+                onClick={() => setSelectedPostId(post.id === selectedPostId ? null : post.id)}
+                className={`w-full text-left px-6 py-3 hover:bg-gray-50 ${post.id === selectedPostId ? 'bg-blue-50' : ''}`}
+              >
+                <p className="text-sm text-gray-900">
+                  {post.content.length > 100 ? `${post.content.substring(0, 100)}...` : post.content}
+                </p>
+                <div className="flex items-center space-x-4 text-xs text-gray-500 mt-1">
+                  <span><ScheduledTime date={post.posted_at} timeZone={businessTimeZone} /></span>
+                  <span>{formatNumber(reach)} reached</span>
+                  <span>{formatNumber(engagements)} engagements</span>
+                  <span>{engagementRate}%</span>
+                </div>
+              </button>
+            </li>
+          ))}
+          {topPosts.length === 0 && (
+            <li className="px-6 py-4 text-sm text-gray-500">No published posts with insights in this range</li>
+          )}
+        </ul>
+      </div>
+
+      {selectedPost && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-start">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Post over time</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {selectedPost.content.length > 100 ? `${selectedPost.content.substring(0, 100)}...` : selectedPost.content}
+              </p>
+            </div>
+            <button type="button" onClick={() => setSelectedPostId(null)} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {selectedRows.map(row => {
+              const history = snapshots.filter(snapshot => snapshot.post_analytics_id === row.id)
+              return (
+                <div key={row.id} className="px-6 py-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{accountName(row.social_account_id)}</p>
+                      {row.platform_deleted_at ? (
+                        <p className="text-xs text-yellow-700">Deleted on {row.platform}; showing its last numbers</p>
+                      ) : row.sync_error && (
+                        <p className="text-xs text-red-600">Last update failed: {row.sync_error}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2 text-xs text-gray-500">
+                      <span>Reach</span>
+                      <Sparkline values={history.map(snapshot => snapshot.reach)} />
+                    </div>
+                  </div>
+                  <table className="min-w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1 font-medium">Updated</th>
+                        <th className="py-1 font-medium">Reach</th>
+                        <th className="py-1 font-medium">Impressions</th>
+                        <th className="py-1 font-medium">Likes</th>
+                        <th className="py-1 font-medium">Comments</th>
+                        <th className="py-1 font-medium">Shares</th>
+                        <th className="py-1 font-medium">Saves</th>
+                        <th className="py-1 font-medium">Video views</th>
+                        <th className="py-1 font-medium">Engagement</th>
+                      </tr>
+                    </thead>
+                    <tbody className="text-gray-900">
+                      {(history.length > 0 ? history : [{ ...row, recorded_at: row.last_updated_at }]).map(snapshot => (
+                        <tr key={snapshot.id}>
+                          <td className="py-1">{snapshot.recorded_at && formatInTimeZone(snapshot.recorded_at, businessTimeZone)}</td>
+                          <td className="py-1">{formatNumber(snapshot.reach)}</td>
+                          <td className="py-1">{formatNumber(snapshot.impressions)}</td>
+                          <td className="py-1">{formatNumber(snapshot.likes)}</td>
+                          <td className="py-1">{formatNumber(snapshot.comments)}</td>
+                          <td className="py-1">{formatNumber(snapshot.shares)}</td>
+                          <td className="py-1">{formatNumber(snapshot.saves)}</td>
+                          <td className="py-1">{formatNumber(snapshot.total_video_views)}</td>
+                          <td className="py-1">{formatNumber(getEngagements(snapshot))} ({Number(snapshot.engagement_rate || 0)}%)</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,629 @@
+import { useState, useEffect, useRef } from 'react'
+import { db } from '../lib/supabase'
+import { postQueue } from '../lib/postQueue'
+import {
+  APPROVAL_STATUS,
+  PROFILE_ROLES,
+  ROLE_LABELS,
+  canReview,
+  canUseApprovals,
+  describeApproval,
+  getQuoteRanges,
+  getStepsIssue,
+  isOverdue
+} from '../lib/approvals'
+import ScheduledTime from './ScheduledTime'
+import { PlusIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500'
+
+const APPROVAL_BADGES = {
+  [APPROVAL_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [APPROVAL_STATUS.CHANGES_REQUESTED]: 'bg-red-100 text-red-800',
+  [APPROVAL_STATUS.APPROVED]: 'bg-green-100 text-green-800'
+}
+
+// New steps review everyone's posts until narrowed down
+const NEW_STEP = { reviewer_role: 'viewer', author_roles: ['owner', 'admin', 'editor'] }
+
+// Caption cut into plain text and the passages comments quote
+const splitCaption = (content, ranges) => {
+  const pieces = []
+  let position = 0
+  for (const range of ranges) {
+    if (range.start > position) pieces.push({ text: content.slice(position, range.start), commentId: null })
+    pieces.push({ text: content.slice(range.start, range.end), commentId: range.commentId })
+    position = range.end
+  }
+  if (position < content.length) pieces.push({ text: content.slice(position), commentId: null })
+  return pieces
+}
+
+// Review queue, inline comments and approval steps for Agency-plan organizations
+// Reviewers approve the step a post is waiting on or send it back; authors take
+// posts with changes requested back to drafts.
+export default function Approvals({ user, accounts, businessTimeZone, onRevise }) {
+  const [profile, setProfile] = useState(null)
+  const [rules, setRules] = useState([])
+  const [steps, setSteps] = useState([])
+  const [members, setMembers] = useState([])
+  const [posts, setPosts] = useState([])
+  const [templates, setTemplates] = useState([]) // Evergreen posts in review
+  const [templateComments, setTemplateComments] = useState({}) // Review comment being written, by template ID
+  const [selectedId, setSelectedId] = useState('')
+  const [comments, setComments] = useState([])
+  const [activeCommentId, setActiveCommentId] = useState(null)
+  const [quote, setQuote] = useState(null) // {text, offset} selected in the caption
+  const [commentText, setCommentText] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+  const [revision, setRevision] = useState(0)
+  const captionRef = useRef(null)
+
+  const enabled = canUseApprovals(profile?.organizations)
+  const isAdmin = ['owner', 'admin'].includes(profile?.role)
+  const selected = posts.find(post => post.id === selectedId)
+
+  // Reloaded after every change
+  useEffect(() => {
+    let cancelled = false
+
+    const loadApprovals = async () => {
+      const { profile: currentProfile, error: profileError } = await db.getProfile(user.id)
+      if (cancelled) return
+      if (profileError || !currentProfile?.organization_id) {
+        setError('Could not load your organization')
+        setLoading(false)
+        return
+      }
+
+      setProfile(currentProfile)
+      if (!canUseApprovals(currentProfile.organizations)) {
+        setLoading(false)
+        return
+      }
+
+      const organizationId = currentProfile.organization_id
+      const [{ rules: currentRules }, { members: currentMembers }, { posts: currentPosts }, { templates: currentTemplates }] = await Promise.all([
+        db.getApprovalRules(organizationId),
+        db.getOrganizationMembers(organizationId),
+        db.getPostsAwaitingApproval(organizationId),
+        db.getTemplatesAwaitingApproval(organizationId)
+      ])
+      if (cancelled) return
+
+      setRules(currentRules)
+      setSteps(currentRules.map(rule => ({ reviewer_role: rule.reviewer_role, author_roles: rule.author_roles })))
+      setMembers(currentMembers)
+      setPosts(currentPosts)
+      setTemplates(currentTemplates)
+      setSelectedId(current => currentPosts.some(post => post.id === current) ? current : currentPosts[0]?.id || '')
+      setLoading(false)
+    }
+
+    loadApprovals()
+    return () => { cancelled = true }
+  }, [user.id, revision])
+
+  useEffect(() => {
+    let cancelled = false
+    setQuote(null)
+    setActiveCommentId(null)
+
+    if (!selectedId) {
+      setComments([])
+      return
+    }
+
+    const loadComments = async () => {
+      const { comments: postComments } = await db.getPostComments(selectedId)
+      if (!cancelled) setComments(postComments)
+    }
+
+    loadComments()
+    return () => { cancelled = true }
+  }, [selectedId, revision])
+
+  const run = async (action, success) => {
+    setBusy(true)
+    setError('')
+    setMessage('')
+    try {
+      const { error: actionError } = await action()
+      if (actionError) throw actionError
+      setMessage(success)
+      setRevision(current => current + 1)
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const getMemberName = (userId) => {
+    const member = members.find(item => item.id === userId)
+    return member ? member.full_name || member.email : 'Former member'
+  }
+
+  const getAccountNames = (post) => accounts
+    .filter(account => post.social_account_ids.includes(account.id))
+    .map(account => account.account_name)
+    .join(', ')
+
+  // Text selected in the caption becomes the quote of the next comment
+  const captureQuote = () => {
+    const selection = window.getSelection()
+    const caption = captionRef.current
+    if (!selection || selection.isCollapsed || !caption?.contains(selection.anchorNode) || !caption.contains(selection.focusNode)) {
+      return
+    }
+
+    const range = selection.getRangeAt(0)
+    const before = document.createRange()
+    before.selectNodeContents(caption)
+    before.setEnd(range.startContainer, range.startOffset)
+
+    const text = range.toString()
+    if (text.trim()) setQuote({ text, offset: before.toString().length })
+  }
+
+  const addComment = async (e) => {
+    e.preventDefault()
+    const added = await run(() => db.createPostComment({
+      organization_id: profile.organization_id,
+      scheduled_post_id: selected.id,
+      user_id: user.id,
+      body: commentText.trim(),
+      quote: quote?.text || null,
+      quote_offset: quote?.offset ?? null
+    }), 'Comment added')
+
+    if (added) {
+      setCommentText('')
+      setQuote(null)
+    }
+  }
+
+  const review = async (decision) => {
+    const reviewed = await run(async () => {
+      try {
+        await postQueue.reviewPost(selected.id, decision, commentText)
+        return { error: null }
+      } catch (err) {
+        return { error: err }
+      }
+    }, decision === APPROVAL_STATUS.APPROVED ? 'Post approved' : 'Changes requested')
+
+    if (reviewed) setCommentText('')
+  }
+
+  const reviewTemplate = async (template, decision) => {
+    const reviewed = await run(
+      () => db.reviewTemplate(template.id, decision, templateComments[template.id]?.trim() || null),
+      decision === APPROVAL_STATUS.APPROVED ? 'Evergreen post approved' : 'Changes requested'
+    )
+
+    if (reviewed) setTemplateComments(current => ({ ...current, [template.id]: '' }))
+  }
+
+  const revise = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      const draft = await postQueue.revisePost(selected.id, user.id)
+      onRevise(draft)
+    } catch (err) {
+      setError(err.message)
+      setBusy(false)
+    }
+  }
+
+  const updateStep = (index, changes) => {
+    setSteps(current => current.map((step, i) => i === index ? { ...step, ...changes } : step))
+  }
+
+  const toggleAuthorRole = (index, role) => {
+    const { author_roles: authorRoles } = steps[index]
+    updateStep(index, {
+      author_roles: authorRoles.includes(role) ? authorRoles.filter(item => item !== role) : [...authorRoles, role]
+    })
+  }
+
+  const saveSteps = () => {
+    const issue = getStepsIssue(steps)
+    if (issue) {
+      setError(issue)
+      return
+    }
+    run(() => db.saveApprovalRules(profile.organization_id, steps), 'Approval steps saved')
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (!enabled) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        {error ? (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        ) : (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+            <p className="text-sm text-yellow-800">
+              Approval workflows are part of the Agency plan. Upgrade to have clients sign off posts before they are published.
+            </p>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  const ranges = selected ? getQuoteRanges(selected.content, comments) : []
+  const isAuthor = selected?.user_id === user.id
+
+  return (
+    <div className="max-w-5xl mx-auto p-6 space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {message && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">In review</h2>
+            <p className="text-sm text-gray-600 mt-1">Posts are only published once every step has approved them.</p>
+          </div>
+          {posts.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">Nothing is waiting for approval.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {posts.map(post => (
+                <li key={post.id}>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedId(post.id)}
+                    className={`w-full text-left px-6 py-3 hover:bg-gray-50 ${post.id === selectedId ? 'bg-blue-50' : ''}`}
+                  >
+                    <p className="text-sm text-gray-900 truncate">{post.content}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      <ScheduledTime date={post.scheduled_for} timeZone={businessTimeZone} />
+                    </p>
+                    <div className="flex flex-wrap items-center gap-2 mt-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${APPROVAL_BADGES[post.approval_status]}`}>
+                        {describeApproval(post, rules)}
+                      </span>
+                      {isOverdue(post) && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Overdue</span>
+                      )}
+                      {canReview(post, rules, profile.role, profile.id) && (
+                        <span className="text-xs font-medium text-blue-700">Needs your review</span>
+                      )}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-sm border border-gray-200">
+          {selected ? (
+            <>
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">{describeApproval(selected, rules)}</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  By {getMemberName(selected.user_id)}
+                  {getAccountNames(selected) && ` to ${getAccountNames(selected)}`}
+                  {' · '}
+                  <ScheduledTime date={selected.scheduled_for} timeZone={businessTimeZone} />
+                </p>
+                {isOverdue(selected) && (
+                  <p className="text-sm text-red-700 mt-2">
+                    Its scheduled time has passed. It goes out as soon as it is approved.
+                  </p>
+                )}
+              </div>
+
+              <div className="p-6 space-y-6">
+                <div>
+                  <p
+                    ref={captionRef}
+                    onMouseUp={captureQuote}
+                    className="text-sm text-gray-900 whitespace-pre-wrap p-4 bg-gray-50 rounded-md border border-gray-200"
+                  >
+                    {splitCaption(selected.content, ranges).map((piece, index) => piece.commentId ? (
+                      <mark
+                        key={index}
+                        onClick={() => setActiveCommentId(piece.commentId)}
+                        className={`cursor-pointer rounded ${piece.commentId === activeCommentId ? 'bg-yellow-300' : 'bg-yellow-100'}`}
+                      >
+                        {piece.text}
+                      </mark>
+                    ) : (
+                      <span key={index}>{piece.text}</span>
+                    ))}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">Select part of the caption to comment on it.</p>
+                  {selected.media_urls?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {selected.media_urls.map(url => (
+                        <img key={url} src={url} alt="" className="h-20 w-20 object-cover rounded-md border border-gray-200" />
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <form onSubmit={addComment} className="space-y-3">
+                  {quote && (
+                    <div className="flex items-start justify-between p-3 bg-blue-50 border border-blue-200 rounded-md">
+                      <p className="text-sm text-blue-800">Commenting on &ldquo;{quote.text}&rdquo;</p>
+                      <button
+                        type="button"
+                        onClick={() => setQuote(null)}
+                        className="text-blue-400 hover:text-blue-600"
+                        aria-label="Comment on the whole post"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                  <textarea
+                    value={commentText}
+                    onChange={(e) => setCommentText(e.target.value)}
+                    rows={3}
+                    placeholder={canReview(selected, rules, profile.role, profile.id) ? 'Comment, or say what should change' : 'Comment'}
+                    className={`block w-full ${inputClass}`}
+                  />
+                  <div className="flex flex-wrap gap-3">
+                    <button
+                      type="submit"
+                      disabled={busy || !commentText.trim()}
+                      className="bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm font-medium py-2 px-4 rounded-md"
+                    >
+                      Add comment
+                    </button>
+                    {canReview(selected, rules, profile.role, profile.id) && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => review(APPROVAL_STATUS.APPROVED)}
+                          disabled={busy}
+                          className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => review(APPROVAL_STATUS.CHANGES_REQUESTED)}
+                          disabled={busy || !commentText.trim()}
+                          className="bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+                        >
+                          Request changes
+                        </button>
+                      </>
+                    )}
+                    {isAuthor && (
+                      <button
+                        type="button"
+                        onClick={revise}
+                        disabled={busy}
+                        className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+                      >
+                        Revise
+                      </button>
+                    )}
+                  </div>
+                  {isAuthor && (
+                    <p className="text-xs text-gray-500">Revising moves the post back to your drafts; scheduling it again restarts the review.</p>
+                  )}
+                </form>
+
+                {comments.length > 0 && (
+                  <ul className="space-y-3">
+                    {comments.map(comment => (
+                      <li
+                        key={comment.id}
+                        className={`p-3 rounded-md border ${comment.id === activeCommentId ? 'border-yellow-300 bg-yellow-50' : 'border-gray-200'} ${comment.resolved_at ? 'opacity-60' : ''}`}
+                      >
+                        <div className="flex items-start justify-between">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className="text-sm font-medium text-gray-900">{getMemberName(comment.user_id)}</span>
+                            <span className="text-xs text-gray-500">
+                              <ScheduledTime date={comment.created_at} timeZone={businessTimeZone} />
+                            </span>
+                            {comment.decision && (
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${APPROVAL_BADGES[comment.decision]}`}>
+                                {comment.decision === APPROVAL_STATUS.APPROVED ? 'Approved' : 'Requested changes'}
+                              </span>
+                            )}
+                          </div>
+                          {comment.resolved_at ? (
+                            <span className="text-xs text-gray-500">Resolved</span>
+                          ) : !comment.decision && (
+                            <button
+                              type="button"
+                              onClick={() => run(() => db.updatePostComment(comment.id, { resolved_at: new Date().toISOString() }), 'Comment resolved')}
+                              disabled={busy}
+                              className="text-xs text-blue-600 hover:text-blue-800"
+                            >
+                              Resolve
+                            </button>
+                          )}
+                        </div>
+                        {comment.quote && (
+                          <p className="mt-2 pl-3 border-l-2 border-yellow-300 text-sm text-gray-600 italic">{comment.quote}</p>
+                        )}
+                        <p className="mt-2 text-sm text-gray-900 whitespace-pre-wrap">{comment.body}</p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          ) : (
+            <p className="p-6 text-sm text-gray-500">Select a post to review it.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Evergreen posts in review</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Evergreen posts are recycled into open slots without a review of their own, so they are signed off once in the library.
+          </p>
+        </div>
+        {templates.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No evergreen posts are waiting for approval.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {templates.map(template => (
+              <li key={template.id} className="px-6 py-4 space-y-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${APPROVAL_BADGES[template.approval_status]}`}>
+                    {describeApproval(template, rules)}
+                  </span>
+                  <span className="text-xs text-gray-500">By {getMemberName(template.user_id)}</span>
+                </div>
+                {[template.content, ...(template.variations || [])].map((version, index) => (
+                  <p key={index} className="text-sm text-gray-900 whitespace-pre-wrap p-3 bg-gray-50 rounded-md border border-gray-200">{version}</p>
+                ))}
+                {template.media_urls?.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {template.media_urls.map(url => (
+                      <img key={url} src={url} alt="" className="h-16 w-16 object-cover rounded-md border border-gray-200" />
+                    ))}
+                  </div>
+                )}
+                {template.approval_comment && (
+                  <p className="text-sm text-gray-700">Reviewer: {template.approval_comment}</p>
+                )}
+                {canReview(template, rules, profile.role, profile.id) && (
+                  <div className="space-y-3">
+                    <textarea
+                      value={templateComments[template.id] || ''}
+                      onChange={(e) => setTemplateComments(current => ({ ...current, [template.id]: e.target.value }))}
+                      rows={2}
+                      placeholder="Say what should change"
+                      className={`block w-full ${inputClass}`}
+                    />
+                    <div className="flex gap-3">
+                      <button
+                        type="button"
+                        onClick={() => reviewTemplate(template, APPROVAL_STATUS.APPROVED)}
+                        disabled={busy}
+                        className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => reviewTemplate(template, APPROVAL_STATUS.CHANGES_REQUESTED)}
+                        disabled={busy || !templateComments[template.id]?.trim()}
+                        className="bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+                      >
+                        Request changes
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Approval steps</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Posts go through the steps that cover their author, in order. Clients sign in as viewers.
+            Posts already in review keep their current step.
+          </p>
+        </div>
+        <div className="p-6 space-y-4">
+          {steps.length === 0 && (
+            <p className="text-sm text-gray-500">No steps yet, so posts are published without approval.</p>
+          )}
+          {steps.map((step, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-3">
+              <span className="w-16 text-sm font-medium text-gray-900">Step {index + 1}</span>
+              <select
+                value={step.reviewer_role}
+                disabled={!isAdmin}
+                onChange={(e) => updateStep(index, { reviewer_role: e.target.value })}
+                className={inputClass}
+              >
+                {PROFILE_ROLES.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]} approves</option>
+                ))}
+              </select>
+              <span className="text-sm text-gray-500">posts by</span>
+              {PROFILE_ROLES.map(role => (
+                <label key={role} className="flex items-center space-x-2 text-sm text-gray-900">
+                  <input
+                    type="checkbox"
+                    checked={step.author_roles.includes(role)}
+                    disabled={!isAdmin}
+                    onChange={() => toggleAuthorRole(index, role)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span>{ROLE_LABELS[role]}</span>
+                </label>
+              ))}
+              {isAdmin && (
+                <button
+                  type="button"
+                  onClick={() => setSteps(current => current.filter((_, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label="Remove step"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              )}
+            </div>
+          ))}
+          {isAdmin ? (
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setSteps(current => [...current, NEW_STEP])}
+                className="inline-flex items-center bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 text-sm font-medium py-2 px-4 rounded-md"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Add step
+              </button>
+              <button
+                type="button"
+                onClick={saveSteps}
+                disabled={busy}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+              >
+                Save steps
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500">Owners and admins can change the steps.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
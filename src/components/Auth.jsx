@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import { auth, db } from '../lib/supabase'
+import { getLocalTimeZone } from '../lib/timezone'
 
 export default function Auth() {
   const [loading, setLoading] = useState(false)
@@ -29,7 +30,8 @@ export default function Auth() {
         const metadata = {
           full_name: fullName.trim(),
           business_name: businessName.trim(),
-          business_type: businessType
+          business_type: businessType,
+          timezone: getLocalTimeZone() // The business's timezone until changed on the dashboard
         }
         
         const { user, error } = await auth.signUp(email, password, metadata)
@@ -0,0 +1,667 @@
+import { useState, useEffect } from 'react'
+import { db } from '../lib/supabase'
+import { postQueue } from '../lib/postQueue'
+import {
+  addDays,
+  CALENDAR_ITEM_STATUS,
+  CALENDAR_VIEWS,
+  formatCalendarTitle,
+  getCalendarDays,
+  getDateKey,
+  getDayStart,
+  getDropPlannedTime,
+  getDropTime,
+  getEntryHour,
+  getWeekday,
+  groupByDay,
+  MOVABLE_POST_STATUSES,
+  shiftAnchor
+} from '../lib/calendar'
+import { formatInTimeZone } from '../lib/timezone'
+import { ChevronLeftIcon, ChevronRightIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+
+// Month cells list this many entries before "+N more"
+const MONTH_CELL_LIMIT = 3
+
+// Background by post status, like the dashboard's status badges
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  processing: 'bg-yellow-100 text-yellow-800',
+  posting: 'bg-orange-100 text-orange-800',
+  posted: 'bg-green-100 text-green-800',
+  partially_posted: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+// Left border by platform; entries for both platforms are purple
+const PLATFORM_STYLES = {
+  facebook: 'border-l-blue-600',
+  instagram: 'border-l-pink-500',
+  multiple: 'border-l-purple-500',
+  none: 'border-l-gray-300'
+}
+
+const CONTENT_TYPES = [
+  { value: 'post', label: 'Post' },
+  { value: 'story', label: 'Story' },
+  { value: 'reel', label: 'Reel' },
+  { value: 'campaign', label: 'Campaign' }
+]
+
+const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500'
+
+const formatStatus = status => (status || '').replace('_', ' ')
+
+// "9:30 AM" on chips; the details panel shows the timezone
+const formatTime = (date, timeZone) => new Date(date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', timeZone })
+
+const formatHour = hour => `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`
+
+const getPlatformStyle = platforms => {
+  const unique = [...new Set(platforms)]
+  return PLATFORM_STYLES[unique.length > 1 ? 'multiple' : unique[0] || 'none'] || PLATFORM_STYLES.none
+}
+
+const emptyItem = (plannedDate) => ({
+  title: '',
+  description: '',
+  planned_date: plannedDate,
+  planned_time: '',
+  content_type: 'post',
+  target_platforms: [],
+  campaign_name: '',
+  campaign_hashtag: '',
+  notes: ''
+})
+
+// Scheduled posts and planned content on month, week and day grids; drag entries to move them
+export default function ContentCalendar({ user, accounts, businessTimeZone }) {
+  const [view, setView] = useState('month')
+  const [anchor, setAnchor] = useState(() => getDateKey(Date.now(), businessTimeZone))
+  const [organizationId, setOrganizationId] = useState(null)
+  const [posts, setPosts] = useState([])
+  const [items, setItems] = useState([])
+  const [selected, setSelected] = useState(null) // {kind: 'post'|'item', id}
+  const [dragging, setDragging] = useState(null) // {kind, id} while dragging
+  const [newItem, setNewItem] = useState(null) // Plan form values while open
+  const [saving, setSaving] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const days = getCalendarDays(view, anchor)
+  const firstDay = days[0]
+  const lastDay = days[days.length - 1]
+  const today = getDateKey(Date.now(), businessTimeZone)
+  const accountsById = new Map(accounts.map(account => [account.id, account]))
+  const grouped = groupByDay(days, { posts, items, timeZone: businessTimeZone })
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadCalendar = async () => {
+      setLoading(true)
+      setError('')
+
+      const { profile, error: profileError } = await db.getProfile(user.id)
+      if (profileError || !profile?.organization_id) {
+        if (!cancelled) {
+          setError('Could not load your organization')
+          setLoading(false)
+        }
+        return
+      }
+
+      const [postResults, itemResults] = await Promise.all([
+        db.getScheduledPostsBetween(profile.organization_id, {
+          from: getDayStart(firstDay, businessTimeZone),
+          to: getDayStart(addDays(lastDay, 1), businessTimeZone)
+        }),
+        db.getCalendarItems(profile.organization_id, { from: firstDay, to: lastDay })
+      ])
+      if (cancelled) return
+
+      if (postResults.error || itemResults.error) {
+        setError('Could not load the calendar')
+      }
+      setOrganizationId(profile.organization_id)
+      setPosts(postResults.posts)
+      setItems(itemResults.items)
+      setLoading(false)
+    }
+
+    loadCalendar()
+    return () => { cancelled = true }
+  }, [user.id, firstDay, lastDay, businessTimeZone])
+
+  const getPostPlatforms = post => (post.social_account_ids || []).map(id => accountsById.get(id)?.platform).filter(Boolean)
+
+  const canMovePost = post => MOVABLE_POST_STATUSES.includes(post.status) && new Date(post.scheduled_for).getTime() > Date.now()
+
+  const canMoveItem = item => ![CALENDAR_ITEM_STATUS.COMPLETED, CALENDAR_ITEM_STATUS.CANCELLED].includes(item.status)
+
+  const handleDrop = async (dateKey, hour = null) => {
+    const entry = dragging
+    setDragging(null)
+    if (!entry) return
+    setError('')
+
+    if (entry.kind === 'post') {
+      const post = posts.find(p => p.id === entry.id)
+      const scheduledFor = getDropTime(post.scheduled_for, dateKey, hour, businessTimeZone)
+      if (scheduledFor.getTime() === new Date(post.scheduled_for).getTime()) return
+
+      // Moved right away; put back if the queue refuses
+      setPosts(current => current.map(p => p.id === post.id ? { ...p, scheduled_for: scheduledFor.toISOString() } : p))
+      try {
+        const moved = await postQueue.reschedulePost(post.id, scheduledFor)
+        setPosts(current => current.map(p => p.id === post.id ? moved : p))
+      } catch (err) {
+        setPosts(current => current.map(p => p.id === post.id ? post : p))
+        setError(err.message)
+      }
+      return
+    }
+
+    const item = items.find(i => i.id === entry.id)
+    const updates = { planned_date: dateKey, planned_time: getDropPlannedTime(item.planned_time, hour) }
+    if (updates.planned_date === item.planned_date && updates.planned_time === item.planned_time) return
+
+    setItems(current => current.map(i => i.id === item.id ? { ...i, ...updates } : i))
+    const { item: movedItem, error: moveError } = await db.updateCalendarItem(item.id, updates)
+    if (moveError) {
+      setItems(current => current.map(i => i.id === item.id ? item : i))
+      setError('Could not move the planned item')
+    } else {
+      setItems(current => current.map(i => i.id === item.id ? movedItem : i))
+    }
+  }
+
+  const dropTargetProps = (dateKey, hour = null) => ({
+    onDragOver: (e) => {
+      if (dragging) e.preventDefault()
+    },
+    onDrop: (e) => {
+      e.preventDefault()
+      handleDrop(dateKey, hour)
+    }
+  })
+
+  const handleCreateItem = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+
+    const { item, error: createError } = await db.createCalendarItem({
+      organization_id: organizationId,
+      user_id: user.id,
+      title: newItem.title.trim(),
+      description: newItem.description.trim() || null,
+      planned_date: newItem.planned_date,
+      planned_time: newItem.planned_time ? `${newItem.planned_time}:00` : null,
+      content_type: newItem.content_type,
+      target_platforms: newItem.target_platforms,
+      campaign_name: newItem.campaign_name.trim() || null,
+      campaign_hashtag: newItem.campaign_hashtag.trim() || null,
+      notes: newItem.notes.trim() || null,
+      status: CALENDAR_ITEM_STATUS.PLANNED
+    })
+
+    setSaving(false)
+    if (createError) {
+      setError('Could not save the planned item')
+      return
+    }
+    setItems(current => [...current, item])
+    setNewItem(null)
+    setSelected({ kind: 'item', id: item.id })
+  }
+
+  const handlePromote = async (item) => {
+    setSaving(true)
+    setError('')
+    try {
+      const { post, item: promotedItem } = await postQueue.promoteCalendarItem(item, user.id, accounts, businessTimeZone)
+      setPosts(current => [...current, post])
+      setItems(current => current.map(i => i.id === item.id ? promotedItem : i))
+      setSelected({ kind: 'post', id: post.id })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteItem = async (item) => {
+    if (!confirm(`Delete "${item.title}" from the calendar?`)) return
+
+    const { error: deleteError } = await db.deleteCalendarItem(item.id)
+    if (deleteError) {
+      setError('Could not delete the planned item')
+      return
+    }
+    setItems(current => current.filter(i => i.id !== item.id))
+    setSelected(null)
+  }
+
+  const toggleNewItemPlatform = (platform) => {
+    setNewItem(current => ({
+      ...current,
+      target_platforms: current.target_platforms.includes(platform)
+        ? current.target_platforms.filter(p => p !== platform)
+        : [...current.target_platforms, platform]
+    }))
+  }
+
+  const renderPost = (post, compact) => {
+    const movable = canMovePost(post)
+    return (
+      <button
+        key={`post-${post.id}`}
+        type="button"
+        draggable={movable}
+        onDragStart={() => setDragging({ kind: 'post', id: post.id })}
+        onDragEnd={() => setDragging(null)}
+        onClick={() => setSelected({ kind: 'post', id: post.id })}
+        title={post.content}
+        className={`w-full text-left text-xs px-1.5 py-1 rounded border-l-4 ${getPlatformStyle(getPostPlatforms(post))} ${
+          STATUS_STYLES[post.status] || STATUS_STYLES.draft
+        } ${movable ? 'cursor-grab' : 'cursor-pointer'} ${
+          selected?.kind === 'post' && selected.id === post.id ? 'ring-2 ring-blue-500' : ''
+        }`}
+      >
+        <span className="font-medium">{formatTime(post.scheduled_for, businessTimeZone)}</span>
+        {' '}
+        <span className={compact ? 'truncate' : ''}>{post.content}</span>
+      </button>
+    )
+  }
+
+  const renderItem = (item) => (
+    <button
+      key={`item-${item.id}`}
+      type="button"
+      draggable={canMoveItem(item)}
+      onDragStart={() => setDragging({ kind: 'item', id: item.id })}
+      onDragEnd={() => setDragging(null)}
+      onClick={() => setSelected({ kind: 'item', id: item.id })}
+      title={item.title}
+      className={`w-full text-left text-xs px-1.5 py-1 rounded border border-dashed border-gray-300 border-l-4 ${getPlatformStyle(item.target_platforms || [])} bg-white text-gray-700 ${
+        canMoveItem(item) ? 'cursor-grab' : 'cursor-pointer'
+      } ${selected?.kind === 'item' && selected.id === item.id ? 'ring-2 ring-blue-500' : ''}`}
+    >
+      {item.planned_time && <span className="font-medium">{item.planned_time.slice(0, 5)} </span>}
+      {item.title}
+    </button>
+  )
+
+  const renderMonth = () => (
+    <div className="grid grid-cols-7 border-t border-l border-gray-200">
+      {WEEKDAY_LABELS.map(label => (
+        <div key={label} className="px-2 py-1 text-xs font-medium text-gray-500 border-r border-b border-gray-200 bg-gray-50">
+          {label}
+        </div>
+      ))}
+      {days.map(day => {
+        const { posts: dayPosts, items: dayItems } = grouped.get(day)
+        const entries = [...dayItems.map(item => renderItem(item)), ...dayPosts.map(post => renderPost(post, true))]
+        return (
+          <div
+            key={day}
+            {...dropTargetProps(day)}
+            className={`min-h-28 p-1 border-r border-b border-gray-200 space-y-1 ${
+              day.slice(0, 7) === anchor.slice(0, 7) ? 'bg-white' : 'bg-gray-50'
+            }`}
+          >
+            <button
+              type="button"
+              onClick={() => { setView('day'); setAnchor(day) }}
+              className={`text-xs font-medium px-1 rounded ${day === today ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+            >
+              {Number(day.slice(8))}
+            </button>
+            {entries.slice(0, MONTH_CELL_LIMIT)}
+            {entries.length > MONTH_CELL_LIMIT && (
+              <button
+                type="button"
+                onClick={() => { setView('day'); setAnchor(day) }}
+                className="text-xs text-gray-500 hover:text-gray-700"
+              >
+                +{entries.length - MONTH_CELL_LIMIT} more
+              </button>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+
+  // Week and day views: an all-day row for items without a time, then one row per hour
+  const renderTimeGrid = () => (
+    <div className="max-h-[36rem] overflow-y-auto border border-gray-200 rounded-md">
+      <div className="grid sticky top-0 z-10 bg-gray-50 border-b border-gray-200" style={{ gridTemplateColumns: `4rem repeat(${days.length}, minmax(0, 1fr))` }}>
+        <div />
+        {days.map(day => (
+          <button
+            key={day}
+            type="button"
+            onClick={() => { setView('day'); setAnchor(day) }}
+            className={`px-2 py-1 text-xs font-medium text-left ${day === today ? 'text-blue-600' : 'text-gray-700'}`}
+          >
+            {WEEKDAY_LABELS[getWeekday(day)]} {Number(day.slice(8))}
+          </button>
+        ))}
+      </div>
+      <div className="grid" style={{ gridTemplateColumns: `4rem repeat(${days.length}, minmax(0, 1fr))` }}>
+        <div className="px-2 py-1 text-xs text-gray-500 border-b border-gray-200">All day</div>
+        {days.map(day => (
+          <div key={day} {...dropTargetProps(day)} className="p-1 space-y-1 border-l border-b border-gray-200 min-h-8">
+            {grouped.get(day).items.filter(item => !item.planned_time).map(item => renderItem(item))}
+          </div>
+        ))}
+        {HOURS.map(hour => [
+          <div key={`label-${hour}`} className="px-2 py-1 text-xs text-gray-500 border-b border-gray-100">
+            {formatHour(hour)}
+          </div>,
+          ...days.map(day => {
+            const { posts: dayPosts, items: dayItems } = grouped.get(day)
+            return (
+              <div key={`${day}-${hour}`} {...dropTargetProps(day, hour)} className="p-1 space-y-1 border-l border-b border-gray-100 min-h-10">
+                {dayItems.filter(item => getEntryHour(item, businessTimeZone) === hour).map(item => renderItem(item))}
+                {dayPosts.filter(post => getEntryHour(post, businessTimeZone) === hour).map(post => renderPost(post, view === 'week'))}
+              </div>
+            )
+          })
+        ])}
+      </div>
+    </div>
+  )
+
+  const selectedPost = selected?.kind === 'post' && posts.find(post => post.id === selected.id)
+  const selectedItem = selected?.kind === 'item' && items.find(item => item.id === selected.id)
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center space-x-2">
+            <button
+              type="button"
+              onClick={() => setAnchor(shiftAnchor(view, anchor, -1))}
+              title="Previous"
+              className="p-1.5 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50"
+            >
+              <ChevronLeftIcon className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setAnchor(today)}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Today
+            </button>
+            <button
+              type="button"
+              onClick={() => setAnchor(shiftAnchor(view, anchor, 1))}
+              title="Next"
+              className="p-1.5 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50"
+            >
+              <ChevronRightIcon className="h-4 w-4" />
+            </button>
+            <h2 className="text-lg font-semibold text-gray-900 ml-2">{formatCalendarTitle(view, anchor)}</h2>
+            {loading && <span className="text-xs text-gray-500">Loading...</span>}
+          </div>
+          <div className="flex items-center space-x-2">
+            <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+              {CALENDAR_VIEWS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setView(option)}
+                  className={`px-3 py-1.5 text-sm capitalize ${view === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setNewItem(emptyItem(anchor < today ? today : anchor))}
+              disabled={!organizationId}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:text-gray-400"
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Plan content
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4">
+          {view === 'month' ? renderMonth() : renderTimeGrid()}
+
+          <div className="mt-3 flex flex-wrap items-center gap-3 text-xs text-gray-600">
+            {['draft', 'scheduled', 'posted', 'failed'].map(status => (
+              <span key={status} className={`px-2 py-0.5 rounded capitalize ${STATUS_STYLES[status]}`}>{status}</span>
+            ))}
+            <span className="px-2 py-0.5 rounded border border-dashed border-gray-300">Planned</span>
+            <span className="pl-2 border-l-4 border-l-blue-600">Facebook</span>
+            <span className="pl-2 border-l-4 border-l-pink-500">Instagram</span>
+            <span className="pl-2 border-l-4 border-l-purple-500">Both</span>
+            <span className="text-gray-500">Drag drafts, scheduled posts and planned items to move them.</span>
+          </div>
+        </div>
+      </div>
+
+      {newItem && (
+        <form onSubmit={handleCreateItem} className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-900">Plan content</h3>
+            <button type="button" onClick={() => setNewItem(null)} title="Close" className="text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="p-6 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="sm:col-span-2">
+              <label htmlFor="itemTitle" className="block text-sm font-medium text-gray-900 mb-2">Title</label>
+              <input
+                id="itemTitle"
+                type="text"
+                required
+                value={newItem.title}
+                onChange={(e) => setNewItem({ ...newItem, title: e.target.value })}
+                placeholder="Summer menu launch"
+                className={inputClass}
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label htmlFor="itemDescription" className="block text-sm font-medium text-gray-900 mb-2">Description</label>
+              <textarea
+                id="itemDescription"
+                rows={3}
+                value={newItem.description}
+                onChange={(e) => setNewItem({ ...newItem, description: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="itemDate" className="block text-sm font-medium text-gray-900 mb-2">Date</label>
+              <input
+                id="itemDate"
+                type="date"
+                required
+                value={newItem.planned_date}
+                onChange={(e) => setNewItem({ ...newItem, planned_date: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="itemTime" className="block text-sm font-medium text-gray-900 mb-2">Time (optional)</label>
+              <input
+                id="itemTime"
+                type="time"
+                value={newItem.planned_time}
+                onChange={(e) => setNewItem({ ...newItem, planned_time: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="itemType" className="block text-sm font-medium text-gray-900 mb-2">Type</label>
+              <select
+                id="itemType"
+                value={newItem.content_type}
+                onChange={(e) => setNewItem({ ...newItem, content_type: e.target.value })}
+                className={inputClass}
+              >
+                {CONTENT_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <span className="block text-sm font-medium text-gray-900 mb-2">Platforms</span>
+              <div className="flex items-center space-x-4 py-2">
+                {['facebook', 'instagram'].map(platform => (
+                  <label key={platform} className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={newItem.target_platforms.includes(platform)}
+                      onChange={() => toggleNewItemPlatform(platform)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <span className="text-sm text-gray-900 capitalize">{platform}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label htmlFor="itemCampaign" className="block text-sm font-medium text-gray-900 mb-2">Campaign</label>
+              <input
+                id="itemCampaign"
+                type="text"
+                value={newItem.campaign_name}
+                onChange={(e) => setNewItem({ ...newItem, campaign_name: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="itemHashtag" className="block text-sm font-medium text-gray-900 mb-2">Campaign hashtag</label>
+              <input
+                id="itemHashtag"
+                type="text"
+                value={newItem.campaign_hashtag}
+                onChange={(e) => setNewItem({ ...newItem, campaign_hashtag: e.target.value })}
+                placeholder="#SummerMenu"
+                className={inputClass}
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label htmlFor="itemNotes" className="block text-sm font-medium text-gray-900 mb-2">Notes</label>
+              <textarea
+                id="itemNotes"
+                rows={2}
+                value={newItem.notes}
+                onChange={(e) => setNewItem({ ...newItem, notes: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="px-6 py-4 border-t border-gray-200 flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-md text-sm"
+            >
+              {saving ? 'Saving...' : 'Add to Calendar'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {selectedPost && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-3">
+          <div className="flex items-start justify-between">
+            <div>
+              <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${STATUS_STYLES[selectedPost.status] || STATUS_STYLES.draft}`}>
+                {formatStatus(selectedPost.status)}
+              </span>
+              <p className="text-sm text-gray-600 mt-2">
+                {formatInTimeZone(selectedPost.scheduled_for, businessTimeZone)}
+                {' · '}
+                {(selectedPost.social_account_ids || []).map(id => accountsById.get(id)?.account_name).filter(Boolean).join(', ') || 'No accounts'}
+              </p>
+            </div>
+            <button type="button" onClick={() => setSelected(null)} title="Close" className="text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-900 whitespace-pre-wrap">{selectedPost.content}</p>
+          {selectedPost.hashtags?.length > 0 && (
+            <p className="text-xs text-gray-500">{selectedPost.hashtags.join(' ')}</p>
+          )}
+          {selectedPost.status === 'draft' && (
+            <p className="text-xs text-gray-500">Drafts aren&apos;t published until they are scheduled.</p>
+          )}
+        </div>
+      )}
+
+      {selectedItem && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-3">
+          <div className="flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{selectedItem.title}</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                {formatCalendarTitle('day', selectedItem.planned_date)}
+                {selectedItem.planned_time && ` at ${selectedItem.planned_time.slice(0, 5)}`}
+                {' · '}
+                <span className="capitalize">{selectedItem.content_type || 'post'}</span>
+                {selectedItem.target_platforms?.length > 0 && (
+                  <> on <span className="capitalize">{selectedItem.target_platforms.join(' and ')}</span></>
+                )}
+                {' · '}
+                <span className="capitalize">{formatStatus(selectedItem.status)}</span>
+              </p>
+            </div>
+            <button type="button" onClick={() => setSelected(null)} title="Close" className="text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+          {selectedItem.description && <p className="text-sm text-gray-900 whitespace-pre-wrap">{selectedItem.description}</p>}
+          {(selectedItem.campaign_name || selectedItem.campaign_hashtag) && (
+            <p className="text-xs text-gray-500">
+              Campaign: {[selectedItem.campaign_name, selectedItem.campaign_hashtag].filter(Boolean).join(' · ')}
+            </p>
+          )}
+          {selectedItem.notes && <p className="text-xs text-gray-500 whitespace-pre-wrap">{selectedItem.notes}</p>}
+          <div className="flex items-center space-x-3">
+            {selectedItem.scheduled_post_id ? (
+              <p className="text-xs text-gray-500">A draft was created from this item.</p>
+            ) : (
+              <button
+                type="button"
+                onClick={() => handlePromote(selectedItem)}
+                disabled={saving}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-md text-sm"
+              >
+                Create draft post
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handleDeleteItem(selectedItem)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-red-600 bg-white hover:bg-gray-50"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -2,15 +2,42 @@ import { useState, useEffect } from 'react'
 import { db, auth } from '../lib/supabase'
 import { postQueue } from '../lib/postQueue'
 import SocialConnect from './SocialConnect'
-import { CalendarIcon, PlusIcon, Cog6ToothIcon, UserCircleIcon } from '@heroicons/react/24/outline'
+import PostComposer from './PostComposer'
+import SeriesGroup from './SeriesGroup'
+import EvergreenLibrary from './EvergreenLibrary'
+import PostingRules from './PostingRules'
+import Analytics from './Analytics'
+import ContentCalendar from './ContentCalendar'
+import Approvals from './Approvals'
+import ScheduledTime from './ScheduledTime'
+import { formatInTimeZone, getBusinessTimeZone, getTimeZones } from '../lib/timezone'
+import { APPROVAL_STATUS, describeApproval } from '../lib/approvals'
+import { getAccountsNeedingAttention, TOKEN_HEALTH } from '../lib/tokenHealth'
+import { CalendarIcon, PlusIcon, Cog6ToothIcon, UserCircleIcon, ArrowPathRoundedSquareIcon, ClockIcon, ChartBarIcon, CheckBadgeIcon } from '@heroicons/react/24/outline'
+
+const VIEW_TITLES = {
+  connect: 'Connect Social Accounts',
+  create: 'Create Post',
+  calendar: 'Content Calendar',
+  evergreen: 'Evergreen Library',
+  rules: 'Posting Rules',
+  analytics: 'Analytics',
+  approvals: 'Approvals'
+}
 
 export default function Dashboard({ user, onViewChange }) {
   const [posts, setPosts] = useState([])
+  const [drafts, setDrafts] = useState([])
+  const [editingDraft, setEditingDraft] = useState(null) // Draft opened in the composer
+  const [series, setSeries] = useState([])
   const [connectedAccounts, setConnectedAccounts] = useState([])
   const [queueStatus, setQueueStatus] = useState(null)
   const [profile, setProfile] = useState(null)
   const [loading, setLoading] = useState(true)
-  const [currentView, setCurrentView] = useState('dashboard') // 'dashboard', 'connect', 'create'
+  // facebook-oauth-callback redirects back with ?view=connect
+  const [currentView, setCurrentView] = useState(() =>
+    new URLSearchParams(window.location.search).get('view') === 'connect' ? 'connect' : 'dashboard'
+  ) // 'dashboard', 'connect', 'create', 'calendar', 'evergreen', 'rules', 'analytics', 'approvals'
 
   useEffect(() => {
     if (user?.id) {
@@ -24,6 +51,8 @@ export default function Dashboard({ user, onViewChange }) {
       await Promise.all([
         loadProfile(),
         loadPosts(),
+        loadDrafts(),
+        loadSeries(),
         loadConnectedAccounts(),
         loadQueueStatus()
       ])
@@ -43,10 +72,7 @@ export default function Dashboard({ user, onViewChange }) {
         await db.upsertProfile({
           id: user.id,
           email: user.email,
-          full_name: user.user_metadata?.full_name || '',
-          business_name: user.user_metadata?.business_name || '',
-          business_type: user.user_metadata?.business_type || '',
-          plan: 'free'
+          full_name: user.user_metadata?.full_name || ''
         })
       } else {
         setProfile(profile)
@@ -66,6 +92,26 @@ export default function Dashboard({ user, onViewChange }) {
     }
   }
 
+  const loadDrafts = async () => {
+    try {
+      const { posts, error } = await db.getDraftPosts(user.id)
+      if (error) throw error
+      setDrafts(posts || [])
+    } catch (error) {
+      console.error('Error loading drafts:', error)
+    }
+  }
+
+  const loadSeries = async () => {
+    try {
+      const { series, error } = await db.getPostSeries(user.id)
+      if (error) throw error
+      setSeries(series || [])
+    } catch (error) {
+      console.error('Error loading recurring posts:', error)
+    }
+  }
+
   const loadConnectedAccounts = async () => {
     try {
       const { accounts, error } = await db.getSocialAccounts(user.id)
@@ -85,6 +131,16 @@ export default function Dashboard({ user, onViewChange }) {
     }
   }
 
+  // Existing posts keep their instant; recurring series keep the timezone they were created in
+  const handleTimeZoneChange = async (timezone) => {
+    const { organization, error } = await db.updateOrganization(profile.organization_id, { timezone })
+    if (error) {
+      console.error('Error updating business time zone:', error)
+      return
+    }
+    setProfile({ ...profile, organizations: { ...profile.organizations, timezone: organization.timezone } })
+  }
+
   const handleAccountsUpdate = (accounts) => {
     setConnectedAccounts(accounts)
     // Refresh dashboard data when accounts are updated
@@ -100,12 +156,16 @@ export default function Dashboard({ user, onViewChange }) {
     }
   }
 
+  const businessTimeZone = getBusinessTimeZone(profile?.organizations)
+  const canEditOrganization = ['owner', 'admin'].includes(profile?.role)
+
   const getPostStatusColor = (status) => {
     switch (status) {
       case 'scheduled': return 'bg-blue-100 text-blue-800'
       case 'processing': return 'bg-yellow-100 text-yellow-800'
       case 'posting': return 'bg-orange-100 text-orange-800'
       case 'posted': return 'bg-green-100 text-green-800'
+      case 'partially_posted': return 'bg-yellow-100 text-yellow-800'
       case 'failed': return 'bg-red-100 text-red-800'
       case 'cancelled': return 'bg-gray-100 text-gray-800'
       default: return 'bg-gray-100 text-gray-800'
@@ -120,8 +180,34 @@ export default function Dashboard({ user, onViewChange }) {
     )
   }
 
-  // Show SocialConnect view
-  if (currentView === 'connect') {
+  const handlePostCreated = () => {
+    setCurrentView('dashboard')
+    loadDashboardData()
+  }
+
+  // Expired, revoked or soon expiring connections, from the token health job's account statuses
+  const accountsNeedingAttention = getAccountsNeedingAttention(connectedAccounts)
+  const accountsBlocked = accountsNeedingAttention.some(({ health }) => health !== TOKEN_HEALTH.EXPIRING)
+
+  // Opens the composer on a draft, or empty
+  const openComposer = (draft = null) => {
+    setEditingDraft(draft)
+    setCurrentView('create')
+  }
+
+  const handleDeleteDraft = async (draft) => {
+    if (!confirm('Delete this draft?')) return
+
+    try {
+      await postQueue.deleteDraft(draft.id, user.id)
+      setDrafts(current => current.filter(d => d.id !== draft.id))
+    } catch (error) {
+      console.error('Error deleting draft:', error)
+    }
+  }
+
+  // Show SocialConnect, PostComposer, ContentCalendar, EvergreenLibrary, PostingRules, Analytics or Approvals view
+  if (VIEW_TITLES[currentView]) {
     return (
       <div className="min-h-screen bg-gray-50">
         <header className="bg-white shadow">
@@ -129,16 +215,22 @@ export default function Dashboard({ user, onViewChange }) {
             <div className="flex justify-between items-center py-6">
               <div className="flex items-center space-x-4">
                 <button
-                  onClick={() => setCurrentView('dashboard')}
+                  onClick={() => {
+                    setCurrentView('dashboard')
+                    // The composer autosaves drafts, the calendar creates them and approvals revise posts into them
+                    loadDrafts()
+                  }}
                   className="text-blue-600 hover:text-blue-500 text-sm font-medium"
                 >
                   ← Back to Dashboard
                 </button>
-                <h1 className="text-2xl font-bold text-gray-900">Connect Social Accounts</h1>
+                <h1 className="text-2xl font-bold text-gray-900">
+                  {VIEW_TITLES[currentView]}
+                </h1>
               </div>
               <div className="flex items-center space-x-4">
                 <span className="text-sm text-gray-700">
-                  {profile?.business_name || user.email}
+                  {profile?.organizations?.name || user.email}
                 </span>
                 <button
                   onClick={handleSignOut}
@@ -151,7 +243,38 @@ export default function Dashboard({ user, onViewChange }) {
           </div>
         </header>
         <main className="py-6">
-          <SocialConnect user={user} onAccountsUpdate={handleAccountsUpdate} />
+          {currentView === 'connect' ? (
+            <SocialConnect user={user} onAccountsUpdate={handleAccountsUpdate} />
+          ) : currentView === 'rules' ? (
+            <PostingRules
+              user={user}
+              accounts={connectedAccounts}
+              businessTimeZone={businessTimeZone}
+              onAccountsUpdate={setConnectedAccounts}
+            />
+          ) : currentView === 'analytics' ? (
+            <Analytics user={user} accounts={connectedAccounts} businessTimeZone={businessTimeZone} />
+          ) : currentView === 'calendar' ? (
+            <ContentCalendar user={user} accounts={connectedAccounts} businessTimeZone={businessTimeZone} />
+          ) : currentView === 'approvals' ? (
+            <Approvals
+              user={user}
+              accounts={connectedAccounts}
+              businessTimeZone={businessTimeZone}
+              onRevise={openComposer}
+            />
+          ) : currentView === 'evergreen' ? (
+            <EvergreenLibrary user={user} accounts={connectedAccounts} businessTimeZone={businessTimeZone} />
+          ) : (
+            <PostComposer
+              key={editingDraft?.id || 'new'}
+              user={user}
+              accounts={connectedAccounts}
+              businessTimeZone={businessTimeZone}
+              initialDraft={editingDraft}
+              onPostCreated={handlePostCreated}
+            />
+          )}
         </main>
       </div>
     )
@@ -169,11 +292,25 @@ export default function Dashboard({ user, onViewChange }) {
             <div className="flex items-center space-x-4">
               <div className="text-right">
                 <div className="text-sm font-medium text-gray-900">
-                  {profile?.business_name || 'Business'}
+                  {profile?.organizations?.name || 'Business'}
                 </div>
                 <div className="text-xs text-gray-500">
                   {profile?.full_name || user.email}
                 </div>
+                <div className="text-xs text-gray-500">
+                  {canEditOrganization ? (
+                    <select
+                      value={businessTimeZone}
+                      onChange={(e) => handleTimeZoneChange(e.target.value)}
+                      aria-label="Business time zone"
+                      className="text-xs text-gray-500 text-right bg-transparent border-none p-0 focus:outline-none focus:ring-0"
+                    >
+                      {[...new Set([businessTimeZone, ...getTimeZones()])].map(zone => (
+                        <option key={zone} value={zone}>{zone}</option>
+                      ))}
+                    </select>
+                  ) : businessTimeZone}
+                </div>
               </div>
               <UserCircleIcon className="h-8 w-8 text-gray-400" />
               <button
@@ -300,12 +437,40 @@ export default function Dashboard({ user, onViewChange }) {
             </div>
           )}
 
+          {/* Token Health Warning: accounts that can't publish, or will stop soon */}
+          {accountsNeedingAttention.length > 0 && (
+            <div className={`mb-8 p-4 border-l-4 ${accountsBlocked ? 'bg-red-50 border-red-400' : 'bg-yellow-50 border-yellow-400'}`}>
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <p className={`text-sm font-medium ${accountsBlocked ? 'text-red-800' : 'text-yellow-800'}`}>
+                    {accountsBlocked
+                      ? 'Some accounts can no longer publish. Reconnect them so scheduled posts go out.'
+                      : 'Some account connections expire soon. Reconnect them to keep posting.'}
+                  </p>
+                  <ul className={`mt-1 text-sm ${accountsBlocked ? 'text-red-700' : 'text-yellow-700'}`}>
+                    {accountsNeedingAttention.map(({ account, message }) => (
+                      <li key={account.id}>
+                        {account.account_name} <span className="capitalize">({account.platform})</span>{message && `: ${message}`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <button
+                  onClick={() => setCurrentView('connect')}
+                  className="flex-shrink-0 text-sm font-medium text-blue-600 hover:text-blue-700"
+                >
+                  Reconnect
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="mb-8">
             <div className="flex flex-col sm:flex-row gap-4">
               <button 
-                disabled={connectedAccounts.length === 0}
-                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white font-bold py-3 px-6 rounded-lg flex items-center justify-center"
+                onClick={() => openComposer()}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg flex items-center justify-center"
               >
                 <PlusIcon className="h-5 w-5 mr-2" />
                 Create New Post
@@ -317,9 +482,95 @@ export default function Dashboard({ user, onViewChange }) {
                 <Cog6ToothIcon className="h-5 w-5 mr-2" />
                 {connectedAccounts.length > 0 ? 'Manage' : 'Connect'} Social Accounts
               </button>
+              <button
+                onClick={() => setCurrentView('calendar')}
+                className="bg-white hover:bg-gray-50 border border-gray-300 text-gray-700 font-bold py-3 px-6 rounded-lg flex items-center justify-center"
+              >
+                <CalendarIcon className="h-5 w-5 mr-2" />
+                Calendar
+              </button>
+              <button
+                onClick={() => setCurrentView('evergreen')}
+                disabled={connectedAccounts.length === 0}
+                className="bg-white hover:bg-gray-50 disabled:text-gray-400 disabled:cursor-not-allowed border border-gray-300 text-gray-700 font-bold py-3 px-6 rounded-lg flex items-center justify-center"
+              >
+                <ArrowPathRoundedSquareIcon className="h-5 w-5 mr-2" />
+                Evergreen Library
+              </button>
+              <button
+                onClick={() => setCurrentView('rules')}
+                className="bg-white hover:bg-gray-50 border border-gray-300 text-gray-700 font-bold py-3 px-6 rounded-lg flex items-center justify-center"
+              >
+                <ClockIcon className="h-5 w-5 mr-2" />
+                Posting Rules
+              </button>
+              <button
+                onClick={() => setCurrentView('analytics')}
+                className="bg-white hover:bg-gray-50 border border-gray-300 text-gray-700 font-bold py-3 px-6 rounded-lg flex items-center justify-center"
+              >
+                <ChartBarIcon className="h-5 w-5 mr-2" />
+                Analytics
+              </button>
+              <button
+                onClick={() => setCurrentView('approvals')}
+                className="bg-white hover:bg-gray-50 border border-gray-300 text-gray-700 font-bold py-3 px-6 rounded-lg flex items-center justify-center"
+              >
+                <CheckBadgeIcon className="h-5 w-5 mr-2" />
+                Approvals
+              </button>
             </div>
           </div>
 
+          {/* Drafts */}
+          {drafts.length > 0 && (
+            <div className="bg-white shadow overflow-hidden sm:rounded-md mb-8">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                  Drafts
+                </h3>
+                <div className="space-y-3">
+                  {drafts.map((draft) => (
+                    <div key={draft.id} className="border border-gray-200 rounded-lg p-4 flex justify-between items-start">
+                      <div className="flex-1 min-w-0">
+                        <h4 className="text-sm font-medium text-gray-900 mb-1">
+                          {!draft.content.trim() ? 'Untitled draft' :
+                            draft.content.length > 100 ? `${draft.content.substring(0, 100)}...` : draft.content}
+                        </h4>
+                        <div className="flex flex-wrap items-center gap-x-4 text-xs text-gray-500">
+                          <span>Saved {formatInTimeZone(draft.updated_at, businessTimeZone)}</span>
+                          <span>
+                            {draft.scheduled_for
+                              ? <>Planned for <ScheduledTime date={draft.scheduled_for} timeZone={businessTimeZone} /></>
+                              : 'No time yet'}
+                          </span>
+                          <span>
+                            {draft.social_account_ids.length > 0
+                              ? draft.social_account_ids.map(id => connectedAccounts.find(a => a.id === id)?.account_name || 'Disconnected account').join(', ')
+                              : 'No accounts yet'}
+                          </span>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-3 ml-4">
+                        <button
+                          onClick={() => openComposer(draft)}
+                          className="text-blue-600 hover:text-blue-500 text-xs font-medium"
+                        >
+                          Edit & Schedule
+                        </button>
+                        <button
+                          onClick={() => handleDeleteDraft(draft)}
+                          className="text-red-600 hover:text-red-500 text-xs font-medium"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Posts List */}
           <div className="bg-white shadow overflow-hidden sm:rounded-md">
             <div className="px-4 py-5 sm:p-6">
@@ -327,56 +578,86 @@ export default function Dashboard({ user, onViewChange }) {
                 Recent Posts
               </h3>
               
-              {posts.length === 0 ? (
+              {posts.length === 0 && series.length === 0 ? (
                 <div className="text-center py-12">
                   <CalendarIcon className="mx-auto h-12 w-12 text-gray-400" />
                   <h3 className="mt-2 text-sm font-medium text-gray-900">No scheduled posts</h3>
                   <p className="mt-1 text-sm text-gray-500">
                     {connectedAccounts.length === 0 
-                      ? 'Connect your social media accounts first, then create your first post.'
+                      ? 'Start a draft now, and schedule it once your social media accounts are connected.'
                       : 'Get started by creating your first social media post.'
                     }
                   </p>
-                  {connectedAccounts.length > 0 && (
-                    <div className="mt-6">
-                      <button className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700">
-                        <PlusIcon className="-ml-1 mr-2 h-5 w-5" />
-                        Create Post
-                      </button>
-                    </div>
-                  )}
+                  <div className="mt-6">
+                    <button
+                      onClick={() => openComposer()}
+                      className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700">
+                      <PlusIcon className="-ml-1 mr-2 h-5 w-5" />
+                      Create Post
+                    </button>
+                  </div>
                 </div>
               ) : (
                 <div className="space-y-4">
-                  {posts.map((post) => (
+                  {/* Recurring posts are grouped under their series */}
+                  {series.map((item) => (
+                    <SeriesGroup
+                      key={item.id}
+                      series={item}
+                      accounts={connectedAccounts}
+                      userId={user.id}
+                      getStatusColor={getPostStatusColor}
+                      onChange={loadDashboardData}
+                    />
+                  ))}
+                  {posts.filter(post => !post.series_id).map((post) => (
                     <div key={post.id} className="border border-gray-200 rounded-lg p-4">
                       <div className="flex justify-between items-start">
                         <div className="flex-1">
-                          <div className="flex items-center space-x-2 mb-2">
-                            {post.social_accounts && (
-                              <div className="flex items-center space-x-2">
-                                <div className={`w-3 h-3 rounded-full ${
-                                  post.social_accounts.platform === 'facebook' ? 'bg-blue-600' :
-                                  post.social_accounts.platform === 'instagram' ? 'bg-gradient-to-r from-purple-500 to-pink-500' :
-                                  'bg-gray-400'
-                                }`}></div>
-                                <span className="text-xs text-gray-500 capitalize">
-                                  {post.social_accounts.platform}
-                                </span>
-                                <span className="text-xs text-gray-400">•</span>
-                                <span className="text-xs text-gray-500">
-                                  {post.social_accounts.account_name}
-                                </span>
-                              </div>
-                            )}
+                          <div className="flex flex-wrap items-center gap-3 mb-2">
+                            {(post.social_account_ids || []).map((accountId) => {
+                              const account = connectedAccounts.find(a => a.id === accountId)
+                              const result = post.platform_posts?.[accountId]
+                              return (
+                                <div key={accountId} className="flex items-center space-x-2" title={result?.error || ''}>
+                                  <div className={`w-3 h-3 rounded-full ${
+                                    account?.platform === 'facebook' ? 'bg-blue-600' :
+                                    account?.platform === 'instagram' ? 'bg-gradient-to-r from-purple-500 to-pink-500' :
+                                    'bg-gray-400'
+                                  }`}></div>
+                                  <span className="text-xs text-gray-500">
+                                    {account?.account_name || 'Disconnected account'}
+                                  </span>
+                                  {result && (
+                                    <span className={`text-xs ${
+                                      result.status === 'posted' ? 'text-green-600' :
+                                      result.status === 'failed' ? 'text-red-600' :
+                                      'text-yellow-600'
+                                    }`}>
+                                      {result.status === 'posted' ? '✓' :
+                                        result.status === 'failed' ? '✕' :
+                                        result.status === 'posting' ? `uploading ${result.upload_progress ?? 0}%` :
+                                        result.native && !result.error ? 'scheduled on Facebook' :
+                                        'retrying'}
+                                    </span>
+                                  )}
+                                </div>
+                              )
+                            })}
                           </div>
                           <h4 className="text-sm font-medium text-gray-900 mb-1">
                             {post.content.length > 100 ? `${post.content.substring(0, 100)}...` : post.content}
                           </h4>
                           <div className="flex items-center space-x-4 text-xs text-gray-500">
                             <span>
-                              Scheduled: {new Date(post.scheduled_for).toLocaleString()}
+                              Scheduled: <ScheduledTime date={post.scheduled_for} timeZone={businessTimeZone} />
                             </span>
+                            {post.evergreen && <span className="text-green-700">Evergreen</span>}
+                            {post.approval_status && post.approval_status !== APPROVAL_STATUS.APPROVED && (
+                              <span className={post.approval_status === APPROVAL_STATUS.CHANGES_REQUESTED ? 'text-red-600' : 'text-yellow-700'}>
+                                {describeApproval(post)}
+                              </span>
+                            )}
                             {post.hashtags && post.hashtags.length > 0 && (
                               <span>
                                 Tags: {post.hashtags.slice(0, 2).join(', ')}
@@ -384,9 +665,13 @@ export default function Dashboard({ user, onViewChange }) {
                               </span>
                             )}
                           </div>
-                          {post.error_message && (
+                          {post.error_details?.deferred ? (
+                            <p className="text-xs text-yellow-700 mt-1">
+                              Moved from <ScheduledTime date={post.deferred_from} timeZone={businessTimeZone} />: {post.error_details.message}
+                            </p>
+                          ) : post.error_details?.message && (
                             <p className="text-xs text-red-600 mt-1">
-                              Error: {post.error_message}
+                              Error: {post.error_details.message}
                             </p>
                           )}
                         </div>
@@ -396,11 +681,12 @@ export default function Dashboard({ user, onViewChange }) {
                              post.status === 'processing' ? 'Processing' :
                              post.status === 'posting' ? 'Posting...' :
                              post.status === 'posted' ? 'Posted' :
+                             post.status === 'partially_posted' ? 'Partially Posted' :
                              post.status === 'failed' ? 'Failed' :
                              post.status === 'cancelled' ? 'Cancelled' :
                              post.status}
                           </span>
-                          {post.status === 'failed' && (
+                          {(post.status === 'failed' || post.status === 'partially_posted') && (
                             <button
                               onClick={() => postQueue.retryPost(post.id, user.id)}
                               className="text-blue-600 hover:text-blue-500 text-xs font-medium"
@@ -0,0 +1,358 @@
+import { useState, useEffect } from 'react'
+import { db } from '../lib/supabase'
+import { EVERGREEN_CATEGORY } from '../lib/evergreen'
+import { APPROVAL_STATUS, describeApproval, isApproved } from '../lib/approvals'
+import { PlusIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+// Settings for an account without a posting schedule yet (matches the column defaults)
+const newSchedule = (timezone) => ({
+  slots: [],
+  timezone,
+  evergreen_enabled: false,
+  evergreen_min_days_between_repeats: 30,
+  evergreen_max_weekly_share: 0.5
+})
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500'
+
+// Evergreen posts and the weekly posting schedules they fill
+export default function EvergreenLibrary({ user, accounts, businessTimeZone }) {
+  const [organizationId, setOrganizationId] = useState(null)
+  const [templates, setTemplates] = useState([])
+  const [schedules, setSchedules] = useState([])
+  const [content, setContent] = useState('')
+  const [variations, setVariations] = useState([])
+  const [mediaUrls, setMediaUrls] = useState('')
+  const [accountId, setAccountId] = useState('')
+  const [schedule, setSchedule] = useState(null) // Schedule being edited for accountId
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+  const [revision, setRevision] = useState(0)
+
+  const activeAccounts = accounts.filter(account => account.is_active)
+
+  // Reloaded after every change
+  useEffect(() => {
+    const loadLibrary = async () => {
+      const { profile, error: profileError } = await db.getProfile(user.id)
+      if (profileError || !profile?.organization_id) {
+        setError('Could not load your organization')
+        return
+      }
+
+      setOrganizationId(profile.organization_id)
+      const [{ templates: allTemplates }, { schedules: allSchedules }] = await Promise.all([
+        db.getPostTemplates(profile.organization_id),
+        db.getPostingSchedules(profile.organization_id)
+      ])
+      setTemplates(allTemplates.filter(template =>
+        template.organization_id === profile.organization_id && template.category === EVERGREEN_CATEGORY
+      ))
+      setSchedules(allSchedules)
+    }
+
+    loadLibrary()
+  }, [user.id, revision])
+
+  const run = async (action, success) => {
+    setBusy(true)
+    setError('')
+    setMessage('')
+    try {
+      const { error: actionError } = await action()
+      if (actionError) throw actionError
+      setMessage(success)
+      setRevision(current => current + 1)
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const addTemplate = async (e) => {
+    e.preventDefault()
+    const text = content.trim()
+    const added = await run(() => db.createPostTemplate({
+      organization_id: organizationId,
+      user_id: user.id,
+      name: text.split('\n')[0].slice(0, 60),
+      content: text,
+      variations: variations.map(variation => variation.trim()).filter(Boolean),
+      media_urls: mediaUrls.split('\n').map(url => url.trim()).filter(Boolean),
+      category: EVERGREEN_CATEGORY,
+      is_public: false
+    }), 'Evergreen post added')
+
+    if (added) {
+      setContent('')
+      setVariations([])
+      setMediaUrls('')
+    }
+  }
+
+  const selectAccount = (id) => {
+    setAccountId(id)
+    setMessage('')
+    const existing = schedules.find(item => item.social_account_id === id)
+    setSchedule(id ? { ...newSchedule(businessTimeZone), ...existing } : null)
+  }
+
+  const updateSlot = (index, changes) => {
+    setSchedule(current => ({
+      ...current,
+      slots: current.slots.map((slot, i) => i === index ? { ...slot, ...changes } : slot)
+    }))
+  }
+
+  // Saving starts filling again from now, so changed slots are picked up on the next run
+  const saveSchedule = () => run(() => db.upsertPostingSchedule({
+    social_account_id: accountId,
+    organization_id: organizationId,
+    slots: [...schedule.slots].sort((a, b) => a.weekday - b.weekday || a.time.localeCompare(b.time)),
+    timezone: schedule.timezone,
+    evergreen_enabled: schedule.evergreen_enabled,
+    evergreen_min_days_between_repeats: Math.max(0, Math.round(Number(schedule.evergreen_min_days_between_repeats) || 0)),
+    evergreen_max_weekly_share: Math.min(1, Math.max(0, Number(schedule.evergreen_max_weekly_share) || 0)),
+    filled_until: null
+  }), 'Posting schedule saved')
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {message && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Posting schedule</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Weekly time slots for an account. With evergreen posts on, slots nothing else is scheduled in are filled a day ahead.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <select
+            value={accountId}
+            onChange={(e) => selectAccount(e.target.value)}
+            className={`block w-full ${inputClass}`}
+          >
+            <option value="">Choose an account</option>
+            {activeAccounts.map(account => (
+              <option key={account.id} value={account.id}>
+                {account.account_name} ({account.platform})
+              </option>
+            ))}
+          </select>
+
+          {schedule && (
+            <>
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Time slots</h3>
+                <div className="space-y-2">
+                  {schedule.slots.map((slot, index) => (
+                    <div key={index} className="flex items-center space-x-3">
+                      <select
+                        value={slot.weekday}
+                        onChange={(e) => updateSlot(index, { weekday: Number(e.target.value) })}
+                        className={inputClass}
+                      >
+                        {WEEKDAYS.map((name, weekday) => (
+                          <option key={weekday} value={weekday}>{name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="time"
+                        value={slot.time}
+                        onChange={(e) => updateSlot(index, { time: e.target.value })}
+                        className={inputClass}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setSchedule({ ...schedule, slots: schedule.slots.filter((_, i) => i !== index) })}
+                        className="text-gray-400 hover:text-red-600"
+                        aria-label="Remove slot"
+                      >
+                        <XMarkIcon className="h-5 w-5" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setSchedule({ ...schedule, slots: [...schedule.slots, { weekday: 1, time: '09:00' }] })}
+                  className="mt-2 inline-flex items-center text-blue-600 hover:text-blue-500 text-sm font-medium"
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Add slot
+                </button>
+                <p className="text-xs text-gray-500 mt-2">Times are in {schedule.timezone}.</p>
+              </div>
+
+              <label className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  checked={schedule.evergreen_enabled}
+                  onChange={(e) => setSchedule({ ...schedule, evergreen_enabled: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-900">Fill open slots with evergreen posts</span>
+              </label>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="minDays" className="block text-sm font-medium text-gray-900 mb-2">
+                    Days before a post repeats
+                  </label>
+                  <input
+                    id="minDays"
+                    type="number"
+                    min={0}
+                    value={schedule.evergreen_min_days_between_repeats}
+                    onChange={(e) => setSchedule({ ...schedule, evergreen_min_days_between_repeats: e.target.value })}
+                    className={`block w-full ${inputClass}`}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="maxShare" className="block text-sm font-medium text-gray-900 mb-2">
+                    Most of a week's posts that can be evergreen (%)
+                  </label>
+                  <input
+                    id="maxShare"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={Math.round(Number(schedule.evergreen_max_weekly_share) * 100)}
+                    onChange={(e) => setSchedule({ ...schedule, evergreen_max_weekly_share: Number(e.target.value) / 100 })}
+                    className={`block w-full ${inputClass}`}
+                  />
+                </div>
+              </div>
+
+              <button
+                type="button"
+                onClick={saveSchedule}
+                disabled={busy}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+              >
+                Save schedule
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <form onSubmit={addTemplate} className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Evergreen posts</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Posts that are always worth sharing again. Each repeat uses the next variation.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <textarea
+            rows={4}
+            required
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            placeholder="Post content"
+            className={`block w-full ${inputClass}`}
+          />
+          {variations.map((variation, index) => (
+            <div key={index} className="flex items-start space-x-3">
+              <textarea
+                rows={3}
+                value={variation}
+                onChange={(e) => setVariations(variations.map((text, i) => i === index ? e.target.value : text))}
+                placeholder={`Variation ${index + 1}`}
+                className={`block w-full ${inputClass}`}
+              />
+              <button
+                type="button"
+                onClick={() => setVariations(variations.filter((_, i) => i !== index))}
+                className="text-gray-400 hover:text-red-600"
+                aria-label="Remove variation"
+              >
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setVariations([...variations, ''])}
+            className="inline-flex items-center text-blue-600 hover:text-blue-500 text-sm font-medium"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add variation
+          </button>
+          <textarea
+            rows={2}
+            value={mediaUrls}
+            onChange={(e) => setMediaUrls(e.target.value)}
+            placeholder="Photo or video URLs, one per line (needed for Instagram)"
+            className={`block w-full ${inputClass}`}
+          />
+          <button
+            type="submit"
+            disabled={busy || !organizationId}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+          >
+            Add evergreen post
+          </button>
+        </div>
+
+        <ul className="divide-y divide-gray-100 border-t border-gray-200">
+          {templates.map(template => (
+            <li key={template.id} className="px-6 py-4 flex justify-between items-start">
+              <div className="flex-1 mr-4">
+                <p className="text-sm text-gray-900">
+                  {template.content.length > 100 ? `${template.content.substring(0, 100)}...` : template.content}
+                </p>
+                <div className="flex items-center space-x-4 text-xs text-gray-500 mt-1">
+                  <span>{(template.variations?.length || 0) + 1} versions</span>
+                  <span>Used {template.usage_count || 0} times</span>
+                  {template.last_used_at && <span>Last used {new Date(template.last_used_at).toLocaleDateString()}</span>}
+                  {template.approval_status && (
+                    <span className={template.approval_status === APPROVAL_STATUS.CHANGES_REQUESTED ? 'text-red-700' : isApproved(template) ? 'text-green-700' : 'text-yellow-700'}>
+                      {describeApproval(template)}
+                    </span>
+                  )}
+                </div>
+                {!isApproved(template) && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Not recycled until approved.
+                    {template.approval_comment && ` Reviewer: ${template.approval_comment}`}
+                  </p>
+                )}
+              </div>
+              <button
+                type="button"
+                onClick={() => run(() => db.deletePostTemplate(template.id), 'Evergreen post deleted')}
+                disabled={busy}
+                className="text-red-600 hover:text-red-500 disabled:text-gray-400 text-xs font-medium"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+          {templates.length === 0 && (
+            <li className="px-6 py-4 text-sm text-gray-500">No evergreen posts yet</li>
+          )}
+        </ul>
+      </form>
+    </div>
+  )
+}
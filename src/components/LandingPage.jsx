@@ -218,6 +218,7 @@ export default function LandingPage({ onViewChange, user }) {
                     <li>✓ Unlimited scheduled posts</li>
                     <li>✓ White-label reporting</li>
                     <li>✓ Team collaboration</li>
+                    <li>✓ Client approval workflows</li>
                     <li>✓ API access</li>
                     <li>✓ Dedicated account manager</li>
                   </ul>
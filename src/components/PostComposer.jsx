@@ -0,0 +1,977 @@
+import { useState, useEffect, useRef } from 'react'
+import { db, supabase } from '../lib/supabase'
+import { postQueue } from '../lib/postQueue'
+import { describeWindow, getNextOptimalTime, loadBestTimes } from '../lib/bestTimes'
+import { checkPostingRules, loadPostingRules } from '../lib/postingRules'
+import { CONTENT_ISSUES, describeIssue, validatePostContent } from '../lib/contentRules'
+import { fetchMediaInfo, isVideo, POST_FORMAT } from '../lib/media'
+import { getPlatformPost, parseHashtags, PLATFORMS } from '../lib/postContent'
+import { formatRule, getOccurrences, getRulePresets, parseRule } from '../lib/recurrence'
+import { formatInTimeZone, fromDateTimeInput, toDateTimeInput } from '../lib/timezone'
+import PostPreview from './PostPreview'
+import ScheduledTime from './ScheduledTime'
+import { ArrowDownIcon, ArrowUpIcon, PlayIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+const PLATFORM_LABELS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram'
+}
+
+// Publishing formats offered in the composer
+const FORMAT_OPTIONS = [
+  { value: POST_FORMAT.FEED, label: 'Feed post', description: 'Photos, an Instagram carousel of up to 10 items, or a video' },
+  { value: POST_FORMAT.REEL, label: 'Reel', description: 'One vertical video, on Instagram and Facebook' },
+  { value: POST_FORMAT.STORY, label: 'Story', description: 'One photo or video on Instagram for 24 hours; a regular post on Facebook' }
+]
+
+const isSingleVideo = urls => urls.length === 1 && isVideo(urls[0])
+
+// Dimensions and length of a media file, read by loading it in the browser
+const readMediaDimensions = (url) => new Promise(resolve => {
+  if (isVideo(url)) {
+    const video = document.createElement('video')
+    video.preload = 'metadata'
+    video.onloadedmetadata = () => resolve({
+      width: video.videoWidth,
+      height: video.videoHeight,
+      ...(Number.isFinite(video.duration) && { duration: video.duration })
+    })
+    video.onerror = () => resolve({})
+    video.src = url
+  } else {
+    const image = new Image()
+    image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight })
+    image.onerror = () => resolve({})
+    image.src = url
+  }
+})
+
+// Default schedule: the next full hour in the business's timezone, formatted for datetime-local inputs
+const nextHour = (timeZone) => `${toDateTimeInput(Date.now() + 60 * 60 * 1000, timeZone).slice(0, 13)}:00`
+
+// Drafts are saved this long after typing pauses
+const AUTOSAVE_DELAY_MS = 1500
+
+// Form fields of a saved draft, or of an empty composer
+const getInitialForm = (post, timeZone) => {
+  const formatOptions = post?.format_options || {}
+  return {
+    accountIds: post?.social_account_ids || [],
+    content: post?.content || '',
+    media: (post?.media_urls || []).map((url, index) => ({ id: crypto.randomUUID(), url, caption: post.media_captions?.[index] || '' })),
+    hashtags: (post?.hashtags || []).join(' '),
+    linkUrl: post?.link_url || '',
+    locationName: post?.location_name || '',
+    locationId: post?.location_id || '',
+    overrides: Object.fromEntries(Object.entries(post?.platform_overrides || {}).map(([platform, override]) => [platform, {
+      ...(override.content !== undefined && { content: override.content }),
+      ...(override.media_urls && { media: override.media_urls.join('\n') })
+    }])),
+    postFormat: post?.post_format || POST_FORMAT.FEED,
+    shareToFeed: formatOptions.share_to_feed ?? true,
+    coverUrl: formatOptions.cover_url || '',
+    videoTitle: formatOptions.title || '',
+    // A draft's time is kept unless it has passed
+    scheduledFor: post?.scheduled_for && new Date(post.scheduled_for) > new Date()
+      ? toDateTimeInput(post.scheduled_for, timeZone)
+      : nextHour(timeZone),
+    nativeScheduling: !!post?.native_scheduling
+  }
+}
+
+// Saves run one after another, so only the first creates the draft
+// queue.current resolves to the draft's ID; a failed save leaves it as it was.
+const queueDraftSave = (queue, userId, postData) => {
+  const previous = queue.current
+  const saved = previous.then(draftId => postQueue.saveDraft(userId, postData, draftId))
+  queue.current = saved.then(post => post.id, () => previous)
+  return saved
+}
+
+// The schedule inputs are read in the business's timezone, not the browser's
+// initialDraft is a draft scheduled_posts row to continue; edits are autosaved to it
+export default function PostComposer({ user, accounts, businessTimeZone, initialDraft = null, onPostCreated }) {
+  const [initial] = useState(() => getInitialForm(initialDraft, businessTimeZone))
+  const [selectedAccountIds, setSelectedAccountIds] = useState(initial.accountIds)
+  const [content, setContent] = useState(initial.content)
+  const [media, setMedia] = useState(initial.media) // [{id, url, caption}] in posting order
+  const [newMediaUrl, setNewMediaUrl] = useState('')
+  const [recentMedia, setRecentMedia] = useState([]) // Media URLs of the organization's latest posts
+  const [hashtagsText, setHashtagsText] = useState(initial.hashtags)
+  const [linkUrl, setLinkUrl] = useState(initial.linkUrl)
+  const [locationName, setLocationName] = useState(initial.locationName)
+  const [locationId, setLocationId] = useState(initial.locationId)
+  const [overrides, setOverrides] = useState(initial.overrides) // {platform: {content?, media?}}; media is one URL per line
+  const [mediaInfo, setMediaInfo] = useState({}) // MediaInfo of every URL in the post, for content rules
+  const probedUrls = useRef(new Set())
+  const [postFormat, setPostFormat] = useState(initial.postFormat)
+  const [shareToFeed, setShareToFeed] = useState(initial.shareToFeed)
+  const [coverUrl, setCoverUrl] = useState(initial.coverUrl)
+  const [videoTitle, setVideoTitle] = useState(initial.videoTitle)
+  const [scheduledFor, setScheduledFor] = useState(initial.scheduledFor)
+  const [nativeScheduling, setNativeScheduling] = useState(initial.nativeScheduling)
+  const [repeat, setRepeat] = useState('') // getRulePresets key; '' does not repeat
+  const [repeatEnd, setRepeatEnd] = useState('never') // 'never', 'until' or 'count'
+  const [repeatUntil, setRepeatUntil] = useState('')
+  const [repeatCount, setRepeatCount] = useState(10)
+  const [postingRules, setPostingRules] = useState([]) // PostingRules of the selected accounts' businesses
+  const [bestTimes, setBestTimes] = useState(null) // {windows, source} for the selected accounts
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [draftSavedAt, setDraftSavedAt] = useState(initialDraft ? new Date(initialDraft.updated_at) : null)
+  const [draftError, setDraftError] = useState('')
+  const [reviewComments, setReviewComments] = useState([]) // Open comments on a draft taken back from review
+  const draftQueue = useRef(Promise.resolve(initialDraft?.id || null)) // See queueDraftSave
+  const submitted = useRef(false) // No autosaves once the post is scheduled or saved for later
+
+  const activeAccounts = accounts.filter(account => account.is_active)
+  const selectedAccounts = activeAccounts.filter(account => selectedAccountIds.includes(account.id))
+  const organizationId = selectedAccounts[0]?.organization_id
+  const businessProfileKey = [...new Set(selectedAccounts.map(account => account.business_profile_id).filter(Boolean))].sort().join(',')
+  const accountKey = selectedAccounts.map(account => account.id).sort().join(',')
+  const mediaUrls = media.map(item => item.url)
+  const hasFacebook = activeAccounts.some(account =>
+    account.platform === 'facebook' && selectedAccountIds.includes(account.id)
+  )
+  const hasInstagram = activeAccounts.some(account =>
+    account.platform === 'instagram' && selectedAccountIds.includes(account.id)
+  )
+
+  // Overrides only make sense when the post goes to both platforms
+  const showOverrides = hasFacebook && hasInstagram
+  const platformOverrides = showOverrides
+    ? Object.fromEntries(PLATFORMS.flatMap(platform => {
+        const override = overrides[platform] || {}
+        const fields = {
+          ...(override.content !== undefined && { content: override.content }),
+          ...(override.media !== undefined && { media_urls: override.media.split('\n').map(url => url.trim()).filter(Boolean) })
+        }
+        return Object.keys(fields).length > 0 ? [[platform, fields]] : []
+      }))
+    : {}
+
+  // The post as the previews and the queue processor read it
+  const draft = {
+    content,
+    media_urls: mediaUrls,
+    media_captions: media.map(item => item.caption.trim()),
+    hashtags: parseHashtags(hashtagsText),
+    link_url: linkUrl.trim() || null,
+    location_name: locationName.trim() || null,
+    location_id: locationId.trim() || null,
+    platform_overrides: Object.keys(platformOverrides).length > 0 ? platformOverrides : null
+  }
+  const mediaKey = [...new Set([mediaUrls, ...Object.values(platformOverrides).map(override => override.media_urls || [])].flat())].join('\n')
+  const facebookMedia = getPlatformPost(draft, 'facebook').media_urls
+  const instagramMedia = getPlatformPost(draft, 'instagram').media_urls
+  const selectedMedia = [hasFacebook && facebookMedia, hasInstagram && instagramMedia].filter(Boolean)
+  const singleVideo = (selectedMedia.length > 0 ? selectedMedia : [mediaUrls]).some(isSingleVideo)
+  // Formats only change how Instagram posts and Facebook videos are published
+  const showFormats = hasInstagram || (hasFacebook && isSingleVideo(facebookMedia))
+  // Stories are Instagram-only; without an Instagram account they fall back to feed posts
+  const format = showFormats && (hasInstagram || postFormat !== POST_FORMAT.STORY) ? postFormat : POST_FORMAT.FEED
+
+  // Repeat options follow the chosen date ("every Friday", "first Monday of the month")
+  const [year, month, day] = (scheduledFor || '').slice(0, 10).split('-').map(Number)
+  const repeatPresets = year ? getRulePresets({ year, month, day }) : []
+  const repeatPreset = repeatPresets.find(preset => preset.key === repeat)
+  const recurrenceRule = repeatPreset && formatRule({
+    ...parseRule(repeatPreset.rule),
+    count: repeatEnd === 'count' ? Math.max(1, Number(repeatCount) || 1) : null,
+    until: repeatEnd === 'until' && repeatUntil ? repeatUntil.replaceAll('-', '') : null
+  })
+  const scheduledAt = fromDateTimeInput(scheduledFor, businessTimeZone)
+  const upcoming = recurrenceRule && scheduledAt
+    ? getOccurrences({ rule: recurrenceRule, startsAt: scheduledAt, timeZone: businessTimeZone }, { limit: 3 })
+    : []
+
+  // The queue moves posts that break posting rules; warn before that happens
+  const ruleCheck = scheduledAt && postingRules.length > 0 ? checkPostingRules(postingRules, scheduledAt) : null
+  const repeatsMoved = upcoming.slice(1).some(date => !checkPostingRules(postingRules, date).allowed)
+
+  useEffect(() => {
+    if (!organizationId) {
+      setPostingRules([])
+      return
+    }
+
+    let cancelled = false
+    loadPostingRules(supabase, { organizationId, businessProfileIds: businessProfileKey ? businessProfileKey.split(',') : [] })
+      .then(rules => !cancelled && setPostingRules(rules))
+      .catch(err => console.error('Error loading posting rules:', err))
+
+    return () => { cancelled = true }
+  }, [organizationId, businessProfileKey])
+
+  // Best times skip hours the posting rules would move the post out of
+  const nextOptimalTime = bestTimes && getNextOptimalTime(bestTimes.windows, {
+    timeZone: businessTimeZone,
+    isAllowed: date => checkPostingRules(postingRules, date).allowed
+  })
+
+  useEffect(() => {
+    if (!organizationId) {
+      setBestTimes(null)
+      return
+    }
+
+    let cancelled = false
+    loadBestTimes(supabase, {
+      organizationId,
+      accountIds: accountKey.split(','),
+      businessProfileIds: businessProfileKey ? businessProfileKey.split(',') : [],
+      timeZone: businessTimeZone
+    })
+      .then(times => !cancelled && setBestTimes(times))
+      .catch(err => console.error('Error loading best times:', err))
+
+    return () => { cancelled = true }
+  }, [organizationId, accountKey, businessProfileKey, businessTimeZone])
+
+  const initialDraftId = initialDraft?.id
+
+  useEffect(() => {
+    if (!initialDraftId) return
+
+    let cancelled = false
+    db.getPostComments(initialDraftId)
+      .then(({ comments }) => !cancelled && setReviewComments(comments.filter(comment => !comment.resolved_at)))
+
+    return () => { cancelled = true }
+  }, [initialDraftId])
+
+  // Recently used media for the picker; every account belongs to the user's organization
+  const mediaOrganizationId = activeAccounts[0]?.organization_id
+
+  useEffect(() => {
+    if (!mediaOrganizationId) return
+
+    let cancelled = false
+    db.getRecentMedia(mediaOrganizationId)
+      .then(({ mediaUrls: urls }) => !cancelled && setRecentMedia(urls))
+
+    return () => { cancelled = true }
+  }, [mediaOrganizationId])
+
+  // Media is read once per URL, after typing in the override lists pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const urls = mediaKey.split('\n').filter(url => url && !probedUrls.current.has(url))
+      if (urls.length === 0) return
+
+      urls.forEach(url => probedUrls.current.add(url))
+      Promise.all([fetchMediaInfo(urls), Promise.all(urls.map(readMediaDimensions))])
+        .then(([headers, dimensions]) => setMediaInfo(current => ({
+          ...current,
+          ...Object.fromEntries(urls.map((url, index) => [url, { ...headers[url], ...dimensions[index] }]))
+        })))
+    }, 500)
+
+    return () => clearTimeout(timer)
+  }, [mediaKey])
+
+  const toggleAccount = (accountId) => {
+    setSelectedAccountIds(ids =>
+      ids.includes(accountId) ? ids.filter(id => id !== accountId) : [...ids, accountId]
+    )
+  }
+
+  const addMediaUrl = (url) => {
+    setMedia(items => [...items, { id: crypto.randomUUID(), url, caption: '' }])
+  }
+
+  const addMedia = () => {
+    const url = newMediaUrl.trim()
+    if (!url) return
+    addMediaUrl(url)
+    setNewMediaUrl('')
+  }
+
+  const moveMedia = (index, offset) => {
+    setMedia(items => {
+      const reordered = [...items]
+      const [item] = reordered.splice(index, 1)
+      reordered.splice(index + offset, 0, item)
+      return reordered
+    })
+  }
+
+  const updateMediaCaption = (index, caption) => {
+    setMedia(items => items.map((item, i) => i === index ? { ...item, caption } : item))
+  }
+
+  const removeMedia = (index) => {
+    setMedia(items => items.filter((_, i) => i !== index))
+  }
+
+  // Overrides start from the shared caption or media, to be edited rather than retyped
+  const toggleOverride = (platform, field) => {
+    setOverrides(current => {
+      const { [field]: existing, ...rest } = current[platform] || {}
+      const initial = field === 'content' ? content : mediaUrls.join('\n')
+      return { ...current, [platform]: existing === undefined ? { ...rest, [field]: initial } : rest }
+    })
+  }
+
+  const updateOverride = (platform, field, value) => {
+    setOverrides(current => ({ ...current, [platform]: { ...current[platform], [field]: value } }))
+  }
+
+  // Checked against the same content rules as the queue; issues are listed above the schedule
+  const { errors: contentErrors, warnings: contentWarnings } = validatePostContent(
+    { ...draft, post_format: format },
+    { platforms: PLATFORMS.filter(platform => selectedAccounts.some(account => account.platform === platform)), mediaInfo }
+  )
+  // The content field itself asks for text
+  const shownErrors = contentErrors.filter(issue => issue.code !== CONTENT_ISSUES.EMPTY_CONTENT || issue.platform)
+
+  // The post as the queue stores it
+  const postData = {
+    ...draft,
+    post_format: format,
+    format_options: singleVideo
+      ? {
+          ...(videoTitle.trim() && { title: videoTitle.trim() }),
+          ...(coverUrl.trim() && { cover_url: coverUrl.trim() }),
+          ...(format === POST_FORMAT.REEL && { share_to_feed: shareToFeed })
+        }
+      : null,
+    scheduled_for: scheduledAt?.toISOString() || null,
+    timezone: businessTimeZone,
+    native_scheduling: hasFacebook && nativeScheduling
+  }
+
+  // Drafts keep whatever has been chosen so far, accounts and time included
+  const draftKey = JSON.stringify({ ...postData, social_account_ids: selectedAccountIds })
+  const savedDraftKey = useRef(draftKey)
+  const hasDraftContent = !!content.trim() || media.length > 0
+  // Until there is something to keep, nothing is saved
+  const autosave = hasDraftContent || !!draftSavedAt
+
+  // Autosave once typing pauses
+  useEffect(() => {
+    if (draftKey === savedDraftKey.current || !autosave) return
+
+    const timer = setTimeout(() => {
+      if (submitted.current) return
+
+      savedDraftKey.current = draftKey
+      queueDraftSave(draftQueue, user.id, JSON.parse(draftKey))
+        .then(post => {
+          setDraftSavedAt(new Date(post.updated_at))
+          setDraftError('')
+        })
+        .catch(() => {
+          savedDraftKey.current = null
+          setDraftError('Draft not saved')
+        })
+    }, AUTOSAVE_DELAY_MS)
+
+    return () => clearTimeout(timer)
+  }, [draftKey, autosave, user.id])
+
+  // Keep the post as a draft and schedule it later from the dashboard
+  const handleScheduleLater = async () => {
+    setError('')
+
+    if (!hasDraftContent) {
+      setError('Write something or add media before saving a draft.')
+      return
+    }
+
+    setSaving(true)
+    submitted.current = true
+    try {
+      await queueDraftSave(draftQueue, user.id, { ...postData, social_account_ids: selectedAccountIds })
+      onPostCreated()
+    } catch (err) {
+      submitted.current = false
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (selectedAccountIds.length === 0) {
+      setError('Select at least one account to post to.')
+      return
+    }
+    if (contentErrors.length > 0) {
+      setError(describeIssue(contentErrors[0]))
+      return
+    }
+    if (repeatPreset && repeatEnd === 'until' && repeatUntil < scheduledFor.slice(0, 10)) {
+      setError('The repeat end date must be on or after the first post.')
+      return
+    }
+
+    setSaving(true)
+    submitted.current = true
+    try {
+      const scheduled = { ...postData, optimal_time_suggested: nextOptimalTime?.toISOString() || null }
+      // Wait for autosaves in flight, so the draft isn't written after it is scheduled
+      const draftId = await draftQueue.current
+
+      if (recurrenceRule) {
+        // Repeats at the same wall-clock time in the business's timezone
+        await postQueue.addSeries(user.id, selectedAccountIds, { ...scheduled, recurrence_rule: recurrenceRule })
+        if (draftId) await postQueue.deleteDraft(draftId, user.id)
+      } else if (draftId) {
+        await postQueue.scheduleDraft(draftId, user.id, selectedAccountIds, scheduled)
+      } else {
+        await postQueue.addPost(user.id, selectedAccountIds, scheduled)
+      }
+      onPostCreated()
+    } catch (err) {
+      submitted.current = false
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // One preview per platform, as the first selected account of that platform
+  const previewAccounts = PLATFORMS
+    .map(platform => selectedAccounts.find(account => account.platform === platform))
+    .filter(Boolean)
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+      <form onSubmit={handleSubmit} className="lg:col-span-2 bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">{initialDraft ? 'Edit Draft' : 'Create Post'}</h2>
+            {draftError ? (
+              <span className="text-xs text-red-600">{draftError}</span>
+            ) : draftSavedAt && (
+              <span className="text-xs text-gray-500">
+                Draft saved {draftSavedAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+              </span>
+            )}
+          </div>
+          <p className="text-sm text-gray-600 mt-1">
+            Write your post once and schedule it to every selected account. Drafts are saved as you type.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          {reviewComments.length > 0 && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+              <h3 className="text-sm font-medium text-yellow-900 mb-2">Reviewer comments</h3>
+              <ul className="space-y-2">
+                {reviewComments.map(comment => (
+                  <li key={comment.id} className="text-sm text-yellow-800">
+                    {comment.quote && <span className="italic">&ldquo;{comment.quote}&rdquo;: </span>}
+                    {comment.body}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Post to</h3>
+            <div className="space-y-2">
+              {activeAccounts.length === 0 && (
+                <p className="text-sm text-gray-500">
+                  No accounts connected yet. Save this post as a draft and schedule it once an account is connected.
+                </p>
+              )}
+              {activeAccounts.map(account => (
+                <label key={account.id} className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={selectedAccountIds.includes(account.id)}
+                    onChange={() => toggleAccount(account.id)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-900">{account.account_name}</span>
+                  <span className="text-xs text-gray-500 capitalize">{account.platform}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="content" className="block text-sm font-medium text-gray-900 mb-2">
+              Content
+            </label>
+            <textarea
+              id="content"
+              rows={5}
+              required
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="sm:col-span-2">
+              <label htmlFor="hashtags" className="block text-sm font-medium text-gray-900 mb-2">
+                Hashtags
+              </label>
+              <input
+                id="hashtags"
+                type="text"
+                value={hashtagsText}
+                onChange={(e) => setHashtagsText(e.target.value)}
+                placeholder="#pizza #downtown"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">Added to the end of the caption unless it already uses them.</p>
+            </div>
+
+            <div>
+              <label htmlFor="linkUrl" className="block text-sm font-medium text-gray-900 mb-2">
+                Link
+              </label>
+              <input
+                id="linkUrl"
+                type="url"
+                value={linkUrl}
+                onChange={(e) => setLinkUrl(e.target.value)}
+                placeholder="https://example.com/menu"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                A link preview on Facebook text posts, and in the caption of Facebook posts with photos or videos.
+              </p>
+            </div>
+
+            <div>
+              <label htmlFor="locationName" className="block text-sm font-medium text-gray-900 mb-2">
+                Location
+              </label>
+              <input
+                id="locationName"
+                type="text"
+                value={locationName}
+                onChange={(e) => setLocationName(e.target.value)}
+                placeholder="Business name or place"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <input
+                type="text"
+                value={locationId}
+                onChange={(e) => setLocationId(e.target.value)}
+                placeholder="Facebook place ID (optional)"
+                className="mt-2 block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                The location is tagged on Facebook and Instagram when the place&apos;s Facebook Page ID is given.
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="media" className="block text-sm font-medium text-gray-900 mb-2">
+              Photos and videos
+            </label>
+            {media.length > 0 && (
+              <ol className="space-y-2 mb-3">
+                {media.map((item, index) => (
+                  <li key={item.id} className="flex items-start space-x-3 p-3 border border-gray-200 rounded-lg">
+                    <span className="text-xs font-medium text-gray-500 mt-2">{index + 1}</span>
+                    <div className="flex-1 min-w-0 space-y-2">
+                      <p className="text-sm text-gray-900 truncate">
+                        {item.url}
+                        {isVideo(item.url) && <span className="ml-2 text-xs text-gray-500">Video</span>}
+                      </p>
+                      {hasFacebook && media.length > 1 && !platformOverrides.facebook?.media_urls && (
+                        <input
+                          type="text"
+                          value={item.caption}
+                          onChange={(e) => updateMediaCaption(index, e.target.value)}
+                          placeholder="Photo caption on Facebook (optional)"
+                          className="block w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-1">
+                      <button
+                        type="button"
+                        onClick={() => moveMedia(index, -1)}
+                        disabled={index === 0}
+                        title="Move up"
+                        className="p-1 text-gray-500 hover:text-gray-700 disabled:text-gray-300"
+                      >
+                        <ArrowUpIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveMedia(index, 1)}
+                        disabled={index === media.length - 1}
+                        title="Move down"
+                        className="p-1 text-gray-500 hover:text-gray-700 disabled:text-gray-300"
+                      >
+                        <ArrowDownIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeMedia(index)}
+                        title="Remove"
+                        className="p-1 text-red-500 hover:text-red-700"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+            <div className="flex space-x-2">
+              <input
+                id="media"
+                type="url"
+                value={newMediaUrl}
+                onChange={(e) => setNewMediaUrl(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault()
+                    addMedia()
+                  }
+                }}
+                placeholder="https://example.com/photo.jpg"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                type="button"
+                onClick={addMedia}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-900 font-medium py-2 px-4 rounded-md text-sm"
+              >
+                Add
+              </button>
+            </div>
+            {recentMedia.some(url => !mediaUrls.includes(url)) && (
+              <div className="mt-3">
+                <p className="text-xs text-gray-500 mb-2">Recently used</p>
+                <div className="flex flex-wrap gap-2">
+                  {recentMedia.filter(url => !mediaUrls.includes(url)).slice(0, 12).map(url => (
+                    <button
+                      key={url}
+                      type="button"
+                      onClick={() => addMediaUrl(url)}
+                      title={url}
+                      className="h-14 w-14 rounded-md overflow-hidden border border-gray-200 hover:border-blue-600"
+                    >
+                      {isVideo(url) ? (
+                        <span className="h-full w-full bg-gray-900 flex items-center justify-center">
+                          <PlayIcon className="h-5 w-5 text-white" />
+                        </span>
+                      ) : (
+                        <img src={url} alt="" className="h-full w-full object-cover" />
+                      )}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {showOverrides && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">Customize per platform</h3>
+              <div className="space-y-3">
+                {PLATFORMS.map(platform => (
+                  <div key={platform} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                    <p className="text-sm font-medium text-gray-900">{PLATFORM_LABELS[platform]}</p>
+                    <label className="flex items-center space-x-3">
+                      <input
+                        type="checkbox"
+                        checked={overrides[platform]?.content !== undefined}
+                        onChange={() => toggleOverride(platform, 'content')}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      />
+                      <span className="text-sm text-gray-900">Different caption</span>
+                    </label>
+                    {overrides[platform]?.content !== undefined && (
+                      <textarea
+                        rows={3}
+                        value={overrides[platform].content}
+                        onChange={(e) => updateOverride(platform, 'content', e.target.value)}
+                        className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    )}
+                    <label className="flex items-center space-x-3">
+                      <input
+                        type="checkbox"
+                        checked={overrides[platform]?.media !== undefined}
+                        onChange={() => toggleOverride(platform, 'media')}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      />
+                      <span className="text-sm text-gray-900">Different photos and videos</span>
+                    </label>
+                    {overrides[platform]?.media !== undefined && (
+                      <textarea
+                        rows={3}
+                        value={overrides[platform].media}
+                        onChange={(e) => updateOverride(platform, 'media', e.target.value)}
+                        placeholder="One URL per line, in posting order"
+                        className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {showFormats && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">Format</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {FORMAT_OPTIONS.filter(option => hasInstagram || option.value !== POST_FORMAT.STORY).map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setPostFormat(option.value)}
+                    className={`text-left p-3 border rounded-lg ${
+                      format === option.value ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+                    }`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{option.label}</p>
+                    <p className="text-xs text-gray-500 mt-1">{option.description}</p>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {singleVideo && (
+            <div className="space-y-3">
+              <h3 className="text-sm font-medium text-gray-900">Video details</h3>
+              {hasFacebook && (
+                <input
+                  type="text"
+                  value={videoTitle}
+                  onChange={(e) => setVideoTitle(e.target.value)}
+                  placeholder="Video title on Facebook (optional)"
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              )}
+              <input
+                type="url"
+                value={coverUrl}
+                onChange={(e) => setCoverUrl(e.target.value)}
+                placeholder="Thumbnail image URL (optional)"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              {hasInstagram && format === POST_FORMAT.REEL && (
+                <label className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={shareToFeed}
+                    onChange={(e) => setShareToFeed(e.target.checked)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-900">Also show the reel in the Instagram feed</span>
+                </label>
+              )}
+            </div>
+          )}
+
+          {shownErrors.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+              <ul className="list-disc pl-4 space-y-1 text-xs text-red-800">
+                {shownErrors.map((issue, index) => <li key={index}>{describeIssue(issue)}</li>)}
+              </ul>
+            </div>
+          )}
+          {contentWarnings.length > 0 && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+              <ul className="list-disc pl-4 space-y-1 text-xs text-yellow-800">
+                {contentWarnings.map((issue, index) => <li key={index}>{describeIssue(issue)}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="scheduledFor" className="block text-sm font-medium text-gray-900 mb-2">
+              Schedule for
+            </label>
+            <input
+              id="scheduledFor"
+              type="datetime-local"
+              required
+              value={scheduledFor}
+              onChange={(e) => setScheduledFor(e.target.value)}
+              className="block px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Business time ({businessTimeZone})
+              {scheduledAt && <>: <ScheduledTime date={scheduledAt} timeZone={businessTimeZone} /></>}
+            </p>
+            {bestTimes && (
+              <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded-md text-xs text-blue-800">
+                Best times {bestTimes.source === 'history' ? 'from your past posts' : 'for businesses like yours'}:
+                {' '}{bestTimes.windows.map(describeWindow).join(', ')}.
+                {nextOptimalTime && scheduledAt?.getTime() !== nextOptimalTime.getTime() && (
+                  <>
+                    {' '}
+                    <button
+                      type="button"
+                      onClick={() => setScheduledFor(toDateTimeInput(nextOptimalTime, businessTimeZone))}
+                      className="font-medium underline"
+                    >
+                      Schedule at next optimal time
+                    </button>
+                    {' '}({formatInTimeZone(nextOptimalTime, businessTimeZone)})
+                  </>
+                )}
+              </div>
+            )}
+            {ruleCheck && !ruleCheck.allowed && (
+              <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-xs text-yellow-800">
+                {ruleCheck.blocks.map(block => block.message).join('. ')}.
+                {ruleCheck.nextAllowedAt ? (
+                  <>
+                    {' '}It will be posted {formatInTimeZone(ruleCheck.nextAllowedAt, businessTimeZone)} instead.{' '}
+                    <button
+                      type="button"
+                      onClick={() => setScheduledFor(toDateTimeInput(ruleCheck.nextAllowedAt, businessTimeZone))}
+                      className="font-medium underline"
+                    >
+                      Use this time
+                    </button>
+                  </>
+                ) : ' No time in the next year is allowed, so it will fail.'}
+              </div>
+            )}
+            {hasFacebook && (
+              <label className="mt-3 flex items-start space-x-3">
+                <input
+                  type="checkbox"
+                  checked={nativeScheduling}
+                  onChange={(e) => setNativeScheduling(e.target.checked)}
+                  className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-900">
+                  Schedule on Facebook
+                  <span className="block text-xs text-gray-500">
+                    Facebook publishes the post at the scheduled time even if LocalSocial is unavailable.
+                    Only for posts at least 15 minutes and at most 30 days ahead.
+                  </span>
+                </span>
+              </label>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="repeat" className="block text-sm font-medium text-gray-900 mb-2">
+              Repeat
+            </label>
+            <select
+              id="repeat"
+              value={repeatPreset ? repeat : ''}
+              onChange={(e) => setRepeat(e.target.value)}
+              className="block px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Does not repeat</option>
+              {repeatPresets.map(preset => (
+                <option key={preset.key} value={preset.key}>{preset.label}</option>
+              ))}
+            </select>
+
+            {repeatPreset && (
+              <div className="mt-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-3 text-sm text-gray-900">
+                  <span>Ends</span>
+                  <select
+                    value={repeatEnd}
+                    onChange={(e) => setRepeatEnd(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="never">Never</option>
+                    <option value="until">On a date</option>
+                    <option value="count">After a number of posts</option>
+                  </select>
+                  {repeatEnd === 'until' && (
+                    <input
+                      type="date"
+                      required
+                      value={repeatUntil}
+                      min={scheduledFor.slice(0, 10)}
+                      onChange={(e) => setRepeatUntil(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  )}
+                  {repeatEnd === 'count' && (
+                    <input
+                      type="number"
+                      min="1"
+                      required
+                      value={repeatCount}
+                      onChange={(e) => setRepeatCount(e.target.value)}
+                      className="w-24 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  )}
+                </div>
+                {upcoming.length > 0 && (
+                  <p className="text-xs text-gray-500">
+                    Next: {upcoming.map(date => formatInTimeZone(date, businessTimeZone)).join(' · ')}
+                  </p>
+                )}
+                {repeatsMoved && (
+                  <p className="text-xs text-yellow-700">
+                    Some repeats fall outside posting rules and will be moved to the next allowed time.
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={handleScheduleLater}
+            disabled={saving}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:text-gray-400"
+          >
+            Schedule Later
+          </button>
+          <button
+            type="submit"
+            disabled={saving || selectedAccountIds.length === 0}
+            title={selectedAccountIds.length === 0 ? 'Select an account to schedule this post' : undefined}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-md text-sm"
+          >
+            {saving ? 'Scheduling...' : 'Schedule Post'}
+          </button>
+        </div>
+      </form>
+
+      <aside className="space-y-4 lg:sticky lg:top-6">
+        <h3 className="text-sm font-medium text-gray-900">Preview</h3>
+        {previewAccounts.length === 0 ? (
+          <p className="text-sm text-gray-500">Select an account to see how the post will look.</p>
+        ) : previewAccounts.map(account => (
+          <div key={account.platform}>
+            <p className="text-xs font-medium text-gray-500 mb-2">
+              {PLATFORM_LABELS[account.platform]}
+              {account.platform === 'instagram' && format === POST_FORMAT.STORY ? ' story' : ''}
+            </p>
+            <PostPreview
+              post={draft}
+              platform={account.platform}
+              format={format}
+              accountName={account.account_name}
+              time={scheduledAt ? formatInTimeZone(scheduledAt, businessTimeZone) : 'Just now'}
+            />
+          </div>
+        ))}
+      </aside>
+    </div>
+  )
+}
@@ -0,0 +1,195 @@
+import { buildCaption, getPlatformPost, hasLinkAttachment } from '../lib/postContent'
+import { isVideo, POST_FORMAT } from '../lib/media'
+import {
+  BookmarkIcon,
+  ChatBubbleOvalLeftIcon,
+  GlobeAmericasIcon,
+  HandThumbUpIcon,
+  HeartIcon,
+  PaperAirplaneIcon,
+  PhotoIcon,
+  PlayIcon,
+  ShareIcon
+} from '@heroicons/react/24/outline'
+
+// Instagram shows handles, not Page names
+const toUsername = name => (name || 'yourbusiness').toLowerCase().replace(/[^a-z0-9._]/g, '')
+
+const getDomain = url => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch {
+    return url
+  }
+}
+
+function Avatar({ name, className = 'h-10 w-10' }) {
+  return (
+    <div className={`${className} rounded-full bg-gray-300 flex items-center justify-center text-sm font-semibold text-gray-700 flex-shrink-0`}>
+      {(name || '?').charAt(0).toUpperCase()}
+    </div>
+  )
+}
+
+// A photo or the first frame of a video, or a placeholder before media is added
+function MediaTile({ url, className = '' }) {
+  if (!url) {
+    return (
+      <div className={`${className} bg-gray-100 flex items-center justify-center`}>
+        <PhotoIcon className="h-10 w-10 text-gray-300" />
+      </div>
+    )
+  }
+
+  return (
+    <div className={`${className} relative bg-gray-900 overflow-hidden`}>
+      {isVideo(url)
+        ? <video src={url} muted playsInline preload="metadata" className="h-full w-full object-cover" />
+        : <img src={url} alt="" className="h-full w-full object-cover" />}
+      {isVideo(url) && (
+        <PlayIcon className="absolute inset-0 m-auto h-10 w-10 text-white drop-shadow" />
+      )}
+    </div>
+  )
+}
+
+// Facebook feed card: Page header, caption, photos or link preview, reactions bar
+function FacebookFeedPreview({ post, accountName, time }) {
+  const caption = buildCaption(post, 'facebook')
+  const mediaUrls = post.media_urls || []
+  const shown = mediaUrls.slice(0, 4)
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden">
+      <div className="flex items-center space-x-2 p-3">
+        <Avatar name={accountName} />
+        <div className="min-w-0">
+          <p className="text-sm text-gray-900">
+            <span className="font-semibold">{accountName}</span>
+            {post.location_name && <span className="text-gray-600"> is at <span className="font-semibold text-gray-900">{post.location_name}</span></span>}
+          </p>
+          <p className="flex items-center text-xs text-gray-500">
+            {time} · <GlobeAmericasIcon className="ml-1 h-3 w-3" />
+          </p>
+        </div>
+      </div>
+
+      {caption && <p className="px-3 pb-3 text-sm text-gray-900 whitespace-pre-wrap break-words">{caption}</p>}
+
+      {shown.length === 1 && <MediaTile url={shown[0]} className="w-full aspect-square" />}
+      {shown.length > 1 && (
+        <div className="grid grid-cols-2 gap-0.5">
+          {shown.map((url, index) => (
+            <div key={index} className={`relative ${shown.length === 3 && index === 0 ? 'col-span-2' : ''}`}>
+              <MediaTile url={url} className={`w-full ${shown.length === 3 && index === 0 ? 'aspect-[2/1]' : 'aspect-square'}`} />
+              {index === 3 && mediaUrls.length > 4 && (
+                <div className="absolute inset-0 bg-black/50 flex items-center justify-center text-2xl font-semibold text-white">
+                  +{mediaUrls.length - 4}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hasLinkAttachment(post) && (
+        <div className="border-t border-gray-200 bg-gray-100 px-3 py-2">
+          <p className="text-xs uppercase text-gray-500">{getDomain(post.link_url)}</p>
+          <p className="text-sm font-semibold text-gray-900 truncate">{post.link_url}</p>
+        </div>
+      )}
+
+      <div className="mx-3 border-t border-gray-200 grid grid-cols-3 py-1 text-sm font-medium text-gray-600">
+        <span className="flex items-center justify-center py-1"><HandThumbUpIcon className="h-5 w-5 mr-1" /> Like</span>
+        <span className="flex items-center justify-center py-1"><ChatBubbleOvalLeftIcon className="h-5 w-5 mr-1" /> Comment</span>
+        <span className="flex items-center justify-center py-1"><ShareIcon className="h-5 w-5 mr-1" /> Share</span>
+      </div>
+    </div>
+  )
+}
+
+// Instagram feed post: square photo (or the first carousel item), actions, caption under the media
+function InstagramFeedPreview({ post, accountName, format }) {
+  const caption = buildCaption(post, 'instagram')
+  const mediaUrls = post.media_urls || []
+  const username = toUsername(accountName)
+  const isReel = format === POST_FORMAT.REEL || (mediaUrls.length === 1 && isVideo(mediaUrls[0]))
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden">
+      <div className="flex items-center space-x-2 p-3">
+        <Avatar name={accountName} className="h-8 w-8" />
+        <div className="min-w-0">
+          <p className="text-sm font-semibold text-gray-900">{username}</p>
+          {post.location_name && <p className="text-xs text-gray-600 truncate">{post.location_name}</p>}
+        </div>
+      </div>
+
+      <div className="relative">
+        <MediaTile url={mediaUrls[0]} className={`w-full ${isReel ? 'aspect-[4/5]' : 'aspect-square'}`} />
+        {mediaUrls.length > 1 && (
+          <span className="absolute top-2 right-2 rounded-full bg-black/60 px-2 py-0.5 text-xs text-white">
+            1/{mediaUrls.length}
+          </span>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between px-3 pt-3 text-gray-900">
+        <div className="flex items-center space-x-4">
+          <HeartIcon className="h-6 w-6" />
+          <ChatBubbleOvalLeftIcon className="h-6 w-6" />
+          <PaperAirplaneIcon className="h-6 w-6" />
+        </div>
+        {mediaUrls.length > 1 && (
+          <div className="flex space-x-1">
+            {mediaUrls.map((_, index) => (
+              <span key={index} className={`h-1.5 w-1.5 rounded-full ${index === 0 ? 'bg-blue-500' : 'bg-gray-300'}`} />
+            ))}
+          </div>
+        )}
+        <BookmarkIcon className="h-6 w-6" />
+      </div>
+
+      <p className="p-3 text-sm text-gray-900 whitespace-pre-wrap break-words">
+        <span className="font-semibold">{username}</span> {caption}
+      </p>
+    </div>
+  )
+}
+
+// Instagram story: one full-screen 9:16 item with the account overlaid, no caption
+function InstagramStoryPreview({ post, accountName }) {
+  const mediaUrls = post.media_urls || []
+
+  return (
+    <div className="relative mx-auto w-full max-w-[16rem] aspect-[9/16] rounded-xl overflow-hidden bg-gray-900">
+      <MediaTile url={mediaUrls[0]} className="absolute inset-0" />
+      <div className="absolute inset-x-0 top-0 p-3 bg-gradient-to-b from-black/50 to-transparent">
+        <div className="h-0.5 rounded-full bg-white/50"><div className="h-0.5 w-1/3 rounded-full bg-white" /></div>
+        <div className="mt-2 flex items-center space-x-2">
+          <Avatar name={accountName} className="h-7 w-7" />
+          <span className="text-xs font-semibold text-white">{toUsername(accountName)}</span>
+          <span className="text-xs text-white/70">Now</span>
+        </div>
+      </div>
+      <div className="absolute inset-x-0 bottom-0 flex items-center space-x-3 p-3">
+        <div className="flex-1 rounded-full border border-white/70 px-3 py-1.5 text-xs text-white/80">Send message</div>
+        <HeartIcon className="h-6 w-6 text-white" />
+        <PaperAirplaneIcon className="h-6 w-6 text-white" />
+      </div>
+    </div>
+  )
+}
+
+// How the post will look on one platform, with that platform's overrides applied
+export default function PostPreview({ post, platform, format, accountName, time }) {
+  const platformPost = getPlatformPost(post, platform)
+
+  if (platform === 'facebook') {
+    return <FacebookFeedPreview post={platformPost} accountName={accountName} time={time} />
+  }
+
+  return format === POST_FORMAT.STORY
+    ? <InstagramStoryPreview post={platformPost} accountName={accountName} />
+    : <InstagramFeedPreview post={platformPost} accountName={accountName} format={format} />
+}
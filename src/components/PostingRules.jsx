@@ -0,0 +1,376 @@
+import { useState, useEffect } from 'react'
+import { db } from '../lib/supabase'
+import { WEEKDAY_KEYS } from '../lib/postingRules'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500'
+
+// Form state from a business profile; days left out of business_hours are closed
+const toForm = (profile) => ({
+  hours: Object.fromEntries(WEEKDAY_KEYS.map(key => {
+    const hours = profile.business_hours?.[key]
+    return [key, { open: hours?.open || '09:00', close: hours?.close || '17:00', closed: !hours || !!hours.closed }]
+  })),
+  onlyWhileOpen: !!profile.posting_rules?.only_while_open,
+  quietHours: !!profile.posting_rules?.quiet_hours,
+  quietStart: profile.posting_rules?.quiet_hours?.start || '22:00',
+  quietEnd: profile.posting_rules?.quiet_hours?.end || '07:00'
+})
+
+// Business hours, quiet hours and blackout days per business profile
+// The queue defers posts that break them; times are in the business's timezone.
+export default function PostingRules({ user, accounts, businessTimeZone, onAccountsUpdate }) {
+  const [organization, setOrganization] = useState(null) // {id, timezone}
+  const [businessProfiles, setBusinessProfiles] = useState([])
+  const [blackouts, setBlackouts] = useState([])
+  const [selectedId, setSelectedId] = useState('')
+  const [form, setForm] = useState(null)
+  const [newBusinessName, setNewBusinessName] = useState('')
+  const [blackout, setBlackout] = useState({ starts_on: '', ends_on: '', reason: '' })
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+  const [revision, setRevision] = useState(0)
+
+  const activeAccounts = accounts.filter(account => account.is_active)
+  const selected = businessProfiles.find(profile => profile.id === selectedId)
+
+  // Reloaded after every change
+  useEffect(() => {
+    const loadRules = async () => {
+      const { profile, error: profileError } = await db.getProfile(user.id)
+      if (profileError || !profile?.organization_id) {
+        setError('Could not load your organization')
+        return
+      }
+
+      setOrganization({ id: profile.organization_id, timezone: profile.organizations?.timezone || null })
+      const [{ businessProfiles: profiles }, { blackouts: days }] = await Promise.all([
+        db.getBusinessProfiles(profile.organization_id),
+        db.getBusinessBlackouts(profile.organization_id)
+      ])
+      setBusinessProfiles(profiles)
+      setBlackouts(days)
+      setSelectedId(current => profiles.some(item => item.id === current) ? current : profiles[0]?.id || '')
+    }
+
+    loadRules()
+  }, [user.id, revision])
+
+  useEffect(() => {
+    setForm(selected ? toForm(selected) : null)
+  }, [selected])
+
+  const run = async (action, success) => {
+    setBusy(true)
+    setError('')
+    setMessage('')
+    try {
+      const { error: actionError } = await action()
+      if (actionError) throw actionError
+      setMessage(success)
+      setRevision(current => current + 1)
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const createBusinessProfile = async (e) => {
+    e.preventDefault()
+    const created = await run(() => db.upsertBusinessProfile({
+      organization_id: organization.id,
+      business_name: newBusinessName.trim()
+    }), 'Business profile created')
+
+    if (created) setNewBusinessName('')
+  }
+
+  const updateHours = (key, changes) => {
+    setForm(current => ({ ...current, hours: { ...current.hours, [key]: { ...current.hours[key], ...changes } } }))
+  }
+
+  const saveRules = () => run(async () => {
+    // The queue reads rules in the organization's timezone, so it has to be set
+    if (!organization.timezone) {
+      const { error: timeZoneError } = await db.updateOrganization(organization.id, { timezone: businessTimeZone })
+      if (timeZoneError) return { error: timeZoneError }
+    }
+
+    return db.upsertBusinessProfile({
+      id: selected.id,
+      organization_id: selected.organization_id,
+      business_name: selected.business_name,
+      business_hours: Object.fromEntries(WEEKDAY_KEYS
+        .filter(key => !form.hours[key].closed)
+        .map(key => [key, { open: form.hours[key].open, close: form.hours[key].close }])),
+      posting_rules: {
+        only_while_open: form.onlyWhileOpen,
+        ...(form.quietHours && { quiet_hours: { start: form.quietStart, end: form.quietEnd } })
+      }
+    })
+  }, 'Posting rules saved')
+
+  const toggleAccount = async (account) => {
+    setBusy(true)
+    setError('')
+    const { account: updated, error: updateError } = await db.updateSocialAccount(account.id, {
+      business_profile_id: account.business_profile_id === selected.id ? null : selected.id
+    })
+    setBusy(false)
+
+    if (updateError) {
+      setError(updateError.message)
+      return
+    }
+    onAccountsUpdate(accounts.map(item => item.id === updated.id ? { ...item, ...updated } : item))
+  }
+
+  const addBlackout = async (e) => {
+    e.preventDefault()
+    const added = await run(() => db.createBusinessBlackout({
+      organization_id: selected.organization_id,
+      business_profile_id: selected.id,
+      starts_on: blackout.starts_on,
+      ends_on: blackout.ends_on || blackout.starts_on,
+      reason: blackout.reason.trim() || null
+    }), 'Blackout added')
+
+    if (added) setBlackout({ starts_on: '', ends_on: '', reason: '' })
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {message && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      {organization && businessProfiles.length === 0 && (
+        <form onSubmit={createBusinessProfile} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            Posting rules belong to a business profile. Create one to set business hours and blackout days.
+          </p>
+          <div className="flex items-center space-x-3">
+            <input
+              type="text"
+              required
+              value={newBusinessName}
+              onChange={(e) => setNewBusinessName(e.target.value)}
+              placeholder="Business name"
+              className={`flex-1 ${inputClass}`}
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+            >
+              Create business profile
+            </button>
+          </div>
+        </form>
+      )}
+
+      {businessProfiles.length > 1 && (
+        <select
+          value={selectedId}
+          onChange={(e) => setSelectedId(e.target.value)}
+          className={`block w-full ${inputClass}`}
+        >
+          {businessProfiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.business_name}</option>
+          ))}
+        </select>
+      )}
+
+      {selected && form && (
+        <>
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">{selected.business_name}</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                Posts that break these rules are moved to the next allowed time. Times are in {organization?.timezone || businessTimeZone}.
+              </p>
+            </div>
+
+            <div className="p-6 space-y-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Business hours</h3>
+                <div className="space-y-2">
+                  {WEEKDAY_KEYS.map(key => (
+                    <div key={key} className="flex items-center space-x-3">
+                      <span className="w-24 text-sm text-gray-900 capitalize">{key}</span>
+                      <label className="flex items-center space-x-2 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={form.hours[key].closed}
+                          onChange={(e) => updateHours(key, { closed: e.target.checked })}
+                          className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        <span>Closed</span>
+                      </label>
+                      {!form.hours[key].closed && (
+                        <>
+                          <input
+                            type="time"
+                            value={form.hours[key].open}
+                            onChange={(e) => updateHours(key, { open: e.target.value })}
+                            className={inputClass}
+                          />
+                          <span className="text-sm text-gray-500">to</span>
+                          <input
+                            type="time"
+                            value={form.hours[key].close}
+                            onChange={(e) => updateHours(key, { close: e.target.value })}
+                            className={inputClass}
+                          />
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <label className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  checked={form.onlyWhileOpen}
+                  onChange={(e) => setForm({ ...form, onlyWhileOpen: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-900">Only publish while open</span>
+              </label>
+
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={form.quietHours}
+                    onChange={(e) => setForm({ ...form, quietHours: e.target.checked })}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-900">No posts between</span>
+                </label>
+                <input
+                  type="time"
+                  value={form.quietStart}
+                  disabled={!form.quietHours}
+                  onChange={(e) => setForm({ ...form, quietStart: e.target.value })}
+                  className={inputClass}
+                />
+                <span className="text-sm text-gray-500">and</span>
+                <input
+                  type="time"
+                  value={form.quietEnd}
+                  disabled={!form.quietHours}
+                  onChange={(e) => setForm({ ...form, quietEnd: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+
+              <button
+                type="button"
+                onClick={saveRules}
+                disabled={busy}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+              >
+                Save rules
+              </button>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Accounts</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                Posts to these accounts follow {selected.business_name}&apos;s rules.
+                {businessProfiles.length === 1 && ' Accounts not linked to a business follow them too.'}
+              </p>
+            </div>
+            <div className="p-6 space-y-2">
+              {activeAccounts.map(account => (
+                <label key={account.id} className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={account.business_profile_id === selected.id}
+                    disabled={busy}
+                    onChange={() => toggleAccount(account)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-900">{account.account_name}</span>
+                  <span className="text-xs text-gray-500 capitalize">{account.platform}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <form onSubmit={addBlackout} className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Blackout days</h2>
+              <p className="text-sm text-gray-600 mt-1">Days nothing is posted, like closed holidays.</p>
+            </div>
+            <div className="p-6 flex flex-wrap items-center gap-3">
+              <input
+                type="date"
+                required
+                value={blackout.starts_on}
+                onChange={(e) => setBlackout({ ...blackout, starts_on: e.target.value })}
+                className={inputClass}
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="date"
+                value={blackout.ends_on}
+                min={blackout.starts_on}
+                onChange={(e) => setBlackout({ ...blackout, ends_on: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={blackout.reason}
+                onChange={(e) => setBlackout({ ...blackout, reason: e.target.value })}
+                placeholder="Reason, e.g. Thanksgiving"
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-medium py-2 px-4 rounded-md"
+              >
+                Add
+              </button>
+            </div>
+            <ul className="divide-y divide-gray-100 border-t border-gray-200">
+              {blackouts.filter(item => item.business_profile_id === selected.id).map(item => (
+                <li key={item.id} className="px-6 py-3 flex justify-between items-center">
+                  <span className="text-sm text-gray-900">
+                    {item.starts_on === item.ends_on ? item.starts_on : `${item.starts_on} to ${item.ends_on}`}
+                    {item.reason && <span className="text-gray-500"> · {item.reason}</span>}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => run(() => db.deleteBusinessBlackout(item.id), 'Blackout removed')}
+                    disabled={busy}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label="Remove blackout"
+                  >
+                    <XMarkIcon className="h-5 w-5" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
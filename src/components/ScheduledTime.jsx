@@ -0,0 +1,15 @@
+import { formatInTimeZone, getLocalTimeZone, isSameWallClock } from '../lib/timezone'
+
+// A time in the business's timezone, plus the viewer's own when their clock differs
+export default function ScheduledTime({ date, timeZone, options }) {
+  const localTimeZone = getLocalTimeZone()
+
+  return (
+    <span>
+      {formatInTimeZone(date, timeZone, options)}
+      {!isSameWallClock(date, timeZone, localTimeZone) && (
+        <span className="text-gray-400"> ({formatInTimeZone(date, localTimeZone, options)} your time)</span>
+      )}
+    </span>
+  )
+}
@@ -0,0 +1,191 @@
+import { useState } from 'react'
+import { postQueue } from '../lib/postQueue'
+import { describeRule } from '../lib/recurrence'
+import { fromDateTimeInput, toDateTimeInput } from '../lib/timezone'
+import ScheduledTime from './ScheduledTime'
+import { ArrowPathIcon } from '@heroicons/react/24/outline'
+
+// Upcoming occurrences shown before "Show all"
+const VISIBLE_OCCURRENCES = 5
+
+const STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  processing: 'Processing',
+  posting: 'Posting...',
+  posted: 'Posted',
+  partially_posted: 'Partially Posted',
+  failed: 'Failed',
+  cancelled: 'Skipped'
+}
+
+const describeSchedule = (rule) => {
+  try {
+    return describeRule(rule)
+  } catch {
+    return rule
+  }
+}
+
+// A recurring series on the dashboard, with its occurrences underneath
+// Occurrence times are shown and edited in the series' timezone
+export default function SeriesGroup({ series, accounts, userId, getStatusColor, onChange }) {
+  const [showAll, setShowAll] = useState(false)
+  const [editing, setEditing] = useState(null) // {id, content, scheduledFor}
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const timeZone = series.timezone
+  const occurrences = series.scheduled_posts || []
+  const now = new Date()
+  const firstUpcoming = occurrences.findIndex(post => new Date(post.scheduled_for) >= now || post.status === 'scheduled')
+  const upcoming = firstUpcoming === -1 ? [] : occurrences.slice(firstUpcoming)
+  const visible = showAll ? occurrences : upcoming.slice(0, VISIBLE_OCCURRENCES)
+  const accountNames = (series.social_account_ids || [])
+    .map(id => accounts.find(account => account.id === id)?.account_name || 'Disconnected account')
+
+  const run = async (action) => {
+    setBusy(true)
+    setError('')
+    try {
+      await action()
+      setEditing(null)
+      onChange()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const saveEdit = () => run(() => postQueue.overrideOccurrence(editing.id, userId, {
+    content: editing.content,
+    scheduled_for: fromDateTimeInput(editing.scheduledFor, timeZone).toISOString()
+  }))
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex justify-between items-start">
+        <div className="flex-1">
+          <div className="flex items-center space-x-2 mb-1">
+            <ArrowPathIcon className="h-4 w-4 text-blue-600" />
+            <span className="text-xs font-medium text-blue-600">{describeSchedule(series.recurrence_rule)}</span>
+            <span className="text-xs text-gray-500">· {accountNames.join(', ')}</span>
+          </div>
+          <h4 className="text-sm font-medium text-gray-900">
+            {series.content.length > 100 ? `${series.content.substring(0, 100)}...` : series.content}
+          </h4>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            series.is_active ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'
+          }`}>
+            {series.is_active ? 'Repeating' : 'Ended'}
+          </span>
+          {series.is_active && (
+            <button
+              onClick={() => run(() => postQueue.endSeries(series.id))}
+              disabled={busy}
+              className="text-red-600 hover:text-red-500 disabled:text-gray-400 text-xs font-medium"
+            >
+              End series
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+
+      <ul className="mt-3 divide-y divide-gray-100 border-t border-gray-100">
+        {visible.map(post => (
+          <li key={post.id} className="py-2">
+            {editing?.id === post.id ? (
+              <div className="space-y-2">
+                <textarea
+                  value={editing.content}
+                  onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                  rows={3}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="datetime-local"
+                    value={editing.scheduledFor}
+                    onChange={(e) => setEditing({ ...editing, scheduledFor: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <span className="text-xs text-gray-500">{timeZone}</span>
+                  <button
+                    onClick={saveEdit}
+                    disabled={busy}
+                    className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-xs font-medium py-1.5 px-3 rounded-md"
+                  >
+                    Save this post only
+                  </button>
+                  <button
+                    onClick={() => setEditing(null)}
+                    className="text-gray-600 hover:text-gray-500 text-xs font-medium"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex justify-between items-center">
+                <div className="flex items-center space-x-3 text-xs text-gray-600">
+                  <ScheduledTime date={post.scheduled_for} timeZone={timeZone} />
+                  {post.series_override && <span className="text-gray-400">edited</span>}
+                  {post.error_details?.message && post.status === 'failed' && (
+                    <span className="text-red-600">{post.error_details.message}</span>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3">
+                  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(post.status)}`}>
+                    {STATUS_LABELS[post.status] || post.status}
+                  </span>
+                  {post.status === 'scheduled' && (
+                    <>
+                      <button
+                        onClick={() => setEditing({ id: post.id, content: post.content, scheduledFor: toDateTimeInput(post.scheduled_for, timeZone) })}
+                        className="text-blue-600 hover:text-blue-500 text-xs font-medium"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => run(() => postQueue.skipOccurrence(post.id, userId))}
+                        disabled={busy}
+                        className="text-gray-600 hover:text-gray-500 disabled:text-gray-400 text-xs font-medium"
+                      >
+                        Skip
+                      </button>
+                    </>
+                  )}
+                  {post.status === 'cancelled' && new Date(post.scheduled_for) > now && (
+                    <button
+                      onClick={() => run(() => postQueue.restoreOccurrence(post.id, userId))}
+                      disabled={busy}
+                      className="text-blue-600 hover:text-blue-500 disabled:text-gray-400 text-xs font-medium"
+                    >
+                      Restore
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+        {visible.length === 0 && (
+          <li className="py-2 text-xs text-gray-500">No upcoming posts</li>
+        )}
+      </ul>
+
+      {occurrences.length > visible.length || showAll ? (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="mt-2 text-blue-600 hover:text-blue-500 text-xs font-medium"
+        >
+          {showAll ? 'Show upcoming only' : `Show all ${occurrences.length} posts`}
+        </button>
+      ) : null}
+    </div>
+  )
+}
@@ -1,10 +1,14 @@
 import { useState, useEffect } from 'react'
-import { facebookAPI, FacebookAPIError, RateLimitError } from '../lib/facebook'
 import { auth, db } from '../lib/supabase'
+import { getAccountHealth, TOKEN_HEALTH } from '../lib/tokenHealth'
 
-// Generate random state for CSRF protection
-const generateState = () => {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15)
+// Badge styles per token health
+const HEALTH_BADGES = {
+  [TOKEN_HEALTH.HEALTHY]: { label: 'Healthy', className: 'bg-green-100 text-green-800' },
+  [TOKEN_HEALTH.EXPIRING]: { label: 'Expiring soon', className: 'bg-yellow-100 text-yellow-800' },
+  [TOKEN_HEALTH.NEEDS_ATTENTION]: { label: 'Needs attention', className: 'bg-orange-100 text-orange-800' },
+  [TOKEN_HEALTH.EXPIRED]: { label: 'Expired', className: 'bg-red-100 text-red-800' },
+  [TOKEN_HEALTH.REVOKED]: { label: 'Access revoked', className: 'bg-red-100 text-red-800' }
 }
 
 export default function SocialConnect({ user, onAccountsUpdate }) {
@@ -21,37 +25,32 @@ export default function SocialConnect({ user, onAccountsUpdate }) {
     }
   }, [user?.id])
 
-  // Handle OAuth callback
+  // Show the result of the OAuth round trip.
+  // facebook-oauth-callback connects the accounts server-side and redirects back here with a summary.
   useEffect(() => {
-    const handleOAuthCallback = async () => {
-      const urlParams = new URLSearchParams(window.location.search)
-      const code = urlParams.get('code')
-      const state = urlParams.get('state')
-      const error = urlParams.get('error')
-      
-      if (error) {
-        setError(`Facebook authorization failed: ${error}`)
-        // Clean up URL
-        window.history.replaceState({}, document.title, window.location.pathname)
-        return
-      }
-      
-      if (code && state) {
-        const storedState = localStorage.getItem('oauth_state')
-        if (state !== storedState) {
-          setError('Invalid OAuth state. Please try again.')
-          window.history.replaceState({}, document.title, window.location.pathname)
-          return
-        }
-        
-        await processFacebookOAuth(code)
-        // Clean up
-        localStorage.removeItem('oauth_state')
-        window.history.replaceState({}, document.title, window.location.pathname)
+    const urlParams = new URLSearchParams(window.location.search)
+    const result = urlParams.get('facebook')
+
+    if (!result) return
+
+    if (result === 'connected') {
+      const connected = parseInt(urlParams.get('connected') || '0')
+      const failed = parseInt(urlParams.get('failed') || '0')
+
+      if (connected > 0) {
+        setSuccess(`Successfully connected ${connected} account(s)!` +
+          (failed > 0 ? ` ${failed} page(s) could not be connected.` : ''))
+      } else if (failed > 0) {
+        setError('Failed to connect any accounts. Please try again.')
+      } else {
+        setError('No manageable Facebook Pages found. Please ensure you have admin access to at least one Facebook Page.')
       }
+    } else {
+      setError(`Facebook connection failed: ${urlParams.get('message') || 'Unknown error'}`)
     }
 
-    handleOAuthCallback()
+    // Clean up URL
+    window.history.replaceState({}, document.title, window.location.pathname)
   }, [])
 
   const loadConnectedAccounts = async () => {
@@ -70,117 +69,21 @@ export default function SocialConnect({ user, onAccountsUpdate }) {
     }
   }
 
-  const processFacebookOAuth = async (code) => {
-    setConnectingFacebook(true)
+  const handleFacebookConnect = async () => {
     setError('')
     setSuccess('')
+    setConnectingFacebook(true)
 
-    try {
-      // Step 1: Exchange code for access token
-      const tokenResponse = await facebookAPI.exchangeCodeForToken(code)
-      
-      // Step 2: Get long-lived token
-      const longLivedToken = await facebookAPI.getLongLivedToken(tokenResponse.access_token)
-      
-      // Step 3: Get user info
-      const userInfo = await facebookAPI.getUser(longLivedToken.access_token)
-      
-      // Step 4: Get user's pages
-      const pages = await facebookAPI.getUserPages(longLivedToken.access_token)
-      
-      if (pages.length === 0) {
-        setError('No manageable Facebook Pages found. Please ensure you have admin access to at least one Facebook Page.')
-        return
-      }
-
-      // Step 5: Store each page as a separate social account
-      const addedAccounts = []
-      for (const page of pages) {
-        try {
-          // Check for Instagram connection
-          const instagramAccount = await facebookAPI.getInstagramAccount(page.id, page.access_token)
-          
-          // Calculate expiry date (long-lived tokens typically last 60 days)
-          const expiresAt = new Date()
-          expiresAt.setDate(expiresAt.getDate() + 60)
-
-          // Add Facebook Page account
-          const { account: fbAccount, error: fbError } = await db.addSocialAccount({
-            user_id: user.id,
-            platform: 'facebook',
-            account_id: page.id,
-            account_name: page.name,
-            access_token: page.access_token,
-            expires_at: expiresAt.toISOString(),
-            is_active: true
-          })
-
-          if (fbError) {
-            console.error('Error adding Facebook account:', fbError)
-            continue
-          }
-
-          addedAccounts.push(fbAccount)
-
-          // Add Instagram account if connected
-          if (instagramAccount) {
-            const { account: igAccount, error: igError } = await db.addSocialAccount({
-              user_id: user.id,
-              platform: 'instagram',
-              account_id: instagramAccount.id,
-              account_name: `@${instagramAccount.username}`,
-              access_token: page.access_token, // Instagram uses the Page token
-              expires_at: expiresAt.toISOString(),
-              is_active: true
-            })
-
-            if (!igError && igAccount) {
-              addedAccounts.push(igAccount)
-            }
-          }
-        } catch (err) {
-          console.error(`Error processing page ${page.name}:`, err.message)
-        }
-      }
-
-      if (addedAccounts.length > 0) {
-        setSuccess(`Successfully connected ${addedAccounts.length} account(s)!`)
-        await loadConnectedAccounts()
-      } else {
-        setError('Failed to connect any accounts. Please try again.')
-      }
+    // Redirect to Facebook OAuth with a server-signed state
+    const { url, error } = await db.startFacebookOAuth()
 
-    } catch (err) {
-      console.error('Facebook OAuth error:', err)
-      
-      if (err instanceof RateLimitError) {
-        setError(`Rate limit exceeded. Please try again in ${err.retryAfter || 60} seconds.`)
-      } else if (err instanceof FacebookAPIError) {
-        setError(`Facebook API Error: ${err.message}`)
-      } else {
-        setError(`Connection failed: ${err.message}`)
-      }
-    } finally {
+    if (error) {
+      setError(`Configuration error: ${error.message}`)
       setConnectingFacebook(false)
+      return
     }
-  }
 
-  const handleFacebookConnect = () => {
-    try {
-      setError('')
-      setSuccess('')
-      
-      // Generate and store state for CSRF protection
-      const state = generateState()
-      localStorage.setItem('oauth_state', state)
-      
-      // Redirect to Facebook OAuth
-      const oauthUrl = facebookAPI.getOAuthUrl(state)
-      window.location.href = oauthUrl
-      
-    } catch (err) {
-      setError(`Configuration error: ${err.message}`)
-    }
+    window.location.href = url
   }
 
   const handleDisconnectAccount = async (accountId, accountName) => {
@@ -279,24 +182,48 @@ export default function SocialConnect({ user, onAccountsUpdate }) {
             <div className="mb-6">
               <h3 className="text-md font-medium text-gray-900 mb-3">Connected Accounts</h3>
               <div className="space-y-3">
-                {connectedAccounts.map((account) => (
-                  <div key={account.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
-                    <div className="flex items-center space-x-3">
-                      {getPlatformIcon(account.platform)}
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">{account.account_name}</p>
-                        <p className="text-xs text-gray-500 capitalize">{account.platform}</p>
+                {connectedAccounts.map((account) => {
+                  const { health, message } = getAccountHealth(account)
+                  const badge = HEALTH_BADGES[health]
+
+                  return (
+                    <div key={account.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                      <div className="flex items-center space-x-3">
+                        {getPlatformIcon(account.platform)}
+                        <div>
+                          <div className="flex items-center space-x-2">
+                            <p className="text-sm font-medium text-gray-900">{account.account_name}</p>
+                            <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${badge.className}`}>
+                              {badge.label}
+                            </span>
+                          </div>
+                          <p className="text-xs text-gray-500 capitalize">{account.platform}</p>
+                          {message && (
+                            <p className="text-xs text-gray-500">{message}</p>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-4">
+                        {health !== TOKEN_HEALTH.HEALTHY && (
+                          <button
+                            onClick={handleFacebookConnect}
+                            disabled={connectingFacebook}
+                            className="text-blue-600 hover:text-blue-700 text-sm font-medium disabled:opacity-50"
+                          >
+                            Reconnect
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDisconnectAccount(account.id, account.account_name)}
+                          disabled={loading}
+                          className="text-red-600 hover:text-red-700 text-sm font-medium disabled:opacity-50"
+                        >
+                          Disconnect
+                        </button>
                       </div>
                     </div>
-                    <button
-                      onClick={() => handleDisconnectAccount(account.id, account.account_name)}
-                      disabled={loading}
-                      className="text-red-600 hover:text-red-700 text-sm font-medium disabled:opacity-50"
-                    >
-                      Disconnect
-                    </button>
-                  </div>
-                ))}
+                  )
+                })}
               </div>
             </div>
           )}
@@ -0,0 +1,168 @@
+// Analytics for LocalSocial
+// Turns post_analytics rows (one per post and account, kept current by the
+// sync-post-insights job) and daily follower_counts into the trends, top posts
+// and platform comparison of the analytics screen. No server dependencies.
+
+import { getZonedParts } from './timezone'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Date ranges offered in the analytics screen
+export const ANALYTICS_RANGES = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' }
+]
+
+const round2 = value => Math.round(value * 100) / 100
+
+/**
+ * Likes, comments, shares and saves of a row
+ * @param {Object} row - post_analytics or post_analytics_snapshots row
+ * @returns {number}
+ */
+export const getEngagements = row =>
+  (row.likes || 0) + (row.comments || 0) + (row.shares || 0) + (row.saves || 0)
+
+// Engagement per person reached, as a percentage, like post_analytics.engagement_rate
+const getRate = (engagements, reach) => reach > 0 ? round2(engagements / reach * 100) : 0
+
+const getDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Keep the rows of some accounts and business profiles
+ * A row belongs to a business profile through its post or its account.
+ * @param {Object[]} rows - post_analytics rows with scheduled_posts
+ * @param {Object} filters
+ * @param {Object[]} filters.accounts - Social accounts, for their business profiles
+ * @param {string} [filters.accountId] - Only this account
+ * @param {string} [filters.businessProfileId] - Only this business profile
+ * @returns {Object[]}
+ */
+export function filterAnalytics(rows, { accounts, accountId, businessProfileId }) {
+  const profileByAccount = new Map(accounts.map(account => [account.id, account.business_profile_id]))
+
+  return rows.filter(row =>
+    (!accountId || row.social_account_id === accountId) &&
+    (!businessProfileId ||
+      row.scheduled_posts?.business_profile_id === businessProfileId ||
+      profileByAccount.get(row.social_account_id) === businessProfileId)
+  )
+}
+
+/**
+ * Totals of a set of rows
+ * @param {Object[]} rows - post_analytics rows
+ * @returns {{posts: number, reach: number, impressions: number, engagements: number, clicks: number, engagementRate: number}}
+ */
+export function summarizeAnalytics(rows) {
+  const totals = rows.reduce((sum, row) => ({
+    reach: sum.reach + (row.reach || 0),
+    impressions: sum.impressions + (row.impressions || 0),
+    engagements: sum.engagements + getEngagements(row),
+    clicks: sum.clicks + (row.clicks || 0)
+  }), { reach: 0, impressions: 0, engagements: 0, clicks: 0 })
+
+  return {
+    posts: new Set(rows.map(row => row.scheduled_post_id)).size,
+    ...totals,
+    engagementRate: getRate(totals.engagements, totals.reach)
+  }
+}
+
+/**
+ * Reach and engagement per day a post went out, including days without posts
+ * @param {Object[]} rows - post_analytics rows with scheduled_posts (posted_at)
+ * @param {Object} options
+ * @param {Date|number} options.from
+ * @param {Date|number} options.to
+ * @param {string} options.timeZone - Days are the business's
+ * @returns {Array<{date: string, posts: number, reach: number, engagements: number, engagementRate: number}>}
+ */
+export function getDailyTrend(rows, { from, to, timeZone }) {
+  const days = new Map()
+  for (let time = new Date(from).getTime(); time < new Date(to).getTime() + DAY_MS; time += DAY_MS) {
+    const date = getDateKey(time, timeZone)
+    if (!days.has(date) && date <= getDateKey(to, timeZone)) {
+      days.set(date, { date, rows: [] })
+    }
+  }
+
+  for (const row of rows) {
+    const postedAt = row.scheduled_posts?.posted_at
+    const day = postedAt && days.get(getDateKey(postedAt, timeZone))
+    if (day) day.rows.push(row)
+  }
+
+  return [...days.values()].map(({ date, rows: dayRows }) => {
+    const { posts, reach, engagements, engagementRate } = summarizeAnalytics(dayRows)
+    return { date, posts, reach, engagements, engagementRate }
+  })
+}
+
+/**
+ * Posts that engaged the most, across every account they went to
+ * @param {Object[]} rows - post_analytics rows with scheduled_posts
+ * @param {number} [limit]
+ * @returns {Array<{post: Object, rows: Object[], reach: number, engagements: number, engagementRate: number}>}
+ */
+export function getTopPosts(rows, limit = 5) {
+  const posts = new Map()
+  for (const row of rows) {
+    if (!posts.has(row.scheduled_post_id)) {
+      posts.set(row.scheduled_post_id, { post: row.scheduled_posts, rows: [] })
+    }
+    posts.get(row.scheduled_post_id).rows.push(row)
+  }
+
+  return [...posts.values()]
+    .map(item => {
+      const { reach, engagements, engagementRate } = summarizeAnalytics(item.rows)
+      return { ...item, reach, engagements, engagementRate }
+    })
+    .sort((a, b) => b.engagements - a.engagements || b.reach - a.reach)
+    .slice(0, limit)
+}
+
+/**
+ * Totals and per-post averages for each platform
+ * @param {Object[]} rows - post_analytics rows
+ * @returns {Array<{platform: string, posts: number, reach: number, engagements: number, engagementRate: number, reachPerPost: number}>}
+ */
+export function comparePlatforms(rows) {
+  const platforms = [...new Set(rows.map(row => row.platform))].sort()
+
+  return platforms.map(platform => {
+    const summary = summarizeAnalytics(rows.filter(row => row.platform === platform))
+    return {
+      platform,
+      posts: summary.posts,
+      reach: summary.reach,
+      engagements: summary.engagements,
+      engagementRate: summary.engagementRate,
+      reachPerPost: summary.posts > 0 ? Math.round(summary.reach / summary.posts) : 0
+    }
+  })
+}
+
+/**
+ * Follower counts of each account over time
+ * @param {Object[]} counts - follower_counts rows
+ * @returns {Array<{socialAccountId: string, counts: Array<{date: string, followers: number}>, change: number}>}
+ */
+export function getFollowerGrowth(counts) {
+  const accounts = new Map()
+  for (const row of [...counts].sort((a, b) => a.recorded_on.localeCompare(b.recorded_on))) {
+    if (!accounts.has(row.social_account_id)) accounts.set(row.social_account_id, [])
+    accounts.get(row.social_account_id).push({ date: row.recorded_on, followers: row.follower_count })
+  }
+
+  return [...accounts.entries()].map(([socialAccountId, series]) => ({
+    socialAccountId,
+    counts: series,
+    change: series[series.length - 1].followers - series[0].followers
+  }))
+}
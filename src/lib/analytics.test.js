@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest'
+import { comparePlatforms, filterAnalytics, getDailyTrend, getFollowerGrowth, getTopPosts, summarizeAnalytics } from './analytics'
+
+const bread = { id: 'bread', posted_at: '2026-10-19T15:00:00Z', business_profile_id: null }
+const cakes = { id: 'cakes', posted_at: '2026-10-21T03:00:00Z', business_profile_id: 'downtown' }
+
+const rows = [
+  { scheduled_post_id: 'bread', social_account_id: 'page', platform: 'facebook', likes: 10, comments: 2, reach: 100, impressions: 150, clicks: 3, scheduled_posts: bread },
+  { scheduled_post_id: 'bread', social_account_id: 'gram', platform: 'instagram', likes: 30, saves: 5, reach: 400, impressions: 500, scheduled_posts: bread },
+  { scheduled_post_id: 'cakes', social_account_id: 'page', platform: 'facebook', likes: 50, shares: 10, reach: 300, impressions: 320, scheduled_posts: cakes }
+]
+
+describe('filterAnalytics', () => {
+  const accounts = [{ id: 'page', business_profile_id: null }, { id: 'gram', business_profile_id: 'downtown' }]
+
+  it("keeps an account's rows", () => {
+    expect(filterAnalytics(rows, { accounts, accountId: 'gram' })).toEqual([rows[1]])
+  })
+
+  it('keeps rows of a business profile through their post or their account', () => {
+    expect(filterAnalytics(rows, { accounts, businessProfileId: 'downtown' })).toEqual([rows[1], rows[2]])
+  })
+})
+
+describe('summarizeAnalytics', () => {
+  it('totals rows and rates engagement per person reached', () => {
+    expect(summarizeAnalytics(rows)).toEqual({
+      posts: 2,
+      reach: 800,
+      impressions: 970,
+      engagements: 107,
+      clicks: 3,
+      engagementRate: 13.38
+    })
+    expect(summarizeAnalytics([])).toMatchObject({ posts: 0, engagementRate: 0 })
+  })
+})
+
+describe('getDailyTrend', () => {
+  it("has a day for every day of the range in the business's timezone", () => {
+    const trend = getDailyTrend(rows, { from: '2026-10-19T05:00:00Z', to: '2026-10-21T04:59:00Z', timeZone: 'America/Chicago' })
+
+    expect(trend).toEqual([
+      { date: '2026-10-19', posts: 1, reach: 500, engagements: 47, engagementRate: 9.4 },
+      { date: '2026-10-20', posts: 1, reach: 300, engagements: 60, engagementRate: 20 }
+    ])
+  })
+})
+
+describe('getTopPosts', () => {
+  it('ranks posts by engagement across their accounts', () => {
+    const top = getTopPosts(rows)
+
+    expect(top.map(item => [item.post.id, item.engagements, item.rows.length])).toEqual([['cakes', 60, 1], ['bread', 47, 2]])
+    expect(getTopPosts(rows, 1)).toHaveLength(1)
+  })
+})
+
+describe('comparePlatforms', () => {
+  it('totals and averages each platform', () => {
+    expect(comparePlatforms(rows)).toEqual([
+      { platform: 'facebook', posts: 2, reach: 400, engagements: 72, engagementRate: 18, reachPerPost: 200 },
+      { platform: 'instagram', posts: 1, reach: 400, engagements: 35, engagementRate: 8.75, reachPerPost: 400 }
+    ])
+  })
+})
+
+describe('getFollowerGrowth', () => {
+  it("lists each account's counts in date order with the change over the range", () => {
+    const counts = [
+      { social_account_id: 'page', recorded_on: '2026-10-19', follower_count: 130 },
+      { social_account_id: 'page', recorded_on: '2026-10-12', follower_count: 120 },
+      { social_account_id: 'gram', recorded_on: '2026-10-19', follower_count: 80 }
+    ]
+
+    expect(getFollowerGrowth(counts)).toEqual([
+      { socialAccountId: 'page', counts: [{ date: '2026-10-12', followers: 120 }, { date: '2026-10-19', followers: 130 }], change: 10 },
+      { socialAccountId: 'gram', counts: [{ date: '2026-10-19', followers: 80 }], change: 0 }
+    ])
+  })
+})
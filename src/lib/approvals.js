@@ -0,0 +1,131 @@
+// Approval Workflow for LocalSocial
+// Agency-plan organizations can have clients sign posts off before they go out.
+// approval_rules lists the review steps in order, each with the profiles.role
+// that reviews it and the author roles whose posts go through it. The database
+// puts posts up for approval and moves them between steps (request_post_approval
+// and review_post in database-schema.sql); this module reads that state.
+// No server dependencies.
+
+import { POST_STATUS } from './postStatus'
+
+// scheduled_posts.approval_status values
+export const APPROVAL_STATUS = {
+  PENDING: 'pending_approval',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested'
+}
+
+// Plans that include approval workflows
+export const APPROVAL_PLANS = ['agency']
+
+// profiles.role values; clients log in as viewers
+export const PROFILE_ROLES = ['owner', 'admin', 'editor', 'viewer']
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  editor: 'Editor',
+  viewer: 'Client'
+}
+
+/**
+ * Whether an organization's plan includes approval workflows
+ * @param {Object|null} organization - organizations row
+ * @returns {boolean}
+ */
+export const canUseApprovals = organization => APPROVAL_PLANS.includes(organization?.plan)
+
+/**
+ * Whether a post may be published: it needs no sign-off, or has it
+ * @param {Object} post - scheduled_posts row
+ * @returns {boolean}
+ */
+export const isApproved = post => !post.approval_status || post.approval_status === APPROVAL_STATUS.APPROVED
+
+/**
+ * Whether a post's time has passed while it waits on sign-off
+ * The queue leaves it scheduled and publishes it as soon as it is approved.
+ * @param {Object} post - scheduled_posts row
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+export const isOverdue = (post, now = Date.now()) =>
+  !isApproved(post) && post.status === POST_STATUS.SCHEDULED && new Date(post.scheduled_for).getTime() <= now
+
+/**
+ * Whether a member may decide on the step a post is waiting on
+ * Authors never review their own posts (see review_post() in the database).
+ * @param {Object} post - scheduled_posts row
+ * @param {ApprovalRuleRow[]} rules - The organization's approval_rules
+ * @param {string} role - profiles.role of the member
+ * @param {string} userId - profiles.id of the member
+ * @returns {boolean}
+ */
+export function canReview(post, rules, role, userId) {
+  return post.approval_status === APPROVAL_STATUS.PENDING &&
+    post.user_id !== userId &&
+    rules.some(rule => rule.step === post.approval_step && rule.reviewer_role === role)
+}
+
+/**
+ * Where a post is in its review: "Waiting for Client approval", "Changes requested by Admin", "Approved"
+ * @param {Object} post - scheduled_posts row
+ * @param {ApprovalRuleRow[]} [rules] - Name the reviewers of the post's step when given
+ * @returns {string|null} null for posts that need no sign-off
+ */
+export function describeApproval(post, rules = []) {
+  const rule = rules.find(r => r.step === post.approval_step)
+  const reviewer = rule && (ROLE_LABELS[rule.reviewer_role] || rule.reviewer_role)
+
+  switch (post.approval_status) {
+    case APPROVAL_STATUS.PENDING:
+      return reviewer ? `Waiting for ${reviewer} approval` : 'Waiting for approval'
+    case APPROVAL_STATUS.CHANGES_REQUESTED:
+      return reviewer ? `Changes requested by ${reviewer}` : 'Changes requested'
+    case APPROVAL_STATUS.APPROVED:
+      return 'Approved'
+    default:
+      return null
+  }
+}
+
+/**
+ * Why a list of steps can't be saved, or null
+ * @param {Array<{reviewer_role: string, author_roles: string[]}>} steps - In review order
+ * @returns {string|null}
+ */
+export function getStepsIssue(steps) {
+  if (steps.some(step => !PROFILE_ROLES.includes(step.reviewer_role))) {
+    return 'Choose who reviews each step'
+  }
+  if (steps.some(step => step.author_roles.length === 0)) {
+    return 'Choose whose posts each step reviews'
+  }
+  return null
+}
+
+/**
+ * Caption passages quoted by open comments, in order and without overlaps
+ * A quote is found where it was made, or else where it first appears; quotes
+ * edited out of the caption are left out.
+ * @param {string} content - Current caption
+ * @param {PostCommentRow[]} comments
+ * @returns {Array<{start: number, end: number, commentId: string}>}
+ */
+export function getQuoteRanges(content, comments) {
+  const ranges = comments
+    .filter(comment => comment.quote && !comment.resolved_at)
+    .flatMap(comment => {
+      const start = Number.isInteger(comment.quote_offset) && content.startsWith(comment.quote, comment.quote_offset)
+        ? comment.quote_offset
+        : content.indexOf(comment.quote)
+      return start === -1 ? [] : [{ start, end: start + comment.quote.length, commentId: comment.id }]
+    })
+    .sort((a, b) => a.start - b.start)
+
+  const kept = []
+  for (const range of ranges) {
+    if (kept.length === 0 || range.start >= kept[kept.length - 1].end) kept.push(range)
+  }
+  return kept
+}
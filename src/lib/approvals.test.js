@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest'
+import { canReview, canUseApprovals, describeApproval, getQuoteRanges, getStepsIssue, isApproved, isOverdue } from './approvals'
+
+const rules = [
+  { step: 1, reviewer_role: 'admin', author_roles: ['editor'] },
+  { step: 2, reviewer_role: 'viewer', author_roles: ['editor', 'admin'] }
+]
+
+describe('approval state', () => {
+  it('is only offered on the Agency plan', () => {
+    expect(canUseApprovals({ plan: 'agency' })).toBe(true)
+    expect(canUseApprovals({ plan: 'pro' })).toBe(false)
+    expect(canUseApprovals(null)).toBe(false)
+  })
+
+  it('lets posts out that need no sign-off or have it', () => {
+    expect(isApproved({ approval_status: null })).toBe(true)
+    expect(isApproved({ approval_status: 'approved' })).toBe(true)
+    expect(isApproved({ approval_status: 'pending_approval' })).toBe(false)
+    expect(isApproved({ approval_status: 'changes_requested' })).toBe(false)
+  })
+
+  it('is overdue when its time passes before sign-off', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z')
+    const post = { status: 'scheduled', approval_status: 'pending_approval', scheduled_for: '2026-10-19T11:00:00Z' }
+
+    expect(isOverdue(post, now)).toBe(true)
+    expect(isOverdue({ ...post, approval_status: 'changes_requested' }, now)).toBe(true)
+    expect(isOverdue({ ...post, approval_status: 'approved' }, now)).toBe(false)
+    expect(isOverdue({ ...post, scheduled_for: '2026-10-19T13:00:00Z' }, now)).toBe(false)
+    expect(isOverdue({ ...post, status: 'cancelled' }, now)).toBe(false)
+  })
+
+  it("lets the reviewers of a post's current step decide, other than its author", () => {
+    const post = { approval_status: 'pending_approval', approval_step: 2, user_id: 'author' }
+
+    expect(canReview(post, rules, 'viewer', 'client')).toBe(true)
+    expect(canReview(post, rules, 'admin', 'client')).toBe(false)
+    expect(canReview({ ...post, approval_status: 'changes_requested' }, rules, 'viewer', 'client')).toBe(false)
+    expect(canReview(post, rules, 'viewer', 'author')).toBe(false)
+  })
+
+  it('describes where a post is in its review', () => {
+    expect(describeApproval({ approval_status: 'pending_approval', approval_step: 2 }, rules)).toBe('Waiting for Client approval')
+    expect(describeApproval({ approval_status: 'pending_approval', approval_step: 2 })).toBe('Waiting for approval')
+    expect(describeApproval({ approval_status: 'changes_requested', approval_step: 1 }, rules)).toBe('Changes requested by Admin')
+    expect(describeApproval({ approval_status: 'approved', approval_step: 2 }, rules)).toBe('Approved')
+    expect(describeApproval({ approval_status: null }, rules)).toBeNull()
+  })
+})
+
+describe('getStepsIssue', () => {
+  it('needs a reviewer and authors for every step', () => {
+    expect(getStepsIssue(rules)).toBeNull()
+    expect(getStepsIssue([{ reviewer_role: '', author_roles: ['editor'] }])).toBe('Choose who reviews each step')
+    expect(getStepsIssue([{ reviewer_role: 'viewer', author_roles: [] }])).toBe('Choose whose posts each step reviews')
+  })
+})
+
+describe('getQuoteRanges', () => {
+  it('finds open quotes where they were made, or where they first appear', () => {
+    const content = 'Fresh bread daily. Fresh bread on Sundays too.'
+    const comments = [
+      { id: 'second', quote: 'Fresh bread', quote_offset: 19 },
+      { id: 'moved', quote: 'daily', quote_offset: 0 },
+      { id: 'resolved', quote: 'Sundays', quote_offset: 34, resolved_at: '2026-10-19T10:00:00Z' },
+      { id: 'removed', quote: 'Saturdays', quote_offset: 34 },
+      { id: 'whole post', quote: null }
+    ]
+
+    expect(getQuoteRanges(content, comments)).toEqual([
+      { start: 12, end: 17, commentId: 'moved' },
+      { start: 19, end: 30, commentId: 'second' }
+    ])
+  })
+
+  it('drops quotes that overlap an earlier one', () => {
+    const comments = [
+      { id: 'outer', quote: 'Fresh bread', quote_offset: 0 },
+      { id: 'inner', quote: 'bread daily', quote_offset: 6 }
+    ]
+
+    expect(getQuoteRanges('Fresh bread daily', comments).map(range => range.commentId)).toEqual(['outer'])
+  })
+})
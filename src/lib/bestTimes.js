@@ -0,0 +1,333 @@
+// Best Times for LocalSocial
+// Suggests when to post from how an account's earlier posts did (post_analytics),
+// by weekday and hour in the business's timezone. Each hour starts from an
+// industry default for the business type and moves toward the account's own
+// results as posts at that hour come in, so new accounts still get sensible
+// suggestions. Works with both the browser client and the service-role client.
+
+import { getZonedParts, zonedTimeToUtc } from './timezone'
+
+// Good posting hours (local time) per business type; weekday 0 is Sunday
+export const INDUSTRY_DEFAULTS = {
+  restaurant: [{ weekdays: [2, 3, 4, 5], hour: 11 }, { weekdays: [4, 5, 6], hour: 17 }, { weekdays: [0, 6], hour: 10 }],
+  salon: [{ weekdays: [2, 3, 4], hour: 10 }, { weekdays: [4, 5], hour: 18 }, { weekdays: [6], hour: 9 }],
+  gym: [{ weekdays: [1, 2, 3, 4, 5], hour: 6 }, { weekdays: [1, 2, 3, 4], hour: 17 }, { weekdays: [0], hour: 18 }],
+  retail: [{ weekdays: [3, 4, 5], hour: 12 }, { weekdays: [6], hour: 10 }, { weekdays: [0], hour: 11 }],
+  service: [{ weekdays: [2, 3, 4], hour: 9 }, { weekdays: [2, 3, 4], hour: 13 }],
+  healthcare: [{ weekdays: [1, 2, 3, 4, 5], hour: 8 }, { weekdays: [2, 3, 4], hour: 12 }],
+  realestate: [{ weekdays: [3, 4], hour: 18 }, { weekdays: [6], hour: 9 }, { weekdays: [0], hour: 10 }],
+  consulting: [{ weekdays: [2, 3, 4], hour: 8 }, { weekdays: [2, 3, 4], hour: 12 }],
+  other: [{ weekdays: [2, 3, 4], hour: 9 }, { weekdays: [3], hour: 12 }, { weekdays: [5], hour: 11 }]
+}
+
+// Other names for business types, e.g. template industries
+const INDUSTRY_ALIASES = {
+  food: 'restaurant',
+  bar: 'restaurant',
+  beauty: 'salon',
+  spa: 'salon',
+  fitness: 'gym',
+  studio: 'gym',
+  fashion: 'retail',
+  boutique: 'retail',
+  health: 'healthcare',
+  general: 'other'
+}
+
+// An hour needs about this many posts before its own results outweigh the default
+const PRIOR_WEIGHT = 2
+
+// Scores relative to the account's typical post (1.0); industry hours start above it
+const DEFAULT_WINDOW_SCORE = 1.2
+const OTHER_HOUR_SCORE = 0.9
+
+// Suggestions count as based on history once this many posts have results
+export const MIN_HISTORY_POSTS = 10
+
+// Analytics older than this no longer reflect the audience
+export const ANALYTICS_LOOKBACK_MS = 180 * 24 * 60 * 60 * 1000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * @typedef {Object} PostingWindow
+ * @property {number} weekday - 0 is Sunday
+ * @property {number} hour - 0-23, local time
+ * @property {number} score - 1.0 is a typical post for the account
+ * @property {number} samples - Posts at this hour with results
+ */
+
+/**
+ * Industry default hours for a business type
+ * @param {string|null} businessType - business_profiles.business_type or a template industry
+ * @returns {Array<{weekday: number, hour: number}>}
+ */
+export function getIndustryWindows(businessType) {
+  const key = INDUSTRY_DEFAULTS[businessType] ? businessType : INDUSTRY_ALIASES[businessType] || 'other'
+  return INDUSTRY_DEFAULTS[key].flatMap(({ weekdays, hour }) => weekdays.map(weekday => ({ weekday, hour })))
+}
+
+const average = (values) => {
+  const known = values.filter(value => value > 0)
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : 0
+}
+
+/**
+ * Rank the hours of the week for posting
+ * Each analytics row counts at the hour its post went out, and at half weight at
+ * its peak_engagement_hour (local time) on the same day.
+ * @param {Object} params
+ * @param {Object[]} params.analytics - post_analytics rows with scheduled_posts (posted_at, scheduled_for)
+ * @param {string|null} params.businessType - For the industry defaults
+ * @param {string} params.timeZone - IANA timezone of the business
+ * @param {number} [params.limit] - Windows to return
+ * @returns {{windows: PostingWindow[], source: 'history'|'industry'}}
+ */
+export function getBestTimes({ analytics, businessType, timeZone, limit = 5 }) {
+  const cells = new Map()
+  const addSample = (weekday, hour, score, weight) => {
+    const key = weekday * 24 + hour
+    const cell = cells.get(key) || { total: 0, weight: 0, samples: 0 }
+    cell.total += score * weight
+    cell.weight += weight
+    cell.samples += 1
+    cells.set(key, cell)
+  }
+
+  // Accounts are compared with themselves, so a big account doesn't drown out a small one
+  const byAccount = new Map()
+  for (const row of analytics) {
+    if (!byAccount.has(row.social_account_id)) byAccount.set(row.social_account_id, [])
+    byAccount.get(row.social_account_id).push(row)
+  }
+
+  let posts = 0
+  for (const rows of byAccount.values()) {
+    const typicalEngagement = average(rows.map(row => Number(row.engagement_rate)))
+    const typicalReach = average(rows.map(row => Number(row.reach)))
+
+    for (const row of rows) {
+      const postedAt = row.scheduled_posts?.posted_at || row.scheduled_posts?.scheduled_for
+      if (!postedAt) continue
+
+      const engagement = typicalEngagement > 0 ? Number(row.engagement_rate) / typicalEngagement : 1
+      const reach = typicalReach > 0 ? Number(row.reach) / typicalReach : 1
+      const score = (engagement + reach) / 2
+
+      const { year, month, day, hour } = getZonedParts(postedAt, timeZone)
+      const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+      addSample(weekday, hour, score, 1)
+      if (Number.isInteger(row.peak_engagement_hour) && row.peak_engagement_hour !== hour) {
+        addSample(weekday, row.peak_engagement_hour, score, 0.5)
+      }
+      posts++
+    }
+  }
+
+  const defaults = new Set(getIndustryWindows(businessType).map(({ weekday, hour }) => weekday * 24 + hour))
+  const windows = []
+  for (let key = 0; key < 7 * 24; key++) {
+    const prior = defaults.has(key) ? DEFAULT_WINDOW_SCORE : OTHER_HOUR_SCORE
+    const cell = cells.get(key) || { total: 0, weight: 0, samples: 0 }
+    windows.push({
+      weekday: Math.floor(key / 24),
+      hour: key % 24,
+      score: Math.round((cell.total + prior * PRIOR_WEIGHT) / (cell.weight + PRIOR_WEIGHT) * 100) / 100,
+      samples: cell.samples
+    })
+  }
+
+  windows.sort((a, b) => b.score - a.score || b.samples - a.samples || a.weekday - b.weekday || a.hour - b.hour)
+
+  return {
+    windows: windows.slice(0, limit),
+    source: posts >= MIN_HISTORY_POSTS ? 'history' : 'industry'
+  }
+}
+
+/**
+ * The soonest start of one of the windows
+ * @param {Array<{weekday: number, hour: number}>} windows
+ * @param {Object} options
+ * @param {Date|number} [options.from] - Earliest time; defaults to now
+ * @param {string} options.timeZone - IANA timezone the windows are in
+ * @param {number} [options.minLeadMs] - Leave at least this long to finish the post
+ * @param {(date: Date) => boolean} [options.isAllowed] - e.g. posting rules
+ * @returns {Date|null} null when no window in the next two weeks is allowed
+ */
+export function getNextOptimalTime(windows, { from = Date.now(), timeZone, minLeadMs = 15 * 60 * 1000, isAllowed = () => true }) {
+  const earliest = new Date(from).getTime() + minLeadMs
+  const { year, month, day } = getZonedParts(earliest, timeZone)
+
+  for (let offset = 0; offset < 14; offset++) {
+    const date = new Date(Date.UTC(year, month - 1, day) + offset * DAY_MS)
+    const times = windows
+      .filter(window => window.weekday === date.getUTCDay())
+      .map(window => zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: window.hour
+      }, timeZone))
+      .filter(time => time.getTime() >= earliest && isAllowed(time))
+      .sort((a, b) => a - b)
+
+    if (times.length > 0) return times[0]
+  }
+
+  return null
+}
+
+/**
+ * Short label for a window, e.g. "Tue 11 AM"
+ * @param {{weekday: number, hour: number}} window
+ * @returns {string}
+ */
+export function describeWindow({ weekday, hour }) {
+  const day = new Date(Date.UTC(2024, 0, 7 + weekday)).toLocaleDateString([], { weekday: 'short', timeZone: 'UTC' })
+  const time = new Date(Date.UTC(2024, 0, 7, hour)).toLocaleTimeString([], { hour: 'numeric', timeZone: 'UTC' })
+  return `${day} ${time}`
+}
+
+/**
+ * Business type a set of accounts posts for
+ * Their business profiles first, then the organization's only business profile.
+ */
+const loadBusinessType = async (supabase, organizationId, businessProfileIds) => {
+  const ids = [...new Set(businessProfileIds.filter(Boolean))]
+  let query = supabase.from('business_profiles').select('business_type')
+  query = ids.length > 0
+    ? query.in('id', ids)
+    : query.eq('organization_id', organizationId).eq('is_active', true)
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Failed to fetch business profiles: ${error.message}`)
+  }
+  return data?.find(profile => profile.business_type)?.business_type || null
+}
+
+/**
+ * Load analytics and rank posting times for a set of accounts
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string[]} params.accountIds
+ * @param {Array<string|null>} [params.businessProfileIds]
+ * @param {string} params.timeZone
+ * @param {number} [params.limit]
+ * @returns {Promise<{windows: PostingWindow[], source: 'history'|'industry', businessType: string|null}>}
+ */
+export async function loadBestTimes(supabase, { organizationId, accountIds, businessProfileIds = [], timeZone, limit }) {
+  const [businessType, { data: analytics, error }] = await Promise.all([
+    loadBusinessType(supabase, organizationId, businessProfileIds),
+    supabase
+      .from('post_analytics')
+      .select('social_account_id, engagement_rate, reach, peak_engagement_hour, scheduled_posts (posted_at, scheduled_for)')
+      .in('social_account_id', accountIds)
+      .gte('created_at', new Date(Date.now() - ANALYTICS_LOOKBACK_MS).toISOString())
+  ])
+
+  if (error) {
+    throw new Error(`Failed to fetch post analytics: ${error.message}`)
+  }
+
+  return { ...getBestTimes({ analytics: analytics || [], businessType, timeZone, limit }), businessType }
+}
+
+/**
+ * Refresh post_templates.scheduling_suggestions for an organization's templates
+ * Each template gets the best hours of the posts made from it, starting from the
+ * organization's industry defaults.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} organizationId
+ * @returns {Promise<number>} Number of templates updated
+ */
+export async function refreshTemplateSuggestions(supabase, organizationId) {
+  const { data: templates, error } = await supabase
+    .from('post_templates')
+    .select('id')
+    .eq('organization_id', organizationId)
+
+  if (error) {
+    throw new Error(`Failed to fetch templates: ${error.message}`)
+  }
+  if (!templates?.length) return 0
+
+  const [{ data: organization, error: organizationError }, businessType, { data: analytics, error: analyticsError }] = await Promise.all([
+    supabase.from('organizations').select('timezone').eq('id', organizationId).single(),
+    loadBusinessType(supabase, organizationId, []),
+    supabase
+      .from('post_analytics')
+      .select('social_account_id, engagement_rate, reach, peak_engagement_hour, scheduled_posts!inner (template_id, posted_at, scheduled_for)')
+      .in('scheduled_posts.template_id', templates.map(template => template.id))
+      .gte('created_at', new Date(Date.now() - ANALYTICS_LOOKBACK_MS).toISOString())
+  ])
+
+  if (organizationError) {
+    throw new Error(`Failed to fetch organization: ${organizationError.message}`)
+  }
+  if (analyticsError) {
+    throw new Error(`Failed to fetch post analytics: ${analyticsError.message}`)
+  }
+
+  const timeZone = organization?.timezone || 'UTC'
+  const updatedAt = new Date().toISOString()
+
+  for (const template of templates) {
+    const { windows, source } = getBestTimes({
+      analytics: (analytics || []).filter(row => row.scheduled_posts.template_id === template.id),
+      businessType,
+      timeZone
+    })
+
+    const { error: updateError } = await supabase
+      .from('post_templates')
+      .update({
+        scheduling_suggestions: {
+          source,
+          time_zone: timeZone,
+          windows: windows.map(({ weekday, hour }) => ({ weekday, hour })),
+          updated_at: updatedAt
+        }
+      })
+      .eq('id', template.id)
+
+    if (updateError) {
+      throw new Error(`Failed to update template ${template.id}: ${updateError.message}`)
+    }
+  }
+
+  return templates.length
+}
+
+/**
+ * Refresh scheduling_suggestions of every organization's own templates
+ * One organization failing doesn't stop the others.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {Promise<{organizations: number, templates: number, failed: number}>}
+ */
+export async function refreshAllTemplateSuggestions(supabase) {
+  const { data, error } = await supabase
+    .from('post_templates')
+    .select('organization_id')
+    .not('organization_id', 'is', null)
+
+  if (error) {
+    throw new Error(`Failed to fetch templates: ${error.message}`)
+  }
+
+  const summary = { organizations: 0, templates: 0, failed: 0 }
+  for (const organizationId of new Set(data.map(row => row.organization_id))) {
+    try {
+      summary.templates += await refreshTemplateSuggestions(supabase, organizationId)
+      summary.organizations++
+    } catch (err) {
+      console.error(`Error refreshing best times for organization ${organizationId}:`, err)
+      summary.failed++
+    }
+  }
+
+  return summary
+}
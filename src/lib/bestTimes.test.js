@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest'
+import { getBestTimes, getIndustryWindows, getNextOptimalTime, INDUSTRY_DEFAULTS } from './bestTimes'
+
+const row = (postedAt, engagementRate, reach, fields = {}) => ({
+  social_account_id: 'account-1',
+  engagement_rate: String(engagementRate),
+  reach,
+  scheduled_posts: { posted_at: postedAt },
+  ...fields
+})
+
+describe('getIndustryWindows', () => {
+  it('reads business types, their aliases, and falls back to other', () => {
+    expect(getIndustryWindows('spa')).toEqual(getIndustryWindows('salon'))
+    expect(getIndustryWindows('bakery')).toEqual(getIndustryWindows('other'))
+    expect(getIndustryWindows(null)).toHaveLength(INDUSTRY_DEFAULTS.other.flatMap(window => window.weekdays).length)
+    expect(getIndustryWindows('gym')).toContainEqual({ weekday: 1, hour: 6 })
+  })
+})
+
+describe('getBestTimes', () => {
+  it("suggests the industry's hours without history", () => {
+    expect(getBestTimes({ analytics: [], businessType: 'restaurant', timeZone: 'UTC', limit: 3 })).toEqual({
+      windows: [
+        { weekday: 0, hour: 10, score: 1.2, samples: 0 },
+        { weekday: 2, hour: 11, score: 1.2, samples: 0 },
+        { weekday: 3, hour: 11, score: 1.2, samples: 0 }
+      ],
+      source: 'industry'
+    })
+  })
+
+  it("moves toward the account's own results as posts come in", () => {
+    const analytics = [
+      // Mondays at 10am in Chicago did four times as well as Tuesdays at 4am
+      ...Array.from({ length: 5 }, () => row('2026-10-19T15:00:00Z', 4, 200)),
+      ...Array.from({ length: 5 }, () => row('2026-10-20T09:00:00Z', 1, 50))
+    ]
+
+    const { windows, source } = getBestTimes({ analytics, businessType: 'restaurant', timeZone: 'America/Chicago', limit: 168 })
+
+    expect(source).toBe('history')
+    expect(windows[0]).toEqual({ weekday: 1, hour: 10, score: 1.4, samples: 5 })
+    expect(windows.find(window => window.weekday === 2 && window.hour === 4)).toEqual({ weekday: 2, hour: 4, score: 0.54, samples: 5 })
+  })
+
+  it('counts the peak engagement hour at half weight', () => {
+    const analytics = [row('2026-10-19T15:00:00Z', 2, 100, { peak_engagement_hour: 19 })]
+
+    const { windows } = getBestTimes({ analytics, businessType: 'other', timeZone: 'UTC', limit: 168 })
+
+    expect(windows.find(window => window.weekday === 1 && window.hour === 19)).toEqual({ weekday: 1, hour: 19, score: 0.92, samples: 1 })
+  })
+})
+
+describe('getNextOptimalTime', () => {
+  const windows = [{ weekday: 5, hour: 16 }]
+  // Friday, November 6 at 3:50pm in Chicago
+  const from = new Date('2026-11-06T21:50:00Z')
+
+  it('finds the next window that leaves enough lead time', () => {
+    expect(getNextOptimalTime(windows, { from, timeZone: 'America/Chicago', minLeadMs: 0 }))
+      .toEqual(new Date('2026-11-06T22:00:00Z'))
+    expect(getNextOptimalTime(windows, { from, timeZone: 'America/Chicago' }))
+      .toEqual(new Date('2026-11-13T22:00:00Z'))
+  })
+
+  it('skips windows that are not allowed', () => {
+    const blocked = new Date('2026-11-06T22:00:00Z').getTime()
+
+    expect(getNextOptimalTime(windows, { from, timeZone: 'America/Chicago', minLeadMs: 0, isAllowed: date => date.getTime() !== blocked }))
+      .toEqual(new Date('2026-11-13T22:00:00Z'))
+    expect(getNextOptimalTime(windows, { from, timeZone: 'America/Chicago', isAllowed: () => false })).toBeNull()
+  })
+})
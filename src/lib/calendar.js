@@ -0,0 +1,216 @@
+// Content Calendar for LocalSocial
+// Lays scheduled posts and planned content_calendar items out on month, week
+// and day grids in the business's timezone, and works out when a post or item
+// dragged to another day or hour is moved to. Days are 'YYYY-MM-DD' keys in
+// that timezone. No server dependencies.
+
+import { getZonedParts, zonedTimeToUtc } from './timezone'
+
+export const CALENDAR_VIEWS = ['month', 'week', 'day']
+
+// Post statuses that can still be moved or promoted from
+export const MOVABLE_POST_STATUSES = ['draft', 'scheduled']
+
+// content_calendar.status values
+export const CALENDAR_ITEM_STATUS = {
+  PLANNED: 'planned',
+  IN_PROGRESS: 'in_progress',
+  SCHEDULED: 'scheduled',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+}
+
+// Planned items without a time become drafts at this hour
+export const DEFAULT_PLANNED_HOUR = 9
+
+const parseDateKey = key => {
+  const [year, month, day] = key.split('-').map(Number)
+  return { year, month, day }
+}
+
+const toDateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+
+/**
+ * A day `offset` days after another
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} offset
+ * @returns {string}
+ */
+export function addDays(dateKey, offset) {
+  const { year, month, day } = parseDateKey(dateKey)
+  const date = new Date(Date.UTC(year, month - 1, day + offset))
+  return toDateKey({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() })
+}
+
+/**
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {number} 0 for Sunday to 6 for Saturday
+ */
+export function getWeekday(dateKey) {
+  const { year, month, day } = parseDateKey(dateKey)
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+/**
+ * The day an instant falls on in a timezone
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDateKey = (date, timeZone) => toDateKey(getZonedParts(new Date(date), timeZone))
+
+/**
+ * Days a view shows around a date
+ * Months show whole weeks from Sunday, so their grid has 4 to 6 rows.
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} dateKey - Day the view is anchored on
+ * @returns {string[]}
+ */
+export function getCalendarDays(view, dateKey) {
+  if (view === 'day') return [dateKey]
+
+  if (view === 'week') {
+    const start = addDays(dateKey, -getWeekday(dateKey))
+    return Array.from({ length: 7 }, (_, index) => addDays(start, index))
+  }
+
+  const { year, month } = parseDateKey(dateKey)
+  const first = toDateKey({ year, month, day: 1 })
+  const last = addDays(toDateKey(month === 12 ? { year: year + 1, month: 1, day: 1 } : { year, month: month + 1, day: 1 }), -1)
+  const start = addDays(first, -getWeekday(first))
+  const end = addDays(last, 6 - getWeekday(last))
+
+  const days = []
+  for (let day = start; day <= end; day = addDays(day, 1)) days.push(day)
+  return days
+}
+
+/**
+ * The anchor of the previous or next month, week or day
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} dateKey - Current anchor
+ * @param {number} direction - -1 or 1
+ * @returns {string}
+ */
+export function shiftAnchor(view, dateKey, direction) {
+  if (view === 'day') return addDays(dateKey, direction)
+  if (view === 'week') return addDays(dateKey, 7 * direction)
+
+  const { year, month } = parseDateKey(dateKey)
+  const date = new Date(Date.UTC(year, month - 1 + direction, 1))
+  return toDateKey({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: 1 })
+}
+
+/**
+ * Start of a day in a timezone
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const getDayStart = (dateKey, timeZone) => zonedTimeToUtc(parseDateKey(dateKey), timeZone)
+
+/**
+ * Posts and planned items of each day, in time order; items without a time come first
+ * Items promoted into a post that is already shown are left out.
+ * @param {string[]} days - From getCalendarDays
+ * @param {Object} entries
+ * @param {Object[]} entries.posts - scheduled_posts rows
+ * @param {Object[]} entries.items - content_calendar rows
+ * @param {string} entries.timeZone
+ * @returns {Map<string, {posts: Object[], items: Object[]}>}
+ */
+export function groupByDay(days, { posts, items, timeZone }) {
+  const grouped = new Map(days.map(day => [day, { posts: [], items: [] }]))
+  const postIds = new Set(posts.map(post => post.id))
+
+  for (const post of posts) {
+    grouped.get(getDateKey(post.scheduled_for, timeZone))?.posts.push(post)
+  }
+  for (const item of items) {
+    if (item.scheduled_post_id && postIds.has(item.scheduled_post_id)) continue
+    grouped.get(item.planned_date)?.items.push(item)
+  }
+
+  for (const day of grouped.values()) {
+    day.posts.sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for))
+    day.items.sort((a, b) => (a.planned_time || '').localeCompare(b.planned_time || ''))
+  }
+  return grouped
+}
+
+/**
+ * Hour of the day a post is scheduled at, or a planned item is planned at
+ * @param {Object} entry - scheduled_posts or content_calendar row
+ * @param {string} timeZone
+ * @returns {number|null} null for items without a time
+ */
+export function getEntryHour(entry, timeZone) {
+  if (entry.scheduled_for) return getZonedParts(new Date(entry.scheduled_for), timeZone).hour
+  return entry.planned_time ? Number(entry.planned_time.slice(0, 2)) : null
+}
+
+/**
+ * When a post dropped on a day, or on an hour of a day, is scheduled for
+ * It keeps its time of day on the new day, or its minutes within the new hour.
+ * @param {Date|string} scheduledFor - Current time of the post
+ * @param {string} dateKey - Day it was dropped on
+ * @param {number|null} hour - Hour it was dropped on, in the week and day views
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function getDropTime(scheduledFor, dateKey, hour, timeZone) {
+  const current = getZonedParts(new Date(scheduledFor), timeZone)
+  return zonedTimeToUtc({
+    ...parseDateKey(dateKey),
+    hour: hour ?? current.hour,
+    minute: current.minute
+  }, timeZone)
+}
+
+/**
+ * planned_time of an item dropped on an hour, keeping its minutes
+ * @param {string|null} plannedTime - Current 'HH:MM:SS', if any
+ * @param {number|null} hour - Hour it was dropped on; null keeps the current time
+ * @returns {string|null}
+ */
+export function getDropPlannedTime(plannedTime, hour) {
+  if (hour === null || hour === undefined) return plannedTime || null
+  const minutes = plannedTime ? plannedTime.slice(3, 5) : '00'
+  return `${String(hour).padStart(2, '0')}:${minutes}:00`
+}
+
+/**
+ * When the draft of a planned item is scheduled for: its planned day and time,
+ * or DEFAULT_PLANNED_HOUR when it has no time
+ * @param {Object} item - content_calendar row
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function getPlannedTime(item, timeZone) {
+  const [hour, minute] = item.planned_time
+    ? item.planned_time.split(':').map(Number)
+    : [DEFAULT_PLANNED_HOUR, 0]
+  return zonedTimeToUtc({ ...parseDateKey(item.planned_date), hour, minute }, timeZone)
+}
+
+/**
+ * Heading of a view: "October 2026", "Oct 18 – 24, 2026" or "Monday, October 19, 2026"
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {string} dateKey - Anchor of the view
+ * @returns {string}
+ */
+export function formatCalendarTitle(view, dateKey) {
+  // Noon UTC keeps the calendar date whatever the viewer's timezone
+  const toDate = key => new Date(`${key}T12:00:00Z`)
+  const format = (key, options) => toDate(key).toLocaleDateString('en-US', { timeZone: 'UTC', ...options })
+
+  if (view === 'day') return format(dateKey, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+  if (view === 'month') return format(dateKey, { month: 'long', year: 'numeric' })
+
+  const days = getCalendarDays('week', dateKey)
+  const first = days[0]
+  const last = days[6]
+  const sameMonth = first.slice(0, 7) === last.slice(0, 7)
+  return `${format(first, { month: 'short', day: 'numeric' })} – ${format(last, sameMonth ? { day: 'numeric' } : { month: 'short', day: 'numeric' })}, ${last.slice(0, 4)}`
+}
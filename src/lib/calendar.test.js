@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest'
+import {
+  addDays,
+  formatCalendarTitle,
+  getCalendarDays,
+  getDateKey,
+  getDayStart,
+  getDropPlannedTime,
+  getDropTime,
+  getEntryHour,
+  getPlannedTime,
+  getWeekday,
+  groupByDay,
+  shiftAnchor
+} from './calendar'
+
+const TIME_ZONE = 'America/Chicago'
+
+describe('date keys', () => {
+  it('step across months and know their weekday', () => {
+    expect(addDays('2026-10-31', 1)).toBe('2026-11-01')
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28')
+    expect(getWeekday('2026-10-19')).toBe(1)
+  })
+
+  it('are read in the business timezone', () => {
+    expect(getDateKey('2026-10-20T03:00:00Z', TIME_ZONE)).toBe('2026-10-19')
+    expect(getDayStart('2026-11-01', TIME_ZONE).toISOString()).toBe('2026-11-01T05:00:00.000Z')
+  })
+})
+
+describe('getCalendarDays', () => {
+  it('shows whole weeks from Sunday', () => {
+    expect(getCalendarDays('week', '2026-10-21')).toEqual([
+      '2026-10-18', '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24'
+    ])
+
+    const month = getCalendarDays('month', '2026-10-19')
+    expect(month).toHaveLength(35)
+    expect([month[0], month[34]]).toEqual(['2026-09-27', '2026-10-31'])
+
+    expect(getCalendarDays('day', '2026-10-19')).toEqual(['2026-10-19'])
+  })
+})
+
+describe('shiftAnchor', () => {
+  it('moves by a month, week or day', () => {
+    expect(shiftAnchor('month', '2026-12-15', 1)).toBe('2027-01-01')
+    expect(shiftAnchor('week', '2026-10-19', -1)).toBe('2026-10-12')
+    expect(shiftAnchor('day', '2026-10-31', 1)).toBe('2026-11-01')
+  })
+})
+
+describe('groupByDay', () => {
+  it('lays posts and planned items out by day, in time order', () => {
+    const posts = [
+      { id: 'late', scheduled_for: '2026-10-20T03:00:00Z' },
+      { id: 'early', scheduled_for: '2026-10-19T14:00:00Z' },
+      { id: 'elsewhere', scheduled_for: '2026-12-01T14:00:00Z' }
+    ]
+    const items = [
+      { id: 'afternoon', planned_date: '2026-10-19', planned_time: '15:00:00' },
+      { id: 'anytime', planned_date: '2026-10-19', planned_time: null },
+      { id: 'promoted', planned_date: '2026-10-19', planned_time: null, scheduled_post_id: 'early' }
+    ]
+
+    const grouped = groupByDay(['2026-10-19', '2026-10-20'], { posts, items, timeZone: TIME_ZONE })
+
+    expect(grouped.get('2026-10-19').posts.map(post => post.id)).toEqual(['early', 'late'])
+    expect(grouped.get('2026-10-19').items.map(item => item.id)).toEqual(['anytime', 'afternoon'])
+    expect(grouped.get('2026-10-20')).toEqual({ posts: [], items: [] })
+  })
+})
+
+describe('dragging and dropping', () => {
+  it('reads the hour of posts and planned items', () => {
+    expect(getEntryHour({ scheduled_for: '2026-10-19T21:30:00Z' }, TIME_ZONE)).toBe(16)
+    expect(getEntryHour({ planned_time: '09:15:00' }, TIME_ZONE)).toBe(9)
+    expect(getEntryHour({ planned_time: null }, TIME_ZONE)).toBeNull()
+  })
+
+  it('keeps the time of day of a post moved to another day, across daylight saving', () => {
+    expect(getDropTime('2026-10-19T21:30:00Z', '2026-11-06', null, TIME_ZONE).toISOString()).toBe('2026-11-06T22:30:00.000Z')
+    expect(getDropTime('2026-10-19T21:30:00Z', '2026-11-06', 9, TIME_ZONE).toISOString()).toBe('2026-11-06T15:30:00.000Z')
+  })
+
+  it('keeps the minutes of a planned item moved to another hour', () => {
+    expect(getDropPlannedTime('14:45:00', 9)).toBe('09:45:00')
+    expect(getDropPlannedTime(null, 9)).toBe('09:00:00')
+    expect(getDropPlannedTime('14:45:00', null)).toBe('14:45:00')
+    expect(getDropPlannedTime(null, null)).toBeNull()
+  })
+
+  it('schedules drafts of planned items at their time, or 9am', () => {
+    expect(getPlannedTime({ planned_date: '2026-11-06', planned_time: '16:30:00' }, TIME_ZONE).toISOString()).toBe('2026-11-06T22:30:00.000Z')
+    expect(getPlannedTime({ planned_date: '2026-11-06', planned_time: null }, TIME_ZONE).toISOString()).toBe('2026-11-06T15:00:00.000Z')
+  })
+})
+
+describe('formatCalendarTitle', () => {
+  it('titles each view', () => {
+    expect(formatCalendarTitle('month', '2026-10-19')).toBe('October 2026')
+    expect(formatCalendarTitle('week', '2026-10-19')).toBe('Oct 18 – 24, 2026')
+    expect(formatCalendarTitle('week', '2026-09-30')).toBe('Sep 27 – Oct 3, 2026')
+    expect(formatCalendarTitle('day', '2026-10-19')).toBe('Monday, October 19, 2026')
+  })
+})
@@ -0,0 +1,316 @@
+// Content Rules for LocalSocial
+// Each platform's limits on captions, hashtags, mentions, media, aspect ratios,
+// video length and file size, and how it treats links. The composer checks a
+// post before scheduling it and the queue processor before publishing it, so a
+// post that can't go out is caught early instead of failing at the Graph API.
+// Errors stop a post; warnings only point out how it will look. No server
+// dependencies.
+
+import { getMediaType, INSTAGRAM_CAROUSEL_MAX_ITEMS, POST_FORMAT } from './media'
+import { buildCaption, getPlatformPost, hasLinkAttachment } from './postContent'
+
+const MB = 1024 * 1024
+
+// Problem codes, for callers that react to specific problems
+export const CONTENT_ISSUES = {
+  EMPTY_CONTENT: 'empty_content',
+  CAPTION_TOO_LONG: 'caption_too_long',
+  TOO_MANY_HASHTAGS: 'too_many_hashtags',
+  TOO_MANY_MENTIONS: 'too_many_mentions',
+  MEDIA_REQUIRED: 'media_required',
+  TOO_MANY_MEDIA: 'too_many_media',
+  MIXED_MEDIA: 'mixed_media',
+  VIDEO_REQUIRED: 'video_required',
+  UNSUPPORTED_FORMAT: 'unsupported_format',
+  ASPECT_RATIO: 'aspect_ratio',
+  VIDEO_DURATION: 'video_duration',
+  FILE_TOO_LARGE: 'file_too_large',
+  CAPTION_HIDDEN: 'caption_hidden',
+  LINK_NOT_CLICKABLE: 'link_not_clickable',
+  LINK_IN_CAPTION: 'link_in_caption',
+  LOCATION_NOT_TAGGED: 'location_not_tagged'
+}
+
+// Published limits of the Graph API, per platform and kind of media
+// Aspect ratios are width / height; durations are in seconds.
+export const PLATFORM_RULES = {
+  facebook: {
+    captionLength: 63206,
+    photo: { maxSize: 10 * MB },
+    video: { maxSize: 10 * 1024 * MB, maxDuration: 240 * 60 },
+    reel: { maxSize: 1024 * MB, minDuration: 3, maxDuration: 90, aspectRatio: [9 / 16, 9 / 16] }
+  },
+  instagram: {
+    captionLength: 2200,
+    hashtags: 30,
+    mentions: 20,
+    photoFormats: ['image/jpeg'],
+    photo: { maxSize: 8 * MB, aspectRatio: [4 / 5, 1.91] },
+    storyPhoto: { maxSize: 8 * MB },
+    reel: { maxSize: 300 * MB, minDuration: 3, maxDuration: 15 * 60, aspectRatio: [0.01, 10] },
+    storyVideo: { maxSize: 100 * MB, minDuration: 3, maxDuration: 60 },
+    carouselVideo: { maxSize: 100 * MB, minDuration: 3, maxDuration: 60 }
+  }
+}
+
+// Aspect ratios within this share of a limit still pass, for rounding in encoders
+const ASPECT_TOLERANCE = 0.01
+
+// Full-screen formats look best at 9:16
+const VERTICAL_RATIO = 9 / 16
+
+const PLATFORM_LABELS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram'
+}
+
+const PHOTO_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic'
+}
+
+/**
+ * What is known about one media file; every field is optional
+ * @typedef {Object} MediaInfo
+ * @property {number} [width] - Pixels
+ * @property {number} [height] - Pixels
+ * @property {number} [duration] - Seconds, for videos
+ * @property {number} [size] - Bytes
+ * @property {string} [mimeType] - e.g. image/jpeg
+ */
+
+/**
+ * @typedef {Object} ContentIssue
+ * @property {string} code - One of CONTENT_ISSUES
+ * @property {string|null} platform - Platform the rule belongs to; null for every platform
+ * @property {string} field - Part of the post: content, hashtags, mentions, media, link or location
+ * @property {string} message
+ * @property {string} [url] - Media the issue is about
+ */
+
+const formatSize = bytes => bytes >= 1024 * MB ? `${Math.round(bytes / 1024 / MB)} GB` : `${Math.round(bytes / MB)} MB`
+
+const formatDuration = seconds => seconds >= 120 && seconds % 60 === 0 ? `${seconds / 60} minutes` : `${seconds} seconds`
+
+const formatRatio = ratio => {
+  const named = { [VERTICAL_RATIO]: '9:16', [4 / 5]: '4:5', 1.91: '1.91:1' }
+  return named[ratio] || `${Math.round(ratio * 100) / 100}:1`
+}
+
+// Photo MIME type from the file, or else from the URL's extension
+// Hosts that serve everything as application/octet-stream don't say what a file is.
+const getPhotoMimeType = (url, info) => {
+  const mimeType = info?.mimeType?.split(';')[0].trim().toLowerCase()
+  if (mimeType?.startsWith('image/')) return mimeType
+  const extension = (url || '').split(/[?#]/)[0].toLowerCase().split('.').pop()
+  return PHOTO_MIME_TYPES[extension] || null
+}
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length
+
+// Size, duration and aspect ratio of one file against a media rule
+function checkMedia(url, info, rule, kind, add) {
+  if (!info || !rule) return
+
+  if (rule.maxSize && info.size > rule.maxSize) {
+    add('error', CONTENT_ISSUES.FILE_TOO_LARGE, 'media',
+      `${kind} files can be at most ${formatSize(rule.maxSize)}; this one is ${formatSize(info.size)}.`, url)
+  }
+
+  if (info.duration > 0) {
+    if (rule.minDuration && info.duration < rule.minDuration) {
+      add('error', CONTENT_ISSUES.VIDEO_DURATION, 'media',
+        `${kind} videos must be at least ${formatDuration(rule.minDuration)} long.`, url)
+    }
+    if (rule.maxDuration && info.duration > rule.maxDuration) {
+      add('error', CONTENT_ISSUES.VIDEO_DURATION, 'media',
+        `${kind} videos can be at most ${formatDuration(rule.maxDuration)} long.`, url)
+    }
+  }
+
+  if (rule.aspectRatio && info.width > 0 && info.height > 0) {
+    const ratio = info.width / info.height
+    const [min, max] = rule.aspectRatio
+    if (ratio < min * (1 - ASPECT_TOLERANCE) || ratio > max * (1 + ASPECT_TOLERANCE)) {
+      const expected = min === max ? formatRatio(min) : `between ${formatRatio(min)} and ${formatRatio(max)}`
+      add('error', CONTENT_ISSUES.ASPECT_RATIO, 'media',
+        `${kind} media must have an aspect ratio ${expected}; this one is ${formatRatio(ratio)}.`, url)
+    }
+  }
+}
+
+// Rules every platform shares
+function checkShared(post, add) {
+  if (!post.content?.trim()) {
+    add('error', CONTENT_ISSUES.EMPTY_CONTENT, 'content', 'Post content is empty.')
+  }
+
+  if (post.location_name && !post.location_id) {
+    add('warning', CONTENT_ISSUES.LOCATION_NOT_TAGGED, 'location',
+      'The location is only shown in previews until a Facebook place ID is added.')
+  }
+}
+
+function checkFacebook(post, { format, mediaInfo, add }) {
+  const rules = PLATFORM_RULES.facebook
+  const mediaUrls = post.media_urls || []
+  const singleVideo = mediaUrls.length === 1 && getMediaType(mediaUrls[0]) === 'video'
+  const caption = buildCaption(post, 'facebook')
+
+  if (caption.length > rules.captionLength) {
+    add('error', CONTENT_ISSUES.CAPTION_TOO_LONG, 'content',
+      `Facebook posts can be at most ${rules.captionLength.toLocaleString('en-US')} characters; this one is ${caption.length.toLocaleString('en-US')}.`)
+  }
+
+  // Facebook attaches several photos to one post, but not videos
+  if (mediaUrls.length > 1 && mediaUrls.some(url => getMediaType(url) === 'video')) {
+    add('error', CONTENT_ISSUES.MIXED_MEDIA, 'media', 'Facebook posts with several media items can only contain photos.')
+  }
+  if (format === POST_FORMAT.REEL && !singleVideo) {
+    add('error', CONTENT_ISSUES.VIDEO_REQUIRED, 'media', 'Reels take a single video.')
+  }
+
+  for (const url of mediaUrls) {
+    const isVideo = getMediaType(url) === 'video'
+    const reel = isVideo && format === POST_FORMAT.REEL
+    const rule = isVideo ? (reel ? rules.reel : rules.video) : rules.photo
+    checkMedia(url, mediaInfo[url], rule, reel ? 'Reel' : isVideo ? 'Video' : 'Photo', add)
+  }
+
+  if (post.link_url && !hasLinkAttachment(post)) {
+    add('warning', CONTENT_ISSUES.LINK_IN_CAPTION, 'link',
+      'Posts with photos or videos show the link in the caption, without a link preview.')
+  }
+}
+
+function checkInstagram(post, { format, mediaInfo, add }) {
+  const rules = PLATFORM_RULES.instagram
+  const mediaUrls = post.media_urls || []
+  const isStory = format === POST_FORMAT.STORY
+  const singleVideo = mediaUrls.length === 1 && getMediaType(mediaUrls[0]) === 'video'
+  // Single feed videos are published as reels, see createInstagramContainer
+  const isReel = !isStory && (format === POST_FORMAT.REEL || singleVideo)
+  const isCarousel = !isStory && !isReel && mediaUrls.length > 1
+
+  if (mediaUrls.length === 0) {
+    add('error', CONTENT_ISSUES.MEDIA_REQUIRED, 'media', 'Instagram posts require a photo or video.')
+  } else if (isStory && mediaUrls.length > 1) {
+    add('error', CONTENT_ISSUES.TOO_MANY_MEDIA, 'media', 'Stories take a single photo or video.')
+  } else if (format === POST_FORMAT.REEL && !singleVideo) {
+    add('error', CONTENT_ISSUES.VIDEO_REQUIRED, 'media', 'Reels take a single video.')
+  } else if (mediaUrls.length > INSTAGRAM_CAROUSEL_MAX_ITEMS) {
+    add('error', CONTENT_ISSUES.TOO_MANY_MEDIA, 'media',
+      `Carousels take at most ${INSTAGRAM_CAROUSEL_MAX_ITEMS} photos and videos.`)
+  }
+
+  if (isStory) {
+    if (post.content?.trim()) {
+      add('warning', CONTENT_ISSUES.CAPTION_HIDDEN, 'content', 'Stories don\'t show captions or hashtags.')
+    }
+  } else {
+    const caption = buildCaption(post, 'instagram')
+    const hashtags = countMatches(caption, /(^|\s)#[^\s#]+/g)
+    const mentions = countMatches(caption, /(^|[^\w@])@[\w.]+/g)
+
+    if (caption.length > rules.captionLength) {
+      add('error', CONTENT_ISSUES.CAPTION_TOO_LONG, 'content',
+        `Instagram captions can be at most ${rules.captionLength.toLocaleString('en-US')} characters, hashtags included; this one is ${caption.length.toLocaleString('en-US')}.`)
+    }
+    if (hashtags > rules.hashtags) {
+      add('error', CONTENT_ISSUES.TOO_MANY_HASHTAGS, 'hashtags',
+        `Instagram captions can have at most ${rules.hashtags} hashtags; this one has ${hashtags}.`)
+    }
+    if (mentions > rules.mentions) {
+      add('error', CONTENT_ISSUES.TOO_MANY_MENTIONS, 'mentions',
+        `Instagram captions can mention at most ${rules.mentions} accounts; this one mentions ${mentions}.`)
+    }
+    if (post.link_url) {
+      add('warning', CONTENT_ISSUES.LINK_NOT_CLICKABLE, 'link',
+        'Instagram captions can\'t hold clickable links, so the link is left out.')
+    } else if (/https?:\/\//i.test(post.content || '')) {
+      add('warning', CONTENT_ISSUES.LINK_NOT_CLICKABLE, 'content', 'Links in Instagram captions aren\'t clickable.')
+    }
+  }
+
+  const ratios = []
+  for (const url of mediaUrls) {
+    const info = mediaInfo[url]
+    const isVideo = getMediaType(url) === 'video'
+
+    if (!isVideo) {
+      const mimeType = getPhotoMimeType(url, info)
+      if (mimeType && !rules.photoFormats.includes(mimeType)) {
+        add('error', CONTENT_ISSUES.UNSUPPORTED_FORMAT, 'media', 'Instagram only publishes JPEG photos.', url)
+      }
+    }
+
+    const rule = isVideo
+      ? (isStory ? rules.storyVideo : isCarousel ? rules.carouselVideo : rules.reel)
+      : (isStory ? rules.storyPhoto : rules.photo)
+    checkMedia(url, info, rule, isStory ? 'Story' : isReel ? 'Reel' : isVideo ? 'Video' : 'Photo', add)
+
+    if (info?.width > 0 && info?.height > 0) ratios.push(info.width / info.height)
+  }
+
+  // Full-screen formats crop anything that isn't vertical
+  if ((isStory || isReel) && ratios.length > 0 && Math.abs(ratios[0] - VERTICAL_RATIO) > VERTICAL_RATIO * 0.05) {
+    add('warning', CONTENT_ISSUES.ASPECT_RATIO, 'media',
+      `${isStory ? 'Stories' : 'Reels'} fill the screen at 9:16; other shapes are cropped or letterboxed.`)
+  }
+  if (isCarousel && ratios.some(ratio => Math.abs(ratio - ratios[0]) > ratios[0] * ASPECT_TOLERANCE)) {
+    add('warning', CONTENT_ISSUES.ASPECT_RATIO, 'media',
+      'Carousel items are cropped to the shape of the first one.')
+  }
+}
+
+/**
+ * Check a post against the rules of the platforms it goes to
+ * Media is only checked as far as mediaInfo knows it; unknown sizes, lengths
+ * and shapes pass.
+ * @param {Object} post - scheduled_posts row or composer draft, with platform_overrides
+ * @param {Object} options
+ * @param {string[]} options.platforms - Platforms the post is published to
+ * @param {Object<string, MediaInfo>} [options.mediaInfo] - Known media, keyed by URL
+ * @returns {{errors: ContentIssue[], warnings: ContentIssue[]}}
+ */
+export function validatePostContent(post, { platforms, mediaInfo = {} }) {
+  const errors = []
+  const warnings = []
+  const format = post.post_format || POST_FORMAT.FEED
+
+  const adder = platform => (level, code, field, message, url) => {
+    const issue = { code, platform, field, message, ...(url && { url }) }
+    ;(level === 'error' ? errors : warnings).push(issue)
+  }
+
+  checkShared(post, adder(null))
+
+  for (const platform of [...new Set(platforms)]) {
+    const platformPost = getPlatformPost(post, platform)
+    const override = post.platform_overrides?.[platform]
+    const add = adder(platform)
+
+    if (typeof override?.content === 'string' && !override.content.trim()) {
+      add('error', CONTENT_ISSUES.EMPTY_CONTENT, 'content', `The ${PLATFORM_LABELS[platform]} caption is empty.`)
+    }
+
+    if (platform === 'facebook') checkFacebook(platformPost, { format, mediaInfo, add })
+    if (platform === 'instagram') checkInstagram(platformPost, { format, mediaInfo, add })
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * One line describing an issue, naming the platform unless the message already does
+ * @param {ContentIssue} issue
+ * @returns {string}
+ */
+export function describeIssue(issue) {
+  const label = PLATFORM_LABELS[issue.platform]
+  return label && !issue.message.includes(label) ? `${label}: ${issue.message}` : issue.message
+}
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest'
+import { CONTENT_ISSUES, describeIssue, validatePostContent } from './contentRules'
+
+const MB = 1024 * 1024
+
+const codes = issues => issues.map(issue => [issue.platform, issue.code])
+
+describe('validatePostContent', () => {
+  it('passes a photo post both platforms can publish', () => {
+    const post = { content: 'Fresh bread', media_urls: ['https://cdn.example.com/bread.jpg'] }
+    const mediaInfo = { 'https://cdn.example.com/bread.jpg': { width: 1080, height: 1080, size: 2 * MB, mimeType: 'image/jpeg' } }
+
+    expect(validatePostContent(post, { platforms: ['facebook', 'instagram'], mediaInfo })).toEqual({ errors: [], warnings: [] })
+  })
+
+  it('needs content on every platform and media on Instagram', () => {
+    const post = { content: '  ', platform_overrides: { facebook: { content: '' } } }
+
+    expect(codes(validatePostContent(post, { platforms: ['facebook', 'instagram'] }).errors)).toEqual([
+      [null, CONTENT_ISSUES.EMPTY_CONTENT],
+      ['facebook', CONTENT_ISSUES.EMPTY_CONTENT],
+      ['instagram', CONTENT_ISSUES.MEDIA_REQUIRED]
+    ])
+  })
+
+  it('counts hashtags and mentions in the caption Instagram publishes', () => {
+    const post = {
+      content: Array.from({ length: 21 }, (_, index) => `@friend${index}`).join(' '),
+      hashtags: Array.from({ length: 31 }, (_, index) => `tag${index}`),
+      media_urls: ['a.jpg']
+    }
+
+    const { errors } = validatePostContent(post, { platforms: ['instagram'] })
+
+    expect(codes(errors)).toEqual([
+      ['instagram', CONTENT_ISSUES.TOO_MANY_HASHTAGS],
+      ['instagram', CONTENT_ISSUES.TOO_MANY_MENTIONS]
+    ])
+    expect(errors[0].message).toBe('Instagram captions can have at most 30 hashtags; this one has 31.')
+  })
+
+  it("checks each platform's caption length", () => {
+    const post = { content: 'x'.repeat(2201), media_urls: ['a.jpg'] }
+
+    expect(codes(validatePostContent(post, { platforms: ['facebook', 'instagram'] }).errors))
+      .toEqual([['instagram', CONTENT_ISSUES.CAPTION_TOO_LONG]])
+  })
+
+  it('checks media against the rules of the format it is published as', () => {
+    const post = { content: 'Watch', media_urls: ['clip.mp4'], post_format: 'reel' }
+    const mediaInfo = { 'clip.mp4': { width: 1920, height: 1080, duration: 120, size: 50 * MB } }
+
+    const { errors, warnings } = validatePostContent(post, { platforms: ['facebook', 'instagram'], mediaInfo })
+
+    expect(codes(errors)).toEqual([
+      ['facebook', CONTENT_ISSUES.VIDEO_DURATION],
+      ['facebook', CONTENT_ISSUES.ASPECT_RATIO]
+    ])
+    expect(errors.map(error => error.message)).toEqual([
+      'Reel videos can be at most 90 seconds long.',
+      'Reel media must have an aspect ratio 9:16; this one is 1.78:1.'
+    ])
+    expect(codes(warnings)).toEqual([['instagram', CONTENT_ISSUES.ASPECT_RATIO]])
+  })
+
+  it('rejects what Instagram cannot publish in carousels and stories', () => {
+    const mediaUrls = Array.from({ length: 11 }, (_, index) => `photo${index}.jpg`)
+
+    expect(codes(validatePostContent({ content: 'Album', media_urls: mediaUrls }, { platforms: ['instagram'] }).errors))
+      .toEqual([['instagram', CONTENT_ISSUES.TOO_MANY_MEDIA]])
+    expect(codes(validatePostContent({ content: 'Hi', media_urls: ['a.png'], post_format: 'story' }, { platforms: ['instagram'] }).errors))
+      .toEqual([['instagram', CONTENT_ISSUES.UNSUPPORTED_FORMAT]])
+  })
+
+  it("warns about links and locations that won't show as expected", () => {
+    const post = {
+      content: 'Menu at https://example.com',
+      media_urls: ['menu.jpg'],
+      link_url: 'https://example.com/menu',
+      location_name: 'Corner Bakery'
+    }
+
+    expect(codes(validatePostContent(post, { platforms: ['facebook', 'instagram'] }).warnings)).toEqual([
+      [null, CONTENT_ISSUES.LOCATION_NOT_TAGGED],
+      ['facebook', CONTENT_ISSUES.LINK_IN_CAPTION],
+      ['instagram', CONTENT_ISSUES.LINK_NOT_CLICKABLE]
+    ])
+  })
+
+  it("doesn't let Facebook posts mix several media with videos", () => {
+    expect(codes(validatePostContent({ content: 'Mix', media_urls: ['a.jpg', 'b.mp4'] }, { platforms: ['facebook'] }).errors))
+      .toEqual([['facebook', CONTENT_ISSUES.MIXED_MEDIA]])
+  })
+})
+
+describe('describeIssue', () => {
+  it("names the platform unless the message does", () => {
+    expect(describeIssue({ platform: 'instagram', message: 'Reels take a single video.' })).toBe('Instagram: Reels take a single video.')
+    expect(describeIssue({ platform: 'instagram', message: 'Instagram only publishes JPEG photos.' })).toBe('Instagram only publishes JPEG photos.')
+    expect(describeIssue({ platform: null, message: 'Post content is empty.' })).toBe('Post content is empty.')
+  })
+})
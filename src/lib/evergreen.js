@@ -0,0 +1,272 @@
+// Evergreen Library for LocalSocial
+// A social account can have a weekly posting schedule (posting_schedules). Slots
+// nothing else is scheduled in are filled a day ahead with posts recycled from the
+// organization's evergreen templates (post_templates in the 'evergreen' category):
+//   - a template is not repeated on the same account within the schedule's minimum days
+//   - each use takes the next of the template's content and variations in turn
+//   - evergreen posts make up at most the schedule's maximum share of a week's posts,
+//     except in weeks with no other posts, which evergreen fills
+//   - templates still in review are skipped (request_template_approval in the database)
+// Filled posts are ordinary scheduled posts with evergreen = true. Scheduling another
+// post into the same hour cancels them (yield_evergreen_slots in the database).
+// Works with both the browser client and the service-role client.
+
+import { zonedTimeToUtc, getZonedParts } from './timezone'
+import { POST_STATUS } from './postStatus'
+import { isApproved } from './approvals'
+
+export const EVERGREEN_CATEGORY = 'evergreen'
+
+// Slots are filled a day ahead, and topped up once less than 23 hours are
+export const EVERGREEN_FILL_AHEAD_MS = 24 * 60 * 60 * 1000
+export const EVERGREEN_MIN_AHEAD_MS = 23 * 60 * 60 * 1000
+
+// A slot is taken by any post this close to it (matches yield_evergreen_slots)
+export const SLOT_TOLERANCE_MS = 60 * 60 * 1000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+
+// Local calendar date as a UTC midnight, so days can be stepped through without DST gaps
+const toLocalDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return Date.UTC(year, month - 1, day)
+}
+
+// Monday of the local week a time falls in
+const getWeekStart = (date, timeZone) => {
+  const day = toLocalDay(date, timeZone)
+  return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS
+}
+
+/**
+ * Slot times of a posting schedule within a range
+ * @param {Object} schedule - posting_schedules row
+ * @param {Object} range
+ * @param {Date|number} range.from - Inclusive
+ * @param {Date|number} range.to - Exclusive
+ * @returns {Date[]} Slot times, earliest first
+ */
+export function getSlotTimes(schedule, { from, to }) {
+  const start = new Date(from).getTime()
+  const end = new Date(to).getTime()
+  const timeZone = schedule.timezone || 'UTC'
+  const times = []
+
+  for (let day = toLocalDay(start, timeZone) - DAY_MS; day <= toLocalDay(end, timeZone) + DAY_MS; day += DAY_MS) {
+    const date = new Date(day)
+
+    for (const slot of schedule.slots || []) {
+      if (Number(slot.weekday) !== date.getUTCDay()) continue
+
+      const [hour, minute] = String(slot.time).split(':').map(Number)
+      const time = zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour,
+        minute
+      }, timeZone)
+
+      if (time.getTime() >= start && time.getTime() < end) {
+        times.push(time)
+      }
+    }
+  }
+
+  return times.sort((a, b) => a - b)
+}
+
+/**
+ * The text an evergreen template posts next
+ * Rotates through the template's content and variations by usage count.
+ * @param {Object} template - post_templates row
+ * @returns {string}
+ */
+export function getVariation(template) {
+  const options = [template.content, ...(template.variations || []).filter(text => text?.trim())]
+  return options[(template.usage_count || 0) % options.length]
+}
+
+/**
+ * Decide which evergreen template fills each open slot
+ * @param {Object} params
+ * @param {Object} params.schedule - posting_schedules row
+ * @param {Date[]} params.slots - From getSlotTimes
+ * @param {Object[]} params.posts - The account's non-cancelled posts around the slots
+ *   ({scheduled_for, template_id, evergreen}), covering a week and the minimum days either side
+ * @param {Object[]} params.templates - Evergreen templates that can post to the account
+ * @returns {Array<{slot: Date, template: Object, content: string}>}
+ */
+export function planEvergreenPosts({ schedule, slots, posts, templates }) {
+  const timeZone = schedule.timezone || 'UTC'
+  const minGap = Number(schedule.evergreen_min_days_between_repeats) * DAY_MS
+  const maxShare = Number(schedule.evergreen_max_weekly_share)
+  const planned = posts.map(post => ({ ...post, time: new Date(post.scheduled_for).getTime() }))
+  const usage = new Map(templates.map(template => [template.id, template.usage_count || 0]))
+  const plan = []
+
+  for (const slot of slots) {
+    const time = slot.getTime()
+
+    if (planned.some(post => Math.abs(post.time - time) < SLOT_TOLERANCE_MS)) continue
+
+    // Counting this post, the week must stay within the evergreen share,
+    // unless it has no other posts for evergreen to crowd out
+    const week = getWeekStart(slot, timeZone)
+    const weekPosts = planned.filter(post => getWeekStart(post.time, timeZone) === week)
+    const evergreenCount = weekPosts.filter(post => post.evergreen).length
+    const ownCount = weekPosts.length - evergreenCount
+    if (maxShare <= 0 || (ownCount > 0 && evergreenCount + 1 > maxShare * (weekPosts.length + 1))) continue
+
+    // Least recently used on this account first, then least used overall
+    const lastUse = (template) => Math.max(
+      -Infinity,
+      ...planned.filter(post => post.template_id === template.id).map(post => post.time)
+    )
+    const candidates = templates
+      .filter(template => planned.every(post => post.template_id !== template.id || Math.abs(post.time - time) >= minGap))
+      .sort((a, b) => lastUse(a) - lastUse(b) || usage.get(a.id) - usage.get(b.id))
+
+    const template = candidates[0]
+    if (!template) continue
+
+    plan.push({ slot, template, content: getVariation({ ...template, usage_count: usage.get(template.id) }) })
+    usage.set(template.id, usage.get(template.id) + 1)
+    planned.push({ time, template_id: template.id, evergreen: true })
+  }
+
+  return plan
+}
+
+/**
+ * The scheduled post for an evergreen template in a slot
+ * @param {Object} template - post_templates row
+ * @param {Object} schedule - posting_schedules row
+ * @param {Object} account - social_accounts row
+ * @param {Date} slot
+ * @param {string} content - From getVariation
+ * @returns {Object} scheduled_posts row
+ */
+export function buildEvergreenPost(template, schedule, account, slot, content) {
+  return {
+    organization_id: schedule.organization_id,
+    user_id: account.user_id,
+    template_id: template.id,
+    social_account_ids: [account.id],
+    content,
+    media_urls: template.media_urls || [],
+    hashtags: template.hashtags || [],
+    scheduled_for: slot.toISOString(),
+    timezone: schedule.timezone,
+    status: POST_STATUS.SCHEDULED,
+    evergreen: true
+  }
+}
+
+/**
+ * Fill a schedule's open slots up to a day ahead
+ * The schedule is claimed by moving filled_until forward first, so two runs
+ * never fill the same slots. A fill that fails leaves its slots empty rather
+ * than risk posting twice.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} schedule - posting_schedules row
+ * @param {Object} options
+ * @param {number} [options.now] - Current time in ms
+ * @returns {Promise<number>} Number of evergreen posts scheduled
+ */
+export async function fillEvergreenSlots(supabase, schedule, { now = Date.now() } = {}) {
+  const filledUntil = schedule.filled_until ? new Date(schedule.filled_until).getTime() : 0
+  const from = Math.max(filledUntil, now)
+  const to = now + EVERGREEN_FILL_AHEAD_MS
+
+  if (from >= to) return 0
+
+  let claim = supabase
+    .from('posting_schedules')
+    .update({ filled_until: new Date(to).toISOString() })
+    .eq('social_account_id', schedule.social_account_id)
+  claim = schedule.filled_until ? claim.eq('filled_until', schedule.filled_until) : claim.is('filled_until', null)
+
+  const { data: claimed, error: claimError } = await claim.select('social_account_id')
+
+  if (claimError) {
+    throw new Error(`Failed to claim posting schedule ${schedule.social_account_id}: ${claimError.message}`)
+  }
+  if (!claimed?.length) return 0
+
+  const slots = getSlotTimes(schedule, { from, to })
+  if (slots.length === 0) return 0
+
+  const { data: account, error: accountError } = await supabase
+    .from('social_accounts')
+    .select('id, user_id, platform, is_active, status')
+    .eq('id', schedule.social_account_id)
+    .single()
+
+  if (accountError) {
+    throw new Error(`Failed to fetch social account ${schedule.social_account_id}: ${accountError.message}`)
+  }
+  if (!account.is_active || account.status !== 'active') return 0
+
+  const { data: templates, error: templatesError } = await supabase
+    .from('post_templates')
+    .select('*')
+    .eq('organization_id', schedule.organization_id)
+    .eq('category', EVERGREEN_CATEGORY)
+
+  if (templatesError) {
+    throw new Error(`Failed to fetch evergreen posts: ${templatesError.message}`)
+  }
+
+  // Evergreen posts go out without a review of their own, so only signed-off templates are used.
+  // Instagram can't post text on its own.
+  const usable = (templates || []).filter(template =>
+    isApproved(template) && (account.platform !== 'instagram' || template.media_urls?.length > 0)
+  )
+  if (usable.length === 0) return 0
+
+  const margin = Math.max(WEEK_MS, Number(schedule.evergreen_min_days_between_repeats) * DAY_MS)
+  const { data: posts, error: postsError } = await supabase
+    .from('scheduled_posts')
+    .select('scheduled_for, template_id, evergreen')
+    .contains('social_account_ids', [account.id])
+    .neq('status', POST_STATUS.CANCELLED)
+    .gte('scheduled_for', new Date(from - margin).toISOString())
+    .lt('scheduled_for', new Date(to + margin).toISOString())
+
+  if (postsError) {
+    throw new Error(`Failed to fetch scheduled posts: ${postsError.message}`)
+  }
+
+  const plan = planEvergreenPosts({ schedule, slots, posts: posts || [], templates: usable })
+  if (plan.length === 0) return 0
+
+  const { error: insertError } = await supabase
+    .from('scheduled_posts')
+    .insert(plan.map(({ slot, template, content }) => buildEvergreenPost(template, schedule, account, slot, content)))
+
+  if (insertError) {
+    throw new Error(`Failed to schedule evergreen posts: ${insertError.message}`)
+  }
+
+  // Usage drives the variation rotation, so it is counted per post
+  for (const template of usable) {
+    const uses = plan.filter(entry => entry.template.id === template.id)
+    if (uses.length === 0) continue
+
+    const { error } = await supabase
+      .from('post_templates')
+      .update({
+        usage_count: (template.usage_count || 0) + uses.length,
+        last_used_at: new Date(now).toISOString()
+      })
+      .eq('id', template.id)
+
+    if (error) {
+      console.error(`Failed to update evergreen post ${template.id}:`, error)
+    }
+  }
+
+  return plan.length
+}
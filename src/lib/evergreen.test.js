@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest'
+import { buildEvergreenPost, getSlotTimes, getVariation, planEvergreenPosts } from './evergreen'
+
+const schedule = {
+  organization_id: 'org-1',
+  timezone: 'UTC',
+  evergreen_min_days_between_repeats: 7,
+  evergreen_max_weekly_share: '0.50'
+}
+
+const taco = { id: 'taco', content: 'Taco Tuesday', variations: [], usage_count: 5 }
+const brunch = { id: 'brunch', content: 'Weekend brunch', variations: ['Brunch is on', ' '], usage_count: 1 }
+
+// Monday to Friday of the week of November 2, 2026
+const at = (day, time = '09:00') => new Date(`2026-11-0${day}T${time}:00Z`)
+
+describe('getSlotTimes', () => {
+  it("lists a schedule's slots in its timezone, earliest first", () => {
+    const chicago = { timezone: 'America/Chicago', slots: [{ weekday: 5, time: '16:00' }, { weekday: 1, time: '09:30' }] }
+
+    expect(getSlotTimes(chicago, { from: '2026-11-01T00:00:00Z', to: '2026-11-13T22:00:00Z' }).map(slot => slot.toISOString())).toEqual([
+      '2026-11-02T15:30:00.000Z',
+      '2026-11-06T22:00:00.000Z',
+      '2026-11-09T15:30:00.000Z'
+    ])
+  })
+})
+
+describe('getVariation', () => {
+  it("rotates through a template's content and non-blank variations", () => {
+    expect([0, 1, 2].map(usage_count => getVariation({ ...brunch, usage_count })))
+      .toEqual(['Weekend brunch', 'Brunch is on', 'Weekend brunch'])
+    expect(getVariation({ content: 'Only one' })).toBe('Only one')
+  })
+})
+
+describe('planEvergreenPosts', () => {
+  it('fills open slots with the least used template that may repeat', () => {
+    const posts = [
+      { scheduled_for: at(3).toISOString(), template_id: null, evergreen: false },
+      { scheduled_for: at(4, '09:30').toISOString(), template_id: null, evergreen: false }
+    ]
+
+    const plan = planEvergreenPosts({ schedule, slots: [at(2), at(4), at(6)], posts, templates: [taco, brunch] })
+
+    // Wednesday's slot is taken; brunch can't repeat within 7 days, so Friday gets taco
+    expect(plan).toEqual([
+      { slot: at(2), template: brunch, content: 'Brunch is on' },
+      { slot: at(6), template: taco, content: 'Taco Tuesday' }
+    ])
+  })
+
+  it("doesn't repeat a template used on the account within the minimum days", () => {
+    const posts = [
+      { scheduled_for: '2026-10-30T09:00:00Z', template_id: 'brunch', evergreen: true },
+      { scheduled_for: at(3).toISOString(), template_id: null, evergreen: false }
+    ]
+
+    expect(planEvergreenPosts({ schedule, slots: [at(2)], posts, templates: [taco, brunch] }).map(entry => entry.template))
+      .toEqual([taco])
+  })
+
+  it("keeps evergreen posts within the week's share", () => {
+    // Weeks start on Monday; a week without other posts is filled with evergreen ones
+    expect(planEvergreenPosts({ schedule, slots: [at(2), at(4)], posts: [], templates: [taco, brunch] }).map(entry => entry.slot))
+      .toEqual([at(2), at(4)])
+    expect(planEvergreenPosts({ schedule: { ...schedule, evergreen_max_weekly_share: '0.00' }, slots: [at(2)], posts: [], templates: [taco] }))
+      .toEqual([])
+
+    const plan = planEvergreenPosts({
+      schedule: { ...schedule, evergreen_max_weekly_share: '0.25' },
+      slots: [at(2), at(6)],
+      posts: [3, 4, 5].map(day => ({ scheduled_for: at(day, '18:00').toISOString(), template_id: null, evergreen: false })),
+      templates: [taco, brunch]
+    })
+
+    expect(plan.map(entry => entry.slot)).toEqual([at(2)])
+  })
+})
+
+describe('buildEvergreenPost', () => {
+  it('schedules the template on the account in the slot', () => {
+    const template = { ...taco, media_urls: ['taco.jpg'], hashtags: ['#tacos'] }
+    const account = { id: 'account-1', user_id: 'user-1' }
+
+    expect(buildEvergreenPost(template, schedule, account, at(3), 'Taco Tuesday')).toEqual({
+      organization_id: 'org-1',
+      user_id: 'user-1',
+      template_id: 'taco',
+      social_account_ids: ['account-1'],
+      content: 'Taco Tuesday',
+      media_urls: ['taco.jpg'],
+      hashtags: ['#tacos'],
+      scheduled_for: '2026-11-03T09:00:00.000Z',
+      timezone: 'UTC',
+      status: 'scheduled',
+      evergreen: true
+    })
+  })
+})
@@ -1,6 +1,8 @@
 // Facebook API Service Layer for LocalSocial
 // Handles Facebook Pages API integration, OAuth flow, and post publishing
 
+import { GraphRateLimiter, APP_BUDGET, pageBudget, instagramBudget } from './graphRateLimiter'
+
 class FacebookAPIError extends Error {
   constructor(message, code, type = 'FacebookAPIError') {
     super(message)
@@ -16,40 +18,36 @@ class RateLimitError extends FacebookAPIError {
   }
 }
 
-// Rate limiting tracker
-const rateLimitTracker = {
-  requests: 0,
-  resetTime: Date.now() + (60 * 60 * 1000), // Reset every hour
-  maxRequests: parseInt(import.meta.env.FACEBOOK_REQUESTS_PER_HOUR || '200'),
-  
-  checkLimit() {
-    const now = Date.now()
-    if (now > this.resetTime) {
-      this.requests = 0
-      this.resetTime = now + (60 * 60 * 1000)
-    }
-    
-    if (this.requests >= this.maxRequests) {
-      const waitTime = Math.ceil((this.resetTime - now) / 1000)
-      throw new RateLimitError(`Rate limit exceeded. Try again in ${waitTime} seconds.`, waitTime)
-    }
-    
-    this.requests++
+class InstagramContainerError extends FacebookAPIError {
+  constructor(message, statusCode) {
+    super(message, `INSTAGRAM_CONTAINER_${statusCode}`, 'InstagramContainerError')
+    this.statusCode = statusCode
   }
 }
 
+// Vite inlines import.meta.env in the browser build; Netlify functions read process.env
+const env = import.meta.env || globalThis.process?.env || {}
+
 // Configuration
+// The app secret is only set on the server (Netlify functions); Vite never exposes it to the browser
 const config = {
-  appId: import.meta.env.VITE_FACEBOOK_APP_ID,
-  apiVersion: import.meta.env.VITE_FACEBOOK_API_VERSION || 'v19.0',
+  appId: env.VITE_FACEBOOK_APP_ID,
+  appSecret: env.FACEBOOK_APP_SECRET,
+  apiVersion: env.VITE_FACEBOOK_API_VERSION || 'v19.0',
   baseUrl: `https://graph.facebook.com`,
-  redirectUri: `${import.meta.env.VITE_BASE_URL || window.location.origin}/auth/facebook/callback`,
+  // Video uploads go to dedicated hosts
+  videoBaseUrl: `https://graph-video.facebook.com`,
+  reelUploadUrl: `https://rupload.facebook.com/video-upload`,
+  // Routed to the facebook-oauth-callback function (see netlify.toml)
+  redirectUri: `${env.VITE_BASE_URL || env.URL || (typeof window !== 'undefined' ? window.location.origin : '')}/auth/facebook/callback`,
   scope: [
     'pages_show_list',           // Access user's pages
     'pages_read_engagement',     // Read page engagement
+    'read_insights',             // Page post insights
     'pages_manage_posts',        // Manage page posts
     'instagram_basic',           // Instagram basic access
     'instagram_content_publish', // Publish to Instagram
+    'instagram_manage_insights', // Instagram media insights
     'business_management'        // Business account access
   ].join(',')
 }
@@ -58,6 +56,195 @@ if (!config.appId) {
   console.warn('Facebook App ID not configured. Facebook integration will not work.')
 }
 
+// Rate limiting from Meta's usage headers. In-memory by default; Netlify
+// functions switch it to the shared database store with setUsageStore().
+const rateLimiter = new GraphRateLimiter()
+
+// Graph API error codes meaning a rate limit was hit
+// 4: app, 17: user, 32: page, 613: custom, 80001: Pages BUC, 80002: Instagram BUC
+const RATE_LIMIT_ERROR_CODES = [4, 17, 32, 613, 80001, 80002]
+
+// Instagram media container status_code values
+const CONTAINER_STATUS = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  FINISHED: 'FINISHED',
+  PUBLISHED: 'PUBLISHED',
+  ERROR: 'ERROR',
+  EXPIRED: 'EXPIRED'
+}
+
+// Container polling: 1s, 2s, 4s, 8s, 8s... kept inside the scheduled function's time limit
+const CONTAINER_POLLING = {
+  initialDelayMs: 1000,
+  maxDelayMs: 8000,
+  timeoutMs: 20000
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Video uploads send this much per request and resume a failed chunk this many times
+const VIDEO_CHUNK_BYTES = 4 * 1024 * 1024
+const VIDEO_CHUNK_RETRIES = 3
+
+/**
+ * Download a photo or video so it can be uploaded to Facebook
+ * @param {string} url - Media URL
+ * @returns {Promise<Blob>}
+ */
+async function downloadMedia(url) {
+  let response
+  try {
+    response = await fetch(url)
+  } catch (error) {
+    throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
+  }
+
+  if (!response.ok) {
+    // A missing or forbidden file won't appear on a retry; a failing host might
+    throw new FacebookAPIError(
+      `Could not download media from ${url} (HTTP ${response.status})`,
+      response.status < 500 ? 'MEDIA_UNAVAILABLE' : 'MEDIA_DOWNLOAD_FAILED'
+    )
+  }
+
+  return await response.blob()
+}
+
+/**
+ * Make a Graph API call, honoring and recording rate limit usage
+ * @param {string} path - Path after the base URL, e.g. 'v19.0/me/accounts'
+ * @param {Object} options
+ * @param {string} [options.method] - HTTP method; non-GET params are sent form-encoded
+ * @param {Object} [options.params] - Query or form parameters, including access_token; Blob values are sent as multipart files
+ * @param {string} [options.baseUrl] - Host to call, e.g. config.videoBaseUrl for uploads
+ * @param {string} [options.pageId] - Page the call is made for, or the Page an Instagram account is linked through
+ * @param {string} [options.instagramAccountId] - Instagram account the call is made for
+ * @param {string} options.errorMessage - Message when Facebook gives none
+ * @param {string} options.errorCode - Code when Facebook gives none
+ * @returns {Promise<Object>} Response body
+ */
+async function graphRequest(path, { method = 'GET', params = {}, baseUrl = config.baseUrl, pageId, instagramAccountId, errorMessage, errorCode }) {
+  const budgets = [APP_BUDGET]
+  if (pageId) budgets.push(pageBudget(pageId))
+  if (instagramAccountId) budgets.push(instagramBudget(instagramAccountId))
+
+  const waitTime = await rateLimiter.getRetryAfter(budgets)
+  if (waitTime > 0) {
+    throw new RateLimitError(`Rate limit exceeded. Try again in ${waitTime} seconds.`, waitTime)
+  }
+
+  let response
+  let data
+  try {
+    const hasFiles = Object.values(params).some(value => value instanceof Blob)
+    const query = hasFiles ? '' : new URLSearchParams(params).toString()
+
+    if (method === 'GET') {
+      response = await fetch(`${baseUrl}/${path}?${query}`)
+    } else if (hasFiles) {
+      const form = new FormData()
+      for (const [key, value] of Object.entries(params)) {
+        form.append(key, value)
+      }
+      response = await fetch(`${baseUrl}/${path}`, { method, body: form })
+    } else {
+      response = await fetch(`${baseUrl}/${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: query
+      })
+    }
+    data = await response.json()
+  } catch (error) {
+    throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
+  }
+
+  await rateLimiter.record(response.headers, { pageId })
+
+  if (!response.ok) {
+    if (RATE_LIMIT_ERROR_CODES.includes(data.error?.code)) {
+      // Prefer Meta's estimate from the headers just recorded
+      let retryAfter = await rateLimiter.getRetryAfter(budgets)
+      if (retryAfter === 0) {
+        // Code 4 is the app-wide limit; otherwise block the most specific budget
+        retryAfter = await rateLimiter.block(data.error.code === 4 ? APP_BUDGET : budgets[budgets.length - 1])
+      }
+      throw new RateLimitError(data.error.message, retryAfter)
+    }
+
+    // The subcode tells apart e.g. a deleted object (100/33) from a bad parameter
+    throw Object.assign(
+      new FacebookAPIError(data.error?.message || errorMessage, data.error?.code || errorCode),
+      { subcode: data.error?.error_subcode }
+    )
+  }
+
+  return data
+}
+
+/**
+ * @typedef {Object} PostInsights
+ * @property {number} likes - Reactions on Facebook
+ * @property {number} comments
+ * @property {number} shares
+ * @property {number} saves
+ * @property {number} clicks
+ * @property {number} reach
+ * @property {number} impressions
+ * @property {number} video_views
+ * @property {number} avg_watch_time_ms
+ */
+
+// Insights metrics per Instagram media kind; asking for one a kind lacks fails the whole request
+const INSTAGRAM_INSIGHT_METRICS = {
+  FEED: ['impressions', 'reach', 'saved', 'shares'],
+  REELS: ['plays', 'reach', 'saved', 'shares', 'ig_reels_avg_watch_time'],
+  STORY: ['impressions', 'reach', 'replies']
+}
+
+/**
+ * Lifetime values of an insights edge, by metric name
+ * @param {Object} insights - {data: [{name, values: [{value}]}]}
+ * @returns {Object<string, number>}
+ */
+function readInsights(insights) {
+  return Object.fromEntries((insights?.data || []).map(metric => [
+    metric.name,
+    Number(metric.values?.[0]?.value ?? metric.total_value?.value ?? 0) || 0
+  ]))
+}
+
+/**
+ * Call the Reels upload host. It sits outside the Graph API, so it neither
+ * reports nor consumes rate limit usage.
+ * @returns {Promise<Object>} Response body
+ */
+async function reelUploadRequest(videoId, pageAccessToken, { method = 'POST', headers = {}, body } = {}) {
+  let response
+  let data
+  try {
+    response = await fetch(`${config.reelUploadUrl}/${config.apiVersion}/${videoId}`, {
+      method,
+      headers: { Authorization: `OAuth ${pageAccessToken}`, ...headers },
+      body
+    })
+    data = await response.json()
+  } catch (error) {
+    throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
+  }
+
+  if (!response.ok) {
+    throw new FacebookAPIError(
+      data.debug_info?.message || data.error?.message || 'Failed to upload reel',
+      data.error?.code || 'REEL_UPLOAD_FAILED'
+    )
+  }
+
+  return data
+}
+
 // Facebook API Service
 export const facebookAPI = {
   // ==============================================
@@ -87,68 +274,48 @@ export const facebookAPI = {
 
   /**
    * Exchange authorization code for access token
+   * Server-side only: requires FACEBOOK_APP_SECRET
    * @param {string} code - Authorization code from OAuth callback
    * @returns {Promise<{access_token: string, token_type: string, expires_in: number}>}
    */
   async exchangeCodeForToken(code) {
-    rateLimitTracker.checkLimit()
-    
-    const params = new URLSearchParams({
-      client_id: config.appId,
-      client_secret: import.meta.env.FACEBOOK_APP_SECRET,
-      redirect_uri: config.redirectUri,
-      code: code
-    })
-    
-    try {
-      const response = await fetch(`${config.baseUrl}/oauth/access_token?${params.toString()}`)
-      const data = await response.json()
-      
-      if (!response.ok) {
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to exchange code for token',
-          data.error?.code || 'TOKEN_EXCHANGE_FAILED'
-        )
-      }
-      
-      return data
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
+    if (!config.appSecret) {
+      throw new FacebookAPIError('Facebook App Secret not configured', 'MISSING_CONFIG')
     }
+
+    return await graphRequest('oauth/access_token', {
+      params: {
+        client_id: config.appId,
+        client_secret: config.appSecret,
+        redirect_uri: config.redirectUri,
+        code: code
+      },
+      errorMessage: 'Failed to exchange code for token',
+      errorCode: 'TOKEN_EXCHANGE_FAILED'
+    })
   },
 
   /**
    * Get long-lived access token from short-lived token
+   * Server-side only: requires FACEBOOK_APP_SECRET
    * @param {string} shortLivedToken - Short-lived access token
    * @returns {Promise<{access_token: string, token_type: string, expires_in: number}>}
    */
   async getLongLivedToken(shortLivedToken) {
-    rateLimitTracker.checkLimit()
-    
-    const params = new URLSearchParams({
-      grant_type: 'fb_exchange_token',
-      client_id: config.appId,
-      client_secret: import.meta.env.FACEBOOK_APP_SECRET,
-      fb_exchange_token: shortLivedToken
-    })
-    
-    try {
-      const response = await fetch(`${config.baseUrl}/oauth/access_token?${params.toString()}`)
-      const data = await response.json()
-      
-      if (!response.ok) {
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to get long-lived token',
-          data.error?.code || 'LONG_LIVED_TOKEN_FAILED'
-        )
-      }
-      
-      return data
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
+    if (!config.appSecret) {
+      throw new FacebookAPIError('Facebook App Secret not configured', 'MISSING_CONFIG')
     }
+
+    return await graphRequest('oauth/access_token', {
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: config.appId,
+        client_secret: config.appSecret,
+        fb_exchange_token: shortLivedToken
+      },
+      errorMessage: 'Failed to get long-lived token',
+      errorCode: 'LONG_LIVED_TOKEN_FAILED'
+    })
   },
 
   // ==============================================
@@ -161,26 +328,11 @@ export const facebookAPI = {
    * @returns {Promise<{id: string, name: string, email?: string}>}
    */
   async getUser(accessToken) {
-    rateLimitTracker.checkLimit()
-    
-    try {
-      const response = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/me?fields=id,name,email&access_token=${accessToken}`
-      )
-      const data = await response.json()
-      
-      if (!response.ok) {
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to get user info',
-          data.error?.code || 'USER_INFO_FAILED'
-        )
-      }
-      
-      return data
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
-    }
+    return await graphRequest(`${config.apiVersion}/me`, {
+      params: { fields: 'id,name,email', access_token: accessToken },
+      errorMessage: 'Failed to get user info',
+      errorCode: 'USER_INFO_FAILED'
+    })
   },
 
   /**
@@ -189,31 +341,18 @@ export const facebookAPI = {
    * @returns {Promise<Array>} Array of page objects
    */
   async getUserPages(accessToken) {
-    rateLimitTracker.checkLimit()
+    const data = await graphRequest(`${config.apiVersion}/me/accounts`, {
+      params: { fields: 'id,name,access_token,category,tasks', access_token: accessToken },
+      errorMessage: 'Failed to get user pages',
+      errorCode: 'PAGES_FETCH_FAILED'
+    })
     
-    try {
-      const response = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/me/accounts?fields=id,name,access_token,category,tasks&access_token=${accessToken}`
-      )
-      const data = await response.json()
-      
-      if (!response.ok) {
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to get user pages',
-          data.error?.code || 'PAGES_FETCH_FAILED'
-        )
-      }
-      
-      // Filter pages that have MANAGE and CREATE_CONTENT permissions
-      const managablePages = data.data?.filter(page => 
-        page.tasks?.includes('MANAGE') && page.tasks?.includes('CREATE_CONTENT')
-      ) || []
-      
-      return managablePages
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
-    }
+    // Filter pages that have MANAGE and CREATE_CONTENT permissions
+    const managablePages = data.data?.filter(page => 
+      page.tasks?.includes('MANAGE') && page.tasks?.includes('CREATE_CONTENT')
+    ) || []
+    
+    return managablePages
   },
 
   /**
@@ -223,47 +362,35 @@ export const facebookAPI = {
    * @returns {Promise<{id: string, username: string} | null>}
    */
   async getInstagramAccount(pageId, pageAccessToken) {
-    rateLimitTracker.checkLimit()
-    
+    let data
     try {
-      const response = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/${pageId}?fields=instagram_business_account&access_token=${pageAccessToken}`
-      )
-      const data = await response.json()
-      
-      if (!response.ok) {
-        // Instagram account might not be connected - this is not necessarily an error
-        if (data.error?.code === 100) {
-          return null
-        }
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to get Instagram account',
-          data.error?.code || 'INSTAGRAM_FETCH_FAILED'
-        )
-      }
-      
-      if (!data.instagram_business_account) {
+      data = await graphRequest(`${config.apiVersion}/${pageId}`, {
+        params: { fields: 'instagram_business_account', access_token: pageAccessToken },
+        pageId,
+        errorMessage: 'Failed to get Instagram account',
+        errorCode: 'INSTAGRAM_FETCH_FAILED'
+      })
+    } catch (error) {
+      // Instagram account might not be connected - this is not necessarily an error
+      if (error.code === 100) {
         return null
       }
-      
-      // Get Instagram account details
-      const igResponse = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/${data.instagram_business_account.id}?fields=id,username&access_token=${pageAccessToken}`
-      )
-      const igData = await igResponse.json()
-      
-      if (!igResponse.ok) {
-        throw new FacebookAPIError(
-          igData.error?.message || 'Failed to get Instagram account details',
-          igData.error?.code || 'INSTAGRAM_DETAILS_FAILED'
-        )
-      }
-      
-      return igData
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
+      throw error
     }
+    
+    if (!data.instagram_business_account) {
+      return null
+    }
+    
+    // Get Instagram account details
+    const instagramAccountId = data.instagram_business_account.id
+    return await graphRequest(`${config.apiVersion}/${instagramAccountId}`, {
+      params: { fields: 'id,username', access_token: pageAccessToken },
+      pageId,
+      instagramAccountId,
+      errorMessage: 'Failed to get Instagram account details',
+      errorCode: 'INSTAGRAM_DETAILS_FAILED'
+    })
   },
 
   // ==============================================
@@ -275,12 +402,13 @@ export const facebookAPI = {
    * @param {string} pageId - Facebook Page ID
    * @param {string} pageAccessToken - Page access token
    * @param {Object} postData - Post content and options
+   * @param {Array<string>} [postData.attached_media] - Unpublished photo IDs from uploadUnpublishedPhoto, in display order
+   * @param {string} [postData.link] - URL shown as a link preview
+   * @param {string} [postData.place] - Page ID of the place to tag
    * @returns {Promise<{id: string}>} Published post ID
    */
   async publishPagePost(pageId, pageAccessToken, postData) {
-    rateLimitTracker.checkLimit()
-    
-    const { message, link, published = true, scheduled_publish_time } = postData
+    const { message, link, place, published = true, scheduled_publish_time, attached_media } = postData
     
     if (!message?.trim()) {
       throw new FacebookAPIError('Post message cannot be empty', 'EMPTY_MESSAGE')
@@ -294,37 +422,22 @@ export const facebookAPI = {
     
     // Add optional fields
     if (link) payload.link = link
+    if (place) payload.place = place
+    attached_media?.forEach((photoId, index) => {
+      payload[`attached_media[${index}]`] = JSON.stringify({ media_fbid: photoId })
+    })
     if (scheduled_publish_time) {
       payload.published = 'false'
       payload.scheduled_publish_time = Math.floor(scheduled_publish_time / 1000) // Convert to Unix timestamp
     }
     
-    try {
-      const response = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/${pageId}/feed`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: new URLSearchParams(payload).toString()
-        }
-      )
-      
-      const data = await response.json()
-      
-      if (!response.ok) {
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to publish post',
-          data.error?.code || 'PUBLISH_FAILED'
-        )
-      }
-      
-      return data
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
-    }
+    return await graphRequest(`${config.apiVersion}/${pageId}/feed`, {
+      method: 'POST',
+      params: payload,
+      pageId,
+      errorMessage: 'Failed to publish post',
+      errorCode: 'PUBLISH_FAILED'
+    })
   },
 
   /**
@@ -332,12 +445,11 @@ export const facebookAPI = {
    * @param {string} pageId - Facebook Page ID
    * @param {string} pageAccessToken - Page access token
    * @param {Object} postData - Post content and media
+   * @param {string} [postData.place] - Page ID of the place to tag
    * @returns {Promise<{id: string, post_id: string}>} Published post ID
    */
   async publishPagePhoto(pageId, pageAccessToken, postData) {
-    rateLimitTracker.checkLimit()
-    
-    const { message, url, published = true, scheduled_publish_time } = postData
+    const { message, url, place, published = true, scheduled_publish_time } = postData
     
     if (!url) {
       throw new FacebookAPIError('Photo URL is required', 'MISSING_PHOTO_URL')
@@ -351,90 +463,394 @@ export const facebookAPI = {
     
     // Add optional fields
     if (message?.trim()) payload.caption = message.trim()
+    if (place) payload.place = place
     if (scheduled_publish_time) {
       payload.published = 'false'
       payload.scheduled_publish_time = Math.floor(scheduled_publish_time / 1000)
     }
     
-    try {
-      const response = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/${pageId}/photos`,
-        {
+    return await graphRequest(`${config.apiVersion}/${pageId}/photos`, {
+      method: 'POST',
+      params: payload,
+      pageId,
+      errorMessage: 'Failed to publish photo',
+      errorCode: 'PHOTO_PUBLISH_FAILED'
+    })
+  },
+
+  /**
+   * Upload a photo without publishing it, to attach to a multi-photo feed post
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} photoData - Photo and its caption
+   * @param {string} photoData.url - Photo URL
+   * @param {string} [photoData.caption] - Caption shown when the photo is opened
+   * @param {boolean} [photoData.temporary] - Required when the feed post is scheduled
+   * @returns {Promise<{id: string}>} Photo ID for publishPagePost's attached_media
+   */
+  async uploadUnpublishedPhoto(pageId, pageAccessToken, photoData) {
+    const { url, caption, temporary } = photoData
+
+    if (!url) {
+      throw new FacebookAPIError('Photo URL is required', 'MISSING_PHOTO_URL')
+    }
+
+    const payload = {
+      url: url,
+      published: 'false',
+      access_token: pageAccessToken
+    }
+
+    if (caption?.trim()) payload.caption = caption.trim()
+    if (temporary) payload.temporary = 'true'
+
+    return await graphRequest(`${config.apiVersion}/${pageId}/photos`, {
+      method: 'POST',
+      params: payload,
+      pageId,
+      errorMessage: 'Failed to upload photo',
+      errorCode: 'PHOTO_UPLOAD_FAILED'
+    })
+  },
+
+  /**
+   * Upload and publish a video to a Facebook Page through a resumable upload session
+   * Server-side only: the video is downloaded and sent in chunks. The session is
+   * reported with every chunk, so an attempt cut short can be continued by passing
+   * it back as upload; the video is never posted twice.
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} videoData - Video and its details
+   * @param {string} videoData.video_url - Video to upload
+   * @param {string} [videoData.description] - Post text
+   * @param {string} [videoData.title] - Video title
+   * @param {string} [videoData.thumbnail_url] - Custom thumbnail image
+   * @param {Function} [videoData.onProgress] - Called with {uploadedBytes, totalBytes, upload} once the
+   *   session starts, after each chunk and before publishing; the upload waits for it, and stops if it throws
+   * @param {Object} [videoData.upload] - Session of an earlier attempt, as last passed to onProgress
+   * @param {number} [videoData.scheduled_publish_time] - Let Facebook publish it at this time (ms)
+   * @returns {Promise<{id: string}>} Video ID
+   */
+  async publishPageVideo(pageId, pageAccessToken, videoData) {
+    const { video_url, description, title, thumbnail_url, onProgress, upload: earlierUpload, scheduled_publish_time } = videoData
+
+    if (!video_url) {
+      throw new FacebookAPIError('Video URL is required', 'MISSING_VIDEO_URL')
+    }
+
+    const file = await downloadMedia(video_url)
+    const uploadRequest = (params, errorMessage) => graphRequest(`${config.apiVersion}/${pageId}/videos`, {
+      method: 'POST',
+      baseUrl: config.videoBaseUrl,
+      params: { ...params, access_token: pageAccessToken },
+      pageId,
+      errorMessage,
+      errorCode: 'VIDEO_UPLOAD_FAILED'
+    })
+    const startUpload = async () => {
+      const session = await uploadRequest({ upload_phase: 'start', file_size: String(file.size) }, 'Failed to start video upload')
+      return {
+        upload_session_id: session.upload_session_id,
+        video_id: session.video_id,
+        file_size: file.size,
+        start_offset: Number(session.start_offset),
+        end_offset: Number(session.end_offset)
+      }
+    }
+    const report = () => onProgress?.({ uploadedBytes: upload.start_offset, totalBytes: file.size, upload: { ...upload } })
+
+    // A session from an earlier attempt is continued until Facebook turns it down
+    let resumed = !!earlierUpload?.upload_session_id && earlierUpload.file_size === file.size
+    let upload = resumed ? { ...earlierUpload } : await startUpload()
+    let failures = 0
+
+    if (!resumed) {
+      await report()
+    } else if (upload.finishing && await this.isPublished(pageId, upload.video_id, pageAccessToken, { video: true })) {
+      // The earlier attempt published it but stopped before it could tell
+      return { id: upload.video_id }
+    }
+
+    // Facebook names the next byte range to send; equal offsets mean it has everything
+    while (upload.start_offset < upload.end_offset) {
+      let chunk
+      try {
+        chunk = await uploadRequest({
+          upload_phase: 'transfer',
+          upload_session_id: upload.upload_session_id,
+          start_offset: String(upload.start_offset),
+          video_file_chunk: file.slice(upload.start_offset, upload.end_offset)
+        }, 'Failed to upload video chunk')
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          throw error
+        }
+
+        if (++failures > VIDEO_CHUNK_RETRIES) {
+          if (!resumed) throw error
+
+          // The earlier session may have expired; nothing was published from it
+          upload = await startUpload()
+          resumed = false
+          failures = 0
+          await report()
+        }
+
+        // The session keeps what was sent; resend the same chunk
+        continue
+      }
+
+      upload.start_offset = Number(chunk.start_offset)
+      upload.end_offset = Number(chunk.end_offset)
+      resumed = false
+      failures = 0
+      await report()
+    }
+
+    const finishParams = {
+      upload_phase: 'finish',
+      upload_session_id: upload.upload_session_id
+    }
+
+    if (title?.trim()) finishParams.title = title.trim()
+    if (description?.trim()) finishParams.description = description.trim()
+    if (thumbnail_url) finishParams.thumb = await downloadMedia(thumbnail_url)
+    if (scheduled_publish_time) {
+      finishParams.published = 'false'
+      finishParams.scheduled_publish_time = Math.floor(scheduled_publish_time / 1000)
+    }
+
+    // Finishing the same session again can't post a second video, so it is marked first
+    upload.finishing = true
+    await report()
+    await uploadRequest(finishParams, 'Failed to publish video')
+
+    return { id: upload.video_id }
+  },
+
+  /**
+   * Upload and publish a Facebook Reel
+   * Server-side only: the video is downloaded and sent in chunks. Facebook expects a
+   * vertical video between 3 and 90 seconds long. Uploads are continued like
+   * publishPageVideo's.
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} reelData - Video and its details (same as publishPageVideo)
+   * @returns {Promise<{id: string}>} Video ID
+   */
+  async publishPageReel(pageId, pageAccessToken, reelData) {
+    const { video_url, description, title, thumbnail_url, onProgress, upload: earlierUpload, scheduled_publish_time } = reelData
+
+    if (!video_url) {
+      throw new FacebookAPIError('Video URL is required', 'MISSING_VIDEO_URL')
+    }
+
+    const file = await downloadMedia(video_url)
+    const reelRequest = (params, errorMessage) => graphRequest(`${config.apiVersion}/${pageId}/video_reels`, {
+      method: 'POST',
+      params: { ...params, access_token: pageAccessToken },
+      pageId,
+      errorMessage,
+      errorCode: 'REEL_UPLOAD_FAILED'
+    })
+    const startUpload = async () => {
+      const session = await reelRequest({ upload_phase: 'start' }, 'Failed to start reel upload')
+      return { video_id: session.video_id, file_size: file.size, offset: 0 }
+    }
+    const report = () => onProgress?.({ uploadedBytes: upload.offset, totalBytes: file.size, upload: { ...upload } })
+
+    // A session from an earlier attempt is continued until Facebook turns it down
+    let resumed = !!earlierUpload?.video_id && earlierUpload.file_size === file.size
+    let upload = resumed ? { ...earlierUpload } : await startUpload()
+    let failures = 0
+
+    if (!resumed) {
+      await report()
+    } else if (upload.finishing && await this.isPublished(pageId, upload.video_id, pageAccessToken, { video: true })) {
+      // The earlier attempt published it but stopped before it could tell
+      return { id: upload.video_id }
+    }
+
+    while (upload.offset < file.size) {
+      const chunk = file.slice(upload.offset, upload.offset + VIDEO_CHUNK_BYTES)
+
+      try {
+        await reelUploadRequest(upload.video_id, pageAccessToken, {
+          headers: { offset: String(upload.offset), file_size: String(file.size) },
+          body: chunk
+        })
+      } catch (error) {
+        if (++failures > VIDEO_CHUNK_RETRIES) {
+          if (!resumed) throw error
+
+          // The earlier session may have expired; nothing was published from it
+          upload = await startUpload()
+          resumed = false
+          failures = 0
+          await report()
+          continue
+        }
+
+        // Resume from however much Facebook actually received, or resend the chunk if it can't say
+        const status = await reelUploadRequest(upload.video_id, pageAccessToken, { method: 'GET' }).catch(() => null)
+        upload.offset = Number(status?.status?.uploading_phase?.bytes_transferred ?? upload.offset)
+        continue
+      }
+
+      upload.offset += chunk.size
+      resumed = false
+      failures = 0
+      await report()
+    }
+
+    const finishParams = {
+      upload_phase: 'finish',
+      video_id: upload.video_id,
+      video_state: scheduled_publish_time ? 'SCHEDULED' : 'PUBLISHED'
+    }
+
+    if (title?.trim()) finishParams.title = title.trim()
+    if (description?.trim()) finishParams.description = description.trim()
+    if (scheduled_publish_time) finishParams.scheduled_publish_time = Math.floor(scheduled_publish_time / 1000)
+
+    // Finishing the same reel again can't post a second one, so it is marked first
+    upload.finishing = true
+    await report()
+    await reelRequest(finishParams, 'Failed to publish reel')
+
+    // The reel is already live, so a failed thumbnail must not fail (and re-publish) the post
+    if (thumbnail_url) {
+      try {
+        await graphRequest(`${config.apiVersion}/${upload.video_id}/thumbnails`, {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
+          params: {
+            source: await downloadMedia(thumbnail_url),
+            is_preferred: 'true',
+            access_token: pageAccessToken
           },
-          body: new URLSearchParams(payload).toString()
-        }
-      )
-      
-      const data = await response.json()
-      
-      if (!response.ok) {
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to publish photo',
-          data.error?.code || 'PHOTO_PUBLISH_FAILED'
-        )
+          pageId,
+          errorMessage: 'Failed to set reel thumbnail',
+          errorCode: 'THUMBNAIL_FAILED'
+        })
+      } catch (error) {
+        console.warn(`Failed to set thumbnail for reel ${upload.video_id}:`, error.message)
       }
-      
-      return data
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
     }
+
+    return { id: upload.video_id }
+  },
+
+  /**
+   * Check whether a post or video Facebook was scheduled to publish has gone out
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} objectId - Post or video ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} options
+   * @param {boolean} [options.video] - objectId is a video or reel
+   * @returns {Promise<boolean>}
+   */
+  async isPublished(pageId, objectId, pageAccessToken, { video = false } = {}) {
+    const field = video ? 'published' : 'is_published'
+    const data = await graphRequest(`${config.apiVersion}/${objectId}`, {
+      params: {
+        fields: field,
+        access_token: pageAccessToken
+      },
+      pageId,
+      errorMessage: 'Failed to get post status',
+      errorCode: 'POST_STATUS_FAILED'
+    })
+
+    return data[field] === true
+  },
+
+  /**
+   * Delete a Page post or video, e.g. one waiting in Facebook's scheduler
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} objectId - Post or video ID
+   * @param {string} pageAccessToken - Page access token
+   * @returns {Promise<{success: boolean}>}
+   */
+  async deletePagePost(pageId, objectId, pageAccessToken) {
+    return await graphRequest(`${config.apiVersion}/${objectId}`, {
+      method: 'DELETE',
+      params: {
+        access_token: pageAccessToken
+      },
+      pageId,
+      errorMessage: 'Failed to delete post',
+      errorCode: 'DELETE_FAILED'
+    })
   },
 
   /**
-   * Publish to Instagram (requires Instagram Business Account)
+   * Create an Instagram media container (requires Instagram Business Account)
    * @param {string} instagramAccountId - Instagram Business Account ID
    * @param {string} pageAccessToken - Connected Facebook Page access token
    * @param {Object} postData - Post content and media
+   * @param {string} [postData.image_url] - Photo to publish
+   * @param {string} [postData.video_url] - Video to publish
+   * @param {string} [postData.caption] - Ignored for stories and carousel items
+   * @param {string} [postData.media_type] - IMAGE (default), REELS, STORIES, CAROUSEL, or VIDEO for a carousel item
+   * @param {boolean} [postData.is_carousel_item] - Child container of a carousel
+   * @param {Array<string>} [postData.children] - Child container IDs of a CAROUSEL
+   * @param {boolean} [postData.share_to_feed] - Also show a reel on the profile grid
+   * @param {string} [postData.cover_url] - Reel cover image
+   * @param {number} [postData.thumb_offset] - Reel cover frame, in ms from the start
+   * @param {string} [postData.location_id] - Facebook Page ID of the place to tag; ignored like the caption
+   * @param {Object} [options]
+   * @param {string} [options.pageId] - Page the account is linked through, whose usage the call counts against
    * @returns {Promise<{id: string}>} Creation ID (need to publish separately)
    */
-  async createInstagramPost(instagramAccountId, pageAccessToken, postData) {
-    rateLimitTracker.checkLimit()
-    
-    const { image_url, caption, media_type = 'IMAGE' } = postData
-    
-    if (!image_url) {
-      throw new FacebookAPIError('Image URL is required for Instagram posts', 'MISSING_IMAGE_URL')
+  async createInstagramPost(instagramAccountId, pageAccessToken, postData, { pageId } = {}) {
+    const {
+      image_url,
+      video_url,
+      caption,
+      media_type = 'IMAGE',
+      is_carousel_item,
+      children,
+      share_to_feed,
+      cover_url,
+      thumb_offset,
+      location_id
+    } = postData
+
+    if (media_type === 'CAROUSEL') {
+      if (!children?.length) {
+        throw new FacebookAPIError('Carousel posts require child containers', 'MISSING_CAROUSEL_CHILDREN')
+      }
+    } else if (!image_url && !video_url) {
+      throw new FacebookAPIError('Image or video URL is required for Instagram posts', 'MISSING_MEDIA_URL')
     }
-    
+
     const payload = {
-      image_url: image_url,
-      media_type: media_type,
       access_token: pageAccessToken
     }
-    
-    if (caption?.trim()) payload.caption = caption.trim()
-    
-    try {
-      // Step 1: Create the media container
-      const createResponse = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/${instagramAccountId}/media`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: new URLSearchParams(payload).toString()
-        }
-      )
-      
-      const createData = await createResponse.json()
-      
-      if (!createResponse.ok) {
-        throw new FacebookAPIError(
-          createData.error?.message || 'Failed to create Instagram media',
-          createData.error?.code || 'INSTAGRAM_CREATE_FAILED'
-        )
-      }
-      
-      return createData
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
-    }
+
+    // Single photos are the default container type and take no media_type
+    if (media_type !== 'IMAGE') payload.media_type = media_type
+    if (image_url) payload.image_url = image_url
+    if (video_url) payload.video_url = video_url
+    if (is_carousel_item) payload.is_carousel_item = 'true'
+    if (children?.length) payload.children = children.join(',')
+    if (share_to_feed !== undefined) payload.share_to_feed = share_to_feed ? 'true' : 'false'
+    if (cover_url) payload.cover_url = cover_url
+    if (thumb_offset !== undefined && thumb_offset !== null) payload.thumb_offset = String(thumb_offset)
+
+    // Stories and carousel items don't have captions or locations
+    if (caption?.trim() && media_type !== 'STORIES' && !is_carousel_item) payload.caption = caption.trim()
+    if (location_id && media_type !== 'STORIES' && !is_carousel_item) payload.location_id = location_id
+
+    // Step 1: Create the media container
+    return await graphRequest(`${config.apiVersion}/${instagramAccountId}/media`, {
+      method: 'POST',
+      params: payload,
+      pageId,
+      instagramAccountId,
+      errorMessage: 'Failed to create Instagram media',
+      errorCode: 'INSTAGRAM_CREATE_FAILED'
+    })
   },
 
   /**
@@ -442,42 +858,233 @@ export const facebookAPI = {
    * @param {string} instagramAccountId - Instagram Business Account ID
    * @param {string} creationId - Media container ID from createInstagramPost
    * @param {string} pageAccessToken - Connected Facebook Page access token
+   * @param {Object} [options]
+   * @param {string} [options.pageId] - Page the account is linked through, whose usage the call counts against
    * @returns {Promise<{id: string}>} Published post ID
    */
-  async publishInstagramPost(instagramAccountId, creationId, pageAccessToken) {
-    rateLimitTracker.checkLimit()
-    
-    const payload = {
-      creation_id: creationId,
-      access_token: pageAccessToken
-    }
-    
-    try {
-      const response = await fetch(
-        `${config.baseUrl}/${config.apiVersion}/${instagramAccountId}/media_publish`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: new URLSearchParams(payload).toString()
-        }
-      )
-      
-      const data = await response.json()
-      
-      if (!response.ok) {
-        throw new FacebookAPIError(
-          data.error?.message || 'Failed to publish Instagram media',
-          data.error?.code || 'INSTAGRAM_PUBLISH_FAILED'
+  async publishInstagramPost(instagramAccountId, creationId, pageAccessToken, { pageId } = {}) {
+    return await graphRequest(`${config.apiVersion}/${instagramAccountId}/media_publish`, {
+      method: 'POST',
+      params: {
+        creation_id: creationId,
+        access_token: pageAccessToken
+      },
+      pageId,
+      instagramAccountId,
+      errorMessage: 'Failed to publish Instagram media',
+      errorCode: 'INSTAGRAM_PUBLISH_FAILED'
+    })
+  },
+
+  /**
+   * Get the processing status of an Instagram media container
+   * @param {string} instagramAccountId - Instagram Business Account ID the container belongs to
+   * @param {string} containerId - Media container ID from createInstagramPost
+   * @param {string} pageAccessToken - Connected Facebook Page access token
+   * @param {Object} [options]
+   * @param {string} [options.pageId] - Page the account is linked through, whose usage the call counts against
+   * @returns {Promise<{id: string, status_code: string, status?: string}>}
+   */
+  async getInstagramContainerStatus(instagramAccountId, containerId, pageAccessToken, { pageId } = {}) {
+    return await graphRequest(`${config.apiVersion}/${containerId}`, {
+      params: {
+        fields: 'status_code,status',
+        access_token: pageAccessToken
+      },
+      pageId,
+      instagramAccountId,
+      errorMessage: 'Failed to get Instagram media status',
+      errorCode: 'INSTAGRAM_STATUS_FAILED'
+    })
+  },
+
+  /**
+   * Wait until an Instagram media container can be published
+   * Videos and large images are processed asynchronously after createInstagramPost;
+   * media_publish fails until the container is FINISHED.
+   * @param {string} instagramAccountId - Instagram Business Account ID the container belongs to
+   * @param {string} containerId - Media container ID from createInstagramPost
+   * @param {string} pageAccessToken - Connected Facebook Page access token
+   * @param {Object} options - Overrides for CONTAINER_POLLING
+   * @param {string} [options.pageId] - Page the account is linked through, see getInstagramContainerStatus
+   * @returns {Promise<{id: string, status_code: string}>} The finished container
+   * @throws {InstagramContainerError} If processing failed, the container expired, or it is still in progress at the timeout
+   */
+  async waitForInstagramContainer(instagramAccountId, containerId, pageAccessToken, options = {}) {
+    const { pageId, ...polling } = options
+    const { initialDelayMs, maxDelayMs, timeoutMs } = { ...CONTAINER_POLLING, ...polling }
+    const deadline = Date.now() + timeoutMs
+    let delay = initialDelayMs
+
+    let container = await this.getInstagramContainerStatus(instagramAccountId, containerId, pageAccessToken, { pageId })
+
+    // Anything without a final status is still being processed
+    while (![CONTAINER_STATUS.FINISHED, CONTAINER_STATUS.PUBLISHED, CONTAINER_STATUS.ERROR, CONTAINER_STATUS.EXPIRED]
+      .includes(container.status_code)) {
+      if (Date.now() + delay > deadline) {
+        throw new InstagramContainerError(
+          'Instagram is still processing the media',
+          CONTAINER_STATUS.IN_PROGRESS
         )
       }
-      
-      return data
-    } catch (error) {
-      if (error instanceof FacebookAPIError) throw error
-      throw new FacebookAPIError(`Network error: ${error.message}`, 'NETWORK_ERROR')
+
+      await sleep(delay)
+      delay = Math.min(delay * 2, maxDelayMs)
+      container = await this.getInstagramContainerStatus(instagramAccountId, containerId, pageAccessToken, { pageId })
+    }
+
+    if (container.status_code === CONTAINER_STATUS.ERROR) {
+      throw new InstagramContainerError(
+        `Instagram could not process the media${container.status ? `: ${container.status}` : ''}`,
+        CONTAINER_STATUS.ERROR
+      )
     }
+
+    if (container.status_code === CONTAINER_STATUS.EXPIRED) {
+      throw new InstagramContainerError('Instagram media expired before it was published', CONTAINER_STATUS.EXPIRED)
+    }
+
+    return container
+  },
+
+  // ==============================================
+  // Insights Methods
+  // ==============================================
+
+  /**
+   * Get lifetime engagement and insights of a Page post
+   * Requires read_insights; a deleted post fails with code 100, subcode 33.
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} postId - Page post ID ({page-id}_{post-id})
+   * @param {string} pageAccessToken - Page access token
+   * @returns {Promise<PostInsights>}
+   */
+  async getPagePostInsights(pageId, postId, pageAccessToken) {
+    const data = await graphRequest(`${config.apiVersion}/${postId}`, {
+      params: {
+        fields: [
+          'reactions.summary(total_count).limit(0)',
+          'comments.summary(total_count).limit(0)',
+          'shares',
+          'insights.metric(post_impressions,post_impressions_unique,post_clicks)'
+        ].join(','),
+        access_token: pageAccessToken
+      },
+      pageId,
+      errorMessage: 'Failed to get post insights',
+      errorCode: 'INSIGHTS_FAILED'
+    })
+
+    const insights = readInsights(data.insights)
+    return {
+      likes: data.reactions?.summary?.total_count || 0,
+      comments: data.comments?.summary?.total_count || 0,
+      shares: data.shares?.count || 0,
+      saves: 0,
+      clicks: insights.post_clicks || 0,
+      reach: insights.post_impressions_unique || 0,
+      impressions: insights.post_impressions || 0,
+      video_views: 0,
+      avg_watch_time_ms: 0
+    }
+  },
+
+  /**
+   * Get lifetime engagement and insights of a Page video or reel
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} videoId - Video ID
+   * @param {string} pageAccessToken - Page access token
+   * @returns {Promise<PostInsights>}
+   */
+  async getPageVideoInsights(pageId, videoId, pageAccessToken) {
+    const data = await graphRequest(`${config.apiVersion}/${videoId}`, {
+      params: {
+        fields: [
+          'reactions.summary(total_count).limit(0)',
+          'comments.summary(total_count).limit(0)',
+          'video_insights.metric(total_video_views,total_video_impressions,total_video_impressions_unique,total_video_avg_time_watched)'
+        ].join(','),
+        access_token: pageAccessToken
+      },
+      pageId,
+      errorMessage: 'Failed to get video insights',
+      errorCode: 'INSIGHTS_FAILED'
+    })
+
+    const insights = readInsights(data.video_insights)
+    return {
+      likes: data.reactions?.summary?.total_count || 0,
+      comments: data.comments?.summary?.total_count || 0,
+      shares: 0,
+      saves: 0,
+      clicks: 0,
+      reach: insights.total_video_impressions_unique || 0,
+      impressions: insights.total_video_impressions || 0,
+      video_views: insights.total_video_views || 0,
+      avg_watch_time_ms: insights.total_video_avg_time_watched || 0
+    }
+  },
+
+  /**
+   * Get lifetime engagement and insights of Instagram media
+   * Requires instagram_manage_insights. Story insights are only kept for 24 hours.
+   * @param {string} instagramAccountId - Instagram Business Account the media belongs to
+   * @param {string} mediaId - Instagram media ID
+   * @param {string} pageAccessToken - Connected Facebook Page access token
+   * @param {Object} options
+   * @param {string} [options.kind] - FEED (default), REELS or STORY
+   * @param {string} [options.pageId] - Page the account is linked through, whose usage the call counts against
+   * @returns {Promise<PostInsights>}
+   */
+  async getInstagramMediaInsights(instagramAccountId, mediaId, pageAccessToken, { kind = 'FEED', pageId } = {}) {
+    const metrics = INSTAGRAM_INSIGHT_METRICS[kind] || INSTAGRAM_INSIGHT_METRICS.FEED
+    const data = await graphRequest(`${config.apiVersion}/${mediaId}`, {
+      params: {
+        fields: `like_count,comments_count,insights.metric(${metrics.join(',')})`,
+        access_token: pageAccessToken
+      },
+      pageId,
+      instagramAccountId,
+      errorMessage: 'Failed to get Instagram insights',
+      errorCode: 'INSIGHTS_FAILED'
+    })
+
+    const insights = readInsights(data.insights)
+    return {
+      likes: data.like_count || 0,
+      comments: (data.comments_count || 0) + (insights.replies || 0),
+      shares: insights.shares || 0,
+      saves: insights.saved || 0,
+      clicks: 0,
+      reach: insights.reach || 0,
+      impressions: insights.impressions || insights.plays || 0,
+      video_views: insights.plays || 0,
+      avg_watch_time_ms: insights.ig_reels_avg_watch_time || 0
+    }
+  },
+
+  /**
+   * Get the follower count of a Page or Instagram account
+   * @param {string} accountId - Facebook Page ID or Instagram Business Account ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} options
+   * @param {string} options.platform - 'facebook' or 'instagram'
+   * @param {string} [options.pageId] - Page an Instagram account is linked through
+   * @returns {Promise<number>}
+   */
+  async getFollowerCount(accountId, pageAccessToken, { platform, pageId }) {
+    const instagram = platform === 'instagram'
+    const data = await graphRequest(`${config.apiVersion}/${accountId}`, {
+      params: {
+        fields: 'followers_count',
+        access_token: pageAccessToken
+      },
+      ...(instagram ? { instagramAccountId: accountId, pageId } : { pageId: accountId }),
+      errorMessage: 'Failed to get follower count',
+      errorCode: 'FOLLOWERS_FAILED'
+    })
+
+    return data.followers_count || 0
   },
 
   // ==============================================
@@ -485,54 +1092,62 @@ export const facebookAPI = {
   // ==============================================
 
   /**
-   * Validate access token
+   * Validate access token with debug_token
+   * Server-side only: requires FACEBOOK_APP_SECRET
    * @param {string} accessToken - Access token to validate
-   * @returns {Promise<{valid: boolean, expires_at?: number, scopes?: Array}>}
+   * @returns {Promise<{valid: boolean, expires_at?: number, data_access_expires_at?: number, scopes?: Array, error?: Object}>}
+   * Expiry times are Unix seconds, 0 meaning never. Throws if Facebook could not be reached,
+   * so a network failure is never mistaken for a revoked token.
    */
   async validateToken(accessToken) {
-    rateLimitTracker.checkLimit()
+    if (!config.appSecret) {
+      throw new FacebookAPIError('Facebook App Secret not configured', 'MISSING_CONFIG')
+    }
+
+    const data = await graphRequest('debug_token', {
+      params: {
+        input_token: accessToken,
+        access_token: `${config.appId}|${config.appSecret}`
+      },
+      errorMessage: 'Failed to validate token',
+      errorCode: 'TOKEN_VALIDATION_FAILED'
+    })
     
-    try {
-      const response = await fetch(
-        `${config.baseUrl}/debug_token?input_token=${accessToken}&access_token=${config.appId}|${import.meta.env.FACEBOOK_APP_SECRET}`
-      )
-      const data = await response.json()
-      
-      if (!response.ok) {
-        return { valid: false }
-      }
-      
-      return {
-        valid: data.data?.is_valid || false,
-        expires_at: data.data?.expires_at,
-        scopes: data.data?.scopes
-      }
-    } catch (error) {
-      return { valid: false }
+    return {
+      valid: data.data?.is_valid || false,
+      expires_at: data.data?.expires_at,
+      data_access_expires_at: data.data?.data_access_expires_at,
+      scopes: data.data?.scopes,
+      error: data.data?.error
     }
   },
 
+  /**
+   * Keep rate limit usage in a different store
+   * @param {{get: Function, save: Function}} store - e.g. createSupabaseUsageStore(supabase)
+   */
+  setUsageStore(store) {
+    rateLimiter.setStore(store)
+  },
+
   /**
    * Get rate limit status
-   * @returns {Object} Current rate limit status
+   * @param {Object} [objects] - Page and Instagram account to include
+   * @param {string} [objects.pageId]
+   * @param {string} [objects.instagramAccountId]
+   * @returns {Promise<Object>} Usage records by budget key
    */
-  getRateLimitStatus() {
-    const now = Date.now()
-    const remaining = Math.max(0, rateLimitTracker.maxRequests - rateLimitTracker.requests)
-    const resetIn = rateLimitTracker.resetTime > now ? Math.ceil((rateLimitTracker.resetTime - now) / 1000) : 0
-    
-    return {
-      requests: rateLimitTracker.requests,
-      remaining,
-      maxRequests: rateLimitTracker.maxRequests,
-      resetIn,
-      resetTime: rateLimitTracker.resetTime
-    }
+  async getRateLimitStatus({ pageId, instagramAccountId } = {}) {
+    const budgets = [APP_BUDGET]
+    if (pageId) budgets.push(pageBudget(pageId))
+    if (instagramAccountId) budgets.push(instagramBudget(instagramAccountId))
+
+    return await rateLimiter.getStatus(budgets)
   }
 }
 
 // Export error classes for external use
-export { FacebookAPIError, RateLimitError }
+export { FacebookAPIError, RateLimitError, InstagramContainerError, CONTAINER_STATUS }
 
 // Export default
-export default facebookAPI
\ No newline at end of file
+export default facebookAPI
@@ -0,0 +1,249 @@
+// Graph API Rate Limiter for LocalSocial
+// Meta doesn't publish a fixed quota. Every response instead reports how much
+// of each rate limit budget has been used:
+//   X-App-Usage                 app-wide, percentages of the rolling hour
+//   X-Page-Usage                the Page whose token made the call
+//   X-Business-Use-Case-Usage   per Page or Instagram account, keyed by its ID,
+//                               with estimated_time_to_regain_access in minutes
+// The limiter records these after every call and refuses calls to an exhausted
+// budget until Meta's estimated time to regain access has passed. State lives
+// in a pluggable store so all queue processors can share it through the database.
+
+// Stop calling a budget once any usage metric reaches this percentage
+export const USAGE_THRESHOLD = 95
+
+// Back-off when a budget is exhausted but Meta gave no estimate
+const DEFAULT_BACKOFF_MS = 10 * 60 * 1000
+
+// How long the database store trusts its cached copy of a budget
+const STORE_CACHE_MS = 15 * 1000
+
+// Budget keys
+export const APP_BUDGET = 'app'
+export const pageBudget = pageId => `page:${pageId}`
+export const instagramBudget = instagramAccountId => `instagram:${instagramAccountId}`
+
+// Business use case types reported for the objects LocalSocial publishes to
+const BUSINESS_USE_CASE_BUDGETS = {
+  pages: pageBudget,
+  instagram: instagramBudget
+}
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} key - Budget key ('app', 'page:<id>' or 'instagram:<id>')
+ * @property {number} callCount - Percent of call count used
+ * @property {number} totalCputime - Percent of CPU time used
+ * @property {number} totalTime - Percent of total time used
+ * @property {number|null} blockedUntil - Time in ms until which the budget must not be called
+ */
+
+const readHeader = (headers, name) => {
+  const value = typeof headers?.get === 'function' ? headers.get(name) : headers?.[name.toLowerCase()]
+  if (!value) return null
+
+  try {
+    return JSON.parse(value)
+  } catch {
+    return null
+  }
+}
+
+const toRecord = (key, usage, now) => {
+  const record = {
+    key,
+    callCount: usage.call_count || 0,
+    totalCputime: usage.total_cputime || 0,
+    totalTime: usage.total_time || 0,
+    blockedUntil: null
+  }
+
+  const minutesToRegain = usage.estimated_time_to_regain_access || 0
+  const highest = Math.max(record.callCount, record.totalCputime, record.totalTime)
+
+  if (minutesToRegain > 0) {
+    record.blockedUntil = now + minutesToRegain * 60 * 1000
+  } else if (highest >= USAGE_THRESHOLD) {
+    record.blockedUntil = now + DEFAULT_BACKOFF_MS
+  }
+
+  return record
+}
+
+/**
+ * Parse Meta's usage headers into one record per budget
+ * @param {Headers|Object} headers - Response headers
+ * @param {Object} context - Objects the call was made for
+ * @param {string} [context.pageId] - Page whose token was used (for X-Page-Usage)
+ * @param {number} now - Current time in ms
+ * @returns {UsageRecord[]}
+ */
+export function parseUsageHeaders(headers, { pageId } = {}, now = Date.now()) {
+  const records = []
+
+  const appUsage = readHeader(headers, 'X-App-Usage')
+  if (appUsage) {
+    records.push(toRecord(APP_BUDGET, appUsage, now))
+  }
+
+  const pageUsage = readHeader(headers, 'X-Page-Usage')
+  if (pageUsage && pageId) {
+    records.push(toRecord(pageBudget(pageId), pageUsage, now))
+  }
+
+  const businessUsage = readHeader(headers, 'X-Business-Use-Case-Usage')
+  for (const [objectId, entries] of Object.entries(businessUsage || {})) {
+    for (const entry of entries || []) {
+      const budget = BUSINESS_USE_CASE_BUDGETS[entry.type]
+      if (budget) {
+        records.push(toRecord(budget(objectId), entry, now))
+      }
+    }
+  }
+
+  return records
+}
+
+/**
+ * In-memory store. Used in the browser and as the default; not shared between processes.
+ * @returns {{get: Function, save: Function}}
+ */
+export function createMemoryUsageStore() {
+  const records = new Map()
+
+  return {
+    async get(keys) {
+      return Object.fromEntries(keys.filter(key => records.has(key)).map(key => [key, records.get(key)]))
+    },
+
+    async save(newRecords) {
+      for (const record of newRecords) {
+        records.set(record.key, record)
+      }
+    }
+  }
+}
+
+/**
+ * Database store backed by graph_api_usage, shared by every processor.
+ * Expects a service-role Supabase client. Store failures are logged and
+ * never block a Graph API call.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {{get: Function, save: Function}}
+ */
+export function createSupabaseUsageStore(supabase) {
+  const cache = new Map()
+
+  const remember = (record, fetchedAt) => cache.set(record.key, { record, fetchedAt })
+
+  return {
+    async get(keys) {
+      const now = Date.now()
+      const stale = keys.filter(key => !cache.has(key) || now - cache.get(key).fetchedAt > STORE_CACHE_MS)
+
+      if (stale.length > 0) {
+        const { data, error } = await supabase
+          .from('graph_api_usage')
+          .select('budget_key, call_count, total_cputime, total_time, blocked_until')
+          .in('budget_key', stale)
+
+        if (error) {
+          console.error('Failed to read Graph API usage:', error.message)
+        } else {
+          for (const key of stale) cache.delete(key)
+          for (const row of data || []) {
+            remember({
+              key: row.budget_key,
+              callCount: row.call_count,
+              totalCputime: row.total_cputime,
+              totalTime: row.total_time,
+              blockedUntil: row.blocked_until ? new Date(row.blocked_until).getTime() : null
+            }, now)
+          }
+        }
+      }
+
+      return Object.fromEntries(keys.filter(key => cache.has(key)).map(key => [key, cache.get(key).record]))
+    },
+
+    async save(records) {
+      if (records.length === 0) return
+
+      const now = Date.now()
+      records.forEach(record => remember(record, now))
+
+      const { error } = await supabase
+        .from('graph_api_usage')
+        .upsert(records.map(record => ({
+          budget_key: record.key,
+          call_count: record.callCount,
+          total_cputime: record.totalCputime,
+          total_time: record.totalTime,
+          blocked_until: record.blockedUntil ? new Date(record.blockedUntil).toISOString() : null,
+          updated_at: new Date(now).toISOString()
+        })), { onConflict: 'budget_key' })
+
+      if (error) {
+        console.error('Failed to save Graph API usage:', error.message)
+      }
+    }
+  }
+}
+
+export class GraphRateLimiter {
+  constructor(store = createMemoryUsageStore()) {
+    this.store = store
+  }
+
+  /**
+   * Switch where usage is kept, e.g. to the shared database store on the server
+   */
+  setStore(store) {
+    this.store = store
+  }
+
+  /**
+   * Seconds until every given budget may be called again
+   * @param {string[]} keys - Budget keys the call draws on
+   * @returns {Promise<number>} 0 if the call may go ahead now
+   */
+  async getRetryAfter(keys, now = Date.now()) {
+    const records = await this.store.get(keys)
+    const blockedUntil = Math.max(0, ...Object.values(records).map(record => record.blockedUntil || 0))
+
+    return blockedUntil > now ? Math.ceil((blockedUntil - now) / 1000) : 0
+  }
+
+  /**
+   * Record the usage headers of a Graph API response
+   */
+  async record(headers, context = {}, now = Date.now()) {
+    await this.store.save(parseUsageHeaders(headers, context, now))
+  }
+
+  /**
+   * Block a budget after a rate limit error that came without a usable estimate
+   * @returns {Promise<number>} Seconds until the budget may be called again
+   */
+  async block(key, now = Date.now()) {
+    const [existing] = Object.values(await this.store.get([key]))
+    const record = {
+      key,
+      callCount: existing?.callCount || 100,
+      totalCputime: existing?.totalCputime || 0,
+      totalTime: existing?.totalTime || 0,
+      blockedUntil: now + DEFAULT_BACKOFF_MS
+    }
+
+    await this.store.save([record])
+    return Math.ceil(DEFAULT_BACKOFF_MS / 1000)
+  }
+
+  /**
+   * Current usage of the given budgets
+   * @returns {Promise<Object<string, UsageRecord>>}
+   */
+  async getStatus(keys) {
+    return await this.store.get(keys)
+  }
+}
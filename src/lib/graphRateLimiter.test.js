@@ -0,0 +1,138 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest'
+import { createLocalDatabase, createServiceClient } from '../../test/localDatabase'
+import { facebookAPI, RateLimitError } from './facebook'
+import {
+  APP_BUDGET,
+  createSupabaseUsageStore,
+  GraphRateLimiter,
+  instagramBudget,
+  pageBudget,
+  parseUsageHeaders
+} from './graphRateLimiter'
+
+const now = Date.parse('2026-10-19T12:00:00Z')
+const minutes = count => count * 60 * 1000
+
+const usageHeaders = headers => new Headers(Object.fromEntries(
+  Object.entries(headers).map(([name, value]) => [name, JSON.stringify(value)])
+))
+
+describe('parseUsageHeaders', () => {
+  it('reads app, page and business use case usage', () => {
+    const headers = usageHeaders({
+      'X-App-Usage': { call_count: 12, total_cputime: 3, total_time: 5 },
+      'X-Page-Usage': { call_count: 40, total_cputime: 2, total_time: 8 },
+      'X-Business-Use-Case-Usage': {
+        'ig-1': [{ type: 'instagram', call_count: 20, total_cputime: 1, total_time: 4, estimated_time_to_regain_access: 0 }],
+        'ads-1': [{ type: 'ads_management', call_count: 99 }]
+      }
+    })
+
+    expect(parseUsageHeaders(headers, { pageId: 'page-1' }, now)).toEqual([
+      { key: APP_BUDGET, callCount: 12, totalCputime: 3, totalTime: 5, blockedUntil: null },
+      { key: pageBudget('page-1'), callCount: 40, totalCputime: 2, totalTime: 8, blockedUntil: null },
+      { key: instagramBudget('ig-1'), callCount: 20, totalCputime: 1, totalTime: 4, blockedUntil: null }
+    ])
+  })
+
+  it("backs off for Meta's estimate, or ten minutes once a metric reaches the threshold", () => {
+    const headers = usageHeaders({
+      'X-App-Usage': { call_count: 96, total_cputime: 10, total_time: 10 },
+      'X-Business-Use-Case-Usage': {
+        'page-1': [{ type: 'pages', call_count: 100, total_cputime: 30, total_time: 30, estimated_time_to_regain_access: 25 }]
+      }
+    })
+
+    const [app, page] = parseUsageHeaders(headers, {}, now)
+    expect(app.blockedUntil).toBe(now + minutes(10))
+    expect(page).toMatchObject({ key: pageBudget('page-1'), blockedUntil: now + minutes(25) })
+  })
+
+  it('ignores page usage without the page it was for, and headers that are not JSON', () => {
+    const headers = new Headers({
+      'X-Page-Usage': JSON.stringify({ call_count: 99 }),
+      'X-App-Usage': 'not json'
+    })
+
+    expect(parseUsageHeaders(headers, {}, now)).toEqual([])
+  })
+})
+
+describe('GraphRateLimiter', () => {
+  it('holds back calls to a budget until it may be called again', async () => {
+    const limiter = new GraphRateLimiter()
+    await limiter.record(usageHeaders({
+      'X-App-Usage': { call_count: 50 },
+      'X-Page-Usage': { call_count: 20, estimated_time_to_regain_access: 5 }
+    }), { pageId: 'page-1' }, now)
+
+    expect(await limiter.getRetryAfter([APP_BUDGET], now)).toBe(0)
+    expect(await limiter.getRetryAfter([APP_BUDGET, pageBudget('page-1')], now)).toBe(300)
+    expect(await limiter.getRetryAfter([APP_BUDGET, pageBudget('page-1')], now + minutes(5))).toBe(0)
+  })
+
+  it('blocks a budget for ten minutes after a rate limit error without an estimate', async () => {
+    const limiter = new GraphRateLimiter()
+
+    expect(await limiter.block(instagramBudget('ig-1'), now)).toBe(600)
+    expect(await limiter.getRetryAfter([instagramBudget('ig-1')], now + minutes(4))).toBe(360)
+    expect((await limiter.getStatus([instagramBudget('ig-1')]))[instagramBudget('ig-1')]).toMatchObject({ callCount: 100 })
+  })
+})
+
+describe('facebookAPI', () => {
+  it('counts Instagram calls against the Page the account is linked through', async () => {
+    const fetch = vi.fn(async () => Response.json({ id: 'container-1' }, {
+      headers: { 'X-Page-Usage': JSON.stringify({ call_count: 96, total_cputime: 10, total_time: 12 }) }
+    }))
+    vi.stubGlobal('fetch', fetch)
+    const post = { image_url: 'https://cdn.example.com/loaf.jpg' }
+
+    await facebookAPI.createInstagramPost('ig-7', 'page-token', post, { pageId: 'page-7' })
+
+    expect((await facebookAPI.getRateLimitStatus({ pageId: 'page-7' }))[pageBudget('page-7')]).toMatchObject({ callCount: 96 })
+    await expect(facebookAPI.publishInstagramPost('ig-7', 'container-1', 'page-token', { pageId: 'page-7' }))
+      .rejects.toBeInstanceOf(RateLimitError)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    vi.unstubAllGlobals()
+  })
+})
+
+describe('createSupabaseUsageStore', () => {
+  let database
+  let supabase
+
+  beforeAll(async () => {
+    database = await createLocalDatabase()
+    supabase = createServiceClient(database)
+  })
+
+  afterAll(async () => {
+    await database?.close()
+  })
+
+  it('shares usage between processors through graph_api_usage', async () => {
+    const blockedUntil = Date.now() + minutes(10)
+    const record = { key: pageBudget('page-1'), callCount: 97, totalCputime: 4, totalTime: 6, blockedUntil }
+
+    await createSupabaseUsageStore(supabase).save([record])
+    await createSupabaseUsageStore(supabase).save([{ key: APP_BUDGET, callCount: 10, totalCputime: 0, totalTime: 0, blockedUntil: null }])
+
+    const other = new GraphRateLimiter(createSupabaseUsageStore(supabase))
+    expect(await other.getStatus([pageBudget('page-1'), APP_BUDGET, pageBudget('page-2')])).toEqual({
+      [pageBudget('page-1')]: record,
+      [APP_BUDGET]: { key: APP_BUDGET, callCount: 10, totalCputime: 0, totalTime: 0, blockedUntil: null }
+    })
+    expect(await other.getRetryAfter([pageBudget('page-1')])).toBeGreaterThan(590)
+  })
+
+  it('lets calls go ahead when the table cannot be read', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const store = createSupabaseUsageStore({
+      from: () => ({ select: () => ({ in: async () => ({ data: null, error: new Error('connection refused') }) }) })
+    })
+
+    expect(await new GraphRateLimiter(store).getRetryAfter([APP_BUDGET])).toBe(0)
+    vi.restoreAllMocks()
+  })
+})
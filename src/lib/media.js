@@ -0,0 +1,61 @@
+// Media helpers for LocalSocial
+// Posts store media as plain URLs. The composer and the queue processor both
+// need to know whether a URL is a photo or a video to pick a publishing flow,
+// and what size and type a file is to check it against content rules.
+
+// Post formats (scheduled_posts.post_format)
+export const POST_FORMAT = {
+  FEED: 'feed',
+  REEL: 'reel',
+  STORY: 'story'
+}
+
+// Instagram accepts between 2 and 10 items in a carousel
+export const INSTAGRAM_CAROUSEL_MIN_ITEMS = 2
+export const INSTAGRAM_CAROUSEL_MAX_ITEMS = 10
+
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'm4v', 'webm']
+
+/**
+ * Tell photos from videos by file extension
+ * @param {string} url - Media URL
+ * @returns {'image'|'video'}
+ */
+export function getMediaType(url) {
+  const path = (url || '').split(/[?#]/)[0].toLowerCase()
+  const extension = path.includes('.') ? path.split('.').pop() : ''
+  return VIDEO_EXTENSIONS.includes(extension) ? 'video' : 'image'
+}
+
+/**
+ * @param {string} url - Media URL
+ * @returns {boolean}
+ */
+export const isVideo = url => getMediaType(url) === 'video'
+
+// Media hosts that don't answer quickly are skipped rather than holding up a post
+const MEDIA_HEAD_TIMEOUT_MS = 5000
+
+/**
+ * Size and type of media files from their response headers
+ * Files the host doesn't describe (no HEAD support, no CORS, timeouts) are left
+ * out, so content rules skip what can't be known.
+ * @param {string[]} urls - Media URLs
+ * @returns {Promise<Object<string, {size?: number, mimeType?: string}>>} Keyed by URL
+ */
+export async function fetchMediaInfo(urls) {
+  const entries = await Promise.all([...new Set(urls)].map(async url => {
+    try {
+      const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(MEDIA_HEAD_TIMEOUT_MS) })
+      if (!response.ok) return null
+
+      const size = Number(response.headers.get('content-length'))
+      const mimeType = response.headers.get('content-type')
+      return [url, { ...(size > 0 && { size }), ...(mimeType && { mimeType }) }]
+    } catch {
+      return null
+    }
+  }))
+
+  return Object.fromEntries(entries.filter(Boolean))
+}
@@ -0,0 +1,78 @@
+// OAuth State for LocalSocial
+// Server-side only. The Facebook OAuth round trip leaves the browser, so the
+// callback function learns who started it from a signed state parameter.
+// The nonce inside the state must also match a cookie set on the user's
+// browser, so a state issued to someone else cannot be replayed.
+
+import { Buffer } from 'buffer'
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+
+// Users have this long to finish the Facebook dialog
+const STATE_TTL_MS = 15 * 60 * 1000
+
+export const OAUTH_NONCE_COOKIE = 'facebook_oauth_nonce'
+
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url')
+
+/**
+ * Create a signed state for a user starting the OAuth flow
+ * @param {string} userId - Supabase user ID
+ * @param {string} secret - Server-side signing secret
+ * @returns {{state: string, nonce: string}} State for the OAuth URL and nonce for the cookie
+ */
+export function createOAuthState(userId, secret) {
+  const nonce = randomBytes(16).toString('base64url')
+  const payload = Buffer.from(JSON.stringify({
+    userId,
+    nonce,
+    expiresAt: Date.now() + STATE_TTL_MS
+  })).toString('base64url')
+
+  return { state: `${payload}.${sign(payload, secret)}`, nonce }
+}
+
+/**
+ * Verify a state returned to the OAuth callback
+ * @param {string} state - State parameter from the callback URL
+ * @param {string} nonce - Nonce from the user's cookie
+ * @param {string} secret - Server-side signing secret
+ * @returns {string|null} User ID, or null if the state is invalid or expired
+ */
+export function verifyOAuthState(state, nonce, secret) {
+  const [payload, signature] = (state || '').split('.')
+  if (!payload || !signature || !nonce) {
+    return null
+  }
+
+  const expected = Buffer.from(sign(payload, secret))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString())
+    if (data.nonce !== nonce || data.expiresAt < Date.now()) {
+      return null
+    }
+    return data.userId
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read a cookie from a request's Cookie header
+ * @param {string} cookieHeader - Raw Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+export function readCookie(cookieHeader, name) {
+  for (const part of (cookieHeader || '').split(';')) {
+    const [key, ...value] = part.trim().split('=')
+    if (key === name) {
+      return decodeURIComponent(value.join('='))
+    }
+  }
+  return null
+}
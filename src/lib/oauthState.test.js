@@ -0,0 +1,47 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { createOAuthState, readCookie, verifyOAuthState } from './oauthState'
+
+const secret = 'local-test-secret'
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('OAuth state', () => {
+  it('round-trips the user who started the flow', () => {
+    const { state, nonce } = createOAuthState('user-1', secret)
+
+    expect(verifyOAuthState(state, nonce, secret)).toBe('user-1')
+  })
+
+  it('rejects a state with another nonce, a tampered payload or another secret', () => {
+    const { state, nonce } = createOAuthState('user-1', secret)
+    const [, signature] = state.split('.')
+    const forged = Buffer.from(JSON.stringify({ userId: 'user-2', nonce, expiresAt: Date.now() + 60000 })).toString('base64url')
+
+    expect(verifyOAuthState(state, createOAuthState('user-1', secret).nonce, secret)).toBeNull()
+    expect(verifyOAuthState(`${forged}.${signature}`, nonce, secret)).toBeNull()
+    expect(verifyOAuthState(state, nonce, 'another-secret')).toBeNull()
+    expect(verifyOAuthState(state, null, secret)).toBeNull()
+    expect(verifyOAuthState('not-a-state', nonce, secret)).toBeNull()
+  })
+
+  it('expires after 15 minutes', () => {
+    vi.useFakeTimers({ now: Date.parse('2026-10-19T12:00:00Z') })
+    const { state, nonce } = createOAuthState('user-1', secret)
+
+    vi.setSystemTime(Date.parse('2026-10-19T12:14:59Z'))
+    expect(verifyOAuthState(state, nonce, secret)).toBe('user-1')
+
+    vi.setSystemTime(Date.parse('2026-10-19T12:15:01Z'))
+    expect(verifyOAuthState(state, nonce, secret)).toBeNull()
+  })
+})
+
+describe('readCookie', () => {
+  it('reads one cookie out of the header', () => {
+    expect(readCookie('theme=dark; facebook_oauth_nonce=a%3Db; other=1', 'facebook_oauth_nonce')).toBe('a=b')
+    expect(readCookie('theme=dark', 'facebook_oauth_nonce')).toBeNull()
+    expect(readCookie(undefined, 'facebook_oauth_nonce')).toBeNull()
+  })
+})
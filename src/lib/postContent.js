@@ -0,0 +1,76 @@
+// Post content for LocalSocial
+// A post is written once and published to several platforms. platform_overrides
+// can replace the caption or media for one platform, hashtags are appended to
+// captions that don't use them yet, and Facebook gets the link. The composer's
+// previews and the queue processor both go through these helpers, so the
+// preview shows what is published.
+
+// Platforms a post can be customized for (scheduled_posts.platform_overrides keys)
+export const PLATFORMS = ['facebook', 'instagram']
+
+// Fields a platform override may replace
+export const OVERRIDE_FIELDS = ['content', 'media_urls', 'media_captions']
+
+/**
+ * Turn typed hashtags ("pizza, #Friday #pizza") into a list without duplicates
+ * @param {string} text
+ * @returns {string[]} Tags with a leading #, e.g. ['#pizza', '#Friday']
+ */
+export function parseHashtags(text) {
+  const tags = new Map()
+  for (const word of (text || '').split(/[\s,]+/)) {
+    const tag = word.replace(/^#+/, '')
+    if (tag && !tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), `#${tag}`)
+  }
+  return [...tags.values()]
+}
+
+/**
+ * The post as one platform publishes it, with that platform's overrides applied
+ * Media captions belong to the shared media, so overriding the media drops them
+ * unless the override has its own.
+ * @param {Object} post - scheduled_posts or post_series row
+ * @param {string} platform - One of PLATFORMS
+ * @returns {Object} The post with the overridden fields replaced
+ */
+export function getPlatformPost(post, platform) {
+  const override = post.platform_overrides?.[platform]
+  if (!override) return post
+
+  const platformPost = { ...post }
+  for (const field of OVERRIDE_FIELDS) {
+    if (override[field] !== undefined && override[field] !== null) platformPost[field] = override[field]
+  }
+  if (override.media_urls && !override.media_captions) platformPost.media_captions = []
+  return platformPost
+}
+
+/**
+ * Facebook attaches the link as a preview card to text posts; posts with media show it in the caption
+ * @param {Object} post - Post with the platform's overrides applied
+ * @returns {boolean}
+ */
+export const hasLinkAttachment = post => !!post.link_url && !(post.media_urls?.length > 0)
+
+/**
+ * Caption the platform publishes: the content, the hashtags it doesn't already
+ * contain and, for Facebook posts with media, the link. Instagram captions don't
+ * make links clickable, so the link is left out there.
+ * @param {Object} post - Post with the platform's overrides applied
+ * @param {string} platform - One of PLATFORMS
+ * @returns {string}
+ */
+export function buildCaption(post, platform) {
+  const content = (post.content || '').trim()
+  const used = new Set((content.match(/#[^\s#]+/g) || []).map(tag => tag.toLowerCase()))
+  const hashtags = parseHashtags((post.hashtags || []).join(' '))
+    .filter(tag => !used.has(tag.toLowerCase()))
+
+  const parts = [content]
+  if (platform === 'facebook' && post.link_url && !hasLinkAttachment(post) && !content.includes(post.link_url)) {
+    parts.push(post.link_url)
+  }
+  if (hashtags.length > 0) parts.push(hashtags.join(' '))
+
+  return parts.filter(Boolean).join('\n\n')
+}
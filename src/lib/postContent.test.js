@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest'
+import { buildCaption, getPlatformPost, hasLinkAttachment, parseHashtags } from './postContent'
+
+describe('parseHashtags', () => {
+  it('adds the # and drops repeats whatever their case', () => {
+    expect(parseHashtags('pizza, #Friday #pizza ##Pizza  deals')).toEqual(['#pizza', '#Friday', '#deals'])
+    expect(parseHashtags('')).toEqual([])
+  })
+})
+
+describe('getPlatformPost', () => {
+  const post = {
+    content: 'Fresh bread',
+    media_urls: ['a.jpg', 'b.jpg'],
+    media_captions: ['Rye', 'Sourdough'],
+    platform_overrides: {
+      instagram: { content: 'Fresh bread 🍞', media_urls: ['square.jpg'] },
+      facebook: { content: null }
+    }
+  }
+
+  it("applies a platform's overrides and drops captions of replaced media", () => {
+    expect(getPlatformPost(post, 'instagram')).toMatchObject({
+      content: 'Fresh bread 🍞',
+      media_urls: ['square.jpg'],
+      media_captions: []
+    })
+  })
+
+  it('keeps fields the override leaves empty', () => {
+    expect(getPlatformPost(post, 'facebook')).toMatchObject({ content: 'Fresh bread', media_captions: ['Rye', 'Sourdough'] })
+    expect(getPlatformPost({ content: 'Plain' }, 'facebook')).toEqual({ content: 'Plain' })
+  })
+})
+
+describe('buildCaption', () => {
+  it("appends hashtags the content doesn't use yet", () => {
+    expect(buildCaption({ content: 'Open late on #Friday ', hashtags: ['#friday', 'pizza'] }, 'instagram'))
+      .toBe('Open late on #Friday\n\n#pizza')
+  })
+
+  it('adds the link to Facebook captions of posts with media', () => {
+    const post = { content: 'New menu', media_urls: ['menu.jpg'], link_url: 'https://example.com/menu', hashtags: ['food'] }
+
+    expect(hasLinkAttachment(post)).toBe(false)
+    expect(buildCaption(post, 'facebook')).toBe('New menu\n\nhttps://example.com/menu\n\n#food')
+    expect(buildCaption(post, 'instagram')).toBe('New menu\n\n#food')
+  })
+
+  it('leaves the link to the preview card on Facebook text posts', () => {
+    const post = { content: 'New menu', link_url: 'https://example.com/menu' }
+
+    expect(hasLinkAttachment(post)).toBe(true)
+    expect(buildCaption(post, 'facebook')).toBe('New menu')
+  })
+})
@@ -0,0 +1,396 @@
+// Post Insights for LocalSocial
+// Runs inside the sync-post-insights Netlify scheduled function with a
+// service-role Supabase client. Pulls likes, comments, shares, saves, reach,
+// impressions and video views of published posts into post_analytics: often
+// right after publishing, less often as a post ages, then not at all once the
+// numbers have settled. Posts deleted on the platform keep their last numbers.
+// Each pull is also kept in post_analytics_snapshots, and every account's
+// follower count is recorded once a day in follower_counts.
+
+import { facebookAPI, RateLimitError } from './facebook'
+import { isVideo, POST_FORMAT } from './media'
+import { getPlatformPost } from './postContent'
+import { getAccessTokens } from './socialAccountStore'
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// How often a post's insights are pulled, by its age
+export const INSIGHTS_SYNC_INTERVALS = [
+  { untilAge: 6 * HOUR_MS, every: HOUR_MS },
+  { untilAge: DAY_MS, every: 3 * HOUR_MS },
+  { untilAge: 3 * DAY_MS, every: 12 * HOUR_MS },
+  { untilAge: 7 * DAY_MS, every: DAY_MS },
+  { untilAge: 30 * DAY_MS, every: 7 * DAY_MS }
+]
+
+// First pull after publishing
+export const FIRST_INSIGHTS_SYNC_MS = HOUR_MS
+
+// Instagram drops story insights after 24 hours, so the last pull comes just before
+const STORY_INSIGHTS_MS = 23 * HOUR_MS
+
+// Graph API error for an object that no longer exists
+const DELETED_ERROR = { code: 100, subcode: 33 }
+
+const round2 = value => Math.round(value * 100) / 100
+
+// Rates are DECIMAL(5,2) percentages
+const percent = (part, whole) => whole > 0 ? Math.min(999.99, round2(part / whole * 100)) : 0
+
+/**
+ * When to pull a post's insights next
+ * @param {string|Date} postedAt - When the post was published
+ * @param {Object} options
+ * @param {number} [options.now]
+ * @param {boolean} [options.story] - Instagram story, whose insights last a day
+ * @returns {Date|null} null once the post is done syncing
+ */
+export function getNextInsightsSync(postedAt, { now = Date.now(), story = false } = {}) {
+  const posted = new Date(postedAt).getTime()
+  const age = now - posted
+  const lastSyncAt = posted + (story ? STORY_INSIGHTS_MS : INSIGHTS_SYNC_INTERVALS[INSIGHTS_SYNC_INTERVALS.length - 1].untilAge)
+
+  if (now >= lastSyncAt) return null
+
+  const interval = INSIGHTS_SYNC_INTERVALS.find(step => age < step.untilAge)
+  return new Date(Math.min(now + interval.every, lastSyncAt))
+}
+
+/**
+ * Rates shown in analytics, as percentages
+ * Engagement is per person reached, falling back to impressions when reach is unknown.
+ * @param {import('./facebook').PostInsights} insights
+ * @returns {{engagement_rate: number, click_through_rate: number, save_rate: number}}
+ */
+export function calculateRates({ likes, comments, shares, saves, clicks, reach, impressions }) {
+  return {
+    engagement_rate: percent(likes + comments + shares + saves, reach || impressions),
+    click_through_rate: percent(clicks, impressions),
+    save_rate: percent(saves, reach)
+  }
+}
+
+const isDeletedError = error => error.code === DELETED_ERROR.code && error.subcode === DELETED_ERROR.subcode
+
+export class PostInsightsSync {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.batchSize = options.batchSize || 25
+  }
+
+  /**
+   * Pull insights of the posts due longest ago
+   * @returns {Promise<Object>} Count of accounts per outcome
+   */
+  async syncDuePosts() {
+    const { data: posts, error } = await this.supabase
+      .from('scheduled_posts')
+      .select('id, post_format, media_urls, platform_overrides, posted_at, platform_posts')
+      .lte('insights_sync_at', new Date().toISOString())
+      .order('insights_sync_at', { ascending: true })
+      .limit(this.batchSize)
+
+    if (error) {
+      throw new Error(`Failed to fetch posts due for insights: ${error.message}`)
+    }
+
+    const summary = { posts: 0, synced: 0, deleted: 0, failed: 0 }
+    if (!posts || posts.length === 0) {
+      return summary
+    }
+
+    const accountIds = [...new Set(posts.flatMap(post => Object.keys(post.platform_posts || {})))]
+    const [accounts, deleted] = await Promise.all([
+      this.loadAccounts(accountIds),
+      this.loadDeleted(posts.map(post => post.id))
+    ])
+
+    for (const post of posts) {
+      try {
+        const outcomes = await this.syncPost(post, accounts, deleted)
+        summary.posts++
+        for (const outcome of outcomes) {
+          summary[outcome]++
+        }
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          // This post and the rest stay due for the next run
+          console.warn(`Rate limited while pulling insights, stopping: ${error.message}`)
+          summary.rate_limited = true
+          break
+        }
+        console.error(`Error pulling insights for post ${post.id}:`, error.message)
+        summary.failed++
+      }
+    }
+
+    console.log('Post insights sync finished:', summary)
+    return summary
+  }
+
+  /**
+   * Active accounts with their access tokens
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async loadAccounts(accountIds) {
+    if (accountIds.length === 0) {
+      return new Map()
+    }
+
+    const { data: accounts, error } = await this.supabase
+      .from('social_accounts')
+      .select('id, platform, platform_account_id, facebook_page_id')
+      .in('id', accountIds)
+      .eq('is_active', true)
+      .eq('status', 'active')
+
+    if (error) {
+      throw new Error(`Failed to fetch social accounts: ${error.message}`)
+    }
+
+    const tokens = await getAccessTokens(this.supabase, (accounts || []).map(account => account.id))
+    return new Map((accounts || [])
+      .filter(account => tokens.has(account.id))
+      .map(account => [account.id, { ...account, access_token: tokens.get(account.id) }]))
+  }
+
+  /**
+   * Posts already found deleted, as "postId:accountId" keys
+   * @returns {Promise<Set<string>>}
+   */
+  async loadDeleted(postIds) {
+    const { data, error } = await this.supabase
+      .from('post_analytics')
+      .select('scheduled_post_id, social_account_id')
+      .in('scheduled_post_id', postIds)
+      .not('platform_deleted_at', 'is', null)
+
+    if (error) {
+      throw new Error(`Failed to fetch post analytics: ${error.message}`)
+    }
+
+    return new Set((data || []).map(row => `${row.scheduled_post_id}:${row.social_account_id}`))
+  }
+
+  /**
+   * Pull and store the insights of each account a post was published to, then
+   * schedule the next pull
+   * @returns {Promise<string[]>} Outcome per account: synced, deleted or failed
+   */
+  async syncPost(post, accounts, deleted) {
+    const now = new Date()
+    const rows = []
+    const outcomes = []
+    let live = 0
+
+    for (const [accountId, entry] of Object.entries(post.platform_posts || {})) {
+      if (entry.status !== 'posted' || !entry.post_id || deleted.has(`${post.id}:${accountId}`)) continue
+
+      const key = {
+        scheduled_post_id: post.id,
+        social_account_id: accountId,
+        platform: entry.platform,
+        platform_post_id: entry.post_id
+      }
+
+      // Disconnected accounts are retried in case they are reconnected in time
+      live++
+      const account = accounts.get(accountId)
+      if (!account) {
+        rows.push({ ...key, sync_error: 'Account is not connected' })
+        outcomes.push('failed')
+        continue
+      }
+
+      try {
+        const insights = await this.fetchInsights(post, account, entry.post_id)
+        rows.push({
+          ...key,
+          likes: insights.likes,
+          comments: insights.comments,
+          shares: insights.shares,
+          saves: insights.saves,
+          clicks: insights.clicks,
+          reach: insights.reach,
+          impressions: insights.impressions,
+          ...calculateRates(insights),
+          total_video_views: insights.video_views,
+          average_watch_time_seconds: Math.round(insights.avg_watch_time_ms / 1000),
+          last_updated_at: now.toISOString(),
+          sync_error: null
+        })
+        outcomes.push('synced')
+      } catch (error) {
+        if (error instanceof RateLimitError) throw error
+
+        if (isDeletedError(error)) {
+          // Keep the last numbers; there is nothing more to pull
+          rows.push({ ...key, platform_deleted_at: now.toISOString(), sync_error: `Post was deleted on ${entry.platform}` })
+          outcomes.push('deleted')
+          live--
+        } else {
+          console.error(`Error pulling insights for post ${post.id} on account ${accountId}:`, error.message)
+          rows.push({ ...key, sync_error: error.message })
+          outcomes.push('failed')
+        }
+      }
+    }
+
+    // One at a time: rows in a batch share columns, and a failed pull must not blank the last numbers
+    for (const row of rows) {
+      const { data: saved, error } = await this.supabase
+        .from('post_analytics')
+        .upsert(row, { onConflict: 'scheduled_post_id,social_account_id' })
+        .select('id')
+        .single()
+
+      if (error) {
+        throw new Error(`Failed to save post analytics: ${error.message}`)
+      }
+
+      if (row.last_updated_at) {
+        await this.saveSnapshot(saved.id, row)
+      }
+    }
+
+    const nextSync = live > 0
+      ? getNextInsightsSync(post.posted_at, { now: now.getTime(), story: post.post_format === POST_FORMAT.STORY })
+      : null
+
+    const { error } = await this.supabase
+      .from('scheduled_posts')
+      .update({ insights_sync_at: nextSync?.toISOString() || null })
+      .eq('id', post.id)
+
+    if (error) {
+      throw new Error(`Failed to schedule the next insights pull: ${error.message}`)
+    }
+
+    return outcomes
+  }
+
+  /**
+   * Keep a pull's numbers for the post's history
+   */
+  async saveSnapshot(postAnalyticsId, row) {
+    const { error } = await this.supabase
+      .from('post_analytics_snapshots')
+      .insert({
+        post_analytics_id: postAnalyticsId,
+        recorded_at: row.last_updated_at,
+        likes: row.likes,
+        comments: row.comments,
+        shares: row.shares,
+        saves: row.saves,
+        clicks: row.clicks,
+        reach: row.reach,
+        impressions: row.impressions,
+        engagement_rate: row.engagement_rate,
+        total_video_views: row.total_video_views
+      })
+
+    if (error) {
+      throw new Error(`Failed to save analytics snapshot: ${error.message}`)
+    }
+  }
+
+  /**
+   * Record today's follower count of the accounts not yet counted today
+   * @returns {Promise<Object>} Count of accounts per outcome
+   */
+  async recordFollowerCounts() {
+    const today = new Date().toISOString().slice(0, 10)
+
+    const { data: accounts, error } = await this.supabase
+      .from('social_accounts')
+      .select('id, organization_id, platform, platform_account_id, facebook_page_id')
+      .eq('is_active', true)
+      .eq('status', 'active')
+      .or(`last_sync_at.is.null,last_sync_at.lt.${today}`)
+      .order('last_sync_at', { ascending: true, nullsFirst: true })
+      .limit(this.batchSize)
+
+    if (error) {
+      throw new Error(`Failed to fetch social accounts: ${error.message}`)
+    }
+
+    const summary = { recorded: 0, failed: 0 }
+    if (!accounts || accounts.length === 0) {
+      return summary
+    }
+
+    const tokens = await getAccessTokens(this.supabase, accounts.map(account => account.id))
+
+    for (const account of accounts) {
+      let followerCount = null
+      try {
+        followerCount = await facebookAPI.getFollowerCount(account.platform_account_id, tokens.get(account.id), {
+          platform: account.platform,
+          pageId: account.facebook_page_id
+        })
+
+        const { error: countError } = await this.supabase
+          .from('follower_counts')
+          .upsert({
+            organization_id: account.organization_id,
+            social_account_id: account.id,
+            recorded_on: today,
+            follower_count: followerCount
+          }, { onConflict: 'social_account_id,recorded_on' })
+
+        if (countError) {
+          throw new Error(`Failed to save follower count: ${countError.message}`)
+        }
+        summary.recorded++
+      } catch (countError) {
+        if (countError instanceof RateLimitError) {
+          console.warn(`Rate limited while counting followers, stopping: ${countError.message}`)
+          summary.rate_limited = true
+          break
+        }
+        console.error(`Error counting followers of account ${account.id}:`, countError.message)
+        summary.failed++
+      }
+
+      // Failed accounts are tried again tomorrow rather than on every run
+      const { error: updateError } = await this.supabase
+        .from('social_accounts')
+        .update({
+          last_sync_at: new Date().toISOString(),
+          ...(followerCount !== null && { follower_count: followerCount })
+        })
+        .eq('id', account.id)
+
+      if (updateError) {
+        console.error(`Failed to update account ${account.id}:`, updateError.message)
+      }
+    }
+
+    return summary
+  }
+
+  /**
+   * Insights of one published post, read the way it was published
+   * @returns {Promise<import('./facebook').PostInsights>}
+   */
+  async fetchInsights(post, account, platformPostId) {
+    const mediaUrls = getPlatformPost(post, account.platform).media_urls || []
+    const singleVideo = mediaUrls.length === 1 && isVideo(mediaUrls[0])
+
+    if (account.platform === 'instagram') {
+      const kind = post.post_format === POST_FORMAT.STORY
+        ? 'STORY'
+        : post.post_format === POST_FORMAT.REEL || singleVideo ? 'REELS' : 'FEED'
+      return await facebookAPI.getInstagramMediaInsights(account.platform_account_id, platformPostId, account.access_token, {
+        kind,
+        pageId: account.facebook_page_id
+      })
+    }
+
+    // Videos and reels are published as video objects, everything else as Page posts
+    return singleVideo
+      ? await facebookAPI.getPageVideoInsights(account.platform_account_id, platformPostId, account.access_token)
+      : await facebookAPI.getPagePostInsights(account.platform_account_id, platformPostId, account.access_token)
+  }
+}
@@ -0,0 +1,193 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest'
+import { createLocalDatabase, createServiceClient, signUp } from '../../test/localDatabase'
+import { calculateRates, getNextInsightsSync, PostInsightsSync } from './postInsights'
+import { saveSocialAccount } from './socialAccountStore'
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const posted = Date.parse('2026-10-19T12:00:00Z')
+
+describe('getNextInsightsSync', () => {
+  it('pulls often at first and less often as the post ages', () => {
+    expect(getNextInsightsSync(posted, { now: posted + HOUR })).toEqual(new Date(posted + 2 * HOUR))
+    expect(getNextInsightsSync(posted, { now: posted + 12 * HOUR })).toEqual(new Date(posted + 15 * HOUR))
+    expect(getNextInsightsSync(posted, { now: posted + 2 * DAY })).toEqual(new Date(posted + 2.5 * DAY))
+    expect(getNextInsightsSync(posted, { now: posted + 28 * DAY })).toEqual(new Date(posted + 30 * DAY))
+  })
+
+  it('stops after 30 days, or just before a story disappears', () => {
+    expect(getNextInsightsSync(posted, { now: posted + 30 * DAY })).toBeNull()
+    expect(getNextInsightsSync(posted, { now: posted + 22.5 * HOUR, story: true })).toEqual(new Date(posted + 23 * HOUR))
+    expect(getNextInsightsSync(posted, { now: posted + 23 * HOUR, story: true })).toBeNull()
+  })
+})
+
+describe('calculateRates', () => {
+  it('rates engagement per person reached, or per impression without reach', () => {
+    const insights = { likes: 30, comments: 5, shares: 3, saves: 2, clicks: 8, reach: 400, impressions: 800 }
+
+    expect(calculateRates(insights)).toEqual({ engagement_rate: 10, click_through_rate: 1, save_rate: 0.5 })
+    expect(calculateRates({ ...insights, reach: 0 })).toEqual({ engagement_rate: 5, click_through_rate: 1, save_rate: 0 })
+  })
+})
+
+describe('PostInsightsSync', () => {
+  let database
+  let supabase
+  let owner
+  let page
+  let instagram
+
+  // Graph API responses by object ID
+  const graph = new Map()
+
+  beforeAll(async () => {
+    database = await createLocalDatabase()
+    await database.pg.query("SELECT set_config('app.jwt_secret', 'local-test-secret', false)")
+    supabase = createServiceClient(database)
+    owner = await signUp(database.pg)
+
+    const account = fields => ({
+      organizationId: owner.organizationId,
+      userId: owner.userId,
+      platformAccountId: crypto.randomUUID(),
+      accessToken: 'page-token',
+      ...fields
+    })
+    page = await saveSocialAccount(supabase, account({ platform: 'facebook', accountName: 'Corner Bakery' }))
+    instagram = await saveSocialAccount(supabase, account({ platform: 'instagram', accountName: '@cornerbakery' }))
+
+    vi.stubGlobal('fetch', vi.fn(async url => {
+      const objectId = new URL(url).pathname.split('/').pop()
+      const { status = 200, body } = graph.get(objectId)
+      return new Response(JSON.stringify(body), { status })
+    }))
+  })
+
+  afterEach(() => {
+    graph.clear()
+    vi.restoreAllMocks()
+  })
+
+  afterAll(async () => {
+    vi.unstubAllGlobals()
+    await database?.close()
+  })
+
+  const seedPublishedPost = async (platformPosts, fields = {}) => {
+    const { rows: [post] } = await database.pg.query(
+      `INSERT INTO scheduled_posts (organization_id, user_id, social_account_ids, content, status, scheduled_for, posted_at, insights_sync_at, platform_posts)
+       VALUES ($1, $2, $3, 'Fresh sourdough out of the oven', 'posted', $4, $4, $5, $6) RETURNING id`,
+      [
+        owner.organizationId,
+        owner.userId,
+        Object.keys(platformPosts),
+        fields.postedAt || new Date(Date.now() - 2 * HOUR),
+        new Date(Date.now() - 60000),
+        platformPosts
+      ]
+    )
+    return post.id
+  }
+
+  const getAnalytics = async postId => (await database.pg.query(
+    'SELECT * FROM post_analytics WHERE scheduled_post_id = $1 ORDER BY platform', [postId]
+  )).rows
+
+  it("stores each account's insights and schedules the next pull", async () => {
+    const postId = await seedPublishedPost({
+      [page]: { platform: 'facebook', status: 'posted', post_id: 'page_111' },
+      [instagram]: { platform: 'instagram', status: 'posted', post_id: '222' }
+    })
+    graph.set('page_111', {
+      body: {
+        reactions: { summary: { total_count: 30 } },
+        comments: { summary: { total_count: 5 } },
+        shares: { count: 3 },
+        insights: {
+          data: [
+            { name: 'post_impressions', values: [{ value: 800 }] },
+            { name: 'post_impressions_unique', values: [{ value: 400 }] },
+            { name: 'post_clicks', values: [{ value: 8 }] }
+          ]
+        }
+      }
+    })
+    graph.set('222', {
+      body: {
+        like_count: 12,
+        comments_count: 2,
+        insights: {
+          data: [
+            { name: 'impressions', values: [{ value: 300 }] },
+            { name: 'reach', values: [{ value: 200 }] },
+            { name: 'saved', values: [{ value: 4 }] },
+            { name: 'shares', total_value: { value: 2 } }
+          ]
+        }
+      }
+    })
+
+    const summary = await new PostInsightsSync(supabase).syncDuePosts()
+
+    expect(summary).toEqual({ posts: 1, synced: 2, deleted: 0, failed: 0 })
+    expect(await getAnalytics(postId)).toEqual([
+      expect.objectContaining({
+        social_account_id: page,
+        platform_post_id: 'page_111',
+        likes: 30,
+        comments: 5,
+        shares: 3,
+        clicks: 8,
+        reach: 400,
+        impressions: 800,
+        engagement_rate: '9.50',
+        sync_error: null
+      }),
+      expect.objectContaining({
+        social_account_id: instagram,
+        platform_post_id: '222',
+        likes: 12,
+        comments: 2,
+        shares: 2,
+        saves: 4,
+        reach: 200,
+        impressions: 300,
+        engagement_rate: '10.00'
+      })
+    ])
+
+    const { rows: [post] } = await database.pg.query('SELECT insights_sync_at FROM scheduled_posts WHERE id = $1', [postId])
+    expect(post.insights_sync_at.getTime()).toBeGreaterThan(Date.now())
+  })
+
+  it('keeps the last numbers of a post deleted on the platform and stops pulling it', async () => {
+    const postId = await seedPublishedPost({ [page]: { platform: 'facebook', status: 'posted', post_id: 'page_333' } })
+    await database.pg.query(
+      `INSERT INTO post_analytics (scheduled_post_id, social_account_id, platform, platform_post_id, likes)
+       VALUES ($1, $2, 'facebook', 'page_333', 17)`,
+      [postId, page]
+    )
+    graph.set('page_333', { status: 400, body: { error: { message: 'Object does not exist', code: 100, error_subcode: 33 } } })
+
+    expect(await new PostInsightsSync(supabase).syncDuePosts()).toEqual({ posts: 1, synced: 0, deleted: 1, failed: 0 })
+
+    const [analytics] = await getAnalytics(postId)
+    expect(analytics).toMatchObject({ likes: 17, sync_error: 'Post was deleted on facebook' })
+    expect(analytics.platform_deleted_at).toBeInstanceOf(Date)
+
+    const { rows: [post] } = await database.pg.query('SELECT insights_sync_at FROM scheduled_posts WHERE id = $1', [postId])
+    expect(post.insights_sync_at).toBeNull()
+  })
+
+  it('leaves posts due when the Graph API is rate limited', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const postId = await seedPublishedPost({ [instagram]: { platform: 'instagram', status: 'posted', post_id: '444' } })
+    graph.set('444', { status: 400, body: { error: { message: 'Application request limit reached', code: 4 } } })
+
+    expect(await new PostInsightsSync(supabase).syncDuePosts()).toMatchObject({ posts: 0, rate_limited: true })
+
+    const { rows: [post] } = await database.pg.query('SELECT insights_sync_at FROM scheduled_posts WHERE id = $1', [postId])
+    expect(post.insights_sync_at.getTime()).toBeLessThan(Date.now())
+  })
+})
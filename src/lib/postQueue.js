@@ -1,422 +1,471 @@
 // Post Queue System for LocalSocial
-// Handles scheduled post processing, background simulation, and status tracking
+// Browser-side queue management: enqueue posts and observe their status.
+// Publishing happens server-side in the process-post-queue Netlify function.
 
-import { facebookAPI, FacebookAPIError, RateLimitError } from './facebook'
+import { POST_FORMAT } from './media'
 import { db, supabase } from './supabase'
+import { POST_STATUS, ERROR_TYPES, PostQueueError } from './postStatus'
+import { getRuleIssue } from './recurrence'
+import { CALENDAR_ITEM_STATUS, getPlannedTime, MOVABLE_POST_STATUSES } from './calendar'
+import { materializeSeries, endSeries } from './postSeries'
+import { getLocalTimeZone } from './timezone'
+import { APPROVAL_STATUS } from './approvals'
+
+// Posts belong to the user's organization
+const getOrganizationId = async (userId) => {
+  const { profile, error } = await db.getProfile(userId)
+
+  if (error || !profile?.organization_id) {
+    throw new PostQueueError('Could not find your organization', ERROR_TYPES.MISSING_ACCOUNT)
+  }
 
-// Post processing statuses
-export const POST_STATUS = {
-  SCHEDULED: 'scheduled',
-  PROCESSING: 'processing',
-  POSTING: 'posting',
-  POSTED: 'posted',
-  FAILED: 'failed',
-  CANCELLED: 'cancelled'
+  return profile.organization_id
 }
 
-// Error types for better error handling
-export const ERROR_TYPES = {
-  RATE_LIMIT: 'rate_limit',
-  API_ERROR: 'api_error',
-  NETWORK_ERROR: 'network_error',
-  INVALID_TOKEN: 'invalid_token',
-  MISSING_ACCOUNT: 'missing_account',
-  INVALID_CONTENT: 'invalid_content',
-  UNKNOWN: 'unknown'
+// Check the target accounts and find the organization posts are created in
+const getPostOwner = async (userId, socialAccountIds) => {
+  const accountIds = Array.isArray(socialAccountIds) ? socialAccountIds : [socialAccountIds]
+
+  if (accountIds.length === 0) {
+    throw new PostQueueError('Select at least one social account', ERROR_TYPES.MISSING_ACCOUNT)
+  }
+
+  return {
+    organization_id: await getOrganizationId(userId),
+    user_id: userId,
+    social_account_ids: accountIds
+  }
 }
 
-class PostQueueError extends Error {
-  constructor(message, type = ERROR_TYPES.UNKNOWN, retryable = false) {
-    super(message)
-    this.name = 'PostQueueError'
-    this.type = type
-    this.retryable = retryable
+// Content columns shared by posts and recurring series
+const getPostContent = (postData) => ({
+  content: postData.content,
+  media_urls: postData.media_urls || [],
+  media_captions: postData.media_captions || [],
+  post_format: postData.post_format || POST_FORMAT.FEED,
+  format_options: postData.format_options || null,
+  native_scheduling: !!postData.native_scheduling,
+  hashtags: postData.hashtags || [],
+  location_name: postData.location_name || null,
+  location_id: postData.location_id || null,
+  link_url: postData.link_url || null,
+  platform_overrides: postData.platform_overrides || null
+})
+
+// Find one of the user's recurring occurrences
+const getOccurrence = async (postId, userId) => {
+  const { post } = await db.getScheduledPost(postId)
+
+  if (!post || post.user_id !== userId) {
+    throw new PostQueueError('Post not found or access denied', ERROR_TYPES.MISSING_ACCOUNT)
+  }
+
+  if (!post.series_id) {
+    throw new PostQueueError('Post is not part of a recurring series', ERROR_TYPES.INVALID_CONTENT)
   }
+
+  return post
 }
 
-// Queue processor class
-class PostQueueProcessor {
-  constructor() {
-    this.isProcessing = false
-    this.processInterval = null
-    this.retryDelays = [30000, 60000, 300000, 900000] // 30s, 1m, 5m, 15m
-    this.maxRetries = 3
-    
-    // Start processing on instantiation
-    this.startProcessing()
+// Find one of the user's drafts
+const getDraft = async (draftId, userId) => {
+  const { post } = await db.getScheduledPost(draftId)
+
+  if (!post || post.user_id !== userId) {
+    throw new PostQueueError('Draft not found or access denied', ERROR_TYPES.MISSING_ACCOUNT)
   }
 
-  /**
-   * Start the background queue processor
-   */
-  startProcessing() {
-    if (this.processInterval) {
-      clearInterval(this.processInterval)
-    }
-    
-    // Process queue every 30 seconds
-    this.processInterval = setInterval(() => {
-      this.processQueue()
-    }, 30000)
-    
-    // Also process immediately
-    this.processQueue()
-    
-    console.log('Post queue processor started')
+  if (post.status !== POST_STATUS.DRAFT) {
+    throw new PostQueueError('This post is no longer a draft', ERROR_TYPES.INVALID_CONTENT)
   }
 
+  return post
+}
+
+// Queue management functions
+export const postQueue = {
   /**
-   * Stop the background queue processor
+   * Add a new post to the queue
+   * @param {string} userId - Owner of the post
+   * @param {string|Array<string>} socialAccountIds - Account(s) to cross-post to
+   * @param {Object} postData - Post content, scheduled_for, the timezone it was chosen in and
+   *   optimal_time_suggested, the best time the composer offered
    */
-  stopProcessing() {
-    if (this.processInterval) {
-      clearInterval(this.processInterval)
-      this.processInterval = null
+  async addPost(userId, socialAccountIds, postData) {
+    try {
+      const post = {
+        ...await getPostOwner(userId, socialAccountIds),
+        ...getPostContent(postData),
+        template_id: postData.template_id || null,
+        scheduled_for: postData.scheduled_for,
+        timezone: postData.timezone || getLocalTimeZone(),
+        optimal_time_suggested: postData.optimal_time_suggested || null,
+        status: POST_STATUS.SCHEDULED
+      }
+
+      const { post: createdPost, error } = await db.createScheduledPost(post)
+      
+      if (error) {
+        throw new PostQueueError(`Failed to create scheduled post: ${error.message}`)
+      }
+
+      console.log(`Added post to queue: ${createdPost.id}`)
+      return createdPost
+
+    } catch (error) {
+      console.error('Error adding post to queue:', error)
+      throw error
     }
-    console.log('Post queue processor stopped')
-  }
+  },
 
   /**
-   * Process the queue - find and process due posts
+   * Add a recurring series and queue its upcoming occurrences
+   * postData.scheduled_for is the first occurrence; its local time in
+   * postData.timezone (default: the browser's) is kept for all of them.
+   * @param {string} userId - Owner of the series
+   * @param {string|Array<string>} socialAccountIds - Account(s) to cross-post to
+   * @param {Object} postData - Post content, first occurrence and recurrence_rule
    */
-  async processQueue() {
-    if (this.isProcessing) {
-      return // Prevent concurrent processing
-    }
-
-    this.isProcessing = true
-
+  async addSeries(userId, socialAccountIds, postData) {
     try {
-      // Get posts that are due for processing
-      const duePosts = await this.getDuePosts()
-      
-      if (duePosts.length === 0) {
-        return
+      const ruleIssue = getRuleIssue(postData.recurrence_rule)
+      if (ruleIssue) {
+        throw new PostQueueError(`Invalid repeat schedule: ${ruleIssue}`, ERROR_TYPES.INVALID_CONTENT)
       }
 
-      console.log(`Processing ${duePosts.length} due posts`)
+      const { series, error } = await db.createPostSeries({
+        ...await getPostOwner(userId, socialAccountIds),
+        ...getPostContent(postData),
+        template_id: postData.template_id || null,
+        recurrence_rule: postData.recurrence_rule,
+        starts_at: postData.scheduled_for,
+        timezone: postData.timezone || getLocalTimeZone()
+      })
 
-      // Process posts concurrently but with rate limiting
-      const processingPromises = duePosts.map(post => 
-        this.processPost(post).catch(error => {
-          console.error(`Error processing post ${post.id}:`, error)
-          return null // Don't let one failure stop others
-        })
-      )
+      if (error) {
+        throw new PostQueueError(`Failed to create recurring post: ${error.message}`)
+      }
 
-      await Promise.all(processingPromises)
+      // The queue tops series up too; materializing now shows the occurrences right away
+      const count = await materializeSeries(supabase, series)
+
+      console.log(`Added series ${series.id} with ${count} upcoming posts`)
+      return series
 
     } catch (error) {
-      console.error('Error in queue processing:', error)
-    } finally {
-      this.isProcessing = false
+      console.error('Error adding series:', error)
+      throw error
     }
-  }
+  },
 
   /**
-   * Get posts that are due for processing
+   * Save a draft, creating it on the first save
+   * Drafts may have no accounts and no time yet; the queue never publishes them.
+   * @param {string} userId - Owner of the draft
+   * @param {Object} postData - Post content, and social_account_ids and scheduled_for if chosen
+   * @param {string|null} draftId - Draft to update; null creates one
    */
-  async getDuePosts() {
+  async saveDraft(userId, postData, draftId = null) {
     try {
-      // Get posts scheduled for now or earlier that haven't been processed
-      const now = new Date().toISOString()
-      
-      // Query database for due posts
-      const { data, error } = await supabase
-        .from('scheduled_posts')
-        .select(`
-          *,
-          social_accounts (
-            id,
-            platform,
-            account_id,
-            access_token,
-            is_active
-          )
-        `)
-        .eq('status', POST_STATUS.SCHEDULED)
-        .lte('scheduled_for', now)
-        .eq('social_accounts.is_active', true)
-        .limit(10) // Process max 10 posts at a time
+      const draft = {
+        ...getPostContent(postData),
+        social_account_ids: postData.social_account_ids || [],
+        scheduled_for: postData.scheduled_for || null,
+        timezone: postData.timezone || getLocalTimeZone()
+      }
+
+      if (draftId) {
+        await getDraft(draftId, userId)
+        const { post, error } = await db.updateScheduledPost(draftId, draft)
+
+        if (error) {
+          throw new PostQueueError(`Failed to save draft: ${error.message}`)
+        }
+        return post
+      }
+
+      const { post, error } = await db.createScheduledPost({
+        ...draft,
+        organization_id: await getOrganizationId(userId),
+        user_id: userId,
+        status: POST_STATUS.DRAFT
+      })
 
       if (error) {
-        throw new PostQueueError(`Failed to fetch due posts: ${error.message}`, ERROR_TYPES.UNKNOWN)
+        throw new PostQueueError(`Failed to save draft: ${error.message}`)
       }
 
-      return data || []
+      console.log(`Saved draft: ${post.id}`)
+      return post
+
     } catch (error) {
-      console.error('Error getting due posts:', error)
-      return []
+      console.error('Error saving draft:', error)
+      throw error
     }
-  }
+  },
 
   /**
-   * Process a single post
+   * Schedule a draft with its final content, accounts and time
+   * @param {string} draftId - Draft to schedule
+   * @param {string} userId - Owner of the draft
+   * @param {string|Array<string>} socialAccountIds - Account(s) to cross-post to
+   * @param {Object} postData - As for addPost
    */
-  async processPost(post) {
-    const startTime = Date.now()
-    
+  async scheduleDraft(draftId, userId, socialAccountIds, postData) {
     try {
-      // Update status to processing
-      await this.updatePostStatus(post.id, POST_STATUS.PROCESSING)
+      await getDraft(draftId, userId)
 
-      // Validate post data
-      this.validatePost(post)
-
-      // Process based on platform
-      const result = await this.publishPost(post)
+      if (!postData.scheduled_for) {
+        throw new PostQueueError('Choose when to post this draft', ERROR_TYPES.INVALID_CONTENT)
+      }
 
-      // Update post with success status
-      await this.updatePostStatus(post.id, POST_STATUS.POSTED, {
-        platform_post_id: result.platform_post_id,
-        error_message: null
+      const { social_account_ids } = await getPostOwner(userId, socialAccountIds)
+      const { post, error } = await db.updateScheduledPost(draftId, {
+        ...getPostContent(postData),
+        social_account_ids,
+        template_id: postData.template_id || null,
+        scheduled_for: postData.scheduled_for,
+        timezone: postData.timezone || getLocalTimeZone(),
+        optimal_time_suggested: postData.optimal_time_suggested || null,
+        status: POST_STATUS.SCHEDULED
       })
 
-      const duration = Date.now() - startTime
-      console.log(`Successfully posted to ${post.social_accounts.platform} (${duration}ms)`)
+      if (error) {
+        throw new PostQueueError(`Failed to schedule draft: ${error.message}`)
+      }
 
-      return result
+      console.log(`Scheduled draft: ${draftId}`)
+      return post
 
     } catch (error) {
-      console.error(`Failed to process post ${post.id}:`, error)
-      
-      // Handle retries
-      const shouldRetry = this.shouldRetryPost(post, error)
-      
-      if (shouldRetry) {
-        await this.scheduleRetry(post, error)
-      } else {
-        await this.updatePostStatus(post.id, POST_STATUS.FAILED, {
-          error_message: error.message
-        })
-      }
-
+      console.error('Error scheduling draft:', error)
       throw error
     }
-  }
+  },
 
   /**
-   * Validate post data before processing
+   * Delete a draft
    */
-  validatePost(post) {
-    if (!post.social_accounts) {
-      throw new PostQueueError('Social account not found', ERROR_TYPES.MISSING_ACCOUNT)
-    }
+  async deleteDraft(draftId, userId) {
+    try {
+      await getDraft(draftId, userId)
 
-    if (!post.social_accounts.is_active) {
-      throw new PostQueueError('Social account is inactive', ERROR_TYPES.MISSING_ACCOUNT)
-    }
+      const { error } = await db.deleteScheduledPost(draftId)
 
-    if (!post.content?.trim()) {
-      throw new PostQueueError('Post content is empty', ERROR_TYPES.INVALID_CONTENT)
-    }
+      if (error) {
+        throw new PostQueueError(`Failed to delete draft: ${error.message}`)
+      }
+
+      console.log(`Deleted draft: ${draftId}`)
+      return true
 
-    if (!post.social_accounts.access_token) {
-      throw new PostQueueError('Access token missing', ERROR_TYPES.INVALID_TOKEN, true)
+    } catch (error) {
+      console.error('Error deleting draft:', error)
+      throw error
     }
-  }
+  },
 
   /**
-   * Publish post to the appropriate platform
+   * Skip one occurrence of a series
+   * The cancelled occurrence stays behind so it isn't materialized again.
    */
-  async publishPost(post) {
-    const { social_accounts: account } = post
-    
-    switch (account.platform) {
-      case 'facebook':
-        return await this.publishToFacebook(post, account)
-      case 'instagram':
-        return await this.publishToInstagram(post, account)
-      default:
-        throw new PostQueueError(`Unsupported platform: ${account.platform}`, ERROR_TYPES.UNKNOWN)
+  async skipOccurrence(postId, userId) {
+    try {
+      const post = await getOccurrence(postId, userId)
+
+      if (post.status !== POST_STATUS.SCHEDULED) {
+        throw new PostQueueError('Only scheduled posts can be skipped', ERROR_TYPES.INVALID_CONTENT)
+      }
+
+      await db.updateScheduledPost(postId, {
+        status: POST_STATUS.CANCELLED,
+        error_details: { message: 'Skipped' }
+      })
+
+      console.log(`Skipped occurrence: ${postId}`)
+      return true
+
+    } catch (error) {
+      console.error('Error skipping occurrence:', error)
+      throw error
     }
-  }
+  },
 
   /**
-   * Publish to Facebook
+   * Put a skipped occurrence back in the queue
    */
-  async publishToFacebook(post, account) {
+  async restoreOccurrence(postId, userId) {
     try {
-      // Validate token before posting
-      const tokenValidation = await facebookAPI.validateToken(account.access_token)
-      if (!tokenValidation.valid) {
-        throw new PostQueueError('Facebook access token is invalid', ERROR_TYPES.INVALID_TOKEN, true)
-      }
+      const post = await getOccurrence(postId, userId)
 
-      let result
-      
-      // Check if post has media
-      if (post.media_urls && post.media_urls.length > 0) {
-        // Post with photo
-        result = await facebookAPI.publishPagePhoto(account.account_id, account.access_token, {
-          message: post.content,
-          url: post.media_urls[0], // Use first media URL
-          published: true
-        })
-      } else {
-        // Text-only post
-        result = await facebookAPI.publishPagePost(account.account_id, account.access_token, {
-          message: post.content,
-          published: true
-        })
+      if (post.status !== POST_STATUS.CANCELLED) {
+        throw new PostQueueError('Only skipped posts can be restored', ERROR_TYPES.INVALID_CONTENT)
       }
 
-      return {
-        platform_post_id: result.id || result.post_id,
-        platform: 'facebook'
+      if (new Date(post.scheduled_for) <= new Date()) {
+        throw new PostQueueError('This occurrence is already in the past', ERROR_TYPES.INVALID_CONTENT)
       }
 
+      await db.updateScheduledPost(postId, {
+        status: POST_STATUS.SCHEDULED,
+        error_details: null
+      })
+
+      console.log(`Restored occurrence: ${postId}`)
+      return true
+
     } catch (error) {
-      if (error instanceof RateLimitError) {
-        throw new PostQueueError(error.message, ERROR_TYPES.RATE_LIMIT, true)
-      } else if (error instanceof FacebookAPIError) {
-        const retryable = error.code !== 'OAuthException' // Don't retry auth errors
-        throw new PostQueueError(error.message, ERROR_TYPES.API_ERROR, retryable)
-      } else {
-        throw new PostQueueError(error.message, ERROR_TYPES.NETWORK_ERROR, true)
-      }
+      console.error('Error restoring occurrence:', error)
+      throw error
     }
-  }
+  },
 
   /**
-   * Publish to Instagram
+   * Change one occurrence of a series, e.g. a different time or text this week
+   * @param {string} postId - Occurrence to change
+   * @param {string} userId - Owner of the series
+   * @param {Object} updates - content and/or scheduled_for
    */
-  async publishToInstagram(post, account) {
+  async overrideOccurrence(postId, userId, updates) {
     try {
-      // Instagram requires media
-      if (!post.media_urls || post.media_urls.length === 0) {
-        throw new PostQueueError('Instagram posts require media', ERROR_TYPES.INVALID_CONTENT)
+      const post = await getOccurrence(postId, userId)
+
+      if (post.status !== POST_STATUS.SCHEDULED) {
+        throw new PostQueueError('Only scheduled posts can be edited', ERROR_TYPES.INVALID_CONTENT)
       }
 
-      // Validate token
-      const tokenValidation = await facebookAPI.validateToken(account.access_token)
-      if (!tokenValidation.valid) {
-        throw new PostQueueError('Instagram access token is invalid', ERROR_TYPES.INVALID_TOKEN, true)
+      if (updates.content !== undefined && !updates.content.trim()) {
+        throw new PostQueueError('Post content is empty', ERROR_TYPES.INVALID_CONTENT)
       }
 
-      // Step 1: Create media container
-      const creationResult = await facebookAPI.createInstagramPost(account.account_id, account.access_token, {
-        image_url: post.media_urls[0],
-        caption: post.content,
-        media_type: 'IMAGE'
+      const { error } = await db.updateScheduledPost(postId, {
+        ...(updates.content !== undefined && { content: updates.content }),
+        ...(updates.scheduled_for && { scheduled_for: updates.scheduled_for }),
+        series_override: true
       })
 
-      // Step 2: Publish the media
-      const publishResult = await facebookAPI.publishInstagramPost(
-        account.account_id,
-        creationResult.id,
-        account.access_token
-      )
-
-      return {
-        platform_post_id: publishResult.id,
-        platform: 'instagram'
+      if (error) {
+        throw new PostQueueError(`Failed to update post: ${error.message}`)
       }
 
+      console.log(`Overrode occurrence: ${postId}`)
+      return true
+
     } catch (error) {
-      if (error instanceof RateLimitError) {
-        throw new PostQueueError(error.message, ERROR_TYPES.RATE_LIMIT, true)
-      } else if (error instanceof FacebookAPIError) {
-        const retryable = error.code !== 'OAuthException'
-        throw new PostQueueError(error.message, ERROR_TYPES.API_ERROR, retryable)
-      } else {
-        throw new PostQueueError(error.message, ERROR_TYPES.NETWORK_ERROR, true)
-      }
+      console.error('Error overriding occurrence:', error)
+      throw error
     }
-  }
+  },
 
   /**
-   * Determine if a post should be retried
+   * Move a draft or scheduled post to another time, e.g. by dragging it in the calendar
+   * Moved occurrences of a series count as edited on their own.
+   * @param {string} postId - Post to move
+   * @param {Date|string} scheduledFor - New time
    */
-  shouldRetryPost(post, error) {
-    // Don't retry if not retryable
-    if (error instanceof PostQueueError && !error.retryable) {
-      return false
-    }
+  async reschedulePost(postId, scheduledFor) {
+    try {
+      // Row level security limits this to the organization's editors
+      const { post } = await db.getScheduledPost(postId)
 
-    // Don't retry if max retries reached
-    const retryCount = post.retry_count || 0
-    if (retryCount >= this.maxRetries) {
-      return false
-    }
+      if (!post) {
+        throw new PostQueueError('Post not found or access denied', ERROR_TYPES.MISSING_ACCOUNT)
+      }
 
-    // Don't retry content validation errors
-    if (error instanceof PostQueueError && error.type === ERROR_TYPES.INVALID_CONTENT) {
-      return false
-    }
+      if (!MOVABLE_POST_STATUSES.includes(post.status)) {
+        throw new PostQueueError('Only drafts and scheduled posts can be moved', ERROR_TYPES.INVALID_CONTENT)
+      }
 
-    return true
-  }
+      if (new Date(scheduledFor).getTime() < Date.now()) {
+        throw new PostQueueError('Posts can\'t be moved into the past', ERROR_TYPES.INVALID_CONTENT)
+      }
 
-  /**
-   * Schedule a post for retry
-   */
-  async scheduleRetry(post, error) {
-    const retryCount = (post.retry_count || 0) + 1
-    const delay = this.retryDelays[Math.min(retryCount - 1, this.retryDelays.length - 1)]
-    const retryTime = new Date(Date.now() + delay)
-
-    await db.updateScheduledPost(post.id, {
-      status: POST_STATUS.SCHEDULED,
-      scheduled_for: retryTime.toISOString(),
-      retry_count: retryCount,
-      error_message: `Retry ${retryCount}: ${error.message}`
-    })
-
-    console.log(`Scheduled retry ${retryCount} for post ${post.id} at ${retryTime.toISOString()}`)
-  }
+      const { post: movedPost, error } = await db.updateScheduledPost(postId, {
+        scheduled_for: new Date(scheduledFor).toISOString(),
+        // The user picked this time; posting rules may defer it again
+        deferred_from: null,
+        ...(post.series_id && { series_override: true })
+      })
 
-  /**
-   * Update post status in database
-   */
-  async updatePostStatus(postId, status, additionalData = {}) {
-    const updateData = {
-      status,
-      updated_at: new Date().toISOString(),
-      ...additionalData
-    }
+      if (error) {
+        throw new PostQueueError(`Failed to move post: ${error.message}`)
+      }
 
-    const { error } = await db.updateScheduledPost(postId, updateData)
-    
-    if (error) {
-      console.error(`Failed to update post ${postId} status:`, error)
-      throw new PostQueueError(`Failed to update post status: ${error.message}`)
-    }
-  }
-}
+      console.log(`Moved post ${postId} to ${movedPost.scheduled_for}`)
+      return movedPost
 
-// Create singleton instance
-const postQueueProcessor = new PostQueueProcessor()
+    } catch (error) {
+      console.error('Error moving post:', error)
+      throw error
+    }
+  },
 
-// Queue management functions
-export const postQueue = {
   /**
-   * Add a new post to the queue
+   * Turn a planned calendar item into a draft post at its planned time
+   * The draft starts from the item's title, description and campaign hashtag,
+   * and goes to the accounts of the item's target platforms.
+   * @param {Object} item - content_calendar row
+   * @param {string} userId - Owner of the draft
+   * @param {Object[]} accounts - The user's social accounts
+   * @param {string} timeZone - The business's timezone, which planned times are in
    */
-  async addPost(userId, socialAccountId, postData) {
+  async promoteCalendarItem(item, userId, accounts, timeZone) {
     try {
-      const post = {
-        user_id: userId,
-        social_account_id: socialAccountId,
-        content: postData.content,
-        media_urls: postData.media_urls || [],
-        scheduled_for: postData.scheduled_for,
-        status: POST_STATUS.SCHEDULED,
-        hashtags: postData.hashtags || [],
-        location: postData.location || null
+      if (item.scheduled_post_id) {
+        throw new PostQueueError('This item already has a draft', ERROR_TYPES.INVALID_CONTENT)
       }
 
-      const { post: createdPost, error } = await db.createScheduledPost(post)
-      
+      const targets = accounts.filter(account =>
+        account.is_active && (!item.target_platforms?.length || item.target_platforms.includes(account.platform))
+      )
+      const format = [POST_FORMAT.STORY, POST_FORMAT.REEL].includes(item.content_type) ? item.content_type : POST_FORMAT.FEED
+
+      const { post, error } = await db.createScheduledPost({
+        ...await getPostOwner(userId, targets.map(account => account.id)),
+        ...getPostContent({
+          content: [item.title, item.description].filter(Boolean).join('\n\n'),
+          hashtags: item.campaign_hashtag ? [item.campaign_hashtag] : [],
+          post_format: format
+        }),
+        scheduled_for: getPlannedTime(item, timeZone).toISOString(),
+        timezone: timeZone,
+        status: POST_STATUS.DRAFT
+      })
+
       if (error) {
-        throw new PostQueueError(`Failed to create scheduled post: ${error.message}`)
+        throw new PostQueueError(`Failed to create draft: ${error.message}`)
       }
 
-      console.log(`Added post to queue: ${createdPost.id}`)
-      return createdPost
+      const { item: promotedItem, error: itemError } = await db.updateCalendarItem(item.id, {
+        scheduled_post_id: post.id,
+        status: CALENDAR_ITEM_STATUS.IN_PROGRESS
+      })
+
+      if (itemError) {
+        throw new PostQueueError(`Failed to link the draft to the calendar: ${itemError.message}`)
+      }
+
+      console.log(`Promoted calendar item ${item.id} to draft ${post.id}`)
+      return { post, item: promotedItem }
 
     } catch (error) {
-      console.error('Error adding post to queue:', error)
+      console.error('Error promoting calendar item:', error)
+      throw error
+    }
+  },
+
+  /**
+   * End a series; occurrences edited on their own stay scheduled
+   */
+  async endSeries(seriesId) {
+    try {
+      await endSeries(supabase, seriesId)
+
+      console.log(`Ended series: ${seriesId}`)
+      return true
+
+    } catch (error) {
+      console.error('Error ending series:', error)
       throw error
     }
   },
@@ -442,6 +491,7 @@ export const postQueue = {
         scheduled: statusCounts[POST_STATUS.SCHEDULED] || 0,
         processing: statusCounts[POST_STATUS.PROCESSING] || 0,
         posted: statusCounts[POST_STATUS.POSTED] || 0,
+        partiallyPosted: statusCounts[POST_STATUS.PARTIALLY_POSTED] || 0,
         failed: statusCounts[POST_STATUS.FAILED] || 0,
         cancelled: statusCounts[POST_STATUS.CANCELLED] || 0,
         posts: posts.slice(0, 20) // Return first 20 posts
@@ -471,7 +521,7 @@ export const postQueue = {
 
       await db.updateScheduledPost(postId, {
         status: POST_STATUS.CANCELLED,
-        error_message: 'Cancelled by user'
+        error_details: { message: 'Cancelled by user' }
       })
 
       console.log(`Cancelled post: ${postId}`)
@@ -484,7 +534,8 @@ export const postQueue = {
   },
 
   /**
-   * Retry a failed post
+   * Retry a failed or partially posted post
+   * Accounts that already succeeded keep their result and are not published again.
    */
   async retryPost(postId, userId) {
     try {
@@ -495,16 +546,22 @@ export const postQueue = {
         throw new PostQueueError('Post not found or access denied', ERROR_TYPES.MISSING_ACCOUNT)
       }
 
-      if (post.status !== POST_STATUS.FAILED) {
+      if (post.status !== POST_STATUS.FAILED && post.status !== POST_STATUS.PARTIALLY_POSTED) {
         throw new PostQueueError('Only failed posts can be retried', ERROR_TYPES.INVALID_CONTENT)
       }
 
+      // Drop the failed accounts' results so the processor publishes to them again
+      const platformPosts = Object.fromEntries(
+        Object.entries(post.platform_posts || {}).filter(([, result]) => result.status === POST_STATUS.POSTED)
+      )
+
       // Reset post for immediate retry
       await db.updateScheduledPost(postId, {
         status: POST_STATUS.SCHEDULED,
         scheduled_for: new Date().toISOString(),
         retry_count: 0,
-        error_message: null
+        platform_posts: platformPosts,
+        error_details: null
       })
 
       console.log(`Reset post for retry: ${postId}`)
@@ -517,33 +574,72 @@ export const postQueue = {
   },
 
   /**
-   * Get processor statistics
+   * Approve the step a post is waiting on, or send it back with changes requested
+   * review_post() checks the reviewer's role and records the decision.
+   * @param {string} postId
+   * @param {string} decision - APPROVAL_STATUS.APPROVED or APPROVAL_STATUS.CHANGES_REQUESTED
+   * @param {string} [comment] - Required when requesting changes
    */
-  getProcessorStats() {
-    return {
-      isProcessing: postQueueProcessor.isProcessing,
-      rateLimitStatus: facebookAPI.getRateLimitStatus(),
-      maxRetries: postQueueProcessor.maxRetries,
-      retryDelays: postQueueProcessor.retryDelays
+  async reviewPost(postId, decision, comment = '') {
+    try {
+      if (decision === APPROVAL_STATUS.CHANGES_REQUESTED && !comment.trim()) {
+        throw new PostQueueError('Say what should change', ERROR_TYPES.INVALID_CONTENT)
+      }
+
+      const { post, error } = await db.reviewPost(postId, decision, comment.trim() || null)
+
+      if (error) {
+        throw new PostQueueError(`Failed to review post: ${error.message}`, ERROR_TYPES.INVALID_CONTENT)
+      }
+
+      console.log(`Reviewed post ${postId}: ${decision}`)
+      return post
+
+    } catch (error) {
+      console.error('Error reviewing post:', error)
+      throw error
     }
   },
 
   /**
-   * Force process the queue (for testing)
+   * Take a post back to drafts to work in reviewers' comments
+   * Scheduling it again sends it for approval from the first step.
+   * @returns {Promise<Object>} The draft
    */
-  async forceProcess() {
-    return await postQueueProcessor.processQueue()
-  }
-}
+  async revisePost(postId, userId) {
+    try {
+      const { post } = await db.getScheduledPost(postId)
+
+      if (!post || post.user_id !== userId) {
+        throw new PostQueueError('Post not found or access denied', ERROR_TYPES.MISSING_ACCOUNT)
+      }
 
-// Export error classes
-export { PostQueueError }
+      const awaitingApproval = [APPROVAL_STATUS.PENDING, APPROVAL_STATUS.CHANGES_REQUESTED].includes(post.approval_status)
+      if (!awaitingApproval || ![POST_STATUS.SCHEDULED, POST_STATUS.FAILED].includes(post.status)) {
+        throw new PostQueueError('Only posts waiting on approval can be revised', ERROR_TYPES.INVALID_CONTENT)
+      }
+
+      const { post: draft, error } = await db.updateScheduledPost(postId, {
+        status: POST_STATUS.DRAFT,
+        retry_count: 0,
+        error_details: null
+      })
+
+      if (error) {
+        throw new PostQueueError(`Failed to revise post: ${error.message}`)
+      }
 
-// Cleanup on page unload
-if (typeof window !== 'undefined') {
-  window.addEventListener('beforeunload', () => {
-    postQueueProcessor.stopProcessing()
-  })
+      console.log(`Moved post back to drafts: ${postId}`)
+      return draft
+
+    } catch (error) {
+      console.error('Error revising post:', error)
+      throw error
+    }
+  }
 }
 
+// Re-export shared queue constants and errors
+export { POST_STATUS, ERROR_TYPES, PostQueueError }
+
 export default postQueue
\ No newline at end of file
@@ -0,0 +1,1144 @@
+// Post Queue Processor for LocalSocial
+// Publishes due posts from the server. Runs inside the process-post-queue
+// Netlify scheduled function with a service-role Supabase client, so posts
+// go out whether or not anyone has the dashboard open.
+
+import { facebookAPI, FacebookAPIError, RateLimitError, InstagramContainerError, CONTAINER_STATUS } from './facebook'
+import { fetchMediaInfo, INSTAGRAM_CAROUSEL_MAX_ITEMS, isVideo, POST_FORMAT } from './media'
+import { describeIssue, validatePostContent } from './contentRules'
+import { buildCaption, getPlatformPost, hasLinkAttachment } from './postContent'
+import { getRowIssues } from './schema'
+import { getAccessTokens } from './socialAccountStore'
+import { materializeSeries, MATERIALIZE_MIN_AHEAD_MS } from './postSeries'
+import { fillEvergreenSlots, EVERGREEN_MIN_AHEAD_MS } from './evergreen'
+import { checkPostingRules, loadPostingRules } from './postingRules'
+import { FIRST_INSIGHTS_SYNC_MS } from './postInsights'
+import { isApproved } from './approvals'
+import { POST_STATUS, ERROR_TYPES, PostQueueError } from './postStatus'
+
+// Shared with the browser-side queue; re-exported for server callers
+export { POST_STATUS, ERROR_TYPES, PostQueueError }
+
+// Graph API and download errors for media Facebook will never accept as is
+// 352: unsupported video format, 381: unusable video file, 382: video file too small
+const UNSUPPORTED_MEDIA_ERROR_CODES = [352, 381, 382, 'MEDIA_UNAVAILABLE']
+
+// Graph API error code for an object that doesn't exist (e.g. deleted on Facebook)
+const OBJECT_NOT_FOUND_ERROR_CODE = 100
+
+// Facebook's scheduler accepts posts 10 minutes to 30 days ahead (see claim_native_sync_posts).
+// Posts closer than the minimum lead are left to the queue.
+const NATIVE_SCHEDULE_MIN_LEAD_MS = 15 * 60 * 1000
+const NATIVE_SCHEDULE_MAX_LEAD_MS = 30 * 24 * 60 * 60 * 1000
+
+// platform_posts fields a retry resumes publishing from: an Instagram container that
+// was created but not published yet, or a Facebook video upload session (see publishToAccount)
+const RESUMABLE_FIELDS = ['container_id', 'upload']
+
+const pickResumable = entry => Object.fromEntries(
+  RESUMABLE_FIELDS.filter(field => entry[field]).map(field => [field, entry[field]])
+)
+
+// Another processor reclaimed the post after this one's lease expired; this one stops publishing it
+class LeaseLostError extends PostQueueError {
+  constructor(postId) {
+    super(`Lease on post ${postId} was lost while publishing it`)
+    this.name = 'LeaseLostError'
+  }
+}
+
+/**
+ * Derive a post's overall status from its per-account results
+ * @param {Array<string>} accountIds - The post's social_account_ids
+ * @param {Object} platformPosts - platform_posts keyed by social account ID
+ * @returns {string} POSTED, PARTIALLY_POSTED, FAILED, or SCHEDULED while retries are pending
+ */
+export function derivePostStatus(accountIds = [], platformPosts = {}) {
+  const statuses = accountIds.map(id => platformPosts[id]?.status)
+
+  if (statuses.length === 0) {
+    return POST_STATUS.FAILED
+  }
+
+  if (statuses.every(status => status === POST_STATUS.POSTED)) {
+    return POST_STATUS.POSTED
+  }
+
+  // Accounts without a final result yet keep the post in the queue
+  if (statuses.some(status => status !== POST_STATUS.POSTED && status !== POST_STATUS.FAILED)) {
+    return POST_STATUS.SCHEDULED
+  }
+
+  return statuses.includes(POST_STATUS.POSTED) ? POST_STATUS.PARTIALLY_POSTED : POST_STATUS.FAILED
+}
+
+// Queue processor class
+export class PostQueueProcessor {
+  /**
+   * @param {Object} supabase - Supabase client created with the service-role key
+   * @param {Object} options - Optional overrides for batch size and retry policy
+   */
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.isProcessing = false
+    this.retryDelays = options.retryDelays || [30000, 60000, 300000, 900000] // 30s, 1m, 5m, 15m
+    this.maxRetries = options.maxRetries ?? 3
+    this.batchSize = options.batchSize || 10
+    // Lease identity and duration used when claiming posts (see claim_due_posts)
+    this.workerId = options.workerId || `worker-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`
+    this.leaseSeconds = options.leaseSeconds || 300
+  }
+
+  /**
+   * Process the queue once - find and process due posts
+   * @returns {Promise<Object>} Count of processed posts by resulting status
+   */
+  async processQueue() {
+    const summary = { processed: 0 }
+
+    if (this.isProcessing) {
+      return summary // Prevent concurrent processing
+    }
+
+    this.isProcessing = true
+
+    try {
+      // Queue upcoming occurrences of recurring series
+      summary.materialized = await this.materializeDueSeries()
+      summary.evergreen_filled = await this.fillDueEvergreenSlots()
+
+      // Hand new, edited and cancelled natively scheduled posts to Facebook first
+      summary.native_synced = await this.syncNativeSchedules()
+
+      // Get posts that are due for processing
+      const duePosts = await this.getDuePosts()
+
+      if (duePosts.length === 0) {
+        return summary
+      }
+
+      console.log(`Processing ${duePosts.length} due posts`)
+
+      // Process posts concurrently but with rate limiting
+      const results = await Promise.all(duePosts.map(post =>
+        this.processPost(post).catch(error => {
+          console.error(`Error processing post ${post.id}:`, error)
+          return POST_STATUS.FAILED // Don't let one failure stop others
+        })
+      ))
+
+      summary.processed = results.length
+      for (const status of results) {
+        summary[status] = (summary[status] || 0) + 1
+      }
+
+    } catch (error) {
+      console.error('Error in queue processing:', error)
+    } finally {
+      this.isProcessing = false
+    }
+
+    return summary
+  }
+
+  /**
+   * Claim posts that are due for processing
+   * claim_due_posts locks and leases rows atomically, so concurrent processors
+   * never receive the same post. Posts whose lease expired are reclaimed.
+   * Only scheduled posts are claimed, so drafts stay put even once their time has passed.
+   */
+  async getDuePosts() {
+    try {
+      const { data: claimed, error: claimError } = await this.supabase.rpc('claim_due_posts', {
+        worker_id: this.workerId,
+        batch_size: this.batchSize,
+        lease_seconds: this.leaseSeconds
+      })
+
+      if (claimError) {
+        throw new PostQueueError(`Failed to claim due posts: ${claimError.message}`, ERROR_TYPES.UNKNOWN)
+      }
+
+      if (!claimed || claimed.length === 0) {
+        return []
+      }
+
+      // Load the social accounts each claimed post fans out to
+      const accountsById = await this.loadAccounts(claimed.flatMap(post => post.social_account_ids || []))
+
+      // Accounts deleted since scheduling stay in the list so their failure is recorded
+      const posts = claimed.map(post => ({
+        ...post,
+        social_accounts: (post.social_account_ids || []).map(id => accountsById.get(id) || { id, platform: null })
+      }))
+
+      // Posts that may not go out now wait for their business's next allowed time
+      const rulesCache = new Map()
+      const duePosts = []
+      for (const post of posts) {
+        // claim_due_posts skips posts awaiting sign-off, but one sent back for review while
+        // it was being published is reclaimed; it waits for its approval again
+        if (!isApproved(post)) {
+          await this.updatePostStatus(post.id, POST_STATUS.SCHEDULED)
+          continue
+        }
+
+        // Facebook publishes posts already handed to its scheduler by itself
+        const handedOver = Object.values(post.platform_posts || {}).some(entry => entry.native)
+        if (handedOver || !await this.deferForPostingRules(post, Date.now(), rulesCache)) {
+          duePosts.push(post)
+        }
+      }
+
+      return duePosts
+    } catch (error) {
+      console.error('Error getting due posts:', error)
+      return []
+    }
+  }
+
+  /**
+   * Load social accounts with their decrypted access tokens
+   * Tokens are decrypted here and only held in memory for this run.
+   * @param {Array<string>} accountIds - Social account IDs, duplicates allowed
+   * @returns {Promise<Map<string, Object>>} Accounts by ID; deleted accounts are missing
+   */
+  async loadAccounts(accountIds) {
+    const ids = [...new Set(accountIds)]
+    if (ids.length === 0) {
+      return new Map()
+    }
+
+    const { data: accounts, error } = await this.supabase
+      .from('social_accounts')
+      .select('id, platform, platform_account_id, facebook_page_id, business_profile_id, status, is_active')
+      .in('id', ids)
+
+    if (error) {
+      throw new PostQueueError(`Failed to fetch social accounts: ${error.message}`, ERROR_TYPES.UNKNOWN)
+    }
+
+    const tokens = await getAccessTokens(this.supabase, ids)
+
+    return new Map((accounts || []).map(account => [
+      account.id,
+      { ...account, access_token: tokens.get(account.id) || null }
+    ]))
+  }
+
+  /**
+   * Posting rules of the business profiles a post belongs to
+   * @param {Object} post - Claimed post with social_accounts
+   * @param {Map<string, Promise>} cache - Shared by the posts of one run
+   * @returns {Promise<Array>} PostingRules, see postingRules.js
+   */
+  getPostingRules(post, cache) {
+    const businessProfileIds = [...new Set([
+      post.business_profile_id,
+      ...post.social_accounts.map(account => account.business_profile_id)
+    ].filter(Boolean))].sort()
+    const key = `${post.organization_id}:${businessProfileIds.join(',')}`
+
+    if (!cache.has(key)) {
+      cache.set(key, loadPostingRules(this.supabase, { organizationId: post.organization_id, businessProfileIds }))
+    }
+    return cache.get(key)
+  }
+
+  /**
+   * Move a post its business's posting rules don't allow at a time
+   * The post goes back to scheduled at the next allowed time, or fails when
+   * there is none within a year. Rules that can't be loaded never hold posts back.
+   * @param {Object} post - Claimed post with social_accounts
+   * @param {number} time - When the post would go out, in ms
+   * @param {Map<string, Promise>} cache - See getPostingRules
+   * @returns {Promise<boolean>} Whether the post was deferred or failed
+   */
+  async deferForPostingRules(post, time, cache) {
+    let check
+    try {
+      check = checkPostingRules(await this.getPostingRules(post, cache), time)
+    } catch (error) {
+      console.error(`Error checking posting rules for post ${post.id}:`, error)
+      return false
+    }
+
+    if (check.allowed) {
+      return false
+    }
+
+    const message = check.blocks.map(block => block.message).join('; ')
+    const update = check.nextAllowedAt
+      ? {
+          status: POST_STATUS.SCHEDULED,
+          scheduled_for: check.nextAllowedAt.toISOString(),
+          deferred_from: post.deferred_from || post.scheduled_for,
+          error_details: { message, deferred: true }
+        }
+      : {
+          status: POST_STATUS.FAILED,
+          error_details: { message: `No time within a year is allowed: ${message}`, type: ERROR_TYPES.INVALID_CONTENT }
+        }
+
+    const { error } = await this.supabase
+      .from('scheduled_posts')
+      .update({ ...update, lease_owner: null, lease_expires_at: null })
+      .eq('id', post.id)
+      .eq('lease_owner', this.workerId)
+
+    if (error) {
+      console.error(`Failed to defer post ${post.id}:`, error)
+    } else if (check.nextAllowedAt) {
+      console.log(`Deferred post ${post.id} to ${check.nextAllowedAt.toISOString()}: ${message}`)
+    }
+
+    return true
+  }
+
+  /**
+   * Top up recurring series whose materialized occurrences are running low
+   * A broken series is logged and skipped; it never stops the queue.
+   * @returns {Promise<number>} Number of occurrences materialized
+   */
+  async materializeDueSeries() {
+    const now = Date.now()
+    const threshold = new Date(now + MATERIALIZE_MIN_AHEAD_MS).toISOString()
+
+    const { data: series, error } = await this.supabase
+      .from('post_series')
+      .select('*')
+      .eq('is_active', true)
+      .or(`materialized_until.is.null,materialized_until.lt.${threshold}`)
+      .limit(this.batchSize)
+
+    if (error) {
+      console.error('Error getting series to materialize:', error)
+      return 0
+    }
+
+    let count = 0
+    for (const row of series || []) {
+      try {
+        count += await materializeSeries(this.supabase, row, { now })
+      } catch (materializeError) {
+        console.error(`Error materializing series ${row.id}:`, materializeError)
+      }
+    }
+
+    return count
+  }
+
+  /**
+   * Fill open posting schedule slots from the evergreen library
+   * Runs after series are materialized so recurring posts get their slots first.
+   * A broken schedule is logged and skipped; it never stops the queue.
+   * @returns {Promise<number>} Number of evergreen posts scheduled
+   */
+  async fillDueEvergreenSlots() {
+    const now = Date.now()
+    const threshold = new Date(now + EVERGREEN_MIN_AHEAD_MS).toISOString()
+
+    const { data: schedules, error } = await this.supabase
+      .from('posting_schedules')
+      .select('*')
+      .eq('evergreen_enabled', true)
+      .or(`filled_until.is.null,filled_until.lt.${threshold}`)
+      .limit(this.batchSize)
+
+    if (error) {
+      console.error('Error getting posting schedules to fill:', error)
+      return 0
+    }
+
+    let count = 0
+    for (const schedule of schedules || []) {
+      try {
+        count += await fillEvergreenSlots(this.supabase, schedule, { now })
+      } catch (fillError) {
+        console.error(`Error filling posting schedule ${schedule.social_account_id}:`, fillError)
+      }
+    }
+
+    return count
+  }
+
+  /**
+   * Sync natively scheduled posts to Facebook's scheduler
+   * request_native_sync flags posts when they are created, edited or cancelled;
+   * claim_native_sync_posts hands them out with a lease. Failures are logged and
+   * never stop due posts from being published.
+   * @returns {Promise<number>} Number of posts synced
+   */
+  async syncNativeSchedules() {
+    try {
+      const { data: claimed, error } = await this.supabase.rpc('claim_native_sync_posts', {
+        worker_id: this.workerId,
+        batch_size: this.batchSize,
+        lease_seconds: this.leaseSeconds
+      })
+
+      if (error) {
+        throw new PostQueueError(`Failed to claim posts to sync: ${error.message}`, ERROR_TYPES.UNKNOWN)
+      }
+
+      if (!claimed || claimed.length === 0) {
+        return 0
+      }
+
+      // Accounts removed from a post still need their Facebook copy deleted
+      const accountsById = await this.loadAccounts(claimed.flatMap(post => [
+        ...(post.social_account_ids || []),
+        ...Object.keys(post.platform_posts || {})
+      ]))
+
+      // Facebook publishes at the scheduled time, so posting rules are applied before handing posts over
+      const rulesCache = new Map()
+      for (const post of claimed) {
+        const withAccounts = {
+          ...post,
+          social_accounts: (post.social_account_ids || []).map(id => accountsById.get(id) || { id, platform: null })
+        }
+        const deferred = post.native_scheduling && post.status === POST_STATUS.SCHEDULED &&
+          await this.deferForPostingRules(withAccounts, new Date(post.scheduled_for).getTime(), rulesCache)
+
+        if (!deferred) {
+          await this.syncNativePost(post, accountsById)
+        }
+      }
+
+      return claimed.length
+    } catch (error) {
+      console.error('Error syncing natively scheduled posts:', error)
+      return 0
+    }
+  }
+
+  /**
+   * Bring Facebook's scheduler in line with one post
+   * Scheduled copies are replaced whenever the post changed, and deleted when it
+   * was cancelled, lost an account, turned native scheduling off or is waiting
+   * on approval.
+   */
+  async syncNativePost(post, accountsById) {
+    const platformPosts = { ...(post.platform_posts || {}) }
+    const scheduledAt = new Date(post.scheduled_for).getTime()
+    const lead = scheduledAt - Date.now()
+    const wanted = post.native_scheduling &&
+      post.status === POST_STATUS.SCHEDULED &&
+      isApproved(post) &&
+      lead >= NATIVE_SCHEDULE_MIN_LEAD_MS &&
+      lead <= NATIVE_SCHEDULE_MAX_LEAD_MS
+    let retry = false
+
+    const accountIds = [...new Set([...(post.social_account_ids || []), ...Object.keys(platformPosts)])]
+
+    for (const accountId of accountIds) {
+      const account = accountsById.get(accountId)
+      const entry = platformPosts[accountId]
+
+      if (account?.platform !== 'facebook' || entry?.status === POST_STATUS.POSTED) {
+        continue
+      }
+
+      try {
+        if (entry?.native) {
+          // Too close to its time for Facebook to change it; the queue confirms it when due
+          if (new Date(entry.scheduled_publish_time).getTime() - Date.now() < NATIVE_SCHEDULE_MIN_LEAD_MS) {
+            continue
+          }
+
+          await this.deleteNativePost(account, entry)
+          delete platformPosts[accountId]
+        }
+
+        if (wanted && post.social_account_ids.includes(accountId)) {
+          this.validateAccount(account)
+          await this.validateContent(post, account.platform)
+
+          const result = await this.publishToFacebook(post, account, {
+            scheduledPublishTime: scheduledAt,
+            // Video uploads extend the lease as they go
+            checkpoint: () => this.savePlatformPosts(post.id, platformPosts)
+          })
+          platformPosts[accountId] = {
+            platform: account.platform,
+            status: POST_STATUS.SCHEDULED,
+            native: true,
+            native_type: result.native_type,
+            post_id: result.platform_post_id,
+            scheduled_publish_time: post.scheduled_for,
+            retry_count: 0
+          }
+        }
+      } catch (error) {
+        if (error instanceof LeaseLostError) {
+          console.warn(`${error.message}; leaving it to the processor that reclaimed it`)
+          return
+        }
+
+        // Without a scheduled copy the queue publishes the account itself when the post is due
+        console.error(`Failed to sync post ${post.id} to Facebook's scheduler for account ${accountId}:`, error)
+        retry = retry || error.retryable !== false
+      }
+    }
+
+    const { error } = await this.supabase
+      .from('scheduled_posts')
+      .update({
+        platform_posts: platformPosts,
+        lease_owner: null,
+        lease_expires_at: null,
+        // Retryable failures are synced again on the next run
+        ...(retry && { native_synced_at: null })
+      })
+      .eq('id', post.id)
+      .eq('lease_owner', this.workerId)
+
+    if (error) {
+      console.error(`Failed to save native scheduling for post ${post.id}:`, error)
+    }
+  }
+
+  /**
+   * Remove a post from Facebook's scheduler; one already deleted on Facebook counts as removed
+   */
+  async deleteNativePost(account, entry) {
+    try {
+      await facebookAPI.deletePagePost(account.platform_account_id, entry.post_id, account.access_token)
+    } catch (error) {
+      if (error.code !== OBJECT_NOT_FOUND_ERROR_CODE) {
+        throw this.toQueueError(error)
+      }
+    }
+  }
+
+  /**
+   * Confirm that Facebook published a post handed to its scheduler
+   * Falls back to publishing it now if the scheduled copy was deleted on Facebook.
+   */
+  async confirmNativePost(post, account, entry, options) {
+    let published
+    try {
+      published = await facebookAPI.isPublished(account.platform_account_id, entry.post_id, account.access_token, {
+        video: entry.native_type === 'video'
+      })
+    } catch (error) {
+      if (error.code === OBJECT_NOT_FOUND_ERROR_CODE) {
+        console.warn(`Scheduled copy of post ${post.id} is gone from Facebook; publishing it now`)
+        return await this.publishPost(post, account, options)
+      }
+      throw this.toQueueError(error)
+    }
+
+    if (!published) {
+      throw new PostQueueError('Facebook has not published the scheduled post yet', ERROR_TYPES.API_ERROR, true)
+    }
+
+    return {
+      platform_post_id: entry.post_id,
+      platform: 'facebook'
+    }
+  }
+
+  /**
+   * Process a single post
+   * Publishes to every account in social_account_ids that has not been posted
+   * yet, records each result in platform_posts and derives the overall status.
+   * @returns {Promise<string>} The post's resulting status
+   */
+  async processPost(post) {
+    const startTime = Date.now()
+    const platformPosts = { ...(post.platform_posts || {}) }
+
+    try {
+      // Posts reclaimed after a processor crash count their lost attempts
+      if ((post.retry_count || 0) > this.maxRetries) {
+        throw new PostQueueError('Exceeded max retries after processor lease expired', ERROR_TYPES.UNKNOWN)
+      }
+
+      // Validate post data
+      this.validatePost(post)
+    } catch (error) {
+      console.error(`Failed to process post ${post.id}:`, error)
+      await this.updatePostStatus(post.id, POST_STATUS.FAILED, {
+        error_details: { message: error.message, type: error.type || ERROR_TYPES.UNKNOWN }
+      })
+      throw error
+    }
+
+    // Accounts that already succeeded or failed for good on an earlier attempt are not
+    // published again; retryPost clears failed entries when a user asks for another try
+    const pendingAccounts = post.social_accounts.filter(account =>
+      ![POST_STATUS.POSTED, POST_STATUS.FAILED].includes(platformPosts[account.id]?.status)
+    )
+
+    try {
+      for (const account of pendingAccounts) {
+        // Publishing steps save their progress in the account's entry while they run,
+        // which also extends the lease through long uploads
+        const checkpoint = progress => this.savePlatformPosts(post.id, {
+          ...platformPosts,
+          [account.id]: {
+            ...platformPosts[account.id],
+            platform: account.platform,
+            status: POST_STATUS.POSTING,
+            ...progress
+          }
+        })
+
+        platformPosts[account.id] = await this.publishToAccount(post, account, platformPosts[account.id], checkpoint)
+
+        // Persist after each account so a crash never loses a successful publish
+        await this.savePlatformPosts(post.id, platformPosts)
+      }
+    } catch (error) {
+      if (!(error instanceof LeaseLostError)) throw error
+
+      console.warn(`${error.message}; leaving it to the processor that reclaimed it`)
+      return POST_STATUS.POSTING
+    }
+
+    const status = derivePostStatus(post.social_account_ids, platformPosts)
+
+    if (status === POST_STATUS.SCHEDULED) {
+      await this.scheduleRetry(post, platformPosts)
+    } else {
+      const posted = status !== POST_STATUS.FAILED
+      await this.updatePostStatus(post.id, status, {
+        platform_posts: platformPosts,
+        posted_at: posted ? new Date().toISOString() : null,
+        // sync-post-insights pulls its engagement from here on
+        insights_sync_at: posted ? new Date(Date.now() + FIRST_INSIGHTS_SYNC_MS).toISOString() : null,
+        error_details: this.summarizeErrors(platformPosts)
+      })
+    }
+
+    const duration = Date.now() - startTime
+    console.log(`Post ${post.id} finished as ${status} across ${post.social_accounts.length} account(s) (${duration}ms)`)
+
+    return status
+  }
+
+  /**
+   * Publish a post to one account and build its platform_posts entry
+   * @param {Object} previous - The account's entry from an earlier attempt, if any
+   * @param {Function} [onCheckpoint] - Saves progress to the account's entry while publishing runs
+   */
+  async publishToAccount(post, account, previous = {}, onCheckpoint) {
+    const retryCount = previous.retry_count || 0
+    // What earlier steps created; publishing picks up from it instead of starting over
+    const progress = pickResumable(previous)
+    const checkpoint = async state => {
+      Object.assign(progress, state)
+      await onCheckpoint?.({ ...pickResumable(progress), ...state })
+    }
+
+    try {
+      this.validateAccount(account)
+
+      // Posts handed to Facebook's scheduler were checked then, and only need confirming
+      if (!previous.native) await this.validateContent(post, account.platform)
+
+      const result = previous.native
+        ? await this.confirmNativePost(post, account, previous, { resume: progress, checkpoint })
+        : await this.publishPost(post, account, { resume: progress, checkpoint })
+
+      return {
+        platform: account.platform,
+        status: POST_STATUS.POSTED,
+        post_id: result.platform_post_id,
+        posted_at: new Date().toISOString(),
+        retry_count: retryCount
+      }
+    } catch (error) {
+      if (error instanceof LeaseLostError) throw error
+
+      console.error(`Failed to publish post ${post.id} to account ${account.id}:`, error)
+
+      const retry = this.shouldRetry(retryCount, error)
+      const entry = {
+        platform: account.platform,
+        status: retry ? POST_STATUS.SCHEDULED : POST_STATUS.FAILED,
+        error: error.message,
+        error_type: error.type || ERROR_TYPES.UNKNOWN,
+        retry_count: retry ? retryCount + 1 : retryCount
+      }
+
+      // Keep pointing at the scheduled copy so a retry confirms rather than publishes again
+      if (retry && previous.native) {
+        Object.assign(entry, {
+          native: true,
+          native_type: previous.native_type,
+          post_id: previous.post_id,
+          scheduled_publish_time: previous.scheduled_publish_time
+        })
+      }
+
+      // Keep what earlier steps created so the retry resumes rather than publishes again
+      if (retry) {
+        Object.assign(entry, pickResumable(progress))
+      }
+
+      // Rate limited accounts wait for Meta's estimated time to regain access
+      if (retry && error.retryAfter) {
+        entry.retry_at = new Date(Date.now() + error.retryAfter * 1000).toISOString()
+      }
+
+      return entry
+    }
+  }
+
+  /**
+   * Validate post data before processing
+   */
+  validatePost(post) {
+    // The attached social_accounts list is skipped as an embedded relation
+    const issues = getRowIssues('scheduled_posts', post)
+    if (issues.length > 0) {
+      throw new PostQueueError(`Post does not match the schema: ${issues.join('; ')}`, ERROR_TYPES.INVALID_CONTENT)
+    }
+
+    if (!post.social_account_ids || post.social_account_ids.length === 0) {
+      throw new PostQueueError('Post has no social accounts selected', ERROR_TYPES.MISSING_ACCOUNT)
+    }
+
+    // Rules every platform shares; each platform's own are checked before publishing to it
+    const { errors } = validatePostContent(post, { platforms: [] })
+    if (errors.length > 0) {
+      throw new PostQueueError(errors.map(describeIssue).join(' '), ERROR_TYPES.INVALID_CONTENT)
+    }
+  }
+
+  /**
+   * Check a post against one platform's content rules before publishing to it
+   * Sizes and types come from the media host; dimensions and video lengths are
+   * checked in the composer, which can read the files.
+   */
+  async validateContent(post, platform) {
+    const mediaInfo = await fetchMediaInfo(getPlatformPost(post, platform).media_urls || [])
+    const { errors } = validatePostContent(post, { platforms: [platform], mediaInfo })
+    if (errors.length > 0) {
+      throw new PostQueueError(errors.map(describeIssue).join(' '), ERROR_TYPES.INVALID_CONTENT)
+    }
+  }
+
+  /**
+   * Validate a target account before publishing to it
+   */
+  validateAccount(account) {
+    if (!account.platform) {
+      throw new PostQueueError('Social account not found', ERROR_TYPES.MISSING_ACCOUNT)
+    }
+
+    if (!account.is_active || (account.status && account.status !== 'active')) {
+      throw new PostQueueError('Social account is inactive', ERROR_TYPES.MISSING_ACCOUNT)
+    }
+
+    if (!account.access_token) {
+      throw new PostQueueError('Access token missing', ERROR_TYPES.INVALID_TOKEN, true)
+    }
+  }
+
+  /**
+   * Publish post to the appropriate platform
+   * @param {Object} [options] - Progress to resume from and the checkpoint saving it (see publishToAccount)
+   */
+  async publishPost(post, account, options) {
+    switch (account.platform) {
+      case 'facebook':
+        return await this.publishToFacebook(post, account, options)
+      case 'instagram':
+        return await this.publishToInstagram(post, account, options)
+      default:
+        throw new PostQueueError(`Unsupported platform: ${account.platform}`, ERROR_TYPES.UNKNOWN)
+    }
+  }
+
+  /**
+   * Publish to Facebook, with the post's Facebook overrides applied
+   * With scheduledPublishTime the post is handed to Facebook's scheduler instead
+   * of going out now.
+   * @param {Object} options
+   * @param {Object} [options.resume] - Progress of an earlier attempt, e.g. its video upload session
+   * @param {Function} [options.checkpoint] - Saves video upload progress and extends the lease
+   * @param {number} [options.scheduledPublishTime] - Time in ms Facebook should publish at
+   */
+  async publishToFacebook(sharedPost, account, { resume = {}, checkpoint, scheduledPublishTime } = {}) {
+    const post = getPlatformPost(sharedPost, 'facebook')
+    const message = buildCaption(post, 'facebook')
+    const place = post.location_id || undefined
+
+    try {
+      // Validate token before posting
+      const tokenValidation = await facebookAPI.validateToken(account.access_token)
+      if (!tokenValidation.valid) {
+        throw new PostQueueError('Facebook access token is invalid', ERROR_TYPES.INVALID_TOKEN, true)
+      }
+
+      let result
+      const mediaUrls = post.media_urls || []
+
+      if (mediaUrls.length > 1) {
+        // Multi-photo post: upload every photo unpublished, then attach them to one feed post
+        if (mediaUrls.some(isVideo)) {
+          throw new PostQueueError('Facebook posts with several media items can only contain photos', ERROR_TYPES.INVALID_CONTENT)
+        }
+
+        const photoIds = []
+        for (const [index, url] of mediaUrls.entries()) {
+          const photo = await facebookAPI.uploadUnpublishedPhoto(account.platform_account_id, account.access_token, {
+            url,
+            caption: post.media_captions?.[index],
+            temporary: !!scheduledPublishTime
+          })
+          photoIds.push(photo.id)
+        }
+
+        result = await facebookAPI.publishPagePost(account.platform_account_id, account.access_token, {
+          message,
+          place,
+          attached_media: photoIds,
+          published: true,
+          scheduled_publish_time: scheduledPublishTime
+        })
+      } else if (mediaUrls.length === 1 && isVideo(mediaUrls[0])) {
+        // Video post, or a reel. Stories are published to Facebook as regular videos.
+        const options = post.format_options || {}
+        const videoData = {
+          video_url: mediaUrls[0],
+          description: message,
+          title: options.title,
+          thumbnail_url: options.cover_url,
+          // The upload session is saved as it goes, so a retry continues it rather than starting over
+          upload: resume.upload,
+          onProgress: ({ uploadedBytes, totalBytes, upload }) => checkpoint?.({
+            upload_progress: Math.floor((uploadedBytes / totalBytes) * 100),
+            upload
+          }),
+          scheduled_publish_time: scheduledPublishTime
+        }
+
+        result = post.post_format === POST_FORMAT.REEL
+          ? await facebookAPI.publishPageReel(account.platform_account_id, account.access_token, videoData)
+          : await facebookAPI.publishPageVideo(account.platform_account_id, account.access_token, videoData)
+      } else if (post.post_format === POST_FORMAT.REEL) {
+        throw new PostQueueError('Facebook reels take a single video', ERROR_TYPES.INVALID_CONTENT)
+      } else if (mediaUrls.length === 1) {
+        // Post with photo
+        result = await facebookAPI.publishPagePhoto(account.platform_account_id, account.access_token, {
+          message,
+          place,
+          url: mediaUrls[0],
+          published: true,
+          scheduled_publish_time: scheduledPublishTime
+        })
+      } else {
+        // Text-only post, with the link as a preview card
+        result = await facebookAPI.publishPagePost(account.platform_account_id, account.access_token, {
+          message,
+          link: hasLinkAttachment(post) ? post.link_url : undefined,
+          place,
+          published: true,
+          scheduled_publish_time: scheduledPublishTime
+        })
+      }
+
+      // Photo uploads return the photo as id and the Page post as post_id
+      const isVideoPost = mediaUrls.length === 1 && isVideo(mediaUrls[0])
+      return {
+        platform_post_id: result.post_id || result.id,
+        platform: 'facebook',
+        native_type: isVideoPost ? 'video' : 'post'
+      }
+
+    } catch (error) {
+      throw this.toQueueError(error)
+    }
+  }
+
+  /**
+   * Publish to Instagram, with the post's Instagram overrides applied
+   * The container is saved before it is published, so a retry or a processor
+   * that reclaims the post publishes that container instead of a new one.
+   * @param {Object} options
+   * @param {Object} [options.resume] - Progress of an earlier attempt, e.g. its container_id
+   * @param {Function} [options.checkpoint] - Saves progress and extends the lease
+   */
+  async publishToInstagram(sharedPost, account, { resume = {}, checkpoint } = {}) {
+    const post = getPlatformPost(sharedPost, 'instagram')
+
+    try {
+      // Instagram requires media
+      if (!post.media_urls || post.media_urls.length === 0) {
+        throw new PostQueueError('Instagram posts require media', ERROR_TYPES.INVALID_CONTENT)
+      }
+
+      // Validate token
+      const tokenValidation = await facebookAPI.validateToken(account.access_token)
+      if (!tokenValidation.valid) {
+        throw new PostQueueError('Instagram access token is invalid', ERROR_TYPES.INVALID_TOKEN, true)
+      }
+
+      // Step 1: Create the media container for the post's format, unless an earlier attempt did
+      let creationId = resume.container_id
+      if (!creationId) {
+        creationId = await this.createInstagramContainer(post, account)
+        await checkpoint?.({ container_id: creationId })
+      }
+
+      // Step 2: Wait for Instagram to finish processing the media
+      const container = await facebookAPI.waitForInstagramContainer(account.platform_account_id, creationId, account.access_token, {
+        pageId: account.facebook_page_id
+      })
+
+      // An earlier attempt published it but stopped before saving the result. Instagram
+      // doesn't link a container to the media it became, so the post goes without insights.
+      if (container.status_code === CONTAINER_STATUS.PUBLISHED) {
+        console.warn(`Instagram container ${creationId} was already published; not publishing it again`)
+        return {
+          platform_post_id: null,
+          platform: 'instagram'
+        }
+      }
+
+      // Step 3: Publish the media
+      const publishResult = await facebookAPI.publishInstagramPost(
+        account.platform_account_id,
+        creationId,
+        account.access_token,
+        { pageId: account.facebook_page_id }
+      )
+
+      return {
+        platform_post_id: publishResult.id,
+        platform: 'instagram'
+      }
+
+    } catch (error) {
+      // An expired container can't be published; the retry creates a new one
+      if (error instanceof InstagramContainerError && error.statusCode === CONTAINER_STATUS.EXPIRED) {
+        delete resume.container_id
+      }
+      throw this.toQueueError(error)
+    }
+  }
+
+  /**
+   * Create the container to publish, picking the flow from the post's format and media:
+   * stories and reels take one item, a feed post with several items becomes a carousel,
+   * and a single feed video is published as a reel shared to the feed
+   * @returns {Promise<string>} Creation ID of the container to publish
+   */
+  async createInstagramContainer(post, account) {
+    const format = post.post_format || POST_FORMAT.FEED
+    const options = post.format_options || {}
+    const mediaUrls = post.media_urls
+    const caption = buildCaption(post, 'instagram')
+    const location_id = post.location_id || undefined
+    const createContainer = postData => facebookAPI.createInstagramPost(
+      account.platform_account_id,
+      account.access_token,
+      postData,
+      { pageId: account.facebook_page_id }
+    )
+    const mediaField = url => isVideo(url) ? { video_url: url } : { image_url: url }
+
+    if (format === POST_FORMAT.STORY) {
+      if (mediaUrls.length > 1) {
+        throw new PostQueueError('Instagram stories take a single photo or video', ERROR_TYPES.INVALID_CONTENT)
+      }
+
+      const story = await createContainer({ ...mediaField(mediaUrls[0]), media_type: 'STORIES' })
+      return story.id
+    }
+
+    if (format === POST_FORMAT.REEL || (mediaUrls.length === 1 && isVideo(mediaUrls[0]))) {
+      if (mediaUrls.length > 1 || !isVideo(mediaUrls[0])) {
+        throw new PostQueueError('Instagram reels take a single video', ERROR_TYPES.INVALID_CONTENT)
+      }
+
+      const reel = await createContainer({
+        video_url: mediaUrls[0],
+        caption,
+        location_id,
+        media_type: 'REELS',
+        share_to_feed: options.share_to_feed ?? true,
+        cover_url: options.cover_url,
+        thumb_offset: options.thumb_offset
+      })
+      return reel.id
+    }
+
+    if (mediaUrls.length === 1) {
+      const photo = await createContainer({ image_url: mediaUrls[0], caption, location_id })
+      return photo.id
+    }
+
+    if (mediaUrls.length > INSTAGRAM_CAROUSEL_MAX_ITEMS) {
+      throw new PostQueueError(
+        `Instagram carousels take at most ${INSTAGRAM_CAROUSEL_MAX_ITEMS} photos or videos`,
+        ERROR_TYPES.INVALID_CONTENT
+      )
+    }
+
+    // Carousel: one child container per item, in order, then the parent
+    const children = []
+    for (const url of mediaUrls) {
+      const child = await createContainer({
+        ...mediaField(url),
+        media_type: isVideo(url) ? 'VIDEO' : 'IMAGE',
+        is_carousel_item: true
+      })
+      children.push(child.id)
+    }
+
+    // The parent can only be created once every item has been processed
+    for (const childId of children) {
+      await facebookAPI.waitForInstagramContainer(account.platform_account_id, childId, account.access_token, {
+        pageId: account.facebook_page_id
+      })
+    }
+
+    const carousel = await createContainer({ media_type: 'CAROUSEL', children, caption, location_id })
+    return carousel.id
+  }
+
+  /**
+   * Map Facebook API and network errors onto PostQueueError
+   */
+  toQueueError(error) {
+    if (error instanceof PostQueueError) {
+      return error
+    } else if (error instanceof RateLimitError) {
+      return new PostQueueError(error.message, ERROR_TYPES.RATE_LIMIT, true, error.retryAfter)
+    } else if (error instanceof InstagramContainerError) {
+      // Media Instagram rejected fails again on retry; slow containers are waited on again, expired ones recreated
+      return error.statusCode === CONTAINER_STATUS.ERROR
+        ? new PostQueueError(error.message, ERROR_TYPES.INVALID_CONTENT)
+        : new PostQueueError(error.message, ERROR_TYPES.API_ERROR, true)
+    } else if (error instanceof FacebookAPIError && UNSUPPORTED_MEDIA_ERROR_CODES.includes(error.code)) {
+      return new PostQueueError(error.message, ERROR_TYPES.INVALID_CONTENT)
+    } else if (error instanceof FacebookAPIError) {
+      const retryable = error.code !== 'OAuthException' // Don't retry auth errors
+      return new PostQueueError(error.message, ERROR_TYPES.API_ERROR, retryable)
+    } else {
+      return new PostQueueError(error.message, ERROR_TYPES.NETWORK_ERROR, true)
+    }
+  }
+
+  /**
+   * Determine if a failed publish to one account should be retried
+   * @param {number} retryCount - Retries already used by that account
+   */
+  shouldRetry(retryCount, error) {
+    // Don't retry if not retryable
+    if (error instanceof PostQueueError && !error.retryable) {
+      return false
+    }
+
+    // Don't retry if max retries reached
+    if (retryCount >= this.maxRetries) {
+      return false
+    }
+
+    // Don't retry content validation errors
+    if (error instanceof PostQueueError && error.type === ERROR_TYPES.INVALID_CONTENT) {
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Schedule a post for retry of the accounts that failed transiently
+   */
+  async scheduleRetry(post, platformPosts) {
+    const retryCount = (post.retry_count || 0) + 1
+    const delay = this.retryDelays[Math.min(retryCount - 1, this.retryDelays.length - 1)]
+
+    // Never retry before a rate limited account may be called again
+    const rateLimitedUntil = Object.values(platformPosts)
+      .filter(entry => entry.status === POST_STATUS.SCHEDULED && entry.retry_at)
+      .map(entry => new Date(entry.retry_at).getTime())
+    const retryTime = new Date(Math.max(Date.now() + delay, ...rateLimitedUntil))
+
+    await this.updatePostStatus(post.id, POST_STATUS.SCHEDULED, {
+      scheduled_for: retryTime.toISOString(),
+      retry_count: retryCount,
+      platform_posts: platformPosts,
+      error_details: { retry: retryCount, ...this.summarizeErrors(platformPosts) }
+    })
+
+    console.log(`Scheduled retry ${retryCount} for post ${post.id} at ${retryTime.toISOString()}`)
+  }
+
+  /**
+   * Combine per-account errors into the post's error_details
+   */
+  summarizeErrors(platformPosts) {
+    const errors = Object.values(platformPosts)
+      .filter(entry => entry.error && entry.status !== POST_STATUS.POSTED)
+      .map(entry => `${entry.platform || 'unknown'}: ${entry.error}`)
+
+    return errors.length > 0 ? { message: errors.join('; ') } : null
+  }
+
+  /**
+   * Save per-account results and extend the lease without releasing it
+   * Called between publishing steps, so the lease outlives long uploads.
+   * @throws {LeaseLostError} If another processor reclaimed the post in the meantime
+   */
+  async savePlatformPosts(postId, platformPosts) {
+    const { data, error } = await this.supabase
+      .from('scheduled_posts')
+      .update({
+        platform_posts: platformPosts,
+        lease_expires_at: new Date(Date.now() + this.leaseSeconds * 1000).toISOString()
+      })
+      .eq('id', postId)
+      .eq('lease_owner', this.workerId)
+      .select('id')
+
+    if (error) {
+      console.error(`Failed to save platform results for post ${postId}:`, error)
+      return
+    }
+
+    if (!data || data.length === 0) {
+      throw new LeaseLostError(postId)
+    }
+  }
+
+  /**
+   * Update post status in database and release the lease
+   * Only applies while this processor still holds the lease, so a processor
+   * whose lease expired cannot overwrite the result of the one that reclaimed it.
+   */
+  async updatePostStatus(postId, status, additionalData = {}) {
+    const updateData = {
+      status,
+      updated_at: new Date().toISOString(),
+      lease_owner: null,
+      lease_expires_at: null,
+      ...additionalData
+    }
+
+    const { data, error } = await this.supabase
+      .from('scheduled_posts')
+      .update(updateData)
+      .eq('id', postId)
+      .eq('lease_owner', this.workerId)
+      .select('id')
+
+    if (error) {
+      console.error(`Failed to update post ${postId} status:`, error)
+      throw new PostQueueError(`Failed to update post status: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      console.warn(`Lease on post ${postId} was lost before its status could be set to ${status}`)
+    }
+  }
+}
+
+export default PostQueueProcessor
@@ -0,0 +1,497 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createLocalDatabase, createServiceClient, signUp } from '../../test/localDatabase'
+import { CONTAINER_STATUS, facebookAPI, FacebookAPIError, InstagramContainerError } from './facebook'
+import { POST_STATUS, PostQueueProcessor } from './postQueueProcessor'
+import { saveSocialAccount } from './socialAccountStore'
+
+// The processor runs in the process-post-queue function with the service-role
+// client. The database is real; the Graph API is mocked on facebookAPI.
+
+const MINUTE = 60 * 1000
+const PAGE_ID = 'page-4521'
+
+let database
+let supabase
+let owner
+let page
+let instagram
+
+beforeAll(async () => {
+  database = await createLocalDatabase()
+  await database.pg.query("SELECT set_config('app.jwt_secret', 'local-test-secret', false)")
+  supabase = createServiceClient(database)
+  owner = await signUp(database.pg)
+
+  const account = fields => saveSocialAccount(supabase, {
+    organizationId: owner.organizationId,
+    userId: owner.userId,
+    accessToken: 'page-token',
+    ...fields
+  })
+  page = await account({ platform: 'facebook', platformAccountId: PAGE_ID, accountName: 'Corner Bakery' })
+  instagram = await account({
+    platform: 'instagram',
+    platformAccountId: 'ig-9031',
+    accountName: '@cornerbakery',
+    facebookPageId: PAGE_ID
+  })
+})
+
+afterAll(async () => {
+  await database?.close()
+})
+
+beforeEach(async () => {
+  // Every test starts with an empty queue
+  await database.pg.query('DELETE FROM scheduled_posts')
+
+  vi.restoreAllMocks()
+  vi.unstubAllGlobals()
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+  vi.spyOn(facebookAPI, 'validateToken').mockResolvedValue({ valid: true })
+
+  // Media hosts answer the content checks' HEAD requests
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { headers: { 'content-type': 'image/jpeg' } })))
+})
+
+// Insert a post as the superuser, due a minute ago unless given a time
+async function seedPost(fields = {}) {
+  const row = {
+    organization_id: owner.organizationId,
+    user_id: owner.userId,
+    social_account_ids: [page],
+    content: 'Fresh sourdough out of the oven',
+    status: 'scheduled',
+    scheduled_for: new Date(Date.now() - MINUTE),
+    ...fields
+  }
+  const columns = Object.keys(row)
+  const { rows: [post] } = await database.pg.query(
+    `INSERT INTO scheduled_posts (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+    Object.values(row)
+  )
+  return post
+}
+
+const getPost = async id => (await database.pg.query('SELECT * FROM scheduled_posts WHERE id = $1', [id])).rows[0]
+
+// Make a post due again, as if its retry time had come
+const makeDue = id => database.pg.query("UPDATE scheduled_posts SET scheduled_for = NOW() - INTERVAL '1 minute' WHERE id = $1", [id])
+
+const createProcessor = (workerId = 'worker-a') => new PostQueueProcessor(supabase, { workerId })
+
+describe('processQueue', () => {
+  it('publishes due posts and reports how many ended in each status', async () => {
+    const publish = vi.spyOn(facebookAPI, 'publishPagePost').mockResolvedValue({ id: 'page_1' })
+    const post = await seedPost()
+
+    const summary = await createProcessor().processQueue()
+
+    expect(summary).toEqual({ processed: 1, posted: 1, materialized: 0, evergreen_filled: 0, native_synced: 0 })
+    expect(publish).toHaveBeenCalledWith(expect.any(String), 'page-token', expect.objectContaining({
+      message: 'Fresh sourdough out of the oven'
+    }))
+
+    const published = await getPost(post.id)
+    expect(published).toMatchObject({ status: POST_STATUS.POSTED, lease_owner: null, lease_expires_at: null })
+    expect(published.posted_at).toBeInstanceOf(Date)
+    expect(published.platform_posts[page]).toMatchObject({ platform: 'facebook', status: POST_STATUS.POSTED, post_id: 'page_1' })
+  })
+
+  it('leaves drafts, cancelled posts and posts not due yet alone', async () => {
+    const publish = vi.spyOn(facebookAPI, 'publishPagePost')
+    await seedPost({ status: 'draft' })
+    await seedPost({ status: 'cancelled' })
+    await seedPost({ scheduled_for: new Date(Date.now() + 10 * MINUTE) })
+
+    expect((await createProcessor().processQueue()).processed).toBe(0)
+    expect(publish).not.toHaveBeenCalled()
+  })
+})
+
+describe('leases', () => {
+  it("claims due posts under a lease that a second worker doesn't claim", async () => {
+    const post = await seedPost()
+
+    const claimed = await createProcessor('worker-a').getDuePosts()
+    expect(claimed.map(due => due.id)).toEqual([post.id])
+
+    const leased = await getPost(post.id)
+    expect(leased).toMatchObject({ status: POST_STATUS.PROCESSING, lease_owner: 'worker-a' })
+    expect(leased.lease_expires_at.getTime()).toBeGreaterThan(Date.now() + 4 * MINUTE)
+
+    expect(await createProcessor('worker-b').getDuePosts()).toEqual([])
+  })
+
+  it('reclaims a post whose lease expired, counting the lost attempt', async () => {
+    const post = await seedPost({ status: 'posting', lease_owner: 'worker-a', lease_expires_at: new Date(Date.now() - MINUTE) })
+
+    const [claimed] = await createProcessor('worker-b').getDuePosts()
+
+    expect(claimed).toMatchObject({ id: post.id, lease_owner: 'worker-b', retry_count: 1 })
+  })
+
+  it("doesn't let a worker whose lease was taken over overwrite the post", async () => {
+    const post = await seedPost()
+    const first = createProcessor('worker-a')
+    await first.getDuePosts()
+    await database.pg.query("UPDATE scheduled_posts SET lease_expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [post.id])
+    await createProcessor('worker-b').getDuePosts()
+
+    await first.updatePostStatus(post.id, POST_STATUS.FAILED)
+
+    expect(await getPost(post.id)).toMatchObject({ status: POST_STATUS.PROCESSING, lease_owner: 'worker-b' })
+  })
+
+  it('renews the lease while publishing', async () => {
+    const post = await seedPost()
+    const processor = createProcessor()
+    await processor.getDuePosts()
+    await database.pg.query("UPDATE scheduled_posts SET lease_expires_at = NOW() + INTERVAL '10 seconds' WHERE id = $1", [post.id])
+
+    await processor.savePlatformPosts(post.id, { [page]: { platform: 'facebook', status: POST_STATUS.POSTING } })
+
+    expect((await getPost(post.id)).lease_expires_at.getTime()).toBeGreaterThan(Date.now() + 4 * MINUTE)
+  })
+})
+
+describe('fan-out and retries', () => {
+  const mockInstagram = () => {
+    vi.spyOn(facebookAPI, 'createInstagramPost').mockResolvedValue({ id: 'container-1' })
+    vi.spyOn(facebookAPI, 'waitForInstagramContainer').mockResolvedValue({ id: 'container-1', status_code: CONTAINER_STATUS.FINISHED })
+    return vi.spyOn(facebookAPI, 'publishInstagramPost')
+  }
+
+  it('publishes to every selected account and records each result', async () => {
+    vi.spyOn(facebookAPI, 'publishPagePhoto').mockResolvedValue({ id: 'photo-1', post_id: 'page_1' })
+    mockInstagram().mockResolvedValue({ id: 'media-1' })
+    const post = await seedPost({ social_account_ids: [page, instagram], media_urls: ['https://cdn.example.com/loaf.jpg'] })
+
+    expect(await createProcessor().processPost((await createProcessor().getDuePosts())[0])).toBe(POST_STATUS.POSTED)
+
+    expect((await getPost(post.id)).platform_posts).toEqual({
+      [page]: expect.objectContaining({ platform: 'facebook', status: POST_STATUS.POSTED, post_id: 'page_1', retry_count: 0 }),
+      [instagram]: expect.objectContaining({ platform: 'instagram', status: POST_STATUS.POSTED, post_id: 'media-1', retry_count: 0 })
+    })
+  })
+
+  it('marks a post partially posted when one account fails for good', async () => {
+    vi.spyOn(facebookAPI, 'publishPagePhoto').mockResolvedValue({ id: 'photo-1', post_id: 'page_1' })
+    mockInstagram().mockRejectedValue(new FacebookAPIError('Session has expired', 'OAuthException'))
+    const post = await seedPost({ social_account_ids: [page, instagram], media_urls: ['https://cdn.example.com/loaf.jpg'] })
+
+    const summary = await createProcessor().processQueue()
+
+    expect(summary).toMatchObject({ processed: 1, partially_posted: 1 })
+    const result = await getPost(post.id)
+    expect(result.status).toBe(POST_STATUS.PARTIALLY_POSTED)
+    expect(result.platform_posts[instagram]).toMatchObject({ status: POST_STATUS.FAILED, error: 'Session has expired' })
+    expect(result.error_details).toEqual({ message: 'instagram: Session has expired' })
+  })
+
+  it('retries transient failures after a delay without posting again to accounts that posted', async () => {
+    const publishPage = vi.spyOn(facebookAPI, 'publishPagePhoto').mockResolvedValue({ id: 'photo-1', post_id: 'page_1' })
+    const publishInstagram = mockInstagram()
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValue({ id: 'media-1' })
+    const post = await seedPost({ social_account_ids: [page, instagram], media_urls: ['https://cdn.example.com/loaf.jpg'] })
+
+    expect(await createProcessor().processQueue()).toMatchObject({ scheduled: 1 })
+
+    const waiting = await getPost(post.id)
+    expect(waiting).toMatchObject({ status: POST_STATUS.SCHEDULED, retry_count: 1, lease_owner: null })
+    expect(waiting.scheduled_for.getTime()).toBeGreaterThan(Date.now() + 25 * 1000)
+    expect(waiting.platform_posts[instagram]).toMatchObject({ status: POST_STATUS.SCHEDULED, retry_count: 1 })
+
+    await makeDue(post.id)
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    expect(publishPage).toHaveBeenCalledTimes(1)
+    expect(publishInstagram).toHaveBeenCalledTimes(2)
+    expect((await getPost(post.id)).platform_posts[instagram]).toMatchObject({ status: POST_STATUS.POSTED, retry_count: 1 })
+  })
+
+  it('backs off longer on every retry', async () => {
+    vi.spyOn(facebookAPI, 'publishPagePost').mockRejectedValue(new TypeError('fetch failed'))
+    const post = await seedPost({ retry_count: 2, platform_posts: { [page]: { platform: 'facebook', status: 'scheduled', retry_count: 2 } } })
+
+    await createProcessor().processQueue()
+
+    const waiting = await getPost(post.id)
+    expect(waiting.retry_count).toBe(3)
+    expect(waiting.scheduled_for.getTime()).toBeGreaterThan(Date.now() + 4 * MINUTE)
+  })
+
+  it('gives up on an account once its retries are used up', async () => {
+    vi.spyOn(facebookAPI, 'publishPagePost').mockRejectedValue(new TypeError('fetch failed'))
+    const post = await seedPost({ retry_count: 3, platform_posts: { [page]: { platform: 'facebook', status: 'scheduled', retry_count: 3 } } })
+
+    expect(await createProcessor().processQueue()).toMatchObject({ failed: 1 })
+    expect(await getPost(post.id)).toMatchObject({ status: POST_STATUS.FAILED })
+  })
+
+  it("doesn't publish again to an account that failed for good", async () => {
+    vi.spyOn(facebookAPI, 'publishPagePhoto').mockResolvedValue({ id: 'photo-1', post_id: 'page_1' })
+    const publishInstagram = mockInstagram()
+    const post = await seedPost({
+      social_account_ids: [page, instagram],
+      media_urls: ['https://cdn.example.com/loaf.jpg'],
+      retry_count: 1,
+      platform_posts: {
+        [page]: { platform: 'facebook', status: 'scheduled', retry_count: 1, error: 'fetch failed' },
+        [instagram]: { platform: 'instagram', status: 'failed', retry_count: 0, error: 'Session has expired' }
+      }
+    })
+
+    expect(await createProcessor().processQueue()).toMatchObject({ partially_posted: 1 })
+
+    expect(facebookAPI.createInstagramPost).not.toHaveBeenCalled()
+    expect(publishInstagram).not.toHaveBeenCalled()
+    expect((await getPost(post.id)).platform_posts[page]).toMatchObject({ status: POST_STATUS.POSTED })
+  })
+})
+
+describe('Instagram containers', () => {
+  const instagramPost = fields => seedPost({
+    social_account_ids: [instagram],
+    media_urls: ['https://cdn.example.com/loaf.jpg'],
+    ...fields
+  })
+
+  it('waits for the container to finish processing before publishing it', async () => {
+    vi.spyOn(facebookAPI, 'createInstagramPost').mockResolvedValue({ id: 'container-1' })
+    const wait = vi.spyOn(facebookAPI, 'waitForInstagramContainer').mockResolvedValue({ id: 'container-1', status_code: CONTAINER_STATUS.FINISHED })
+    const publish = vi.spyOn(facebookAPI, 'publishInstagramPost').mockResolvedValue({ id: 'media-1' })
+    await instagramPost()
+
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    // Instagram calls count against the linked Page's rate limit too
+    expect(facebookAPI.createInstagramPost).toHaveBeenCalledWith('ig-9031', 'page-token', expect.any(Object), { pageId: PAGE_ID })
+    expect(wait).toHaveBeenCalledWith('ig-9031', 'container-1', 'page-token', { pageId: PAGE_ID })
+    expect(wait.mock.invocationCallOrder[0]).toBeLessThan(publish.mock.invocationCallOrder[0])
+    expect(publish).toHaveBeenCalledWith('ig-9031', 'container-1', 'page-token', { pageId: PAGE_ID })
+  })
+
+  it('keeps the container for the retry while Instagram is still processing it', async () => {
+    vi.spyOn(facebookAPI, 'createInstagramPost').mockResolvedValue({ id: 'container-1' })
+    vi.spyOn(facebookAPI, 'waitForInstagramContainer')
+      .mockRejectedValue(new InstagramContainerError('Instagram is still processing the media', CONTAINER_STATUS.IN_PROGRESS))
+    const post = await instagramPost()
+
+    expect(await createProcessor().processQueue()).toMatchObject({ scheduled: 1 })
+
+    expect((await getPost(post.id)).platform_posts[instagram]).toMatchObject({ status: POST_STATUS.SCHEDULED, container_id: 'container-1' })
+  })
+
+  it('resumes a post whose lease expired from its saved container', async () => {
+    const create = vi.spyOn(facebookAPI, 'createInstagramPost')
+    vi.spyOn(facebookAPI, 'waitForInstagramContainer').mockResolvedValue({ id: 'container-1', status_code: CONTAINER_STATUS.FINISHED })
+    const publish = vi.spyOn(facebookAPI, 'publishInstagramPost').mockResolvedValue({ id: 'media-1' })
+    const post = await instagramPost({
+      status: 'posting',
+      lease_owner: 'crashed-worker',
+      lease_expires_at: new Date(Date.now() - MINUTE),
+      platform_posts: { [instagram]: { platform: 'instagram', status: 'posting', container_id: 'container-1' } }
+    })
+
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    expect(create).not.toHaveBeenCalled()
+    expect(publish).toHaveBeenCalledWith('ig-9031', 'container-1', 'page-token', { pageId: PAGE_ID })
+    expect((await getPost(post.id)).platform_posts[instagram]).toMatchObject({ status: POST_STATUS.POSTED, post_id: 'media-1' })
+  })
+
+  it("doesn't publish a container an earlier attempt already published", async () => {
+    vi.spyOn(facebookAPI, 'waitForInstagramContainer').mockResolvedValue({ id: 'container-1', status_code: CONTAINER_STATUS.PUBLISHED })
+    const publish = vi.spyOn(facebookAPI, 'publishInstagramPost')
+    const post = await instagramPost({ platform_posts: { [instagram]: { platform: 'instagram', status: 'scheduled', container_id: 'container-1' } } })
+
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    expect(publish).not.toHaveBeenCalled()
+    expect((await getPost(post.id)).status).toBe(POST_STATUS.POSTED)
+  })
+
+  it('stops publishing when another worker reclaimed the post', async () => {
+    const post = await instagramPost()
+    vi.spyOn(facebookAPI, 'createInstagramPost').mockImplementation(async () => {
+      // This worker stalled past its lease and another one claimed the post
+      await database.pg.query("UPDATE scheduled_posts SET lease_owner = 'worker-b' WHERE id = $1", [post.id])
+      return { id: 'container-1' }
+    })
+    const publish = vi.spyOn(facebookAPI, 'publishInstagramPost')
+
+    expect(await createProcessor().processQueue()).toMatchObject({ posting: 1 })
+
+    expect(publish).not.toHaveBeenCalled()
+    expect(await getPost(post.id)).toMatchObject({ status: POST_STATUS.PROCESSING, lease_owner: 'worker-b' })
+  })
+})
+
+describe('video uploads', () => {
+  const VIDEO_URL = 'https://cdn.example.com/tour.mp4'
+  const VIDEO = new Uint8Array(10)
+
+  // Graph API video upload host: answers each upload phase with the next byte range
+  const mockUploads = ({ failTransfersFrom = Infinity } = {}) => {
+    const requests = []
+    vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+      if (url === VIDEO_URL) {
+        return options.method === 'HEAD'
+          ? new Response(null, { headers: { 'content-type': 'video/mp4', 'content-length': String(VIDEO.length) } })
+          : new Response(VIDEO)
+      }
+
+      const params = options.body instanceof FormData ? options.body : new URLSearchParams(options.body)
+      const phase = params.get('upload_phase')
+      const offset = Number(params.get('start_offset'))
+      requests.push(phase === 'transfer' ? `transfer ${offset}` : phase)
+
+      if (phase === 'start') {
+        return Response.json({ upload_session_id: 'session-1', video_id: 'video-1', start_offset: '0', end_offset: '4' })
+      }
+      if (phase === 'transfer') {
+        if (offset >= failTransfersFrom) {
+          return Response.json({ error: { message: 'Service temporarily unavailable', code: 2 } }, { status: 503 })
+        }
+        const next = Math.min(offset + 4, VIDEO.length)
+        return Response.json({ start_offset: String(next), end_offset: String(Math.min(next + 4, VIDEO.length)) })
+      }
+      return Response.json({ success: true })
+    }))
+    return requests
+  }
+
+  const videoPost = fields => seedPost({ media_urls: [VIDEO_URL], ...fields })
+
+  it('saves the upload session on the post, and a retry continues it', async () => {
+    let requests = mockUploads({ failTransfersFrom: 4 })
+    const post = await videoPost()
+
+    expect(await createProcessor().processQueue()).toMatchObject({ scheduled: 1 })
+
+    expect(requests).toEqual(['start', 'transfer 0', 'transfer 4', 'transfer 4', 'transfer 4', 'transfer 4'])
+    expect((await getPost(post.id)).platform_posts[page]).toMatchObject({
+      status: POST_STATUS.SCHEDULED,
+      upload: { upload_session_id: 'session-1', video_id: 'video-1', file_size: 10, start_offset: 4, end_offset: 8 }
+    })
+
+    requests = mockUploads()
+    await makeDue(post.id)
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    expect(requests).toEqual(['transfer 4', 'transfer 8', 'finish'])
+    expect((await getPost(post.id)).platform_posts[page]).toMatchObject({ status: POST_STATUS.POSTED, post_id: 'video-1' })
+  })
+
+  it('resumes a post whose lease expired from its saved upload session', async () => {
+    const requests = mockUploads()
+    const post = await videoPost({
+      status: 'posting',
+      lease_owner: 'crashed-worker',
+      lease_expires_at: new Date(Date.now() - MINUTE),
+      platform_posts: {
+        [page]: {
+          platform: 'facebook',
+          status: 'posting',
+          upload: { upload_session_id: 'session-1', video_id: 'video-1', file_size: 10, start_offset: 8, end_offset: 10 }
+        }
+      }
+    })
+
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    expect(requests).toEqual(['transfer 8', 'finish'])
+    expect((await getPost(post.id)).platform_posts[page]).toMatchObject({ status: POST_STATUS.POSTED, post_id: 'video-1' })
+  })
+
+  it("doesn't finish a session again once the video was published", async () => {
+    const requests = mockUploads()
+    const isPublished = vi.spyOn(facebookAPI, 'isPublished').mockResolvedValue(true)
+    await videoPost({
+      platform_posts: {
+        [page]: {
+          platform: 'facebook',
+          status: 'scheduled',
+          upload: { upload_session_id: 'session-1', video_id: 'video-1', file_size: 10, start_offset: 10, end_offset: 10, finishing: true }
+        }
+      }
+    })
+
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    expect(isPublished).toHaveBeenCalledWith(expect.any(String), 'video-1', 'page-token', { video: true })
+    expect(requests).toEqual([])
+  })
+})
+
+describe("Facebook's scheduler", () => {
+  const nativePost = fields => seedPost({
+    native_scheduling: true,
+    scheduled_for: new Date(Date.now() + 2 * 24 * 60 * MINUTE),
+    ...fields
+  })
+
+  it('hands natively scheduled posts to Facebook ahead of time', async () => {
+    const publish = vi.spyOn(facebookAPI, 'publishPagePost').mockResolvedValue({ id: 'page_1' })
+    const post = await nativePost()
+
+    expect(await createProcessor().processQueue()).toMatchObject({ native_synced: 1, processed: 0 })
+
+    expect(publish).toHaveBeenCalledWith(expect.any(String), 'page-token', expect.objectContaining({
+      scheduled_publish_time: post.scheduled_for.getTime()
+    }))
+    const synced = await getPost(post.id)
+    expect(synced).toMatchObject({ status: POST_STATUS.SCHEDULED, lease_owner: null })
+    expect(synced.platform_posts[page]).toMatchObject({ status: POST_STATUS.SCHEDULED, native: true, native_type: 'post', post_id: 'page_1' })
+  })
+
+  it('replaces the scheduled copy when the post is edited, and deletes it when the post is cancelled', async () => {
+    vi.spyOn(facebookAPI, 'publishPagePost')
+      .mockResolvedValueOnce({ id: 'page_1' })
+      .mockResolvedValueOnce({ id: 'page_2' })
+    const remove = vi.spyOn(facebookAPI, 'deletePagePost').mockResolvedValue({ success: true })
+    const post = await nativePost()
+    await createProcessor().processQueue()
+
+    await database.pg.query("UPDATE scheduled_posts SET content = 'Sourdough and rye' WHERE id = $1", [post.id])
+    expect(await createProcessor().processQueue()).toMatchObject({ native_synced: 1 })
+    expect(remove).toHaveBeenLastCalledWith(expect.any(String), 'page_1', 'page-token')
+    expect((await getPost(post.id)).platform_posts[page]).toMatchObject({ native: true, post_id: 'page_2' })
+
+    await database.pg.query("UPDATE scheduled_posts SET status = 'cancelled' WHERE id = $1", [post.id])
+    expect(await createProcessor().processQueue()).toMatchObject({ native_synced: 1 })
+    expect(remove).toHaveBeenLastCalledWith(expect.any(String), 'page_2', 'page-token')
+    expect((await getPost(post.id)).platform_posts).toEqual({})
+  })
+
+  it('leaves posts due too soon for Facebook to the queue', async () => {
+    const publish = vi.spyOn(facebookAPI, 'publishPagePost')
+    const post = await nativePost({ scheduled_for: new Date(Date.now() + 5 * MINUTE) })
+
+    await createProcessor().processQueue()
+
+    expect(publish).not.toHaveBeenCalled()
+    expect((await getPost(post.id)).platform_posts).toEqual({})
+  })
+
+  it('confirms a handed-over post once due instead of publishing it again', async () => {
+    const publish = vi.spyOn(facebookAPI, 'publishPagePost')
+    const isPublished = vi.spyOn(facebookAPI, 'isPublished').mockResolvedValue(true)
+    const post = await seedPost({
+      native_scheduling: true,
+      platform_posts: { [page]: { platform: 'facebook', status: 'scheduled', native: true, native_type: 'post', post_id: 'page_1' } }
+    })
+    await database.pg.query('UPDATE scheduled_posts SET native_synced_at = NOW() WHERE id = $1', [post.id])
+
+    expect(await createProcessor().processQueue()).toMatchObject({ posted: 1 })
+
+    expect(isPublished).toHaveBeenCalledWith(expect.any(String), 'page_1', 'page-token', { video: false })
+    expect(publish).not.toHaveBeenCalled()
+    expect((await getPost(post.id)).platform_posts[page]).toMatchObject({ status: POST_STATUS.POSTED, post_id: 'page_1' })
+  })
+})
@@ -0,0 +1,131 @@
+// Post Series for LocalSocial
+// A series repeats one post on a recurrence rule (see recurrence.js). Upcoming
+// occurrences are materialized into scheduled_posts a fixed horizon ahead, so the
+// queue, native scheduling and the dashboard handle them like any other post.
+// Each occurrence remembers the slot it was made for (series_occurrence_at) and
+// UNIQUE(series_id, series_occurrence_at) keeps a skipped (cancelled) or edited
+// occurrence from being materialized again.
+// Works with both the browser client and the service-role client.
+
+import { getOccurrences } from './recurrence'
+import { POST_STATUS } from './postStatus'
+
+// Occurrences are materialized two weeks ahead, and topped up once fewer than 13 days are
+export const MATERIALIZE_HORIZON_MS = 14 * 24 * 60 * 60 * 1000
+export const MATERIALIZE_MIN_AHEAD_MS = 13 * 24 * 60 * 60 * 1000
+
+// Columns every occurrence copies from its series
+export const SERIES_POST_COLUMNS = [
+  'organization_id',
+  'user_id',
+  'social_account_ids',
+  'content',
+  'media_urls',
+  'media_captions',
+  'hashtags',
+  'location_name',
+  'location_id',
+  'link_url',
+  'platform_overrides',
+  'post_format',
+  'format_options',
+  'native_scheduling',
+  'timezone'
+]
+
+/**
+ * The scheduled post for one occurrence of a series
+ * @param {Object} series - post_series row
+ * @param {Date} occurrenceAt - Occurrence from getOccurrences
+ * @returns {Object} scheduled_posts row
+ */
+export function buildOccurrence(series, occurrenceAt) {
+  const scheduledFor = occurrenceAt.toISOString()
+
+  return {
+    ...Object.fromEntries(SERIES_POST_COLUMNS.map(key => [key, series[key] ?? null])),
+    scheduled_for: scheduledFor,
+    status: POST_STATUS.SCHEDULED,
+    series_id: series.id,
+    series_occurrence_at: scheduledFor
+  }
+}
+
+/**
+ * Materialize a series' occurrences up to the horizon
+ * Occurrences already in scheduled_posts are left alone, so this is safe to run
+ * from several places at once. Series whose rule has run out are marked inactive.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} series - post_series row
+ * @param {Object} options
+ * @param {number} [options.now] - Current time in ms
+ * @returns {Promise<number>} Number of occurrences materialized
+ */
+export async function materializeSeries(supabase, series, { now = Date.now() } = {}) {
+  const schedule = { rule: series.recurrence_rule, startsAt: series.starts_at, timeZone: series.timezone }
+  const materializedUntil = series.materialized_until ? new Date(series.materialized_until).getTime() : 0
+  const horizon = Math.max(materializedUntil, now + MATERIALIZE_HORIZON_MS)
+
+  // Occurrences that were missed while nothing was materializing are not posted late
+  const occurrences = getOccurrences(schedule, { from: Math.max(materializedUntil, now), to: horizon })
+
+  if (occurrences.length > 0) {
+    const { error } = await supabase
+      .from('scheduled_posts')
+      .upsert(occurrences.map(occurrenceAt => buildOccurrence(series, occurrenceAt)), {
+        onConflict: 'series_id,series_occurrence_at',
+        ignoreDuplicates: true
+      })
+
+    if (error) {
+      throw new Error(`Failed to materialize series ${series.id}: ${error.message}`)
+    }
+  }
+
+  const ended = getOccurrences(schedule, { from: horizon, limit: 1 }).length === 0
+
+  const { error } = await supabase
+    .from('post_series')
+    .update({
+      materialized_until: new Date(horizon).toISOString(),
+      ...(ended && { is_active: false })
+    })
+    .eq('id', series.id)
+
+  if (error) {
+    throw new Error(`Failed to update series ${series.id}: ${error.message}`)
+  }
+
+  return occurrences.length
+}
+
+/**
+ * Stop a series and cancel its upcoming occurrences
+ * Occurrences that were edited on their own stay scheduled.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} seriesId
+ */
+export async function endSeries(supabase, seriesId) {
+  const { error } = await supabase
+    .from('post_series')
+    .update({ is_active: false })
+    .eq('id', seriesId)
+
+  if (error) {
+    throw new Error(`Failed to end series: ${error.message}`)
+  }
+
+  const { error: cancelError } = await supabase
+    .from('scheduled_posts')
+    .update({
+      status: POST_STATUS.CANCELLED,
+      error_details: { message: 'Series ended' }
+    })
+    .eq('series_id', seriesId)
+    .eq('status', POST_STATUS.SCHEDULED)
+    .eq('series_override', false)
+
+  if (cancelError) {
+    throw new Error(`Failed to cancel upcoming occurrences: ${cancelError.message}`)
+  }
+}
@@ -0,0 +1,37 @@
+// Post Statuses for LocalSocial
+// Statuses, error types and the queue error shared by the browser-side queue
+// (./postQueue) and the server-side processor (./postQueueProcessor). No
+// dependencies, so importing it doesn't pull the worker into the client bundle.
+
+// Post processing statuses
+export const POST_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  PROCESSING: 'processing',
+  POSTING: 'posting',
+  POSTED: 'posted',
+  PARTIALLY_POSTED: 'partially_posted',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+// Error types for better error handling
+export const ERROR_TYPES = {
+  RATE_LIMIT: 'rate_limit',
+  API_ERROR: 'api_error',
+  NETWORK_ERROR: 'network_error',
+  INVALID_TOKEN: 'invalid_token',
+  MISSING_ACCOUNT: 'missing_account',
+  INVALID_CONTENT: 'invalid_content',
+  UNKNOWN: 'unknown'
+}
+
+export class PostQueueError extends Error {
+  constructor(message, type = ERROR_TYPES.UNKNOWN, retryable = false, retryAfter = null) {
+    super(message)
+    this.name = 'PostQueueError'
+    this.type = type
+    this.retryable = retryable
+    this.retryAfter = retryAfter // Seconds until the platform accepts calls again
+  }
+}
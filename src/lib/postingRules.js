@@ -0,0 +1,252 @@
+// Posting Rules for LocalSocial
+// A business profile can limit when its posts go out:
+//   - only_while_open: only during its business_hours
+//   - quiet_hours: never between two times of day, e.g. 22:00 to 07:00
+//   - business_blackouts: never on these days, e.g. closed holidays
+// Times are read in the organization's timezone. The queue defers posts that
+// break a rule to the next allowed time, and the composer warns while scheduling.
+// Works with both the browser client and the service-role client.
+
+import { getZonedParts, zonedTimeToUtc } from './timezone'
+
+export const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// Why a time isn't allowed
+export const RULE_REASONS = {
+  CLOSED: 'closed',
+  QUIET_HOURS: 'quiet_hours',
+  BLACKOUT: 'blackout'
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Allowed times are looked for this far ahead before giving up
+const MAX_SEARCH_MS = 366 * DAY_MS
+
+/**
+ * @typedef {Object} PostingRules
+ * @property {string} businessProfileId
+ * @property {string} name - Business name, for messages
+ * @property {string} timeZone - IANA timezone the rules are read in
+ * @property {Object} businessHours - {monday: {open: "09:00", close: "17:00"}, ...}
+ * @property {boolean} onlyWhileOpen
+ * @property {{start: string, end: string}|null} quietHours
+ * @property {Array<{starts_on: string, ends_on: string, reason: string|null}>} blackouts
+ */
+
+/**
+ * @typedef {Object} RuleBlock
+ * @property {string} reason - One of RULE_REASONS
+ * @property {string} message
+ * @property {Date|null} until - When this block ends; null if it never does
+ */
+
+// "HH:MM" as minutes since midnight, or null
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '')
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+// Calendar day `offset` days after a date, as {year, month, day}
+const addDays = ({ year, month, day }, offset) => {
+  const date = new Date(Date.UTC(year, month - 1, day + offset))
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+}
+
+const toDateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+
+const getWeekday = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+
+// Instant of a wall-clock time (minutes since midnight) on a day in a timezone
+const atMinutes = (date, minutes, timeZone) =>
+  zonedTimeToUtc({ ...addDays(date, Math.floor(minutes / 1440)), hour: Math.floor(minutes % 1440 / 60), minute: minutes % 60 }, timeZone)
+
+// Opening hours of a day, or null when closed; a close at or before the open runs past midnight
+const getOpeningHours = (rules, date) => {
+  const hours = rules.businessHours?.[WEEKDAY_KEYS[getWeekday(date)]]
+  const open = parseTime(hours?.open)
+  const close = parseTime(hours?.close)
+
+  if (!hours || hours.closed || open === null || close === null) return null
+  return { open, close: close > open ? close : close + 1440 }
+}
+
+const checkBlackouts = (rules, today) => {
+  const key = toDateKey(today)
+  const blackout = rules.blackouts.find(item => item.starts_on <= key && key <= item.ends_on)
+  if (!blackout) return null
+
+  const [year, month, day] = blackout.ends_on.split('-').map(Number)
+  return {
+    reason: RULE_REASONS.BLACKOUT,
+    message: `${rules.name} doesn't post on ${blackout.reason || 'blackout days'}`,
+    until: atMinutes(addDays({ year, month, day }, 1), 0, rules.timeZone)
+  }
+}
+
+const checkQuietHours = (rules, today, minutes) => {
+  const start = parseTime(rules.quietHours?.start)
+  const end = parseTime(rules.quietHours?.end)
+  if (start === null || end === null || start === end) return null
+
+  const wraps = start > end
+  const quiet = wraps ? minutes >= start || minutes < end : minutes >= start && minutes < end
+  if (!quiet) return null
+
+  return {
+    reason: RULE_REASONS.QUIET_HOURS,
+    message: `${rules.name} doesn't post between ${rules.quietHours.start} and ${rules.quietHours.end}`,
+    until: atMinutes(wraps && minutes >= start ? addDays(today, 1) : today, end, rules.timeZone)
+  }
+}
+
+const checkOpeningHours = (rules, time, today) => {
+  if (!rules.onlyWhileOpen || !WEEKDAY_KEYS.some(key => rules.businessHours?.[key])) return null
+
+  // Yesterday's hours may run past midnight
+  for (const offset of [-1, 0]) {
+    const date = addDays(today, offset)
+    const hours = getOpeningHours(rules, date)
+    if (hours && time >= atMinutes(date, hours.open, rules.timeZone) && time < atMinutes(date, hours.close, rules.timeZone)) {
+      return null
+    }
+  }
+
+  let until = null
+  for (let offset = 0; offset <= 7 && !until; offset++) {
+    const date = addDays(today, offset)
+    const hours = getOpeningHours(rules, date)
+    const opensAt = hours && atMinutes(date, hours.open, rules.timeZone)
+    if (opensAt && opensAt > time) until = opensAt
+  }
+
+  return {
+    reason: RULE_REASONS.CLOSED,
+    message: `${rules.name} only posts while open`,
+    until
+  }
+}
+
+/**
+ * Rules a time breaks for one business profile
+ * @param {PostingRules} rules
+ * @param {Date|number} date
+ * @returns {RuleBlock[]}
+ */
+export function getRuleBlocks(rules, date) {
+  const time = new Date(date)
+  const { year, month, day, hour, minute } = getZonedParts(time, rules.timeZone)
+  const today = { year, month, day }
+
+  return [
+    checkBlackouts(rules, today),
+    checkQuietHours(rules, today, hour * 60 + minute),
+    checkOpeningHours(rules, time, today)
+  ].filter(Boolean)
+}
+
+/**
+ * Check a time against the rules of every business profile a post belongs to
+ * @param {PostingRules[]} ruleSets
+ * @param {Date|number} date
+ * @returns {{allowed: boolean, blocks: RuleBlock[], nextAllowedAt: Date|null}} nextAllowedAt
+ *   is the date itself when allowed, and null when no time within a year is
+ */
+export function checkPostingRules(ruleSets, date) {
+  const start = new Date(date).getTime()
+  const blocks = ruleSets.flatMap(rules => getRuleBlocks(rules, start))
+  let time = start
+  let current = blocks
+
+  while (current.length > 0) {
+    if (current.some(block => !block.until)) {
+      return { allowed: false, blocks, nextAllowedAt: null }
+    }
+
+    time = Math.max(...current.map(block => block.until.getTime()))
+    if (time - start > MAX_SEARCH_MS) {
+      return { allowed: false, blocks, nextAllowedAt: null }
+    }
+    current = ruleSets.flatMap(rules => getRuleBlocks(rules, time))
+  }
+
+  return { allowed: blocks.length === 0, blocks, nextAllowedAt: new Date(time) }
+}
+
+/**
+ * Posting rules from a business profile, its organization's timezone and its blackouts
+ * @param {Object} profile - business_profiles row
+ * @param {string|null} timeZone - organizations.timezone; UTC when unset
+ * @param {Object[]} blackouts - business_blackouts rows of the profile
+ * @returns {PostingRules}
+ */
+export function buildPostingRules(profile, timeZone, blackouts = []) {
+  const postingRules = profile.posting_rules || {}
+
+  return {
+    businessProfileId: profile.id,
+    name: profile.business_name,
+    timeZone: timeZone || 'UTC',
+    businessHours: profile.business_hours || {},
+    onlyWhileOpen: !!postingRules.only_while_open,
+    quietHours: postingRules.quiet_hours || null,
+    blackouts
+  }
+}
+
+/**
+ * Load the posting rules that apply to a post
+ * A post follows its own business profile and those of its accounts. Posts with
+ * neither follow the organization's business profile when it has exactly one.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Array<string|null>} [params.businessProfileIds]
+ * @returns {Promise<PostingRules[]>}
+ */
+export async function loadPostingRules(supabase, { organizationId, businessProfileIds = [] }) {
+  const ids = [...new Set(businessProfileIds.filter(Boolean))]
+
+  let query = supabase
+    .from('business_profiles')
+    .select('id, organization_id, business_name, business_hours, posting_rules')
+  query = ids.length > 0
+    ? query.in('id', ids)
+    : query.eq('organization_id', organizationId).eq('is_active', true)
+
+  const { data: profiles, error } = await query
+
+  if (error) {
+    throw new Error(`Failed to fetch business profiles: ${error.message}`)
+  }
+  if (!profiles?.length || (ids.length === 0 && profiles.length > 1)) {
+    return []
+  }
+
+  // Two days back covers every timezone's today
+  const since = new Date(Date.now() - 2 * DAY_MS).toISOString().slice(0, 10)
+
+  const [{ data: organization, error: organizationError }, { data: blackouts, error: blackoutsError }] = await Promise.all([
+    supabase.from('organizations').select('timezone').eq('id', organizationId).single(),
+    supabase
+      .from('business_blackouts')
+      .select('business_profile_id, starts_on, ends_on, reason')
+      .in('business_profile_id', profiles.map(profile => profile.id))
+      .gte('ends_on', since)
+  ])
+
+  if (organizationError) {
+    throw new Error(`Failed to fetch organization: ${organizationError.message}`)
+  }
+  if (blackoutsError) {
+    throw new Error(`Failed to fetch blackouts: ${blackoutsError.message}`)
+  }
+
+  return profiles.map(profile => buildPostingRules(
+    profile,
+    organization?.timezone,
+    (blackouts || []).filter(item => item.business_profile_id === profile.id)
+  ))
+}
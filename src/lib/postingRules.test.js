@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest'
+import { buildPostingRules, checkPostingRules, getRuleBlocks, RULE_REASONS } from './postingRules'
+
+const WEEKDAY_HOURS = { open: '09:00', close: '17:00' }
+
+const bakery = (postingRules, { timeZone = 'America/Chicago', businessHours = null, blackouts = [] } = {}) => buildPostingRules({
+  id: 'bakery',
+  business_name: 'Corner Bakery',
+  business_hours: businessHours,
+  posting_rules: postingRules
+}, timeZone, blackouts)
+
+describe('buildPostingRules', () => {
+  it("reads a business profile's rules, in UTC when the organization has no timezone", () => {
+    expect(buildPostingRules({ id: 'bakery', business_name: 'Corner Bakery', business_hours: null, posting_rules: null }, null)).toEqual({
+      businessProfileId: 'bakery',
+      name: 'Corner Bakery',
+      timeZone: 'UTC',
+      businessHours: {},
+      onlyWhileOpen: false,
+      quietHours: null,
+      blackouts: []
+    })
+  })
+})
+
+describe('getRuleBlocks', () => {
+  it('blocks quiet hours that wrap past midnight until they end', () => {
+    const rules = bakery({ quiet_hours: { start: '22:00', end: '07:00' } })
+
+    // 11pm on Monday, November 2 in Chicago
+    expect(getRuleBlocks(rules, new Date('2026-11-03T05:00:00Z'))).toEqual([{
+      reason: RULE_REASONS.QUIET_HOURS,
+      message: "Corner Bakery doesn't post between 22:00 and 07:00",
+      until: new Date('2026-11-03T13:00:00Z')
+    }])
+    expect(getRuleBlocks(rules, new Date('2026-11-03T18:00:00Z'))).toEqual([])
+  })
+
+  it('blocks closed hours until the business next opens', () => {
+    const rules = bakery({ only_while_open: true }, { businessHours: { monday: WEEKDAY_HOURS, wednesday: WEEKDAY_HOURS } })
+
+    // 6pm Monday; closed Tuesday
+    expect(getRuleBlocks(rules, new Date('2026-11-03T00:00:00Z'))).toEqual([{
+      reason: RULE_REASONS.CLOSED,
+      message: 'Corner Bakery only posts while open',
+      until: new Date('2026-11-04T15:00:00Z')
+    }])
+    expect(getRuleBlocks(rules, new Date('2026-11-02T15:00:00Z'))).toEqual([])
+  })
+
+  it('counts opening hours that run past midnight', () => {
+    const rules = bakery({ only_while_open: true }, { businessHours: { friday: { open: '17:00', close: '02:00' } } })
+
+    // 1am Saturday, still Friday night's hours
+    expect(getRuleBlocks(rules, new Date('2026-11-07T07:00:00Z'))).toEqual([])
+  })
+
+  it('ignores only_while_open without business hours', () => {
+    expect(getRuleBlocks(bakery({ only_while_open: true }), new Date('2026-11-03T05:00:00Z'))).toEqual([])
+  })
+
+  it('blocks blackout days until the day after the last one', () => {
+    const rules = bakery({}, { blackouts: [{ starts_on: '2026-11-26', ends_on: '2026-11-27', reason: 'Thanksgiving' }] })
+
+    expect(getRuleBlocks(rules, new Date('2026-11-26T18:00:00Z'))).toEqual([{
+      reason: RULE_REASONS.BLACKOUT,
+      message: "Corner Bakery doesn't post on Thanksgiving",
+      until: new Date('2026-11-28T06:00:00Z')
+    }])
+  })
+})
+
+describe('checkPostingRules', () => {
+  it('allows a time no rule blocks', () => {
+    const date = new Date('2026-11-02T18:00:00Z')
+
+    expect(checkPostingRules([bakery({ quiet_hours: { start: '22:00', end: '07:00' } })], date))
+      .toEqual({ allowed: true, blocks: [], nextAllowedAt: date })
+  })
+
+  it('finds the first time every business profile allows', () => {
+    const quiet = bakery({ quiet_hours: { start: '22:00', end: '07:00' } }, { timeZone: 'UTC' })
+    const open = bakery({ only_while_open: true }, { timeZone: 'UTC', businessHours: { tuesday: WEEKDAY_HOURS } })
+
+    const result = checkPostingRules([quiet, open], new Date('2026-11-02T23:00:00Z'))
+
+    expect(result.allowed).toBe(false)
+    expect(result.blocks.map(block => block.reason)).toEqual([RULE_REASONS.QUIET_HOURS, RULE_REASONS.CLOSED])
+    expect(result.nextAllowedAt).toEqual(new Date('2026-11-03T09:00:00Z'))
+  })
+
+  it('gives no next time when the business never opens', () => {
+    const rules = bakery({ only_while_open: true }, { businessHours: { monday: { closed: true } } })
+
+    expect(checkPostingRules([rules], new Date('2026-11-02T18:00:00Z')))
+      .toMatchObject({ allowed: false, nextAllowedAt: null })
+  })
+})
@@ -0,0 +1,340 @@
+// Recurrence Rules for LocalSocial
+// Recurring posts repeat on a subset of iCalendar RRULE (RFC 5545):
+//   FREQ      DAILY, WEEKLY or MONTHLY
+//   INTERVAL  every n days, weeks or months (default 1)
+//   BYDAY     weekdays; monthly rules may number them (1MO first Monday, -1FR last Friday)
+//   BYMONTHDAY days of the month for monthly rules (-1 is the last day)
+//   COUNT / UNTIL  end after n occurrences, or after a date (YYYYMMDD)
+// e.g. FREQ=WEEKLY;BYDAY=FR (every Friday), FREQ=MONTHLY;BYDAY=1MO (first Monday
+// of the month), FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR (weekdays).
+// Every occurrence keeps the first occurrence's wall-clock time in the series'
+// timezone, so 4pm stays 4pm across daylight saving changes.
+
+import { getZonedParts, zonedTimeToUtc } from './timezone'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const FREQUENCY = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY'
+}
+
+// Indexed like Date#getUTCDay()
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const ORDINAL_NAMES = {
+  1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth',
+  '-1': 'last', '-2': 'second to last', '-3': 'third to last', '-4': 'fourth to last', '-5': 'fifth to last'
+}
+
+// BYDAY for "every weekday"
+export const WORKWEEK = ['MO', 'TU', 'WE', 'TH', 'FR']
+
+// Rules that never match stop being followed after this many days, weeks or months
+const MAX_PERIODS = 5000
+
+export class RecurrenceRuleError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'RecurrenceRuleError'
+  }
+}
+
+/**
+ * @typedef {Object} RecurrenceRule
+ * @property {string} freq - One of FREQUENCY
+ * @property {number} interval
+ * @property {Array<{weekday: string, ordinal: number|null}>} byDay
+ * @property {number[]} byMonthDay
+ * @property {number|null} count
+ * @property {string|null} until - YYYYMMDD, last day (in the series' timezone) an occurrence may fall on
+ */
+
+const parsePositiveInteger = (name, value) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new RecurrenceRuleError(`${name} must be a positive whole number`)
+  }
+  return Number(value)
+}
+
+/**
+ * Parse and validate a rule string
+ * @param {string} rule - e.g. 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=6'
+ * @returns {RecurrenceRule}
+ * @throws {RecurrenceRuleError}
+ */
+export function parseRule(rule) {
+  const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null }
+
+  for (const part of (rule || '').replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [name, value = ''] = part.toUpperCase().split('=')
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCY[value]) {
+          throw new RecurrenceRuleError(`Unsupported frequency: ${value}`)
+        }
+        parsed.freq = value
+        break
+      case 'INTERVAL':
+        parsed.interval = parsePositiveInteger('INTERVAL', value)
+        break
+      case 'BYDAY':
+        parsed.byDay = value.split(',').map(day => {
+          const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day)
+          if (!match) {
+            throw new RecurrenceRuleError(`Invalid weekday: ${day}`)
+          }
+          return { weekday: match[2], ordinal: match[1] ? Number(match[1]) : null }
+        })
+        break
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = value.split(',').map(day => {
+          const number = Number(day)
+          if (!Number.isInteger(number) || number === 0 || Math.abs(number) > 31) {
+            throw new RecurrenceRuleError(`Invalid day of the month: ${day}`)
+          }
+          return number
+        })
+        break
+      case 'COUNT':
+        parsed.count = parsePositiveInteger('COUNT', value)
+        break
+      case 'UNTIL':
+        if (!/^\d{8}$/.test(value)) {
+          throw new RecurrenceRuleError('UNTIL must be a date (YYYYMMDD)')
+        }
+        parsed.until = value
+        break
+      default:
+        throw new RecurrenceRuleError(`Unsupported rule part: ${name}`)
+    }
+  }
+
+  if (!parsed.freq) {
+    throw new RecurrenceRuleError('FREQ is required')
+  }
+  if (parsed.count && parsed.until) {
+    throw new RecurrenceRuleError('Use either COUNT or UNTIL, not both')
+  }
+  if (parsed.byMonthDay.length > 0 && parsed.freq !== FREQUENCY.MONTHLY) {
+    throw new RecurrenceRuleError('BYMONTHDAY is only supported for monthly rules')
+  }
+  if (parsed.byMonthDay.length > 0 && parsed.byDay.length > 0) {
+    throw new RecurrenceRuleError('Use either BYDAY or BYMONTHDAY, not both')
+  }
+  if (parsed.freq !== FREQUENCY.MONTHLY && parsed.byDay.some(day => day.ordinal !== null)) {
+    throw new RecurrenceRuleError('Numbered weekdays are only supported for monthly rules')
+  }
+
+  return parsed
+}
+
+/**
+ * Check a rule string without throwing
+ * @returns {string|null} What is wrong with the rule, or null if it is valid
+ */
+export function getRuleIssue(rule) {
+  try {
+    parseRule(rule)
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+/**
+ * Write a rule back out as a string
+ * @param {Partial<RecurrenceRule>} rule - Only freq is required
+ * @returns {string}
+ */
+export function formatRule({ freq, interval = 1, byDay = [], byMonthDay = [], count = null, until = null }) {
+  return [
+    `FREQ=${freq}`,
+    interval > 1 && `INTERVAL=${interval}`,
+    byDay.length > 0 && `BYDAY=${byDay.map(day => `${day.ordinal ?? ''}${day.weekday}`).join(',')}`,
+    byMonthDay.length > 0 && `BYMONTHDAY=${byMonthDay.join(',')}`,
+    count && `COUNT=${count}`,
+    until && `UNTIL=${until}`
+  ].filter(Boolean).join(';')
+}
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate()
+
+/**
+ * Common repeat schedules for a first occurrence, as offered in the composer
+ * @param {{year: number, month: number, day: number}} date - Local date of the first occurrence; month is 1-12
+ * @returns {Array<{key: string, rule: string, label: string}>}
+ */
+export function getRulePresets({ year, month, day }) {
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]
+  const weekOfMonth = Math.ceil(day / 7)
+  const inLastWeek = day + 7 > daysInMonth(year, month - 1)
+
+  const presets = [
+    { key: 'daily', rule: formatRule({ freq: FREQUENCY.DAILY }) },
+    { key: 'weekdays', rule: formatRule({ freq: FREQUENCY.WEEKLY, byDay: WORKWEEK.map(weekday => ({ weekday, ordinal: null })) }) },
+    { key: 'weekly', rule: formatRule({ freq: FREQUENCY.WEEKLY, byDay: [{ weekday, ordinal: null }] }) },
+    weekOfMonth <= 4 && { key: 'monthly_weekday', rule: formatRule({ freq: FREQUENCY.MONTHLY, byDay: [{ weekday, ordinal: weekOfMonth }] }) },
+    inLastWeek && { key: 'monthly_last_weekday', rule: formatRule({ freq: FREQUENCY.MONTHLY, byDay: [{ weekday, ordinal: -1 }] }) },
+    { key: 'monthly_day', rule: formatRule({ freq: FREQUENCY.MONTHLY, byMonthDay: [day] }) }
+  ]
+
+  return presets.filter(Boolean).map(preset => ({ ...preset, label: describeRule(preset.rule) }))
+}
+
+const listNames = names => names.length > 1
+  ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+  : names[0]
+
+const isWorkweek = byDay => byDay.length === WORKWEEK.length &&
+  WORKWEEK.every(weekday => byDay.some(day => day.weekday === weekday && day.ordinal === null))
+
+/**
+ * Describe a rule in plain English, e.g. "Every Friday" or "First Monday of the month, 6 times"
+ * @param {string} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const { freq, interval, byDay, byMonthDay, count, until } = parseRule(rule)
+  const weekdayNames = byDay.map(day => WEEKDAY_NAMES[WEEKDAYS.indexOf(day.weekday)])
+  let text
+
+  if (freq !== FREQUENCY.MONTHLY && interval === 1 && isWorkweek(byDay)) {
+    text = 'Every weekday'
+  } else if (freq === FREQUENCY.DAILY) {
+    text = interval > 1 ? `Every ${interval} days` : 'Every day'
+    if (byDay.length > 0) text += ` on ${listNames(weekdayNames)}`
+  } else if (freq === FREQUENCY.WEEKLY) {
+    const days = weekdayNames.length > 0 ? listNames(weekdayNames) : null
+    text = interval > 1
+      ? `Every ${interval} weeks${days ? ` on ${days}` : ''}`
+      : days ? `Every ${days}` : 'Every week'
+  } else {
+    const period = interval > 1 ? `every ${interval} months` : 'the month'
+    if (byDay.some(day => day.ordinal !== null)) {
+      const days = byDay.map((day, index) => day.ordinal !== null
+        ? `${ORDINAL_NAMES[day.ordinal]} ${weekdayNames[index]}`
+        : `every ${weekdayNames[index]}`)
+      text = `${listNames(days)} of ${period}`
+      text = text.charAt(0).toUpperCase() + text.slice(1)
+    } else if (byDay.length > 0) {
+      text = `Every ${listNames(weekdayNames)} of ${period}`
+    } else if (byMonthDay.length > 0) {
+      const days = byMonthDay.map(day => day === -1 ? 'the last day' : day < 0 ? `${-day} days before the end` : `day ${day}`)
+      text = `On ${listNames(days)} of ${period}`
+    } else {
+      text = interval > 1 ? `Every ${interval} months` : 'Every month'
+    }
+  }
+
+  if (count) text += count === 1 ? ', once' : `, ${count} times`
+  if (until) text += `, until ${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`
+
+  return text
+}
+
+
+// Calendar days (UTC midnight, in ms) a rule matches within one period
+const getPeriodDays = (rule, startDay, period) => {
+  const start = new Date(startDay)
+
+  if (rule.freq === FREQUENCY.DAILY) {
+    const day = startDay + period * rule.interval * DAY_MS
+    const weekday = WEEKDAYS[new Date(day).getUTCDay()]
+    return rule.byDay.length === 0 || rule.byDay.some(byDay => byDay.weekday === weekday) ? [day] : []
+  }
+
+  if (rule.freq === FREQUENCY.WEEKLY) {
+    // Weeks start on Monday (RFC 5545's default WKST)
+    const monday = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + period * rule.interval * 7 * DAY_MS
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => WEEKDAYS.indexOf(day.weekday)) : [start.getUTCDay()]
+    return weekdays.map(weekday => monday + ((weekday + 6) % 7) * DAY_MS)
+  }
+
+  const monthIndex = start.getUTCMonth() + period * rule.interval
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12)
+  const month = monthIndex % 12
+  const length = daysInMonth(year, month)
+  let days
+
+  if (rule.byDay.length > 0) {
+    days = rule.byDay.flatMap(({ weekday, ordinal }) => {
+      const first = (WEEKDAYS.indexOf(weekday) - new Date(Date.UTC(year, month, 1)).getUTCDay() + 7) % 7 + 1
+      const matches = []
+      for (let day = first; day <= length; day += 7) matches.push(day)
+      if (ordinal === null) return matches
+      const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal]
+      return match ? [match] : []
+    })
+  } else {
+    // Months without the day (e.g. the 31st) are skipped, as in RFC 5545
+    days = (rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getUTCDate()])
+      .map(day => day > 0 ? day : length + day + 1)
+      .filter(day => day >= 1 && day <= length)
+  }
+
+  return days.map(day => Date.UTC(year, month, day))
+}
+
+/**
+ * List the occurrences of a recurring schedule
+ * COUNT counts from the first occurrence, so the window doesn't change which
+ * occurrences exist.
+ * @param {Object} schedule
+ * @param {string} schedule.rule - Rule string
+ * @param {Date|string} schedule.startsAt - First occurrence; sets the wall-clock time of all of them
+ * @param {string} [schedule.timeZone] - IANA timezone the rule is read in
+ * @param {Object} window
+ * @param {Date|string} [window.from] - Earliest occurrence to return (inclusive)
+ * @param {Date|string} [window.to] - Stop before this time (exclusive)
+ * @param {number} [window.limit] - Most occurrences to return
+ * @returns {Date[]}
+ */
+export function getOccurrences({ rule, startsAt, timeZone = 'UTC' }, { from, to, limit } = {}) {
+  const parsed = parseRule(rule)
+  const start = new Date(startsAt)
+  const local = getZonedParts(start, timeZone)
+  const startDay = Date.UTC(local.year, local.month - 1, local.day)
+  const untilDay = parsed.until
+    ? Date.UTC(Number(parsed.until.slice(0, 4)), Number(parsed.until.slice(4, 6)) - 1, Number(parsed.until.slice(6, 8)))
+    : null
+  const fromTime = from ? new Date(from).getTime() : -Infinity
+  const fromLocal = from ? getZonedParts(from, timeZone) : null
+  // A day's margin: the calendar day of an instant can differ from the timezone's
+  const fromDay = fromLocal ? Date.UTC(fromLocal.year, fromLocal.month - 1, fromLocal.day) - DAY_MS : -Infinity
+  const toTime = to ? new Date(to).getTime() : Infinity
+
+  const occurrences = []
+  let counted = 0
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    const days = [...new Set(getPeriodDays(parsed, startDay, period))].sort((a, b) => a - b)
+
+    for (const day of days) {
+      if (day < startDay) continue
+      if (untilDay !== null && day > untilDay) return occurrences
+      if (parsed.count && counted >= parsed.count) return occurrences
+      counted++
+      if (day < fromDay) continue
+
+      const date = new Date(day)
+      const occurrence = zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: local.hour,
+        minute: local.minute
+      }, timeZone)
+
+      if (occurrence.getTime() >= toTime) return occurrences
+      if (occurrence.getTime() >= fromTime) {
+        occurrences.push(occurrence)
+        if (limit && occurrences.length >= limit) return occurrences
+      }
+    }
+  }
+
+  return occurrences
+}
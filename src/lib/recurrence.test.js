@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest'
+import {
+  describeRule,
+  formatRule,
+  getOccurrences,
+  getRuleIssue,
+  getRulePresets,
+  parseRule,
+  RecurrenceRuleError
+} from './recurrence'
+
+const iso = dates => dates.map(date => date.toISOString())
+
+describe('parseRule', () => {
+  it('parses every supported part', () => {
+    expect(parseRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=6')).toEqual({
+      freq: 'MONTHLY',
+      interval: 1,
+      byDay: [{ weekday: 'FR', ordinal: -1 }],
+      byMonthDay: [],
+      count: 6,
+      until: null
+    })
+    expect(parseRule('rrule:freq=weekly;interval=2;byday=tu,th;until=20261231')).toMatchObject({
+      freq: 'WEEKLY',
+      interval: 2,
+      byDay: [{ weekday: 'TU', ordinal: null }, { weekday: 'TH', ordinal: null }],
+      until: '20261231'
+    })
+  })
+
+  it.each([
+    ['', 'FREQ is required'],
+    ['FREQ=YEARLY', 'Unsupported frequency: YEARLY'],
+    ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a positive whole number'],
+    ['FREQ=WEEKLY;BYDAY=FRI', 'Invalid weekday: FRI'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'Numbered weekdays are only supported for monthly rules'],
+    ['FREQ=WEEKLY;BYMONTHDAY=1', 'BYMONTHDAY is only supported for monthly rules'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', 'Invalid day of the month: 32'],
+    ['FREQ=MONTHLY;BYDAY=MO;BYMONTHDAY=1', 'Use either BYDAY or BYMONTHDAY, not both'],
+    ['FREQ=DAILY;COUNT=3;UNTIL=20261231', 'Use either COUNT or UNTIL, not both'],
+    ['FREQ=DAILY;UNTIL=2026-12-31', 'UNTIL must be a date (YYYYMMDD)'],
+    ['FREQ=DAILY;BYHOUR=9', 'Unsupported rule part: BYHOUR']
+  ])('rejects %j', (rule, message) => {
+    expect(() => parseRule(rule)).toThrow(new RecurrenceRuleError(message))
+    expect(getRuleIssue(rule)).toBe(message)
+  })
+
+  it('finds no issue with a valid rule', () => {
+    expect(getRuleIssue('FREQ=WEEKLY;BYDAY=FR')).toBeNull()
+  })
+})
+
+describe('formatRule', () => {
+  it('writes out what parseRule reads', () => {
+    for (const rule of ['FREQ=WEEKLY;BYDAY=FR', 'FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;COUNT=6', 'FREQ=MONTHLY;BYMONTHDAY=1,-1;UNTIL=20261231']) {
+      expect(formatRule(parseRule(rule))).toBe(rule)
+    }
+  })
+})
+
+describe('describeRule', () => {
+  it.each([
+    ['FREQ=DAILY', 'Every day'],
+    ['FREQ=DAILY;INTERVAL=3', 'Every 3 days'],
+    ['FREQ=WEEKLY;BYDAY=FR', 'Every Friday'],
+    ['FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', 'Every weekday'],
+    ['FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20261231', 'Every 2 weeks on Tuesday and Thursday, until 2026-12-31'],
+    ['FREQ=MONTHLY;BYDAY=1MO;COUNT=6', 'First Monday of the month, 6 times'],
+    ['FREQ=MONTHLY;BYDAY=-1FR;COUNT=1', 'Last Friday of the month, once'],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', 'On the last day of the month'],
+    ['FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=15', 'On day 15 of every 3 months']
+  ])('describes %s as %j', (rule, text) => {
+    expect(describeRule(rule)).toBe(text)
+  })
+})
+
+describe('getRulePresets', () => {
+  it("offers schedules that fit the first occurrence's date", () => {
+    // Friday, October 30, 2026: the fifth Friday, so only "last Friday" is offered
+    expect(getRulePresets({ year: 2026, month: 10, day: 30 })).toEqual([
+      { key: 'daily', rule: 'FREQ=DAILY', label: 'Every day' },
+      { key: 'weekdays', rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+      { key: 'weekly', rule: 'FREQ=WEEKLY;BYDAY=FR', label: 'Every Friday' },
+      { key: 'monthly_last_weekday', rule: 'FREQ=MONTHLY;BYDAY=-1FR', label: 'Last Friday of the month' },
+      { key: 'monthly_day', rule: 'FREQ=MONTHLY;BYMONTHDAY=30', label: 'On day 30 of the month' }
+    ])
+
+    expect(getRulePresets({ year: 2026, month: 10, day: 9 }).map(preset => preset.key))
+      .toEqual(['daily', 'weekdays', 'weekly', 'monthly_weekday', 'monthly_day'])
+  })
+})
+
+describe('getOccurrences', () => {
+  it('keeps the wall-clock time across daylight saving changes', () => {
+    const schedule = { rule: 'FREQ=WEEKLY;BYDAY=FR', startsAt: '2026-10-30T21:00:00Z', timeZone: 'America/Chicago' }
+
+    expect(iso(getOccurrences(schedule, { limit: 3 }))).toEqual([
+      '2026-10-30T21:00:00.000Z',
+      '2026-11-06T22:00:00.000Z',
+      '2026-11-13T22:00:00.000Z'
+    ])
+  })
+
+  it('finds numbered weekdays of the month', () => {
+    const schedule = { rule: 'FREQ=MONTHLY;BYDAY=1MO', startsAt: '2026-01-05T15:00:00Z' }
+
+    expect(iso(getOccurrences(schedule, { limit: 3 }))).toEqual([
+      '2026-01-05T15:00:00.000Z',
+      '2026-02-02T15:00:00.000Z',
+      '2026-03-02T15:00:00.000Z'
+    ])
+  })
+
+  it("skips months that don't have the day", () => {
+    const schedule = { rule: 'FREQ=MONTHLY', startsAt: '2026-01-31T12:00:00Z' }
+
+    expect(iso(getOccurrences(schedule, { limit: 3 }))).toEqual([
+      '2026-01-31T12:00:00.000Z',
+      '2026-03-31T12:00:00.000Z',
+      '2026-05-31T12:00:00.000Z'
+    ])
+  })
+
+  it('counts COUNT from the first occurrence, whatever the window', () => {
+    const schedule = { rule: 'FREQ=DAILY;COUNT=3', startsAt: '2026-01-01T09:00:00Z' }
+
+    expect(iso(getOccurrences(schedule, { from: '2026-01-02T00:00:00Z' }))).toEqual([
+      '2026-01-02T09:00:00.000Z',
+      '2026-01-03T09:00:00.000Z'
+    ])
+  })
+
+  it('includes the UNTIL day and stops before the end of the window', () => {
+    const schedule = { rule: 'FREQ=DAILY;UNTIL=20260105', startsAt: '2026-01-01T09:00:00Z' }
+
+    expect(getOccurrences(schedule)).toHaveLength(5)
+    expect(iso(getOccurrences(schedule, { to: '2026-01-03T09:00:00Z' }))).toEqual([
+      '2026-01-01T09:00:00.000Z',
+      '2026-01-02T09:00:00.000Z'
+    ])
+  })
+})
@@ -0,0 +1,612 @@
+// Database Schema Map for LocalSocial
+// Mirrors the tables in database-schema.sql so rows can be validated at runtime
+// before they are written and after they are read. Keep in sync with the SQL.
+
+// Column type helpers
+const column = (type, options = {}) => ({ type, ...options })
+const notNull = (type, options = {}) => column(type, { notNull: true, ...options })
+const enumOf = (...values) => ({ type: 'enum', values })
+
+// Enum types
+export const PLAN_TYPES = ['free', 'starter', 'professional', 'agency', 'enterprise']
+export const SUBSCRIPTION_STATUSES = ['active', 'canceled', 'past_due', 'trialing', 'incomplete']
+export const PLATFORM_TYPES = ['facebook', 'instagram', 'linkedin', 'google_business', 'twitter']
+export const POST_STATUSES = ['draft', 'scheduled', 'processing', 'posting', 'posted', 'partially_posted', 'failed', 'cancelled']
+export const ACCOUNT_STATUSES = ['active', 'expired', 'error', 'revoked']
+export const POST_FORMATS = ['feed', 'reel', 'story']
+export const APPROVAL_STATUSES = ['pending_approval', 'approved', 'changes_requested']
+
+// Columns every table shares
+const timestamps = {
+  created_at: column('timestamp', { hasDefault: true }),
+  updated_at: column('timestamp', { hasDefault: true })
+}
+
+/**
+ * Column definitions per table
+ * `notNull` columns reject null; `hasDefault` columns may be omitted on insert.
+ */
+export const TABLES = {
+  organizations: {
+    id: notNull('uuid', { hasDefault: true }),
+    name: notNull('text'),
+    slug: notNull('text'),
+    billing_email: column('text'),
+    plan: notNull(enumOf(...PLAN_TYPES), { hasDefault: true }),
+    subscription_status: column(enumOf(...SUBSCRIPTION_STATUSES)),
+    stripe_customer_id: column('text'),
+    stripe_subscription_id: column('text'),
+    trial_ends_at: column('timestamp'),
+    subscription_ends_at: column('timestamp'),
+    max_users: column('integer'),
+    max_social_accounts: column('integer'),
+    max_posts_per_month: column('integer'),
+    timezone: column('text'),
+    settings: column('jsonb'),
+    ...timestamps
+  },
+
+  profiles: {
+    id: notNull('uuid'),
+    organization_id: column('uuid'),
+    email: notNull('text'),
+    full_name: column('text'),
+    avatar_url: column('text'),
+    role: column('text'), // 'owner', 'admin', 'editor', 'viewer'
+    is_active: column('boolean'),
+    last_login_at: column('timestamp'),
+    onboarding_completed: column('boolean'),
+    preferences: column('jsonb'),
+    ...timestamps
+  },
+
+  business_profiles: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    business_name: notNull('text'),
+    business_type: column('text'),
+    industry: column('text'),
+    description: column('text'),
+    website_url: column('text'),
+    phone: column('text'),
+    email: column('text'),
+    address: column('jsonb'),
+    business_hours: column('jsonb'),
+    posting_rules: notNull('jsonb', { hasDefault: true }),
+    logo_url: column('text'),
+    brand_colors: column('jsonb'),
+    social_links: column('jsonb'),
+    is_active: column('boolean'),
+    ...timestamps
+  },
+
+  business_blackouts: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    business_profile_id: notNull('uuid'),
+    starts_on: notNull('date'),
+    ends_on: notNull('date'),
+    reason: column('text'),
+    ...timestamps
+  },
+
+  social_accounts: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    user_id: notNull('uuid'),
+    business_profile_id: column('uuid'),
+    platform: notNull(enumOf(...PLATFORM_TYPES)),
+    platform_account_id: notNull('text'),
+    account_name: notNull('text'),
+    account_username: column('text'),
+    profile_picture_url: column('text'),
+    follower_count: column('integer'),
+    access_token_encrypted: notNull('text'),
+    refresh_token_encrypted: column('text'),
+    token_encrypted: notNull('boolean', { hasDefault: true }),
+    token_expires_at: column('timestamp'),
+    permissions: column('text[]'),
+    facebook_page_id: column('text'),
+    status: column(enumOf(...ACCOUNT_STATUSES)),
+    last_sync_at: column('timestamp'),
+    sync_error: column('text'),
+    token_checked_at: column('timestamp'),
+    expiry_warning_sent_at: column('timestamp'),
+    is_active: column('boolean'),
+    ...timestamps
+  },
+
+  post_templates: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: column('uuid'),
+    user_id: column('uuid'),
+    name: notNull('text'),
+    content: notNull('text'),
+    media_urls: column('text[]'),
+    category: column('text'),
+    industry: column('text[]'),
+    hashtags: column('text[]'),
+    variations: column('text[]'),
+    call_to_action: column('text'),
+    scheduling_suggestions: column('jsonb'),
+    recurrence_rule: column('text'),
+    performance_score: column('decimal'),
+    is_public: column('boolean'),
+    is_ai_generated: column('boolean'),
+    usage_count: column('integer'),
+    last_used_at: column('timestamp'),
+    approval_status: column(enumOf(...APPROVAL_STATUSES)), // Set by request_template_approval()
+    approval_step: column('integer'),
+    approval_comment: column('text'),
+    ...timestamps
+  },
+
+  posting_schedules: {
+    social_account_id: notNull('uuid'),
+    organization_id: notNull('uuid'),
+    slots: notNull('jsonb', { hasDefault: true }),
+    timezone: notNull('text', { hasDefault: true }),
+    evergreen_enabled: notNull('boolean', { hasDefault: true }),
+    evergreen_min_days_between_repeats: notNull('integer', { hasDefault: true }),
+    evergreen_max_weekly_share: notNull('decimal', { hasDefault: true }),
+    filled_until: column('timestamp'),
+    ...timestamps
+  },
+
+  approval_rules: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    step: notNull('integer'),
+    reviewer_role: notNull('text'), // profiles.role that signs off this step
+    author_roles: notNull('text[]'), // Posts by these roles go through this step
+    ...timestamps
+  },
+
+  post_series: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    user_id: notNull('uuid'),
+    template_id: column('uuid'),
+    social_account_ids: notNull('uuid[]'),
+    content: notNull('text'),
+    media_urls: column('text[]'),
+    media_captions: column('text[]'),
+    hashtags: column('text[]'),
+    location_name: column('text'),
+    location_id: column('text'),
+    link_url: column('text'),
+    platform_overrides: column('jsonb'),
+    post_format: notNull(enumOf(...POST_FORMATS), { hasDefault: true }),
+    format_options: column('jsonb'),
+    native_scheduling: notNull('boolean', { hasDefault: true }),
+    recurrence_rule: notNull('text'),
+    starts_at: notNull('timestamp'),
+    timezone: notNull('text', { hasDefault: true }),
+    materialized_until: column('timestamp'),
+    is_active: notNull('boolean', { hasDefault: true }),
+    ...timestamps
+  },
+
+  scheduled_posts: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    user_id: notNull('uuid'),
+    business_profile_id: column('uuid'),
+    template_id: column('uuid'),
+    social_account_ids: notNull('uuid[]'),
+    content: notNull('text'),
+    media_urls: column('text[]'),
+    media_captions: column('text[]'),
+    hashtags: column('text[]'),
+    mention_users: column('text[]'),
+    location_name: column('text'),
+    location_coordinates: column('point'),
+    location_id: column('text'),
+    link_url: column('text'),
+    call_to_action: column('text'),
+    platform_overrides: column('jsonb'),
+    post_format: notNull(enumOf(...POST_FORMATS), { hasDefault: true }),
+    format_options: column('jsonb'),
+    scheduled_for: column('timestamp'), // NULL only for drafts
+    timezone: column('text'),
+    auto_reschedule: column('boolean'),
+    status: column(enumOf(...POST_STATUSES)),
+    approval_status: column(enumOf(...APPROVAL_STATUSES)), // Set by request_post_approval()
+    approval_step: column('integer'),
+    posted_at: column('timestamp'),
+    platform_posts: column('jsonb'),
+    error_details: column('jsonb'),
+    retry_count: column('integer'),
+    last_retry_at: column('timestamp'),
+    lease_owner: column('text'),
+    lease_expires_at: column('timestamp'),
+    native_scheduling: notNull('boolean', { hasDefault: true }),
+    native_sync_requested_at: column('timestamp'),
+    native_synced_at: column('timestamp'),
+    series_id: column('uuid'),
+    series_occurrence_at: column('timestamp'),
+    series_override: notNull('boolean', { hasDefault: true }),
+    evergreen: notNull('boolean', { hasDefault: true }),
+    deferred_from: column('timestamp'),
+    insights_sync_at: column('timestamp'),
+    optimal_time_suggested: column('timestamp'),
+    engagement_prediction: column('decimal'),
+    ai_content_score: column('decimal'),
+    ...timestamps
+  },
+
+  post_analytics: {
+    id: notNull('uuid', { hasDefault: true }),
+    scheduled_post_id: notNull('uuid'),
+    social_account_id: notNull('uuid'),
+    platform: notNull(enumOf(...PLATFORM_TYPES)),
+    platform_post_id: notNull('text'),
+    likes: column('integer'),
+    comments: column('integer'),
+    shares: column('integer'),
+    saves: column('integer'),
+    clicks: column('integer'),
+    reach: column('integer'),
+    impressions: column('integer'),
+    engagement_rate: column('decimal'),
+    click_through_rate: column('decimal'),
+    save_rate: column('decimal'),
+    peak_engagement_hour: column('integer'),
+    total_video_views: column('integer'),
+    average_watch_time_seconds: column('integer'),
+    last_updated_at: column('timestamp'),
+    platform_deleted_at: column('timestamp'),
+    sync_error: column('text'),
+    created_at: column('timestamp', { hasDefault: true })
+  },
+
+  post_analytics_snapshots: {
+    id: notNull('uuid', { hasDefault: true }),
+    post_analytics_id: notNull('uuid'),
+    recorded_at: notNull('timestamp', { hasDefault: true }),
+    likes: column('integer'),
+    comments: column('integer'),
+    shares: column('integer'),
+    saves: column('integer'),
+    clicks: column('integer'),
+    reach: column('integer'),
+    impressions: column('integer'),
+    engagement_rate: column('decimal'),
+    total_video_views: column('integer')
+  },
+
+  follower_counts: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    social_account_id: notNull('uuid'),
+    recorded_on: notNull('date'),
+    follower_count: notNull('integer'),
+    created_at: column('timestamp', { hasDefault: true })
+  },
+
+  content_calendar: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    user_id: notNull('uuid'),
+    title: notNull('text'),
+    description: column('text'),
+    content_type: column('text'),
+    category: column('text'),
+    target_platforms: column('enum[]', { values: PLATFORM_TYPES }),
+    planned_date: notNull('date'),
+    planned_time: column('time'),
+    campaign_name: column('text'),
+    campaign_hashtag: column('text'),
+    budget_allocated: column('decimal'),
+    status: column('text'), // 'planned', 'in_progress', 'scheduled', 'completed', 'cancelled'
+    notes: column('text'),
+    scheduled_post_id: column('uuid'), // Draft post the item was promoted into
+    ...timestamps
+  },
+
+  post_comments: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    scheduled_post_id: notNull('uuid'),
+    user_id: column('uuid'),
+    body: notNull('text'),
+    quote: column('text'), // Caption passage the comment is about
+    quote_offset: column('integer'),
+    decision: column(enumOf(...APPROVAL_STATUSES)), // Set on comments left with a review decision
+    resolved_at: column('timestamp'),
+    ...timestamps
+  },
+
+  activity_logs: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    user_id: column('uuid'),
+    action: notNull('text'),
+    resource_type: column('text'),
+    resource_id: column('text'),
+    details: column('jsonb'),
+    ip_address: column('inet'),
+    user_agent: column('text'),
+    created_at: column('timestamp', { hasDefault: true })
+  },
+
+  usage_metrics: {
+    id: notNull('uuid', { hasDefault: true }),
+    organization_id: notNull('uuid'),
+    period_start: notNull('date'),
+    period_end: notNull('date'),
+    posts_created: column('integer'),
+    posts_scheduled: column('integer'),
+    posts_published: column('integer'),
+    social_accounts_connected: column('integer'),
+    api_calls_made: column('integer'),
+    storage_used_mb: column('integer'),
+    created_at: column('timestamp', { hasDefault: true })
+  },
+
+  notification_settings: {
+    id: notNull('uuid', { hasDefault: true }),
+    user_id: notNull('uuid'),
+    email_notifications: column('jsonb'),
+    push_notifications: column('jsonb'),
+    ...timestamps
+  },
+
+  graph_api_usage: {
+    budget_key: notNull('text'),
+    call_count: notNull('integer', { hasDefault: true }),
+    total_cputime: notNull('integer', { hasDefault: true }),
+    total_time: notNull('integer', { hasDefault: true }),
+    blocked_until: column('timestamp'),
+    updated_at: notNull('timestamp', { hasDefault: true })
+  },
+
+  // View
+  dashboard_analytics: {
+    organization_id: column('uuid'),
+    organization_name: column('text'),
+    total_posts: column('integer'),
+    published_posts: column('integer'),
+    scheduled_posts: column('integer'),
+    failed_posts: column('integer'),
+    connected_accounts: column('integer'),
+    active_accounts: column('integer'),
+    avg_engagement_rate: column('decimal'),
+    total_likes: column('integer'),
+    total_comments: column('integer'),
+    total_shares: column('integer'),
+    total_reach: column('integer')
+  }
+}
+
+/**
+ * @typedef {Object} PlatformOverride
+ * @property {string} [content] - Caption on this platform instead of the post's
+ * @property {string[]} [media_urls] - Media on this platform instead of the post's
+ * @property {string[]} [media_captions] - Per-photo captions of the overridden media
+ */
+
+/**
+ * @typedef {Object} ScheduledPostRow
+ * @property {string} id
+ * @property {string} organization_id
+ * @property {string} user_id
+ * @property {string[]} social_account_ids - Accounts the post is cross-posted to
+ * @property {string} content
+ * @property {string[]|null} media_urls
+ * @property {string[]|null} media_captions - Per-photo captions, in media_urls order
+ * @property {string[]|null} hashtags
+ * @property {string|null} location_name - Shown in previews
+ * @property {string|null} location_id - Facebook Page ID of the place, tagged on Facebook and Instagram
+ * @property {string|null} link_url - Link preview on Facebook text posts, in the caption of Facebook posts with media
+ * @property {{facebook?: PlatformOverride, instagram?: PlatformOverride}|null} platform_overrides - Per-platform caption and media, see src/lib/postContent.js
+ * @property {string} post_format - One of POST_FORMATS
+ * @property {{title?: string, cover_url?: string, share_to_feed?: boolean, thumb_offset?: number}|null} format_options - Video options; cover_url is the thumbnail
+ * @property {string|null} scheduled_for - ISO timestamp; null for drafts that haven't been given a time
+ * @property {string} status - One of POST_STATUSES
+ * @property {string|null} approval_status - One of APPROVAL_STATUSES; null when the post needs no sign-off
+ * @property {number|null} approval_step - approval_rules.step the post waits on, or was last reviewed at
+ * @property {Object|null} platform_posts - Per-account results keyed by social account ID
+ * @property {boolean} native_scheduling - Hand Facebook posts to Facebook's scheduler
+ * @property {string|null} series_id - Recurring series the post is an occurrence of
+ * @property {string|null} series_occurrence_at - Slot the occurrence was materialized for
+ * @property {boolean} series_override - Occurrence was edited on its own
+ * @property {boolean} evergreen - Recycled from the evergreen library into an open slot
+ * @property {string|null} deferred_from - Time the post was scheduled for before posting rules moved it
+ * @property {string|null} insights_sync_at - Next time post insights are pulled; null when done
+ * @property {{message: string}|null} error_details
+ * @property {number} retry_count
+ */
+
+/**
+ * @typedef {Object} PostSeriesRow
+ * @property {string} id
+ * @property {string} organization_id
+ * @property {string} user_id
+ * @property {string[]} social_account_ids
+ * @property {string} content - Copied to every occurrence, as are the other post columns
+ * @property {string} recurrence_rule - RRULE subset, see recurrence.js
+ * @property {string} starts_at - First occurrence; sets the local time of all of them
+ * @property {string} timezone - IANA timezone the rule is read in
+ * @property {string|null} materialized_until - Occurrences before this are in scheduled_posts
+ * @property {boolean} is_active
+ */
+
+/**
+ * @typedef {Object} BusinessBlackoutRow
+ * @property {string} id
+ * @property {string} organization_id
+ * @property {string} business_profile_id
+ * @property {string} starts_on - YYYY-MM-DD in the organization's timezone
+ * @property {string} ends_on - YYYY-MM-DD, inclusive
+ * @property {string|null} reason
+ */
+
+/**
+ * @typedef {Object} PostingScheduleRow
+ * @property {string} social_account_id
+ * @property {string} organization_id
+ * @property {Array<{weekday: number, time: string}>} slots - weekday 0 is Sunday; time is HH:MM in timezone
+ * @property {string} timezone - IANA timezone
+ * @property {boolean} evergreen_enabled - Fill open slots from the evergreen library
+ * @property {number} evergreen_min_days_between_repeats
+ * @property {number|string} evergreen_max_weekly_share - Fraction between 0 and 1
+ * @property {string|null} filled_until - Slots before this have been filled or left alone
+ */
+
+/**
+ * @typedef {Object} ApprovalRuleRow
+ * @property {string} id
+ * @property {string} organization_id
+ * @property {number} step - Steps are reviewed in ascending order
+ * @property {string} reviewer_role - profiles.role that signs off this step
+ * @property {string[]} author_roles - Posts by these roles go through this step
+ */
+
+/**
+ * @typedef {Object} PostCommentRow
+ * @property {string} id
+ * @property {string} scheduled_post_id
+ * @property {string|null} user_id
+ * @property {string} body
+ * @property {string|null} quote - Caption passage the comment is about; null for the whole post
+ * @property {number|null} quote_offset - Where the quote started in the caption when it was made
+ * @property {string|null} decision - Review decision the comment was left with
+ * @property {string|null} resolved_at
+ */
+
+/**
+ * @typedef {Object} SocialAccountRow
+ * @property {string} id
+ * @property {string} organization_id
+ * @property {string} user_id
+ * @property {string} platform - One of PLATFORM_TYPES
+ * @property {string} platform_account_id - Page or Instagram account ID on the platform
+ * @property {string} account_name
+ * @property {string} [access_token_encrypted] - Ciphertext; only readable by the service role
+ * @property {boolean} [token_encrypted] - false for legacy plaintext rows
+ * @property {string|null} token_expires_at
+ * @property {string[]|null} permissions
+ * @property {string|null} [facebook_page_id] - Instagram accounts: the Page they are linked through
+ * @property {string} status - One of ACCOUNT_STATUSES
+ * @property {boolean} is_active
+ */
+
+export class SchemaValidationError extends Error {
+  constructor(table, issues) {
+    super(`Invalid ${table} row: ${issues.join('; ')}`)
+    this.name = 'SchemaValidationError'
+    this.table = table
+    this.issues = issues
+  }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/
+
+// Check a single non-null value against a column type
+const matchesType = (type, value, definition) => {
+  if (typeof type === 'object' && type.type === 'enum') {
+    return type.values.includes(value)
+  }
+
+  if (type.endsWith('[]')) {
+    const elementType = type.slice(0, -2)
+    const element = elementType === 'enum' ? { type: 'enum', values: definition.values } : elementType
+    return Array.isArray(value) && value.every(item => item !== null && matchesType(element, item, definition))
+  }
+
+  switch (type) {
+    case 'uuid': return typeof value === 'string' && UUID_PATTERN.test(value)
+    case 'text': return typeof value === 'string'
+    case 'integer': return Number.isInteger(value)
+    case 'decimal': return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))
+    case 'boolean': return typeof value === 'boolean'
+    case 'timestamp': return (typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value).getTime())
+    case 'date': return typeof value === 'string' && DATE_PATTERN.test(value)
+    case 'time': return typeof value === 'string' && TIME_PATTERN.test(value)
+    case 'inet':
+    case 'point': return typeof value === 'string' || typeof value === 'object'
+    case 'jsonb': return value !== undefined
+    default: return false
+  }
+}
+
+const describeType = (type, definition) => {
+  if (typeof type === 'object') return `one of ${type.values.join(', ')}`
+  if (type === 'enum[]') return `an array of ${definition.values.join(', ')}`
+  return type
+}
+
+/**
+ * Validate a row against a table's columns
+ * Embedded relations (keys named after another table) are skipped.
+ * @param {string} table - Table name from TABLES
+ * @param {Object} row - Row to check
+ * @param {Object} options - `mode`: 'read' (default), 'insert' or 'update'
+ * @returns {Array<string>} List of problems; empty when the row is valid
+ */
+export function getRowIssues(table, row, { mode = 'read' } = {}) {
+  const columns = TABLES[table]
+  if (!columns) {
+    return [`unknown table "${table}"`]
+  }
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return ['row must be an object']
+  }
+
+  const issues = []
+
+  for (const [key, value] of Object.entries(row)) {
+    const definition = columns[key]
+
+    if (!definition) {
+      if (mode === 'read' && TABLES[key]) continue // Embedded relation
+      issues.push(`unknown column "${key}"`)
+      continue
+    }
+
+    if (value === undefined) continue
+
+    if (value === null) {
+      if (definition.notNull) issues.push(`"${key}" cannot be null`)
+      continue
+    }
+
+    if (!matchesType(definition.type, value, definition)) {
+      issues.push(`"${key}" must be ${describeType(definition.type, definition)}`)
+    }
+  }
+
+  if (mode === 'insert') {
+    for (const [key, definition] of Object.entries(columns)) {
+      if (definition.notNull && !definition.hasDefault && row[key] === undefined) {
+        issues.push(`"${key}" is required`)
+      }
+    }
+  }
+
+  return issues
+}
+
+/**
+ * Validate a row and throw SchemaValidationError if it doesn't match the schema
+ * @returns {Object} The same row, for chaining
+ */
+export function validateRow(table, row, options = {}) {
+  const issues = getRowIssues(table, row, options)
+  if (issues.length > 0) {
+    throw new SchemaValidationError(table, issues)
+  }
+  return row
+}
+
+/**
+ * Validate every row in a result set
+ * @returns {Array<Object>} The same rows, for chaining
+ */
+export function validateRows(table, rows, options = {}) {
+  return (rows || []).map(row => validateRow(table, row, options))
+}
@@ -0,0 +1,116 @@
+// Social Account Store for LocalSocial
+// Server-side only: expects a service-role Supabase client. Page tokens are
+// encrypted by save_social_account() and decrypted by get_social_account_tokens(),
+// so they never pass through the browser.
+
+import { facebookAPI } from './facebook'
+import { assessToken } from './tokenHealth'
+
+/**
+ * Store a connected account with its access token encrypted
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service-role client
+ * @param {Object} account - Account details and plaintext access token
+ * @returns {Promise<string>} Social account ID
+ */
+export async function saveSocialAccount(supabase, account) {
+  const { data, error } = await supabase.rpc('save_social_account', {
+    org_id: account.organizationId,
+    owner_id: account.userId,
+    platform_name: account.platform,
+    platform_account_id_value: account.platformAccountId,
+    account_name_value: account.accountName,
+    access_token_value: account.accessToken,
+    account_username_value: account.accountUsername || null,
+    token_expires_at_value: account.tokenExpiresAt || null,
+    permissions_value: account.permissions || null,
+    facebook_page_id_value: account.facebookPageId || null
+  })
+
+  if (error) {
+    throw new Error(`Failed to save ${account.platform} account: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Decrypt the access tokens of the given accounts
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service-role client
+ * @param {string[]} accountIds - Social account IDs
+ * @returns {Promise<Map<string, string>>} Access token by social account ID
+ */
+export async function getAccessTokens(supabase, accountIds) {
+  if (accountIds.length === 0) {
+    return new Map()
+  }
+
+  const { data, error } = await supabase.rpc('get_social_account_tokens', {
+    account_ids: accountIds
+  })
+
+  if (error) {
+    throw new Error(`Failed to read access tokens: ${error.message}`)
+  }
+
+  return new Map((data || []).map(row => [row.social_account_id, row.access_token]))
+}
+
+/**
+ * Store every Page the user manages, and the Instagram account linked to each
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service-role client
+ * @param {Object} options
+ * @param {string} options.organizationId - Organization the accounts belong to
+ * @param {string} options.userId - User who connected the accounts
+ * @param {string} options.userAccessToken - Long-lived Facebook user token
+ * @returns {Promise<{accounts: Array, errors: Array}>} Saved accounts (without tokens) and per-page errors
+ */
+export async function connectFacebookPages(supabase, { organizationId, userId, userAccessToken }) {
+  const pages = await facebookAPI.getUserPages(userAccessToken)
+
+  const accounts = []
+  const errors = []
+
+  for (const page of pages) {
+    try {
+      const instagramAccount = await facebookAPI.getInstagramAccount(page.id, page.access_token)
+
+      // Record the token's real expiry and granted permissions
+      const tokenInfo = await facebookAPI.validateToken(page.access_token)
+      const expiresAt = assessToken(tokenInfo, 'facebook').tokenExpiresAt?.toISOString() || null
+
+      const facebookId = await saveSocialAccount(supabase, {
+        organizationId,
+        userId,
+        platform: 'facebook',
+        platformAccountId: page.id,
+        accountName: page.name,
+        accessToken: page.access_token,
+        tokenExpiresAt: expiresAt,
+        permissions: tokenInfo.scopes
+      })
+      accounts.push({ id: facebookId, platform: 'facebook', account_name: page.name })
+
+      if (instagramAccount) {
+        // Instagram publishes with the Page token
+        const instagramId = await saveSocialAccount(supabase, {
+          organizationId,
+          userId,
+          platform: 'instagram',
+          platformAccountId: instagramAccount.id,
+          accountName: `@${instagramAccount.username}`,
+          accountUsername: instagramAccount.username,
+          accessToken: page.access_token,
+          tokenExpiresAt: expiresAt,
+          permissions: tokenInfo.scopes,
+          facebookPageId: page.id
+        })
+        accounts.push({ id: instagramId, platform: 'instagram', account_name: `@${instagramAccount.username}` })
+      }
+    } catch (error) {
+      console.error(`Error connecting page ${page.name}:`, error.message)
+      errors.push({ page: page.name, error: error.message })
+    }
+  }
+
+  return { accounts, errors }
+}
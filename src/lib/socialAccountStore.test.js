@@ -0,0 +1,138 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createClient } from '@supabase/supabase-js'
+import { createLocalDatabase, createServiceClient, signUp } from '../../test/localDatabase'
+import { facebookAPI } from './facebook'
+import { connectFacebookPages, getAccessTokens, saveSocialAccount } from './socialAccountStore'
+
+// The store runs in the Netlify functions, with the service-role client
+
+let database
+let supabase
+let owner
+
+beforeAll(async () => {
+  database = await createLocalDatabase()
+  await database.pg.query("SELECT set_config('app.jwt_secret', 'local-test-secret', false)")
+  supabase = createServiceClient(database)
+  owner = await signUp(database.pg)
+})
+
+afterAll(async () => {
+  await database?.close()
+})
+
+beforeEach(() => {
+  vi.restoreAllMocks()
+})
+
+const page = fields => ({
+  organizationId: owner.organizationId,
+  userId: owner.userId,
+  platform: 'facebook',
+  platformAccountId: crypto.randomUUID(),
+  accountName: 'Corner Bakery',
+  accessToken: 'page-token',
+  ...fields
+})
+
+describe('saveSocialAccount', () => {
+  it('stores the token encrypted, and getAccessTokens decrypts it', async () => {
+    const id = await saveSocialAccount(supabase, page({ accessToken: 'secret-page-token' }))
+
+    const { rows: [stored] } = await database.pg.query('SELECT * FROM social_accounts WHERE id = $1', [id])
+    expect(stored).toMatchObject({ token_encrypted: true, status: 'active', is_active: true })
+    expect(stored.access_token_encrypted).not.toContain('secret-page-token')
+
+    expect(await getAccessTokens(supabase, [id])).toEqual(new Map([[id, 'secret-page-token']]))
+  })
+
+  it('updates a page that was connected before', async () => {
+    const details = page()
+    const id = await saveSocialAccount(supabase, details)
+    await database.pg.query("UPDATE social_accounts SET status = 'expired', is_active = false WHERE id = $1", [id])
+
+    expect(await saveSocialAccount(supabase, { ...details, accountName: 'Corner Bakery & Cafe', accessToken: 'new-token' })).toBe(id)
+
+    const { rows: [stored] } = await database.pg.query('SELECT account_name, status, is_active FROM social_accounts WHERE id = $1', [id])
+    expect(stored).toEqual({ account_name: 'Corner Bakery & Cafe', status: 'active', is_active: true })
+    expect((await getAccessTokens(supabase, [id])).get(id)).toBe('new-token')
+  })
+
+  it('is not available to signed-in users', async () => {
+    const browser = createClient('http://localhost:54321', 'anon-key', { global: { fetch: database.fetch } })
+    database.setUser(owner.userId)
+
+    expect((await browser.rpc('get_social_account_tokens', { account_ids: [] })).error).toBeTruthy()
+    expect((await browser.rpc('save_social_account', {
+      org_id: owner.organizationId,
+      owner_id: owner.userId,
+      platform_name: 'facebook',
+      platform_account_id_value: 'page',
+      account_name_value: 'Page',
+      access_token_value: 'token'
+    })).error).toBeTruthy()
+  })
+})
+
+describe('getAccessTokens', () => {
+  it('reads tokens stored before they were encrypted as they are', async () => {
+    const { rows: [legacy] } = await database.pg.query(
+      `INSERT INTO social_accounts (organization_id, user_id, platform, platform_account_id, account_name, access_token_encrypted)
+       VALUES ($1, $2, 'facebook', $3, 'Legacy Page', 'plain-token') RETURNING id`,
+      [owner.organizationId, owner.userId, crypto.randomUUID()]
+    )
+
+    expect(await getAccessTokens(supabase, [legacy.id])).toEqual(new Map([[legacy.id, 'plain-token']]))
+    expect(await getAccessTokens(supabase, [])).toEqual(new Map())
+  })
+})
+
+describe('connectFacebookPages', () => {
+  it('stores every page and its Instagram account with the page token and its real expiry, and reports pages that failed', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const pageId = crypto.randomUUID()
+    const instagramId = crypto.randomUUID()
+    vi.spyOn(facebookAPI, 'getUserPages').mockResolvedValue([
+      { id: pageId, name: 'Harbor Cafe', access_token: 'harbor-token' },
+      { id: 'broken', name: 'Broken Page', access_token: 'broken-token' }
+    ])
+    vi.spyOn(facebookAPI, 'getInstagramAccount').mockImplementation(async id => {
+      if (id === 'broken') throw new Error('Page is restricted')
+      return { id: instagramId, username: 'harborcafe' }
+    })
+    vi.spyOn(facebookAPI, 'validateToken').mockResolvedValue({
+      valid: true,
+      expires_at: 0,
+      data_access_expires_at: Date.parse('2026-12-18T00:00:00Z') / 1000,
+      scopes: ['pages_manage_posts', 'instagram_content_publish']
+    })
+
+    const { accounts, errors } = await connectFacebookPages(supabase, {
+      organizationId: owner.organizationId,
+      userId: owner.userId,
+      userAccessToken: 'user-token'
+    })
+
+    expect(accounts).toEqual([
+      { id: expect.any(String), platform: 'facebook', account_name: 'Harbor Cafe' },
+      { id: expect.any(String), platform: 'instagram', account_name: '@harborcafe' }
+    ])
+    expect(errors).toEqual([{ page: 'Broken Page', error: 'Page is restricted' }])
+
+    const tokens = await getAccessTokens(supabase, accounts.map(account => account.id))
+    expect([...tokens.values()]).toEqual(['harbor-token', 'harbor-token'])
+
+    const { rows } = await database.pg.query('SELECT token_expires_at, permissions FROM social_accounts WHERE id = ANY($1)', [accounts.map(account => account.id)])
+    expect(rows).toEqual([
+      { token_expires_at: new Date('2026-12-18T00:00:00Z'), permissions: ['pages_manage_posts', 'instagram_content_publish'] },
+      { token_expires_at: new Date('2026-12-18T00:00:00Z'), permissions: ['pages_manage_posts', 'instagram_content_publish'] }
+    ])
+
+    // Instagram calls count against the Page the account is linked through
+    const { rows: links } = await database.pg.query('SELECT platform, facebook_page_id FROM social_accounts WHERE id = ANY($1) ORDER BY platform', [accounts.map(account => account.id)])
+    expect(links).toEqual([
+      { platform: 'facebook', facebook_page_id: null },
+      { platform: 'instagram', facebook_page_id: pageId }
+    ])
+  })
+})
@@ -46,6 +46,7 @@ export const PRICING_PLANS = {
       'Unlimited posts',
       'Unlimited social accounts',
       'White-label options',
+      'Client approval workflows',
       'Advanced analytics',
       'Phone & email support',
       'Custom integrations'
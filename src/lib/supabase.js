@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
+import { validateRow, validateRows } from './schema'
 
 // Supabase configuration
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
@@ -19,6 +20,15 @@ export const supabase = createClient(
   }
 })
 
+// Columns the browser may read from social_accounts; token columns are
+// only readable by the service role (see database-schema.sql)
+const SOCIAL_ACCOUNT_COLUMNS = [
+  'id', 'organization_id', 'user_id', 'business_profile_id', 'platform', 'platform_account_id',
+  'account_name', 'account_username', 'profile_picture_url', 'follower_count', 'token_expires_at',
+  'permissions', 'status', 'last_sync_at', 'sync_error', 'token_checked_at', 'expiry_warning_sent_at',
+  'is_active', 'created_at', 'updated_at'
+].join(', ')
+
 // Auth helper functions
 export const auth = {
   // Get current session
@@ -125,18 +135,23 @@ export const auth = {
 }
 
 // Database helper functions
+// Rows are validated against the schema map (see ./schema) on the way in and out,
+// so a column name that drifts from database-schema.sql fails loudly.
 export const db = {
-  // Get user profile
+  // Get user profile with its organization
   getProfile: async (userId) => {
     try {
       const { data, error } = await supabase
         .from('profiles')
-        .select('*')
+        .select(`
+          *,
+          organizations (id, name, plan, timezone)
+        `)
         .eq('id', userId)
         .single()
       
       if (error) throw error
-      return { profile: data, error: null }
+      return { profile: validateRow('profiles', data), error: null }
     } catch (error) {
       console.error('Error getting profile:', error.message)
       return { profile: null, error }
@@ -146,6 +161,8 @@ export const db = {
   // Create or update user profile
   upsertProfile: async (profile) => {
     try {
+      validateRow('profiles', profile, { mode: 'insert' })
+
       const { data, error } = await supabase
         .from('profiles')
         .upsert(profile)
@@ -153,81 +170,215 @@ export const db = {
         .single()
       
       if (error) throw error
-      return { profile: data, error: null }
+      return { profile: validateRow('profiles', data), error: null }
     } catch (error) {
       console.error('Error upserting profile:', error.message)
       return { profile: null, error }
     }
   },
 
+  // Get organization
+  getOrganization: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq('id', organizationId)
+        .single()
+
+      if (error) throw error
+      return { organization: validateRow('organizations', data), error: null }
+    } catch (error) {
+      console.error('Error getting organization:', error.message)
+      return { organization: null, error }
+    }
+  },
+
+  // Update organization
+  updateOrganization: async (organizationId, updates) => {
+    try {
+      validateRow('organizations', updates, { mode: 'update' })
+
+      const { data, error } = await supabase
+        .from('organizations')
+        .update(updates)
+        .eq('id', organizationId)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { organization: validateRow('organizations', data), error: null }
+    } catch (error) {
+      console.error('Error updating organization:', error.message)
+      return { organization: null, error }
+    }
+  },
+
+  // Get organization's business profiles
+  getBusinessProfiles: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('business_profiles')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('is_active', true)
+        .order('business_name', { ascending: true })
+
+      if (error) throw error
+      return { businessProfiles: validateRows('business_profiles', data), error: null }
+    } catch (error) {
+      console.error('Error getting business profiles:', error.message)
+      return { businessProfiles: [], error }
+    }
+  },
+
+  // Create or update business profile
+  upsertBusinessProfile: async (businessProfile) => {
+    try {
+      validateRow('business_profiles', businessProfile, { mode: 'insert' })
+
+      const { data, error } = await supabase
+        .from('business_profiles')
+        .upsert(businessProfile)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { businessProfile: validateRow('business_profiles', data), error: null }
+    } catch (error) {
+      console.error('Error upserting business profile:', error.message)
+      return { businessProfile: null, error }
+    }
+  },
+
+  // Get organization's upcoming blackout days
+  getBusinessBlackouts: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('business_blackouts')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .gte('ends_on', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10))
+        .order('starts_on', { ascending: true })
+
+      if (error) throw error
+      return { blackouts: validateRows('business_blackouts', data), error: null }
+    } catch (error) {
+      console.error('Error getting blackouts:', error.message)
+      return { blackouts: [], error }
+    }
+  },
+
+  // Add blackout days to a business profile
+  createBusinessBlackout: async (blackout) => {
+    try {
+      validateRow('business_blackouts', blackout, { mode: 'insert' })
+
+      const { data, error } = await supabase
+        .from('business_blackouts')
+        .insert(blackout)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { blackout: validateRow('business_blackouts', data), error: null }
+    } catch (error) {
+      console.error('Error creating blackout:', error.message)
+      return { blackout: null, error }
+    }
+  },
+
+  // Remove blackout days
+  deleteBusinessBlackout: async (blackoutId) => {
+    try {
+      const { error } = await supabase
+        .from('business_blackouts')
+        .delete()
+        .eq('id', blackoutId)
+
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error deleting blackout:', error.message)
+      return { error }
+    }
+  },
+
   // Get user's social accounts
   getSocialAccounts: async (userId) => {
     try {
       const { data, error } = await supabase
         .from('social_accounts')
-        .select('*')
+        .select(SOCIAL_ACCOUNT_COLUMNS)
         .eq('user_id', userId)
         .eq('is_active', true)
         .order('created_at', { ascending: false })
       
       if (error) throw error
-      return { accounts: data, error: null }
+      return { accounts: validateRows('social_accounts', data), error: null }
     } catch (error) {
       console.error('Error getting social accounts:', error.message)
       return { accounts: [], error }
     }
   },
 
-  // Add social account
-  addSocialAccount: async (account) => {
+  // Get the Facebook OAuth URL for the signed-in user.
+  // The code exchange, page discovery and token storage all happen in the
+  // facebook-oauth-callback function; the browser never sees a token.
+  startFacebookOAuth: async () => {
     try {
-      const { data, error } = await supabase
-        .from('social_accounts')
-        .insert(account)
-        .select()
-        .single()
-      
-      if (error) throw error
-      return { account: data, error: null }
+      const { data: { session } } = await supabase.auth.getSession()
+
+      const response = await fetch('/.netlify/functions/facebook-oauth-start', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session?.access_token}`
+        }
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to start Facebook login')
+      return { url: data.url, error: null }
     } catch (error) {
-      console.error('Error adding social account:', error.message)
-      return { account: null, error }
+      console.error('Error starting Facebook OAuth:', error.message)
+      return { url: null, error }
     }
   },
 
   // Update social account
   updateSocialAccount: async (accountId, updates) => {
     try {
+      validateRow('social_accounts', updates, { mode: 'update' })
+
       const { data, error } = await supabase
         .from('social_accounts')
         .update(updates)
         .eq('id', accountId)
-        .select()
+        .select(SOCIAL_ACCOUNT_COLUMNS)
         .single()
       
       if (error) throw error
-      return { account: data, error: null }
+      return { account: validateRow('social_accounts', data), error: null }
     } catch (error) {
       console.error('Error updating social account:', error.message)
       return { account: null, error }
     }
   },
 
-  // Get scheduled posts
+  // Get scheduled posts; drafts are listed by getDraftPosts
   getScheduledPosts: async (userId, limit = 50) => {
     try {
       const { data, error } = await supabase
         .from('scheduled_posts')
-        .select(`
-          *,
-          social_accounts (platform, account_name)
-        `)
+        .select('*')
         .eq('user_id', userId)
+        .neq('status', 'draft')
         .order('scheduled_for', { ascending: true })
         .limit(limit)
       
       if (error) throw error
-      return { posts: data, error: null }
+      return { posts: validateRows('scheduled_posts', data), error: null }
     } catch (error) {
       console.error('Error getting scheduled posts:', error.message)
       return { posts: [], error }
@@ -237,6 +388,8 @@ export const db = {
   // Create scheduled post
   createScheduledPost: async (post) => {
     try {
+      validateRow('scheduled_posts', post, { mode: 'insert' })
+
       const { data, error } = await supabase
         .from('scheduled_posts')
         .insert(post)
@@ -244,7 +397,7 @@ export const db = {
         .single()
       
       if (error) throw error
-      return { post: data, error: null }
+      return { post: validateRow('scheduled_posts', data), error: null }
     } catch (error) {
       console.error('Error creating scheduled post:', error.message)
       return { post: null, error }
@@ -254,6 +407,8 @@ export const db = {
   // Update scheduled post
   updateScheduledPost: async (postId, updates) => {
     try {
+      validateRow('scheduled_posts', updates, { mode: 'update' })
+
       const { data, error } = await supabase
         .from('scheduled_posts')
         .update(updates)
@@ -262,10 +417,657 @@ export const db = {
         .single()
       
       if (error) throw error
-      return { post: data, error: null }
+      return { post: validateRow('scheduled_posts', data), error: null }
     } catch (error) {
       console.error('Error updating scheduled post:', error.message)
       return { post: null, error }
     }
+  },
+
+  // Get a single scheduled post
+  getScheduledPost: async (postId) => {
+    try {
+      const { data, error } = await supabase
+        .from('scheduled_posts')
+        .select('*')
+        .eq('id', postId)
+        .single()
+
+      if (error) throw error
+      return { post: validateRow('scheduled_posts', data), error: null }
+    } catch (error) {
+      console.error('Error getting scheduled post:', error.message)
+      return { post: null, error }
+    }
+  },
+
+  // Get a user's drafts, most recently saved first
+  getDraftPosts: async (userId, limit = 50) => {
+    try {
+      const { data, error } = await supabase
+        .from('scheduled_posts')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', 'draft')
+        .order('updated_at', { ascending: false })
+        .limit(limit)
+
+      if (error) throw error
+      return { posts: validateRows('scheduled_posts', data), error: null }
+    } catch (error) {
+      console.error('Error getting drafts:', error.message)
+      return { posts: [], error }
+    }
+  },
+
+  // Delete scheduled post
+  deleteScheduledPost: async (postId) => {
+    try {
+      const { error } = await supabase
+        .from('scheduled_posts')
+        .delete()
+        .eq('id', postId)
+
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error deleting scheduled post:', error.message)
+      return { error }
+    }
+  },
+
+  // Get media URLs of an organization's latest posts, newest first, for reuse in the composer
+  getRecentMedia: async (organizationId, limit = 50) => {
+    try {
+      const { data, error } = await supabase
+        .from('scheduled_posts')
+        .select('media_urls')
+        .eq('organization_id', organizationId)
+        .not('media_urls', 'eq', '{}')
+        .order('created_at', { ascending: false })
+        .limit(limit)
+
+      if (error) throw error
+      const posts = validateRows('scheduled_posts', data)
+      return { mediaUrls: [...new Set(posts.flatMap(post => post.media_urls || []))], error: null }
+    } catch (error) {
+      console.error('Error getting recent media:', error.message)
+      return { mediaUrls: [], error }
+    }
+  },
+
+  // Get an organization's posts scheduled in a time range, except cancelled ones
+  getScheduledPostsBetween: async (organizationId, { from, to }) => {
+    try {
+      const { data, error } = await supabase
+        .from('scheduled_posts')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .neq('status', 'cancelled')
+        .gte('scheduled_for', new Date(from).toISOString())
+        .lt('scheduled_for', new Date(to).toISOString())
+        .order('scheduled_for', { ascending: true })
+
+      if (error) throw error
+      return { posts: validateRows('scheduled_posts', data), error: null }
+    } catch (error) {
+      console.error('Error getting scheduled posts in range:', error.message)
+      return { posts: [], error }
+    }
+  },
+
+  // Get recurring series with their materialized occurrences
+  getPostSeries: async (userId) => {
+    try {
+      const { data, error } = await supabase
+        .from('post_series')
+        .select('*, scheduled_posts(*)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('scheduled_for', { referencedTable: 'scheduled_posts', ascending: true })
+
+      if (error) throw error
+      return { series: validateRows('post_series', data), error: null }
+    } catch (error) {
+      console.error('Error getting post series:', error.message)
+      return { series: [], error }
+    }
+  },
+
+  // Create recurring series
+  createPostSeries: async (series) => {
+    try {
+      validateRow('post_series', series, { mode: 'insert' })
+
+      const { data, error } = await supabase
+        .from('post_series')
+        .insert(series)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { series: validateRow('post_series', data), error: null }
+    } catch (error) {
+      console.error('Error creating post series:', error.message)
+      return { series: null, error }
+    }
+  },
+
+  // Get organization templates plus public templates
+  getPostTemplates: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('post_templates')
+        .select('*')
+        .or(`organization_id.eq.${organizationId},is_public.eq.true`)
+        .order('performance_score', { ascending: false, nullsFirst: false })
+
+      if (error) throw error
+      return { templates: validateRows('post_templates', data), error: null }
+    } catch (error) {
+      console.error('Error getting post templates:', error.message)
+      return { templates: [], error }
+    }
+  },
+
+  // Create post template
+  createPostTemplate: async (template) => {
+    try {
+      validateRow('post_templates', template, { mode: 'insert' })
+
+      const { data, error } = await supabase
+        .from('post_templates')
+        .insert(template)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { template: validateRow('post_templates', data), error: null }
+    } catch (error) {
+      console.error('Error creating post template:', error.message)
+      return { template: null, error }
+    }
+  },
+
+  // Update post template
+  updatePostTemplate: async (templateId, updates) => {
+    try {
+      validateRow('post_templates', updates, { mode: 'update' })
+
+      const { data, error } = await supabase
+        .from('post_templates')
+        .update(updates)
+        .eq('id', templateId)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { template: validateRow('post_templates', data), error: null }
+    } catch (error) {
+      console.error('Error updating post template:', error.message)
+      return { template: null, error }
+    }
+  },
+
+  // Delete post template
+  deletePostTemplate: async (templateId) => {
+    try {
+      const { error } = await supabase
+        .from('post_templates')
+        .delete()
+        .eq('id', templateId)
+
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error deleting post template:', error.message)
+      return { error }
+    }
+  },
+
+  // Get an organization's planned calendar items between two dates (YYYY-MM-DD, inclusive)
+  getCalendarItems: async (organizationId, { from, to }) => {
+    try {
+      const { data, error } = await supabase
+        .from('content_calendar')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .gte('planned_date', from)
+        .lte('planned_date', to)
+        .order('planned_date', { ascending: true })
+
+      if (error) throw error
+      return { items: validateRows('content_calendar', data), error: null }
+    } catch (error) {
+      console.error('Error getting calendar items:', error.message)
+      return { items: [], error }
+    }
+  },
+
+  // Create planned calendar item
+  createCalendarItem: async (item) => {
+    try {
+      validateRow('content_calendar', item, { mode: 'insert' })
+
+      const { data, error } = await supabase
+        .from('content_calendar')
+        .insert(item)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { item: validateRow('content_calendar', data), error: null }
+    } catch (error) {
+      console.error('Error creating calendar item:', error.message)
+      return { item: null, error }
+    }
+  },
+
+  // Update planned calendar item
+  updateCalendarItem: async (itemId, updates) => {
+    try {
+      validateRow('content_calendar', updates, { mode: 'update' })
+
+      const { data, error } = await supabase
+        .from('content_calendar')
+        .update(updates)
+        .eq('id', itemId)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { item: validateRow('content_calendar', data), error: null }
+    } catch (error) {
+      console.error('Error updating calendar item:', error.message)
+      return { item: null, error }
+    }
+  },
+
+  // Delete planned calendar item
+  deleteCalendarItem: async (itemId) => {
+    try {
+      const { error } = await supabase
+        .from('content_calendar')
+        .delete()
+        .eq('id', itemId)
+
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error deleting calendar item:', error.message)
+      return { error }
+    }
+  },
+
+  // Get organization's posting schedules
+  getPostingSchedules: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('posting_schedules')
+        .select('*')
+        .eq('organization_id', organizationId)
+
+      if (error) throw error
+      return { schedules: validateRows('posting_schedules', data), error: null }
+    } catch (error) {
+      console.error('Error getting posting schedules:', error.message)
+      return { schedules: [], error }
+    }
+  },
+
+  // Create or update an account's posting schedule
+  upsertPostingSchedule: async (schedule) => {
+    try {
+      validateRow('posting_schedules', schedule, { mode: 'insert' })
+
+      const { data, error } = await supabase
+        .from('posting_schedules')
+        .upsert(schedule)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { schedule: validateRow('posting_schedules', data), error: null }
+    } catch (error) {
+      console.error('Error upserting posting schedule:', error.message)
+      return { schedule: null, error }
+    }
+  },
+
+  // Get organization's approval steps in review order
+  getApprovalRules: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('approval_rules')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('step', { ascending: true })
+
+      if (error) throw error
+      return { rules: validateRows('approval_rules', data), error: null }
+    } catch (error) {
+      console.error('Error getting approval rules:', error.message)
+      return { rules: [], error }
+    }
+  },
+
+  // Replace organization's approval steps; rules are numbered by their order
+  saveApprovalRules: async (organizationId, rules) => {
+    try {
+      const rows = rules.map((rule, index) => ({
+        organization_id: organizationId,
+        step: index + 1,
+        reviewer_role: rule.reviewer_role,
+        author_roles: rule.author_roles
+      }))
+      rows.forEach(row => validateRow('approval_rules', row, { mode: 'insert' }))
+
+      const { error: deleteError } = await supabase
+        .from('approval_rules')
+        .delete()
+        .eq('organization_id', organizationId)
+        .gt('step', rows.length)
+
+      if (deleteError) throw deleteError
+      if (rows.length === 0) return { rules: [], error: null }
+
+      const { data, error } = await supabase
+        .from('approval_rules')
+        .upsert(rows, { onConflict: 'organization_id,step' })
+        .select()
+        .order('step', { ascending: true })
+
+      if (error) throw error
+      return { rules: validateRows('approval_rules', data), error: null }
+    } catch (error) {
+      console.error('Error saving approval rules:', error.message)
+      return { rules: [], error }
+    }
+  },
+
+  // Get organization's posts waiting on a review or on changes
+  getPostsAwaitingApproval: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('scheduled_posts')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .in('approval_status', ['pending_approval', 'changes_requested'])
+        .neq('status', 'cancelled')
+        .order('scheduled_for', { ascending: true })
+
+      if (error) throw error
+      return { posts: validateRows('scheduled_posts', data), error: null }
+    } catch (error) {
+      console.error('Error getting posts awaiting approval:', error.message)
+      return { posts: [], error }
+    }
+  },
+
+  // Approve a post's current step or request changes through review_post()
+  reviewPost: async (postId, decision, comment = null) => {
+    try {
+      const { data, error } = await supabase.rpc('review_post', {
+        post_id: postId,
+        decision,
+        review_comment: comment
+      })
+
+      if (error) throw error
+      return { post: validateRow('scheduled_posts', data), error: null }
+    } catch (error) {
+      console.error('Error reviewing post:', error.message)
+      return { post: null, error }
+    }
+  },
+
+  // Get organization's evergreen posts waiting on a review or on changes
+  getTemplatesAwaitingApproval: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('post_templates')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .in('approval_status', ['pending_approval', 'changes_requested'])
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+      return { templates: validateRows('post_templates', data), error: null }
+    } catch (error) {
+      console.error('Error getting templates awaiting approval:', error.message)
+      return { templates: [], error }
+    }
+  },
+
+  // Approve an evergreen post's current step or request changes through review_template()
+  reviewTemplate: async (templateId, decision, comment = null) => {
+    try {
+      const { data, error } = await supabase.rpc('review_template', {
+        template_id: templateId,
+        decision,
+        review_comment: comment
+      })
+
+      if (error) throw error
+      return { template: validateRow('post_templates', data), error: null }
+    } catch (error) {
+      console.error('Error reviewing template:', error.message)
+      return { template: null, error }
+    }
+  },
+
+  // Get a post's review comments, oldest first
+  getPostComments: async (scheduledPostId) => {
+    try {
+      const { data, error } = await supabase
+        .from('post_comments')
+        .select('*')
+        .eq('scheduled_post_id', scheduledPostId)
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+      return { comments: validateRows('post_comments', data), error: null }
+    } catch (error) {
+      console.error('Error getting post comments:', error.message)
+      return { comments: [], error }
+    }
+  },
+
+  // Create review comment
+  createPostComment: async (comment) => {
+    try {
+      validateRow('post_comments', comment, { mode: 'insert' })
+
+      const { data, error } = await supabase
+        .from('post_comments')
+        .insert(comment)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { comment: validateRow('post_comments', data), error: null }
+    } catch (error) {
+      console.error('Error creating post comment:', error.message)
+      return { comment: null, error }
+    }
+  },
+
+  // Update review comment
+  updatePostComment: async (commentId, updates) => {
+    try {
+      validateRow('post_comments', updates, { mode: 'update' })
+
+      const { data, error } = await supabase
+        .from('post_comments')
+        .update(updates)
+        .eq('id', commentId)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { comment: validateRow('post_comments', data), error: null }
+    } catch (error) {
+      console.error('Error updating post comment:', error.message)
+      return { comment: null, error }
+    }
+  },
+
+  // Get organization's active members
+  getOrganizationMembers: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('id, email, full_name, role')
+        .eq('organization_id', organizationId)
+        .eq('is_active', true)
+
+      if (error) throw error
+      return { members: validateRows('profiles', data), error: null }
+    } catch (error) {
+      console.error('Error getting organization members:', error.message)
+      return { members: [], error }
+    }
+  },
+
+  // Get analytics rows for a scheduled post
+  getPostAnalytics: async (scheduledPostId) => {
+    try {
+      const { data, error } = await supabase
+        .from('post_analytics')
+        .select('*')
+        .eq('scheduled_post_id', scheduledPostId)
+
+      if (error) throw error
+      return { analytics: validateRows('post_analytics', data), error: null }
+    } catch (error) {
+      console.error('Error getting post analytics:', error.message)
+      return { analytics: [], error }
+    }
+  },
+
+  // Get analytics rows of an organization's posts published in a date range
+  getOrganizationAnalytics: async (organizationId, { from, to }) => {
+    try {
+      const { data, error } = await supabase
+        .from('post_analytics')
+        .select('*, scheduled_posts!inner (id, content, media_urls, posted_at, business_profile_id, organization_id)')
+        .eq('scheduled_posts.organization_id', organizationId)
+        .gte('scheduled_posts.posted_at', new Date(from).toISOString())
+        .lte('scheduled_posts.posted_at', new Date(to).toISOString())
+
+      if (error) throw error
+      return { analytics: validateRows('post_analytics', data), error: null }
+    } catch (error) {
+      console.error('Error getting organization analytics:', error.message)
+      return { analytics: [], error }
+    }
+  },
+
+  // Get how analytics rows changed over time, oldest first
+  getAnalyticsSnapshots: async (postAnalyticsIds) => {
+    try {
+      const { data, error } = await supabase
+        .from('post_analytics_snapshots')
+        .select('*')
+        .in('post_analytics_id', postAnalyticsIds)
+        .order('recorded_at', { ascending: true })
+
+      if (error) throw error
+      return { snapshots: validateRows('post_analytics_snapshots', data), error: null }
+    } catch (error) {
+      console.error('Error getting analytics snapshots:', error.message)
+      return { snapshots: [], error }
+    }
+  },
+
+  // Get an organization's daily follower counts since a date
+  getFollowerCounts: async (organizationId, from) => {
+    try {
+      const { data, error } = await supabase
+        .from('follower_counts')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .gte('recorded_on', new Date(from).toISOString().slice(0, 10))
+        .order('recorded_on', { ascending: true })
+
+      if (error) throw error
+      return { followerCounts: validateRows('follower_counts', data), error: null }
+    } catch (error) {
+      console.error('Error getting follower counts:', error.message)
+      return { followerCounts: [], error }
+    }
+  },
+
+  // Get the 30-day dashboard summary for an organization
+  getDashboardAnalytics: async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('dashboard_analytics')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .maybeSingle()
+
+      if (error) throw error
+      return { analytics: data && validateRow('dashboard_analytics', data), error: null }
+    } catch (error) {
+      console.error('Error getting dashboard analytics:', error.message)
+      return { analytics: null, error }
+    }
+  },
+
+  // Get user's notification settings
+  getNotificationSettings: async (userId) => {
+    try {
+      const { data, error } = await supabase
+        .from('notification_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle()
+
+      if (error) throw error
+      return { settings: data && validateRow('notification_settings', data), error: null }
+    } catch (error) {
+      console.error('Error getting notification settings:', error.message)
+      return { settings: null, error }
+    }
+  },
+
+  // Update user's notification settings
+  updateNotificationSettings: async (userId, updates) => {
+    try {
+      validateRow('notification_settings', updates, { mode: 'update' })
+
+      const { data, error } = await supabase
+        .from('notification_settings')
+        .update(updates)
+        .eq('user_id', userId)
+        .select()
+        .single()
+
+      if (error) throw error
+      return { settings: validateRow('notification_settings', data), error: null }
+    } catch (error) {
+      console.error('Error updating notification settings:', error.message)
+      return { settings: null, error }
+    }
+  },
+
+  // Record an audit trail entry through log_activity()
+  logActivity: async (organizationId, action, resourceType = null, resourceId = null, details = null) => {
+    try {
+      const { error } = await supabase.rpc('log_activity', {
+        org_id: organizationId,
+        action_name: action,
+        resource_type_name: resourceType,
+        resource_id_value: resourceId,
+        activity_details: details
+      })
+
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error logging activity:', error.message)
+      return { error }
+    }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,731 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest'
+import { addMember, createLocalDatabase, signUp } from '../../test/localDatabase'
+
+// Every db helper runs through supabase-js against a local database built
+// from supabase/migrations, as the user set with database.setUser()
+
+let database
+let db
+
+// Netlify functions the test answers in place of the real ones, by name
+const netlifyFunctions = {}
+
+const routeFetch = (input, init) => {
+  const url = String(input instanceof Request ? input.url : input)
+  const functionName = url.match(/^\/\.netlify\/functions\/(.+)$/)?.[1]
+  if (functionName) return netlifyFunctions[functionName](init)
+  return database.fetch(input, init)
+}
+
+beforeAll(async () => {
+  database = await createLocalDatabase()
+  // supabase-js keeps the fetch it finds when the client is created
+  vi.stubGlobal('fetch', routeFetch)
+  ;({ db } = await import('./supabase'))
+})
+
+afterAll(async () => {
+  vi.unstubAllGlobals()
+  await database?.close()
+})
+
+beforeEach(() => {
+  // The helpers log failures; the tests check the returned error instead
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+const DAY = 24 * 60 * 60 * 1000
+const daysFromNow = days => new Date(Date.now() + days * DAY)
+const dateFromNow = days => daysFromNow(days).toISOString().slice(0, 10)
+
+// Insert a row as the superuser, for rows the browser can't create itself
+async function seed(table, row) {
+  const columns = Object.keys(row)
+  const { rows: [created] } = await database.pg.query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+    Object.values(row)
+  )
+  return created
+}
+
+// A signed-up owner with an editor and a viewer in their organization
+async function createOrganization(businessName) {
+  const email = `${crypto.randomUUID()}@example.com`
+  const { userId, organizationId } = await signUp(database.pg, {
+    email,
+    metadata: { business_name: businessName, timezone: 'America/Chicago' }
+  })
+  return {
+    organizationId,
+    ownerId: userId,
+    ownerEmail: email,
+    editorId: await addMember(database.pg, organizationId, 'editor'),
+    viewerId: await addMember(database.pg, organizationId, 'viewer')
+  }
+}
+
+const seedAccount = (org, fields = {}) => seed('social_accounts', {
+  organization_id: org.organizationId,
+  user_id: org.ownerId,
+  platform: 'facebook',
+  platform_account_id: crypto.randomUUID(),
+  account_name: 'Corner Bakery',
+  access_token_encrypted: 'encrypted-token',
+  ...fields
+})
+
+const seedPost = (org, account, fields = {}) => seed('scheduled_posts', {
+  organization_id: org.organizationId,
+  user_id: org.ownerId,
+  social_account_ids: [account.id],
+  content: 'Fresh sourdough out of the oven',
+  status: 'scheduled',
+  scheduled_for: daysFromNow(1),
+  ...fields
+})
+
+describe('db profiles and organizations', () => {
+  let org
+  let other
+
+  beforeAll(async () => {
+    org = await createOrganization('Corner Bakery')
+    other = await createOrganization('Main Street Gym')
+  })
+
+  it('gets a profile with its organization', async () => {
+    database.setUser(org.ownerId)
+    const { profile, error } = await db.getProfile(org.ownerId)
+
+    expect(error).toBeNull()
+    expect(profile).toMatchObject({ id: org.ownerId, email: org.ownerEmail, role: 'owner' })
+    expect(profile.organizations).toMatchObject({ id: org.organizationId, name: 'Corner Bakery', timezone: 'America/Chicago' })
+  })
+
+  it("doesn't get profiles outside the user's organization", async () => {
+    database.setUser(org.ownerId)
+    const { profile, error } = await db.getProfile(other.ownerId)
+
+    expect(profile).toBeNull()
+    expect(error).toBeTruthy()
+  })
+
+  it('updates the signed-in profile', async () => {
+    database.setUser(org.ownerId)
+    const { profile, error } = await db.upsertProfile({ id: org.ownerId, email: org.ownerEmail, full_name: 'Dana Baker' })
+
+    expect(error).toBeNull()
+    expect(profile).toMatchObject({ id: org.ownerId, full_name: 'Dana Baker', role: 'owner' })
+  })
+
+  it('gets and updates an organization', async () => {
+    database.setUser(org.ownerId)
+    expect((await db.getOrganization(org.organizationId)).organization).toMatchObject({ name: 'Corner Bakery' })
+
+    const { organization, error } = await db.updateOrganization(org.organizationId, { timezone: 'America/Denver' })
+
+    expect(error).toBeNull()
+    expect(organization).toMatchObject({ id: org.organizationId, timezone: 'America/Denver' })
+  })
+
+  it('only lets owners update an organization', async () => {
+    database.setUser(org.viewerId)
+    const { organization, error } = await db.updateOrganization(org.organizationId, { name: 'Renamed' })
+
+    expect(organization).toBeNull()
+    expect(error).toBeTruthy()
+  })
+
+  it("lists an organization's active members", async () => {
+    await database.pg.query('UPDATE profiles SET is_active = false WHERE id = $1', [other.viewerId])
+    database.setUser(other.ownerId)
+    const { members, error } = await db.getOrganizationMembers(other.organizationId)
+
+    expect(error).toBeNull()
+    expect(members.map(member => member.id).sort()).toEqual([other.ownerId, other.editorId].sort())
+    expect(members.find(member => member.id === other.editorId)).toEqual(expect.objectContaining({ role: 'editor' }))
+  })
+})
+
+describe('db business profiles and blackouts', () => {
+  let org
+
+  beforeAll(async () => {
+    org = await createOrganization('Bloom Salon')
+  })
+
+  it('creates, updates and lists active business profiles by name', async () => {
+    database.setUser(org.editorId)
+    const { businessProfile: spa, error } = await db.upsertBusinessProfile({
+      organization_id: org.organizationId,
+      business_name: 'Bloom Spa',
+      business_hours: { monday: { open: '09:00', close: '17:00' } }
+    })
+    expect(error).toBeNull()
+
+    await db.upsertBusinessProfile({ organization_id: org.organizationId, business_name: 'Bloom Annex' })
+    await db.upsertBusinessProfile({ organization_id: org.organizationId, business_name: 'Bloom Closed', is_active: false })
+    const { businessProfile: updated } = await db.upsertBusinessProfile({ ...spa, phone: '555-0100' })
+
+    expect(updated).toMatchObject({ id: spa.id, phone: '555-0100' })
+    const { businessProfiles } = await db.getBusinessProfiles(org.organizationId)
+    // Bloom Salon was made at signup
+    expect(businessProfiles.map(profile => profile.business_name)).toEqual(['Bloom Annex', 'Bloom Salon', 'Bloom Spa'])
+  })
+
+  it('creates, lists and deletes upcoming blackouts', async () => {
+    database.setUser(org.ownerId)
+    const { businessProfile } = await db.upsertBusinessProfile({ organization_id: org.organizationId, business_name: 'Bloom Downtown' })
+    const blackout = { organization_id: org.organizationId, business_profile_id: businessProfile.id }
+
+    await db.createBusinessBlackout({ ...blackout, starts_on: dateFromNow(-10), ends_on: dateFromNow(-8) })
+    const { blackout: holiday, error } = await db.createBusinessBlackout({
+      ...blackout, starts_on: dateFromNow(20), ends_on: dateFromNow(21), reason: 'Closed for the holiday'
+    })
+    await db.createBusinessBlackout({ ...blackout, starts_on: dateFromNow(5), ends_on: dateFromNow(5) })
+
+    expect(error).toBeNull()
+    expect(holiday).toMatchObject({ reason: 'Closed for the holiday', starts_on: dateFromNow(20) })
+    expect((await db.getBusinessBlackouts(org.organizationId)).blackouts.map(b => b.starts_on))
+      .toEqual([dateFromNow(5), dateFromNow(20)])
+
+    expect((await db.deleteBusinessBlackout(holiday.id)).error).toBeNull()
+    expect((await db.getBusinessBlackouts(org.organizationId)).blackouts).toHaveLength(1)
+  })
+
+  it("doesn't let viewers add blackouts", async () => {
+    database.setUser(org.ownerId)
+    const { businessProfile } = await db.upsertBusinessProfile({ organization_id: org.organizationId, business_name: 'Bloom Uptown' })
+
+    database.setUser(org.viewerId)
+    const { blackout, error } = await db.createBusinessBlackout({
+      organization_id: org.organizationId,
+      business_profile_id: businessProfile.id,
+      starts_on: dateFromNow(1),
+      ends_on: dateFromNow(1)
+    })
+
+    expect(blackout).toBeNull()
+    expect(error).toBeTruthy()
+  })
+})
+
+describe('db social accounts', () => {
+  let org
+
+  beforeAll(async () => {
+    org = await createOrganization('Harbor Cafe')
+  })
+
+  it("lists a user's active accounts, newest first, without their tokens", async () => {
+    const older = await seedAccount(org, { created_at: daysFromNow(-2) })
+    const newer = await seedAccount(org, { platform: 'instagram', created_at: daysFromNow(-1) })
+    await seedAccount(org, { is_active: false })
+
+    database.setUser(org.ownerId)
+    const { accounts, error } = await db.getSocialAccounts(org.ownerId)
+
+    expect(error).toBeNull()
+    expect(accounts.map(account => account.id)).toEqual([newer.id, older.id])
+    expect(accounts[0]).not.toHaveProperty('access_token_encrypted')
+  })
+
+  it('renames an account but never writes its token', async () => {
+    const account = await seedAccount(org)
+    database.setUser(org.editorId)
+
+    const { account: renamed, error } = await db.updateSocialAccount(account.id, { account_name: 'Harbor Cafe Page' })
+    expect(error).toBeNull()
+    expect(renamed).toMatchObject({ id: account.id, account_name: 'Harbor Cafe Page' })
+
+    const rejected = await db.updateSocialAccount(account.id, { access_token_encrypted: 'stolen' })
+    expect(rejected.account).toBeNull()
+    expect(rejected.error).toBeTruthy()
+  })
+
+  it('gets the Facebook login URL from the oauth-start function', async () => {
+    netlifyFunctions['facebook-oauth-start'] = vi.fn(async () => Response.json({ url: 'https://www.facebook.com/dialog/oauth?state=abc' }))
+    expect(await db.startFacebookOAuth()).toEqual({ url: 'https://www.facebook.com/dialog/oauth?state=abc', error: null })
+    expect(netlifyFunctions['facebook-oauth-start']).toHaveBeenCalledWith(expect.objectContaining({ method: 'POST' }))
+
+    netlifyFunctions['facebook-oauth-start'] = async () => Response.json({ error: 'Not signed in' }, { status: 401 })
+    const { url, error } = await db.startFacebookOAuth()
+    expect(url).toBeNull()
+    expect(error.message).toBe('Not signed in')
+  })
+})
+
+describe('db scheduled posts', () => {
+  let org
+  let other
+  let account
+
+  beforeAll(async () => {
+    org = await createOrganization('Oak Street Books')
+    other = await createOrganization('Riverside Florist')
+    account = await seedAccount(org)
+  })
+
+  it('creates, gets, updates and deletes a post', async () => {
+    database.setUser(org.editorId)
+    const { post, error } = await db.createScheduledPost({
+      organization_id: org.organizationId,
+      user_id: org.editorId,
+      social_account_ids: [account.id],
+      content: 'Author signing on Saturday',
+      hashtags: ['books'],
+      status: 'scheduled',
+      scheduled_for: daysFromNow(3).toISOString()
+    })
+    expect(error).toBeNull()
+    expect(post).toMatchObject({ content: 'Author signing on Saturday', hashtags: ['books'], status: 'scheduled', approval_status: null })
+
+    expect((await db.getScheduledPost(post.id)).post).toMatchObject({ id: post.id })
+
+    const { post: updated } = await db.updateScheduledPost(post.id, { content: 'Author signing on Sunday' })
+    expect(updated).toMatchObject({ id: post.id, content: 'Author signing on Sunday' })
+
+    expect((await db.deleteScheduledPost(post.id)).error).toBeNull()
+    expect((await db.getScheduledPost(post.id)).post).toBeNull()
+  })
+
+  it("doesn't let viewers create posts", async () => {
+    database.setUser(org.viewerId)
+    const { post, error } = await db.createScheduledPost({
+      organization_id: org.organizationId,
+      user_id: org.viewerId,
+      social_account_ids: [account.id],
+      content: 'Not allowed',
+      status: 'draft'
+    })
+
+    expect(post).toBeNull()
+    expect(error).toBeTruthy()
+  })
+
+  it("lists a user's scheduled posts by time and their drafts by last save", async () => {
+    const user = { ...org, ownerId: await addMember(database.pg, org.organizationId, 'editor') }
+    const later = await seedPost(user, account, { scheduled_for: daysFromNow(2) })
+    const sooner = await seedPost(user, account, { scheduled_for: daysFromNow(1) })
+    const draft = await seedPost(user, account, { status: 'draft', scheduled_for: null, updated_at: daysFromNow(-1) })
+    const newerDraft = await seedPost(user, account, { status: 'draft', scheduled_for: null })
+    await seedPost(org, account)
+
+    database.setUser(user.ownerId)
+    const scheduled = await db.getScheduledPosts(user.ownerId)
+    expect(scheduled.error).toBeNull()
+    expect(scheduled.posts.map(post => post.id)).toEqual([sooner.id, later.id])
+    expect((await db.getScheduledPosts(user.ownerId, 1)).posts).toHaveLength(1)
+
+    const drafts = await db.getDraftPosts(user.ownerId)
+    expect(drafts.error).toBeNull()
+    expect(drafts.posts.map(post => post.id)).toEqual([newerDraft.id, draft.id])
+  })
+
+  it("lists an organization's posts in a time range, except cancelled ones", async () => {
+    const from = daysFromNow(30)
+    const to = daysFromNow(37)
+    const inRange = await seedPost(org, account, { scheduled_for: daysFromNow(31) })
+    await seedPost(org, account, { scheduled_for: daysFromNow(32), status: 'cancelled' })
+    await seedPost(org, account, { scheduled_for: daysFromNow(40) })
+    await seedPost(other, await seedAccount(other), { scheduled_for: daysFromNow(31) })
+
+    database.setUser(org.viewerId)
+    const { posts, error } = await db.getScheduledPostsBetween(org.organizationId, { from, to })
+
+    expect(error).toBeNull()
+    expect(posts.map(post => post.id)).toEqual([inRange.id])
+  })
+
+  it("collects an organization's recent media, newest first and without repeats", async () => {
+    const gallery = await createOrganization('Gallery Nine')
+    const galleryAccount = await seedAccount(gallery)
+    await seedPost(gallery, galleryAccount, { media_urls: ['a.jpg', 'b.jpg'], created_at: daysFromNow(-2) })
+    await seedPost(gallery, galleryAccount, { media_urls: [], created_at: daysFromNow(-1) })
+    await seedPost(gallery, galleryAccount, { media_urls: ['c.mp4', 'a.jpg'] })
+
+    database.setUser(gallery.ownerId)
+    const { mediaUrls, error } = await db.getRecentMedia(gallery.organizationId)
+
+    expect(error).toBeNull()
+    expect(mediaUrls).toEqual(['c.mp4', 'a.jpg', 'b.jpg'])
+  })
+})
+
+describe('db post series', () => {
+  it('creates a series and lists it with its occurrences in order', async () => {
+    const org = await createOrganization('Sunrise Yoga')
+    const account = await seedAccount(org)
+    database.setUser(org.ownerId)
+
+    const { series, error } = await db.createPostSeries({
+      organization_id: org.organizationId,
+      user_id: org.ownerId,
+      social_account_ids: [account.id],
+      content: 'Friday flow class',
+      recurrence_rule: 'FREQ=WEEKLY;BYDAY=FR',
+      starts_at: daysFromNow(1).toISOString(),
+      timezone: 'America/Chicago'
+    })
+    expect(error).toBeNull()
+
+    const second = await seedPost(org, account, { series_id: series.id, series_occurrence_at: daysFromNow(8), scheduled_for: daysFromNow(8) })
+    const first = await seedPost(org, account, { series_id: series.id, series_occurrence_at: daysFromNow(1), scheduled_for: daysFromNow(1) })
+
+    const listed = await db.getPostSeries(org.ownerId)
+    expect(listed.error).toBeNull()
+    expect(listed.series).toHaveLength(1)
+    expect(listed.series[0]).toMatchObject({ id: series.id, recurrence_rule: 'FREQ=WEEKLY;BYDAY=FR' })
+    expect(listed.series[0].scheduled_posts.map(post => post.id)).toEqual([first.id, second.id])
+  })
+})
+
+describe('db post templates', () => {
+  it("manages an organization's templates and lists them with public ones, best first", async () => {
+    const org = await createOrganization('Taco Truck')
+    const other = await createOrganization('Pizza Place')
+    await seed('post_templates', { organization_id: other.organizationId, name: 'Private', content: 'Ours only' })
+    const shared = await seed('post_templates', { name: 'Holiday hours', content: 'See you soon', is_public: true, performance_score: 0.5 })
+
+    database.setUser(org.editorId)
+    const { template, error } = await db.createPostTemplate({
+      organization_id: org.organizationId,
+      user_id: org.editorId,
+      name: 'Taco Tuesday',
+      content: 'Two tacos for $5',
+      category: 'evergreen',
+      performance_score: 0.9
+    })
+    expect(error).toBeNull()
+    const { template: unscored } = await db.createPostTemplate({ organization_id: org.organizationId, name: 'New', content: 'Untested' })
+
+    const { templates } = await db.getPostTemplates(org.organizationId)
+    const visible = templates.map(t => t.id).filter(id => [template.id, unscored.id, shared.id].includes(id))
+    expect(visible).toEqual([template.id, shared.id, unscored.id])
+    expect(templates.map(t => t.name)).not.toContain('Private')
+
+    const { template: updated } = await db.updatePostTemplate(template.id, { variations: ['Taco Tuesday is back'] })
+    expect(updated).toMatchObject({ id: template.id, variations: ['Taco Tuesday is back'] })
+
+    expect((await db.deletePostTemplate(unscored.id)).error).toBeNull()
+    expect((await db.getPostTemplates(org.organizationId)).templates.map(t => t.id)).not.toContain(unscored.id)
+  })
+})
+
+describe('db content calendar', () => {
+  it('creates, lists by date range, updates and deletes planned items', async () => {
+    const org = await createOrganization('Hilltop Brewery')
+    database.setUser(org.editorId)
+    const item = { organization_id: org.organizationId, user_id: org.editorId }
+
+    const { item: launch, error } = await db.createCalendarItem({
+      ...item, title: 'Autumn ale launch', planned_date: '2026-11-05', planned_time: '16:00', target_platforms: ['facebook', 'instagram']
+    })
+    expect(error).toBeNull()
+    expect(launch).toMatchObject({ planned_date: '2026-11-05', target_platforms: ['facebook', 'instagram'] })
+    const { item: trivia } = await db.createCalendarItem({ ...item, title: 'Trivia night', planned_date: '2026-11-02' })
+    await db.createCalendarItem({ ...item, title: 'Winter menu', planned_date: '2026-12-01' })
+
+    const { items } = await db.getCalendarItems(org.organizationId, { from: '2026-11-01', to: '2026-11-30' })
+    expect(items.map(i => i.id)).toEqual([trivia.id, launch.id])
+
+    const { item: moved } = await db.updateCalendarItem(trivia.id, { planned_date: '2026-11-09' })
+    expect(moved).toMatchObject({ id: trivia.id, planned_date: '2026-11-09' })
+
+    expect((await db.deleteCalendarItem(launch.id)).error).toBeNull()
+    expect((await db.getCalendarItems(org.organizationId, { from: '2026-11-01', to: '2026-11-30' })).items.map(i => i.id))
+      .toEqual([trivia.id])
+  })
+})
+
+describe('db posting schedules', () => {
+  it("creates and updates an account's posting schedule", async () => {
+    const org = await createOrganization('Maple Bakery')
+    const account = await seedAccount(org)
+    database.setUser(org.editorId)
+    const schedule = { social_account_id: account.id, organization_id: org.organizationId, slots: [{ weekday: 5, time: '16:00' }] }
+
+    const created = await db.upsertPostingSchedule(schedule)
+    expect(created.error).toBeNull()
+    expect(created.schedule).toMatchObject({ slots: [{ weekday: 5, time: '16:00' }], timezone: 'UTC', evergreen_enabled: false })
+
+    const { schedule: updated } = await db.upsertPostingSchedule({ ...schedule, evergreen_enabled: true, timezone: 'America/Chicago' })
+    expect(updated).toMatchObject({ evergreen_enabled: true, timezone: 'America/Chicago' })
+
+    const { schedules, error } = await db.getPostingSchedules(org.organizationId)
+    expect(error).toBeNull()
+    expect(schedules).toEqual([expect.objectContaining({ social_account_id: account.id, evergreen_enabled: true })])
+  })
+})
+
+describe('db approvals', () => {
+  let org
+  let account
+
+  beforeAll(async () => {
+    org = await createOrganization('Agency Client')
+    account = await seedAccount(org)
+  })
+
+  it('saves approval rules in order and drops steps that were removed', async () => {
+    database.setUser(org.ownerId)
+    const saved = await db.saveApprovalRules(org.organizationId, [
+      { reviewer_role: 'admin', author_roles: ['editor'] },
+      { reviewer_role: 'viewer', author_roles: ['editor'] }
+    ])
+    expect(saved.error).toBeNull()
+    expect(saved.rules.map(rule => [rule.step, rule.reviewer_role])).toEqual([[1, 'admin'], [2, 'viewer']])
+
+    await db.saveApprovalRules(org.organizationId, [{ reviewer_role: 'viewer', author_roles: ['editor'] }])
+    const { rules, error } = await db.getApprovalRules(org.organizationId)
+    expect(error).toBeNull()
+    expect(rules).toEqual([expect.objectContaining({ step: 1, reviewer_role: 'viewer', author_roles: ['editor'] })])
+  })
+
+  it("doesn't let editors change approval rules", async () => {
+    database.setUser(org.editorId)
+    const { rules, error } = await db.saveApprovalRules(org.organizationId, [{ reviewer_role: 'editor', author_roles: ['editor'] }])
+
+    expect(rules).toEqual([])
+    expect(error).toBeTruthy()
+    expect((await db.getApprovalRules(org.organizationId)).rules)
+      .toEqual([expect.objectContaining({ reviewer_role: 'viewer' })])
+  })
+
+  it('sends a post through review and records the decision as a comment', async () => {
+    database.setUser(org.editorId)
+    const { post } = await db.createScheduledPost({
+      organization_id: org.organizationId,
+      user_id: org.editorId,
+      social_account_ids: [account.id],
+      content: 'New menu launch',
+      status: 'scheduled',
+      scheduled_for: daysFromNow(2).toISOString()
+    })
+    expect(post).toMatchObject({ approval_status: 'pending_approval', approval_step: 1 })
+    expect((await db.getPostsAwaitingApproval(org.organizationId)).posts.map(p => p.id)).toContain(post.id)
+
+    const selfApproval = await db.reviewPost(post.id, 'approved')
+    expect(selfApproval.post).toBeNull()
+    expect(selfApproval.error).toBeTruthy()
+
+    database.setUser(org.viewerId)
+    const { post: approved, error } = await db.reviewPost(post.id, 'approved', 'Looks great')
+    expect(error).toBeNull()
+    expect(approved).toMatchObject({ id: post.id, approval_status: 'approved' })
+    expect((await db.getPostsAwaitingApproval(org.organizationId)).posts.map(p => p.id)).not.toContain(post.id)
+
+    const { comments } = await db.getPostComments(post.id)
+    expect(comments).toEqual([expect.objectContaining({ body: 'Looks great', decision: 'approved', user_id: org.viewerId })])
+  })
+
+  it("doesn't let authors review their own posts, even with the step's reviewer role", async () => {
+    database.setUser(org.ownerId)
+    await db.saveApprovalRules(org.organizationId, [{ reviewer_role: 'editor', author_roles: ['editor'] }])
+
+    database.setUser(org.editorId)
+    const { post } = await db.createScheduledPost({
+      organization_id: org.organizationId,
+      user_id: org.editorId,
+      social_account_ids: [account.id],
+      content: 'Patio season is here',
+      status: 'scheduled',
+      scheduled_for: daysFromNow(2).toISOString()
+    })
+    expect(post.approval_status).toBe('pending_approval')
+
+    const { post: reviewed, error } = await db.reviewPost(post.id, 'approved')
+    expect(reviewed).toBeNull()
+    expect(error.message).toContain("You can't review your own post")
+
+    database.setUser(org.ownerId)
+    await db.saveApprovalRules(org.organizationId, [{ reviewer_role: 'viewer', author_roles: ['editor'] }])
+  })
+
+  it('keeps posts awaiting approval in the queue past their time until they are approved', async () => {
+    const pending = await seedPost(org, account, { user_id: org.editorId, scheduled_for: daysFromNow(-1) })
+    const approved = await seedPost(org, account, { user_id: org.editorId, scheduled_for: daysFromNow(-1) })
+    // As review_post() does, past request_post_approval()
+    await database.pg.query("SELECT set_config('localsocial.reviewing_post', 'on', false)")
+    await database.pg.query("UPDATE scheduled_posts SET approval_status = 'approved' WHERE id = $1", [approved.id])
+    await database.pg.query("SELECT set_config('localsocial.reviewing_post', 'off', false)")
+    expect(pending.approval_status).toBe('pending_approval')
+
+    const { rows } = await database.pg.query("SELECT id FROM claim_due_posts('test-worker', 100, 60)")
+    const claimed = rows.map(row => row.id)
+    expect(claimed).toContain(approved.id)
+    expect(claimed).not.toContain(pending.id)
+
+    database.setUser(org.editorId)
+    const { posts } = await db.getPostsAwaitingApproval(org.organizationId)
+    expect(posts.find(post => post.id === pending.id)).toMatchObject({ status: 'scheduled', approval_status: 'pending_approval' })
+  })
+
+  it("doesn't let clients mark posts evergreen to skip approval", async () => {
+    database.setUser(org.editorId)
+    const { post } = await db.createScheduledPost({
+      organization_id: org.organizationId,
+      user_id: org.editorId,
+      social_account_ids: [account.id],
+      content: 'Buy one get one free',
+      status: 'scheduled',
+      scheduled_for: daysFromNow(2).toISOString(),
+      evergreen: true
+    })
+    expect(post).toMatchObject({ evergreen: false, approval_status: 'pending_approval' })
+
+    // Evergreen posts the queue schedules skip review, until a client edits them
+    const recycled = await seedPost(org, account, { user_id: org.editorId, evergreen: true })
+    expect(recycled).toMatchObject({ evergreen: true, approval_status: null })
+
+    const { post: edited } = await db.updateScheduledPost(recycled.id, { content: 'Buy one get two free' })
+    expect(edited).toMatchObject({ evergreen: true, approval_status: 'pending_approval', approval_step: 1 })
+  })
+
+  it('reviews evergreen posts in the library before they are recycled', async () => {
+    database.setUser(org.editorId)
+    const { template } = await db.createPostTemplate({
+      organization_id: org.organizationId,
+      user_id: org.editorId,
+      name: 'Happy hour',
+      content: 'Happy hour from 4 to 6',
+      category: 'evergreen'
+    })
+    expect(template).toMatchObject({ approval_status: 'pending_approval', approval_step: 1 })
+    expect((await db.getTemplatesAwaitingApproval(org.organizationId)).templates.map(t => t.id)).toEqual([template.id])
+
+    const { template: forged } = await db.updatePostTemplate(template.id, { approval_status: 'approved' })
+    expect(forged.approval_status).toBe('pending_approval')
+    expect((await db.reviewTemplate(template.id, 'approved')).error).toBeTruthy()
+
+    database.setUser(org.viewerId)
+    const { template: changes, error } = await db.reviewTemplate(template.id, 'changes_requested', 'Say which days')
+    expect(error).toBeNull()
+    expect(changes).toMatchObject({ approval_status: 'changes_requested', approval_comment: 'Say which days' })
+
+    database.setUser(org.editorId)
+    const { template: revised } = await db.updatePostTemplate(template.id, { content: 'Happy hour weekdays from 4 to 6' })
+    expect(revised).toMatchObject({ approval_status: 'pending_approval', approval_comment: null })
+
+    database.setUser(org.viewerId)
+    const { template: approved } = await db.reviewTemplate(template.id, 'approved')
+    expect(approved.approval_status).toBe('approved')
+    expect((await db.getTemplatesAwaitingApproval(org.organizationId)).templates).toEqual([])
+  })
+
+  it('adds and resolves inline comments, oldest first', async () => {
+    const post = await seedPost(org, account)
+    database.setUser(org.viewerId)
+    const comment = { organization_id: org.organizationId, scheduled_post_id: post.id, user_id: org.viewerId }
+
+    const { comment: first, error } = await db.createPostComment({ ...comment, body: 'Typo here', quote: 'sourdogh', quote_offset: 6 })
+    expect(error).toBeNull()
+    const { comment: second } = await db.createPostComment({ ...comment, body: 'Add the price?' })
+
+    database.setUser(org.editorId)
+    const resolvedAt = new Date().toISOString()
+    const { comment: resolved } = await db.updatePostComment(first.id, { resolved_at: resolvedAt })
+    expect(new Date(resolved.resolved_at).toISOString()).toBe(resolvedAt)
+
+    const { comments } = await db.getPostComments(post.id)
+    expect(comments.map(c => c.id)).toEqual([first.id, second.id])
+  })
+})
+
+describe('db analytics', () => {
+  let org
+  let account
+  let analytics
+
+  beforeAll(async () => {
+    org = await createOrganization('Lakeside Diner')
+    account = await seedAccount(org, { follower_count: 120 })
+    const post = await seedPost(org, account, { status: 'posted', scheduled_for: daysFromNow(-3), posted_at: daysFromNow(-3) })
+    const oldPost = await seedPost(org, account, { status: 'posted', scheduled_for: daysFromNow(-60), posted_at: daysFromNow(-60) })
+    const analyticsRow = { social_account_id: account.id, platform: 'facebook' }
+    analytics = await seed('post_analytics', { ...analyticsRow, scheduled_post_id: post.id, platform_post_id: '1_2', likes: 12, reach: 300 })
+    await seed('post_analytics', { ...analyticsRow, scheduled_post_id: oldPost.id, platform_post_id: '1_1', likes: 4 })
+
+    await seed('post_analytics_snapshots', { post_analytics_id: analytics.id, recorded_at: daysFromNow(-1), likes: 12 })
+    await seed('post_analytics_snapshots', { post_analytics_id: analytics.id, recorded_at: daysFromNow(-2), likes: 7 })
+
+    await seed('follower_counts', { organization_id: org.organizationId, social_account_id: account.id, recorded_on: dateFromNow(-40), follower_count: 90 })
+    await seed('follower_counts', { organization_id: org.organizationId, social_account_id: account.id, recorded_on: dateFromNow(-1), follower_count: 120 })
+    await seed('follower_counts', { organization_id: org.organizationId, social_account_id: account.id, recorded_on: dateFromNow(-7), follower_count: 110 })
+  })
+
+  beforeEach(() => {
+    database.setUser(org.viewerId)
+  })
+
+  it("gets a post's analytics", async () => {
+    const { analytics: rows, error } = await db.getPostAnalytics(analytics.scheduled_post_id)
+
+    expect(error).toBeNull()
+    expect(rows).toEqual([expect.objectContaining({ id: analytics.id, likes: 12, reach: 300 })])
+  })
+
+  it("gets analytics of an organization's posts published in a range, with their posts", async () => {
+    const { analytics: rows, error } = await db.getOrganizationAnalytics(org.organizationId, { from: daysFromNow(-30), to: new Date() })
+
+    expect(error).toBeNull()
+    expect(rows).toHaveLength(1)
+    expect(rows[0]).toMatchObject({ id: analytics.id, scheduled_posts: { id: analytics.scheduled_post_id, organization_id: org.organizationId } })
+  })
+
+  it('gets analytics snapshots oldest first', async () => {
+    const { snapshots, error } = await db.getAnalyticsSnapshots([analytics.id])
+
+    expect(error).toBeNull()
+    expect(snapshots.map(snapshot => snapshot.likes)).toEqual([7, 12])
+  })
+
+  it('gets follower counts since a date, oldest first', async () => {
+    const { followerCounts, error } = await db.getFollowerCounts(org.organizationId, daysFromNow(-30))
+
+    expect(error).toBeNull()
+    expect(followerCounts.map(count => count.follower_count)).toEqual([110, 120])
+  })
+
+  it("gets an organization's dashboard summary", async () => {
+    const { analytics: summary, error } = await db.getDashboardAnalytics(org.organizationId)
+
+    expect(error).toBeNull()
+    expect(summary).toMatchObject({ organization_id: org.organizationId, organization_name: 'Lakeside Diner', published_posts: 2, connected_accounts: 1 })
+  })
+
+  it('gets no dashboard summary for an organization the user is not in', async () => {
+    const other = await createOrganization('Elsewhere')
+    expect(await db.getDashboardAnalytics(other.organizationId)).toEqual({ analytics: null, error: null })
+  })
+})
+
+describe('db notification settings and activity', () => {
+  it("gets and updates the user's notification settings", async () => {
+    const org = await createOrganization('Pine Hardware')
+    database.setUser(org.ownerId)
+
+    const { settings, error } = await db.getNotificationSettings(org.ownerId)
+    expect(error).toBeNull()
+    expect(settings.email_notifications).toMatchObject({ post_failed: true })
+
+    const emailNotifications = { ...settings.email_notifications, weekly_report: false }
+    const { settings: updated } = await db.updateNotificationSettings(org.ownerId, { email_notifications: emailNotifications })
+    expect(updated.email_notifications).toEqual(emailNotifications)
+
+    expect(await db.getNotificationSettings(org.editorId)).toEqual({ settings: null, error: null })
+  })
+
+  it('logs activity as the signed-in user', async () => {
+    const org = await createOrganization('Cedar Florist')
+    database.setUser(org.editorId)
+
+    expect(await db.logActivity(org.organizationId, 'post_created', 'post', 'post-1', { via: 'test' })).toEqual({ error: null })
+
+    const { rows } = await database.pg.query('SELECT * FROM activity_logs WHERE organization_id = $1', [org.organizationId])
+    expect(rows).toEqual([expect.objectContaining({
+      user_id: org.editorId, action: 'post_created', resource_type: 'post', resource_id: 'post-1', details: { via: 'test' }
+    })])
+  })
+})
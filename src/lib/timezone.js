@@ -0,0 +1,171 @@
+// Timezone helpers for LocalSocial
+// Schedules are stored as UTC instants but are meant in a business's own
+// timezone ("every Friday at 4pm"). These helpers convert between the two with
+// Intl, so they work the same in the browser and in Netlify functions.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const formatters = new Map()
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date|string|number} date - Instant
+ * @param {string} timeZone - IANA timezone, e.g. 'America/Chicago'
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} month is 1-12
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(date))
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  )
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @returns {number} Milliseconds to add to UTC to get wall-clock time
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000
+  const { year, month, day, hour, minute, second } = getZonedParts(time, timeZone)
+  return Date.UTC(year, month - 1, day, hour, minute, second) - time
+}
+
+/**
+ * Instant at which a timezone's clocks show a wall-clock time
+ * Times skipped by a daylight saving change move forward by the gap (2:30 becomes
+ * 3:30); times that happen twice resolve to the first.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} local - month is 1-12
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+
+  // Offsets on either side; clocks never change twice within two days
+  const offsetBefore = getTimeZoneOffset(wallClock - DAY_MS, timeZone)
+  const offsetAfter = getTimeZoneOffset(wallClock + DAY_MS, timeZone)
+
+  for (const offset of [offsetBefore, offsetAfter]) {
+    const time = wallClock - offset
+    if (getTimeZoneOffset(time, timeZone) === offset) {
+      return new Date(time)
+    }
+  }
+
+  return new Date(wallClock - offsetBefore)
+}
+
+/**
+ * Timezone the browser or server runs in
+ * @returns {string}
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+/**
+ * Whether Intl recognizes a timezone
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * IANA timezones to choose from
+ * @returns {string[]}
+ */
+export function getTimeZones() {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [getLocalTimeZone()]
+  return zones.includes('UTC') ? zones : [...zones, 'UTC']
+}
+
+/**
+ * A business's home timezone
+ * Organizations that haven't set one use the viewer's timezone.
+ * @param {Object|null} organization - organizations row
+ * @returns {string}
+ */
+export function getBusinessTimeZone(organization) {
+  return isValidTimeZone(organization?.timezone) ? organization.timezone : getLocalTimeZone()
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Wall-clock time of an instant as a datetime-local input value
+ * @param {Date|string|number} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} YYYY-MM-DDTHH:MM
+ */
+export function toDateTimeInput(date, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone)
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`
+}
+
+/**
+ * Instant a datetime-local input value means in a timezone
+ * Unlike new Date(value), which reads it in the browser's timezone.
+ * @param {string} value - YYYY-MM-DDTHH:MM
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} null for an empty or malformed value
+ */
+export function fromDateTimeInput(value, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '')
+  if (!match) return null
+
+  const [year, month, day, hour, minute] = match.slice(1).map(Number)
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone)
+}
+
+/**
+ * An instant's date and time in a timezone, with the timezone's abbreviation
+ * @param {Date|string|number} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @param {Intl.DateTimeFormatOptions} [options] - Which parts to show
+ * @returns {string} e.g. "Fri, Nov 6, 4:00 PM CST"
+ */
+export function formatInTimeZone(date, timeZone, options = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) {
+  return new Date(date).toLocaleString([], { ...options, timeZone, timeZoneName: 'short' })
+}
+
+/**
+ * Whether clocks in two timezones show the same time at an instant
+ * @returns {boolean}
+ */
+export function isSameWallClock(date, timeZone, otherTimeZone) {
+  return getTimeZoneOffset(date, timeZone) === getTimeZoneOffset(date, otherTimeZone)
+}
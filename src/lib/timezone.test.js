@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest'
+import {
+  formatInTimeZone,
+  fromDateTimeInput,
+  getBusinessTimeZone,
+  getLocalTimeZone,
+  getTimeZoneOffset,
+  getTimeZones,
+  getZonedParts,
+  isSameWallClock,
+  isValidTimeZone,
+  toDateTimeInput,
+  zonedTimeToUtc
+} from './timezone'
+
+const HOUR = 60 * 60 * 1000
+
+describe('getZonedParts', () => {
+  it("gives an instant's wall-clock time in a timezone", () => {
+    expect(getZonedParts('2026-11-06T22:00:00Z', 'America/Chicago'))
+      .toEqual({ year: 2026, month: 11, day: 6, hour: 16, minute: 0, second: 0 })
+    expect(getZonedParts('2026-11-06T23:30:00Z', 'Asia/Tokyo'))
+      .toEqual({ year: 2026, month: 11, day: 7, hour: 8, minute: 30, second: 0 })
+  })
+})
+
+describe('getTimeZoneOffset', () => {
+  it('follows daylight saving time', () => {
+    expect(getTimeZoneOffset('2026-07-01T12:00:00Z', 'America/Chicago')).toBe(-5 * HOUR)
+    expect(getTimeZoneOffset('2026-12-01T12:00:00Z', 'America/Chicago')).toBe(-6 * HOUR)
+    expect(getTimeZoneOffset('2026-12-01T12:00:00Z', 'UTC')).toBe(0)
+  })
+})
+
+describe('zonedTimeToUtc', () => {
+  it('finds the instant a wall-clock time happens', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 11, day: 6, hour: 16 }, 'America/Chicago').toISOString())
+      .toBe('2026-11-06T22:00:00.000Z')
+    expect(zonedTimeToUtc({ year: 2026, month: 7, day: 1, hour: 16, minute: 30 }, 'America/Chicago').toISOString())
+      .toBe('2026-07-01T21:30:00.000Z')
+  })
+
+  it('moves times skipped by spring forward ahead by the gap', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/Chicago').toISOString())
+      .toBe('2026-03-08T08:30:00.000Z')
+  })
+
+  it('resolves times repeated by fall back to the first', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/Chicago').toISOString())
+      .toBe('2026-11-01T06:30:00.000Z')
+  })
+})
+
+describe('datetime-local inputs', () => {
+  it('read and write wall-clock time in the given timezone', () => {
+    expect(toDateTimeInput('2026-11-06T22:00:00Z', 'America/Chicago')).toBe('2026-11-06T16:00')
+    expect(fromDateTimeInput('2026-11-06T16:00', 'America/Chicago').toISOString()).toBe('2026-11-06T22:00:00.000Z')
+  })
+
+  it('read empty or malformed values as null', () => {
+    expect(fromDateTimeInput('', 'UTC')).toBeNull()
+    expect(fromDateTimeInput('next friday', 'UTC')).toBeNull()
+  })
+})
+
+describe('timezone lookups', () => {
+  it('recognizes IANA timezones', () => {
+    expect(isValidTimeZone('America/Chicago')).toBe(true)
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false)
+    expect(isValidTimeZone(null)).toBe(false)
+  })
+
+  it('lists timezones including UTC', () => {
+    expect(getTimeZones()).toEqual(expect.arrayContaining(['America/Chicago', 'UTC']))
+  })
+
+  it("uses a business's timezone, or the viewer's when it has none", () => {
+    expect(getBusinessTimeZone({ timezone: 'Europe/Paris' })).toBe('Europe/Paris')
+    expect(getBusinessTimeZone({ timezone: null })).toBe(getLocalTimeZone())
+    expect(getBusinessTimeZone({ timezone: 'Nowhere/Special' })).toBe(getLocalTimeZone())
+    expect(getBusinessTimeZone(null)).toBe(getLocalTimeZone())
+  })
+
+  it('tells whether two timezones show the same time', () => {
+    expect(isSameWallClock('2026-03-15T12:00:00Z', 'America/New_York', 'America/Toronto')).toBe(true)
+    expect(isSameWallClock('2026-03-15T12:00:00Z', 'America/Chicago', 'America/New_York')).toBe(false)
+  })
+
+  it("formats an instant with the timezone's abbreviation", () => {
+    expect(formatInTimeZone('2026-11-06T22:00:00Z', 'UTC', { hour: 'numeric', minute: '2-digit', hourCycle: 'h23' }))
+      .toMatch(/22:00.*UTC/)
+  })
+})
@@ -0,0 +1,125 @@
+// Token Health for LocalSocial
+// Interprets debug_token results for the check-token-health job and the
+// health badges in SocialConnect. No server dependencies, safe in the browser.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Warn owners this many days before a token expires
+export const EXPIRY_WARNING_DAYS = 7
+
+// Permissions each platform needs to publish
+export const REQUIRED_PERMISSIONS = {
+  facebook: ['pages_manage_posts'],
+  instagram: ['instagram_content_publish']
+}
+
+// Health shown per account
+export const TOKEN_HEALTH = {
+  HEALTHY: 'healthy',
+  EXPIRING: 'expiring',
+  NEEDS_ATTENTION: 'needs_attention',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+}
+
+// debug_token error subcode for an expired session
+const EXPIRED_SUBCODE = 463
+
+const fromUnixSeconds = seconds => seconds ? new Date(seconds * 1000) : null
+
+/**
+ * Work out an account's status from a debug_token result
+ * @param {Object} tokenInfo - Result of facebookAPI.validateToken
+ * @param {string} platform - Platform the token publishes to
+ * @param {number} now - Current time in ms
+ * @returns {{status: string, tokenExpiresAt: Date|null, permissions: string[], syncError: string|null}}
+ */
+export function assessToken(tokenInfo, platform, now = Date.now()) {
+  // Page tokens usually never expire, but lose data access when the user's grant does
+  const expiries = [fromUnixSeconds(tokenInfo.expires_at), fromUnixSeconds(tokenInfo.data_access_expires_at)]
+    .filter(Boolean)
+  const tokenExpiresAt = expiries.length > 0 ? new Date(Math.min(...expiries)) : null
+  const permissions = tokenInfo.scopes || []
+
+  if (!tokenInfo.valid) {
+    const expired = tokenInfo.error?.subcode === EXPIRED_SUBCODE ||
+      (tokenExpiresAt !== null && tokenExpiresAt.getTime() <= now)
+
+    return {
+      status: expired ? 'expired' : 'revoked',
+      tokenExpiresAt,
+      permissions,
+      syncError: tokenInfo.error?.message || (expired ? 'Access token expired' : 'Access token was revoked')
+    }
+  }
+
+  const missing = (REQUIRED_PERMISSIONS[platform] || []).filter(permission => !permissions.includes(permission))
+  if (missing.length > 0) {
+    return {
+      status: 'error',
+      tokenExpiresAt,
+      permissions,
+      syncError: `Missing permission: ${missing.join(', ')}`
+    }
+  }
+
+  return { status: 'active', tokenExpiresAt, permissions, syncError: null }
+}
+
+/**
+ * Days until a token expires, rounded up
+ * @param {string|Date|null} tokenExpiresAt - Expiry time
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Days left, or null if the token never expires
+ */
+export function daysUntilExpiry(tokenExpiresAt, now = Date.now()) {
+  if (!tokenExpiresAt) return null
+  return Math.ceil((new Date(tokenExpiresAt).getTime() - now) / DAY_MS)
+}
+
+/**
+ * Health of a stored social account
+ * @param {import('./schema').SocialAccountRow} account - Social account row
+ * @param {number} now - Current time in ms
+ * @returns {{health: string, daysLeft: number|null, message: string|null}}
+ */
+export function getAccountHealth(account, now = Date.now()) {
+  const daysLeft = daysUntilExpiry(account.token_expires_at, now)
+
+  if (account.status === 'revoked') {
+    return { health: TOKEN_HEALTH.REVOKED, daysLeft, message: account.sync_error || 'Access was revoked' }
+  }
+
+  if (account.status === 'expired' || (daysLeft !== null && daysLeft <= 0)) {
+    return { health: TOKEN_HEALTH.EXPIRED, daysLeft, message: account.sync_error || 'Access token expired' }
+  }
+
+  if (account.status === 'error') {
+    return { health: TOKEN_HEALTH.NEEDS_ATTENTION, daysLeft, message: account.sync_error }
+  }
+
+  if (daysLeft !== null && daysLeft <= EXPIRY_WARNING_DAYS) {
+    return { health: TOKEN_HEALTH.EXPIRING, daysLeft, message: `Expires in ${daysLeft} day(s)` }
+  }
+
+  return { health: TOKEN_HEALTH.HEALTHY, daysLeft, message: null }
+}
+
+// Most urgent first in getAccountsNeedingAttention
+const HEALTH_URGENCY = [TOKEN_HEALTH.EXPIRED, TOKEN_HEALTH.REVOKED, TOKEN_HEALTH.NEEDS_ATTENTION, TOKEN_HEALTH.EXPIRING]
+
+/**
+ * Accounts that can't publish or will soon stop, for the dashboard banner
+ * @param {Array<import('./schema').SocialAccountRow>} accounts - Social account rows
+ * @param {number} now - Current time in ms
+ * @returns {Array<{account: Object, health: string, daysLeft: number|null, message: string|null}>} Most urgent first, soonest expiry first within each health
+ */
+export function getAccountsNeedingAttention(accounts, now = Date.now()) {
+  return accounts
+    .map(account => ({ account, ...getAccountHealth(account, now) }))
+    .filter(({ health }) => health !== TOKEN_HEALTH.HEALTHY)
+    .sort((a, b) =>
+      HEALTH_URGENCY.indexOf(a.health) - HEALTH_URGENCY.indexOf(b.health) ||
+      (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity)
+    )
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import { assessToken, daysUntilExpiry, getAccountHealth, getAccountsNeedingAttention, TOKEN_HEALTH } from './tokenHealth'
+
+const now = Date.parse('2026-10-19T12:00:00Z')
+const inDays = days => (now + days * 24 * 60 * 60 * 1000) / 1000
+
+describe('assessToken', () => {
+  it('expires with the earlier of the token and its data access', () => {
+    const result = assessToken({ valid: true, expires_at: inDays(50), data_access_expires_at: inDays(20), scopes: ['pages_manage_posts'] }, 'facebook', now)
+
+    expect(result).toEqual({
+      status: 'active',
+      tokenExpiresAt: new Date(inDays(20) * 1000),
+      permissions: ['pages_manage_posts'],
+      syncError: null
+    })
+  })
+
+  it('flags a token that lost a publishing permission', () => {
+    expect(assessToken({ valid: true, scopes: ['pages_show_list'] }, 'instagram', now))
+      .toMatchObject({ status: 'error', tokenExpiresAt: null, syncError: 'Missing permission: instagram_content_publish' })
+  })
+
+  it('tells expired tokens from revoked ones', () => {
+    expect(assessToken({ valid: false, error: { subcode: 463 } }, 'facebook', now))
+      .toMatchObject({ status: 'expired', syncError: 'Access token expired' })
+    expect(assessToken({ valid: false, expires_at: inDays(-1) }, 'facebook', now))
+      .toMatchObject({ status: 'expired' })
+    expect(assessToken({ valid: false, error: { message: 'User logged out' } }, 'facebook', now))
+      .toMatchObject({ status: 'revoked', syncError: 'User logged out' })
+  })
+})
+
+describe('daysUntilExpiry', () => {
+  it('rounds up, and is null for tokens that never expire', () => {
+    expect(daysUntilExpiry(new Date(inDays(2.5) * 1000), now)).toBe(3)
+    expect(daysUntilExpiry(null, now)).toBeNull()
+  })
+})
+
+describe('getAccountHealth', () => {
+  const expiresIn = days => new Date(inDays(days) * 1000).toISOString()
+
+  it('warns within the warning window', () => {
+    expect(getAccountHealth({ status: 'active', token_expires_at: expiresIn(7) }, now))
+      .toEqual({ health: TOKEN_HEALTH.EXPIRING, daysLeft: 7, message: 'Expires in 7 day(s)' })
+    expect(getAccountHealth({ status: 'active', token_expires_at: expiresIn(8) }, now).health).toBe(TOKEN_HEALTH.HEALTHY)
+    expect(getAccountHealth({ status: 'active', token_expires_at: null }, now).health).toBe(TOKEN_HEALTH.HEALTHY)
+  })
+
+  it('reads stored statuses and past expiries', () => {
+    expect(getAccountHealth({ status: 'active', token_expires_at: expiresIn(-1) }, now).health).toBe(TOKEN_HEALTH.EXPIRED)
+    expect(getAccountHealth({ status: 'revoked', sync_error: null }, now))
+      .toMatchObject({ health: TOKEN_HEALTH.REVOKED, message: 'Access was revoked' })
+    expect(getAccountHealth({ status: 'error', sync_error: 'Missing permission: pages_manage_posts' }, now))
+      .toMatchObject({ health: TOKEN_HEALTH.NEEDS_ATTENTION, message: 'Missing permission: pages_manage_posts' })
+  })
+})
+
+describe('getAccountsNeedingAttention', () => {
+  it('lists accounts that need reconnecting, most urgent first', () => {
+    const accounts = [
+      { id: 'healthy', status: 'active', token_expires_at: null },
+      { id: 'later', status: 'active', token_expires_at: new Date(inDays(6) * 1000).toISOString() },
+      { id: 'soon', status: 'active', token_expires_at: new Date(inDays(2) * 1000).toISOString() },
+      { id: 'error', status: 'error', sync_error: 'Missing permission: pages_manage_posts' },
+      { id: 'expired', status: 'expired', token_expires_at: null }
+    ]
+
+    expect(getAccountsNeedingAttention(accounts, now).map(({ account, health }) => [account.id, health])).toEqual([
+      ['expired', TOKEN_HEALTH.EXPIRED],
+      ['error', TOKEN_HEALTH.NEEDS_ATTENTION],
+      ['soon', TOKEN_HEALTH.EXPIRING],
+      ['later', TOKEN_HEALTH.EXPIRING]
+    ])
+  })
+})
@@ -0,0 +1,137 @@
+// Token Health Monitor for LocalSocial
+// Runs inside the check-token-health Netlify scheduled function with a
+// service-role Supabase client. Checks every active account's token with
+// debug_token, records its real expiry and permissions, and logs a warning
+// for the owner before it expires.
+
+import { facebookAPI } from './facebook'
+import { getAccessTokens } from './socialAccountStore'
+import { assessToken, daysUntilExpiry, EXPIRY_WARNING_DAYS } from './tokenHealth'
+
+export class TokenHealthMonitor {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.batchSize = options.batchSize || 25
+    this.warningDays = options.warningDays || EXPIRY_WARNING_DAYS
+  }
+
+  /**
+   * Check the accounts whose tokens were checked longest ago
+   * @returns {Promise<Object>} Count of accounts per outcome
+   */
+  async checkAccounts() {
+    const { data: accounts, error } = await this.supabase
+      .from('social_accounts')
+      .select('id, organization_id, user_id, platform, account_name, expiry_warning_sent_at')
+      .eq('is_active', true)
+      .eq('status', 'active')
+      .order('token_checked_at', { ascending: true, nullsFirst: true })
+      .limit(this.batchSize)
+
+    if (error) {
+      throw new Error(`Failed to fetch social accounts: ${error.message}`)
+    }
+
+    const summary = { checked: 0, failed: 0 }
+    if (!accounts || accounts.length === 0) {
+      return summary
+    }
+
+    const tokens = await getAccessTokens(this.supabase, accounts.map(account => account.id))
+
+    for (const account of accounts) {
+      try {
+        const outcome = await this.checkAccount(account, tokens.get(account.id))
+        summary.checked++
+        summary[outcome] = (summary[outcome] || 0) + 1
+      } catch (error) {
+        // Leave the account as it was; it is retried on the next run
+        console.error(`Error checking token for account ${account.id}:`, error.message)
+        summary.failed++
+      }
+    }
+
+    console.log('Token health check finished:', summary)
+    return summary
+  }
+
+  /**
+   * Check one account's token and record the result
+   * @param {Object} account - Social account row
+   * @param {string|undefined} accessToken - Decrypted access token
+   * @returns {Promise<string>} Outcome: 'active', 'expiring', 'expired', 'revoked' or 'error'
+   */
+  async checkAccount(account, accessToken) {
+    const tokenInfo = accessToken
+      ? await facebookAPI.validateToken(accessToken)
+      : { valid: false, error: { message: 'No access token stored' } }
+
+    const assessment = assessToken(tokenInfo, account.platform)
+    const now = new Date().toISOString()
+    const daysLeft = daysUntilExpiry(assessment.tokenExpiresAt)
+
+    const updates = {
+      status: assessment.status,
+      token_expires_at: assessment.tokenExpiresAt?.toISOString() || null,
+      permissions: assessment.permissions,
+      sync_error: assessment.syncError,
+      token_checked_at: now
+    }
+
+    // Warn once per token; reconnecting resets expiry_warning_sent_at
+    const shouldWarn = assessment.status === 'active' &&
+      daysLeft !== null &&
+      daysLeft <= this.warningDays &&
+      !account.expiry_warning_sent_at
+
+    if (shouldWarn) {
+      updates.expiry_warning_sent_at = now
+    }
+
+    const { error } = await this.supabase
+      .from('social_accounts')
+      .update(updates)
+      .eq('id', account.id)
+
+    if (error) {
+      throw new Error(`Failed to update social account: ${error.message}`)
+    }
+
+    if (assessment.status !== 'active') {
+      await this.logActivity(account, `token_${assessment.status}`, { reason: assessment.syncError })
+      return assessment.status
+    }
+
+    if (shouldWarn) {
+      await this.logActivity(account, 'token_expiring', {
+        expires_at: updates.token_expires_at,
+        days_left: daysLeft
+      })
+      return 'expiring'
+    }
+
+    return 'active'
+  }
+
+  /**
+   * Record a token event in the organization's activity log for the account owner
+   */
+  async logActivity(account, action, details) {
+    const { error } = await this.supabase.rpc('log_activity', {
+      org_id: account.organization_id,
+      action_name: action,
+      resource_type_name: 'social_account',
+      resource_id_value: account.id,
+      activity_details: {
+        owner_id: account.user_id,
+        platform: account.platform,
+        account_name: account.account_name,
+        ...details
+      }
+    })
+
+    if (error) {
+      console.error(`Failed to log ${action} for account ${account.id}:`, error.message)
+    }
+  }
+}
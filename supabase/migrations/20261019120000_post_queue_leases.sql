@@ -0,0 +1,54 @@
+-- Atomic claim/lease of due posts
+-- Lets several queue processors run side by side without double-publishing.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TYPE post_status ADD VALUE IF NOT EXISTS 'processing' BEFORE 'posting';
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS lease_owner TEXT,
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_status_lease_expires_at
+  ON scheduled_posts(status, lease_expires_at);
+
+-- Function to atomically claim due posts for a queue processor
+-- Locks rows with SKIP LOCKED so concurrent processors never claim the same post,
+-- and reclaims posts whose lease expired (processor crashed mid-publish)
+CREATE OR REPLACE FUNCTION claim_due_posts(
+    worker_id TEXT,
+    batch_size INTEGER DEFAULT 10,
+    lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF scheduled_posts AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_posts
+    SET
+        status = 'processing',
+        lease_owner = worker_id,
+        lease_expires_at = NOW() + make_interval(secs => lease_seconds),
+        -- A reclaimed post counts as a failed attempt so a crashing post cannot loop forever
+        retry_count = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.retry_count
+            ELSE COALESCE(scheduled_posts.retry_count, 0) + 1
+        END,
+        last_retry_at = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.last_retry_at
+            ELSE NOW()
+        END
+    WHERE scheduled_posts.id IN (
+        SELECT due.id
+        FROM scheduled_posts AS due
+        WHERE (due.status = 'scheduled' AND due.scheduled_for <= NOW())
+           OR (due.status IN ('processing', 'posting') AND due.lease_expires_at < NOW())
+        ORDER BY due.scheduled_for
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING scheduled_posts.*;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Only the service-role queue processor may claim posts
+REVOKE EXECUTE ON FUNCTION claim_due_posts(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_due_posts(TEXT, INTEGER, INTEGER) TO service_role;
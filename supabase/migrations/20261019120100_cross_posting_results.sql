@@ -0,0 +1,6 @@
+-- Cross-posting to several social accounts
+-- platform_posts now holds one result per social account:
+--   {social_account_id: {platform, post_id, status, error, retry_count}}
+-- A post where only some accounts succeeded ends as 'partially_posted'.
+
+ALTER TYPE post_status ADD VALUE IF NOT EXISTS 'partially_posted' AFTER 'posted';
@@ -0,0 +1,34 @@
+-- Profile policies
+-- The profiles policies looked up the signed-in user's own profile with a query on
+-- profiles, which Postgres rejects as infinite recursion on every read of profiles,
+-- including the ones other tables' policies make. They now go through
+-- current_organization_id() and current_profile_role(), which read past row level security.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+CREATE OR REPLACE FUNCTION current_organization_id()
+RETURNS UUID AS $$
+    SELECT organization_id FROM profiles WHERE id = auth.uid() AND is_active = true;
+$$ language 'sql' STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION current_profile_role()
+RETURNS TEXT AS $$
+    SELECT role FROM profiles WHERE id = auth.uid() AND is_active = true;
+$$ language 'sql' STABLE SECURITY DEFINER;
+
+DROP POLICY IF EXISTS "Users can view profiles in their organization" ON profiles;
+DROP POLICY IF EXISTS "Admins can update organization profiles" ON profiles;
+
+CREATE POLICY "Users can view profiles in their organization" ON profiles
+  FOR SELECT USING (
+    -- Users can see their own profile
+    auth.uid() = id
+    OR
+    -- Users can see other profiles in their organization
+    organization_id = current_organization_id()
+  );
+
+CREATE POLICY "Admins can update organization profiles" ON profiles
+  FOR UPDATE USING (
+    organization_id = current_organization_id()
+    AND current_profile_role() IN ('owner', 'admin')
+  );
@@ -0,0 +1,179 @@
+-- Encrypted social account tokens
+-- Page tokens are written by save_social_account() and decrypted only by the
+-- service-role publishing worker through get_social_account_tokens().
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql.
+-- app.jwt_secret must be set: existing plaintext tokens are encrypted at the end.
+
+ALTER TABLE social_accounts
+  ADD COLUMN IF NOT EXISTS token_encrypted BOOLEAN DEFAULT false NOT NULL;
+
+-- The old single-argument versions are replaced by ones taking an optional key
+DROP FUNCTION IF EXISTS encrypt_token(TEXT);
+DROP FUNCTION IF EXISTS decrypt_token(TEXT);
+
+-- Function to encrypt sensitive tokens
+-- Uses app.jwt_secret unless a key is given (see rotate_token_key)
+CREATE OR REPLACE FUNCTION encrypt_token(token TEXT, encryption_key TEXT DEFAULT NULL)
+RETURNS TEXT AS $$
+DECLARE
+    key_value TEXT := COALESCE(encryption_key, current_setting('app.jwt_secret', true));
+BEGIN
+    IF key_value IS NULL OR key_value = '' THEN
+        RAISE EXCEPTION 'No token encryption key configured (app.jwt_secret)';
+    END IF;
+
+    RETURN encode(
+        pgp_sym_encrypt(token, key_value),
+        'base64'
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Function to decrypt sensitive tokens
+CREATE OR REPLACE FUNCTION decrypt_token(encrypted_token TEXT, encryption_key TEXT DEFAULT NULL)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN pgp_sym_decrypt(
+        decode(encrypted_token, 'base64'),
+        COALESCE(encryption_key, current_setting('app.jwt_secret', true))
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Function to store a connected social account with its token encrypted
+-- Called by the Netlify functions after the OAuth exchange, so the browser never sees a page token
+CREATE OR REPLACE FUNCTION save_social_account(
+    org_id UUID,
+    owner_id UUID,
+    platform_name platform_type,
+    platform_account_id_value TEXT,
+    account_name_value TEXT,
+    access_token_value TEXT,
+    account_username_value TEXT DEFAULT NULL,
+    token_expires_at_value TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    permissions_value TEXT[] DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    saved_id UUID;
+BEGIN
+    INSERT INTO social_accounts (
+        organization_id,
+        user_id,
+        platform,
+        platform_account_id,
+        account_name,
+        account_username,
+        access_token_encrypted,
+        token_encrypted,
+        token_expires_at,
+        permissions,
+        status,
+        is_active,
+        sync_error
+    ) VALUES (
+        org_id,
+        owner_id,
+        platform_name,
+        platform_account_id_value,
+        account_name_value,
+        account_username_value,
+        encrypt_token(access_token_value),
+        true,
+        token_expires_at_value,
+        permissions_value,
+        'active',
+        true,
+        NULL
+    )
+    ON CONFLICT (organization_id, platform, platform_account_id) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        account_name = EXCLUDED.account_name,
+        account_username = EXCLUDED.account_username,
+        access_token_encrypted = EXCLUDED.access_token_encrypted,
+        token_encrypted = true,
+        token_expires_at = EXCLUDED.token_expires_at,
+        permissions = EXCLUDED.permissions,
+        status = 'active',
+        is_active = true,
+        sync_error = NULL
+    RETURNING id INTO saved_id;
+
+    RETURN saved_id;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Function to read decrypted access tokens for the publishing worker
+-- Legacy rows that were never encrypted are returned as stored
+CREATE OR REPLACE FUNCTION get_social_account_tokens(account_ids UUID[])
+RETURNS TABLE (social_account_id UUID, access_token TEXT) AS $$
+    SELECT
+        sa.id,
+        CASE
+            WHEN sa.token_encrypted THEN decrypt_token(sa.access_token_encrypted)
+            ELSE sa.access_token_encrypted
+        END
+    FROM social_accounts sa
+    WHERE sa.id = ANY(account_ids);
+$$ language 'sql' SECURITY DEFINER;
+
+-- Function to re-encrypt every stored token under a new key
+-- Encrypts legacy plaintext rows as well. Run in the same transaction that switches app.jwt_secret:
+--   SELECT rotate_token_key('<old key>', '<new key>');
+CREATE OR REPLACE FUNCTION rotate_token_key(old_key TEXT, new_key TEXT DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    rotated_count INTEGER;
+BEGIN
+    UPDATE social_accounts
+    SET
+        access_token_encrypted = encrypt_token(
+            CASE WHEN token_encrypted THEN decrypt_token(access_token_encrypted, old_key) ELSE access_token_encrypted END,
+            new_key
+        ),
+        refresh_token_encrypted = CASE
+            WHEN refresh_token_encrypted IS NULL THEN NULL
+            ELSE encrypt_token(
+                CASE WHEN token_encrypted THEN decrypt_token(refresh_token_encrypted, old_key) ELSE refresh_token_encrypted END,
+                new_key
+            )
+        END,
+        token_encrypted = true;
+
+    GET DIAGNOSTICS rotated_count = ROW_COUNT;
+    RETURN rotated_count;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Token functions are for the service role only
+REVOKE EXECUTE ON FUNCTION encrypt_token(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION decrypt_token(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION save_social_account(UUID, UUID, platform_type, TEXT, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TEXT[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_social_account_tokens(UUID[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION rotate_token_key(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION encrypt_token(TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION decrypt_token(TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION save_social_account(UUID, UUID, platform_type, TEXT, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TEXT[]) TO service_role;
+GRANT EXECUTE ON FUNCTION get_social_account_tokens(UUID[]) TO service_role;
+GRANT EXECUTE ON FUNCTION rotate_token_key(TEXT, TEXT) TO service_role;
+
+-- Token columns are never readable or writable from the browser;
+-- accounts are created through save_social_account by the Netlify functions
+REVOKE SELECT, INSERT, UPDATE ON social_accounts FROM anon, authenticated;
+GRANT SELECT (
+  id, organization_id, user_id, business_profile_id, platform, platform_account_id,
+  account_name, account_username, profile_picture_url, follower_count, token_expires_at,
+  permissions, status, last_sync_at, sync_error, is_active, created_at, updated_at
+) ON social_accounts TO authenticated;
+GRANT UPDATE (business_profile_id, account_name, is_active) ON social_accounts TO authenticated;
+
+-- Encrypt rows stored in plaintext by the old browser OAuth flow
+UPDATE social_accounts
+SET
+  access_token_encrypted = encrypt_token(access_token_encrypted),
+  refresh_token_encrypted = CASE
+    WHEN refresh_token_encrypted IS NULL THEN NULL
+    ELSE encrypt_token(refresh_token_encrypted)
+  END,
+  token_encrypted = true
+WHERE NOT token_encrypted;
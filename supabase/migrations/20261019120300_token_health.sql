@@ -0,0 +1,80 @@
+-- Token health monitoring
+-- The check-token-health scheduled function records the real token expiry and
+-- permissions from debug_token, and warns owners once before a token expires.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE social_accounts
+  ADD COLUMN IF NOT EXISTS token_checked_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS expiry_warning_sent_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_social_accounts_token_checked_at
+  ON social_accounts(token_checked_at);
+
+-- Function to store a connected social account with its token encrypted
+-- Called by the Netlify functions after the OAuth exchange, so the browser never sees a page token
+CREATE OR REPLACE FUNCTION save_social_account(
+    org_id UUID,
+    owner_id UUID,
+    platform_name platform_type,
+    platform_account_id_value TEXT,
+    account_name_value TEXT,
+    access_token_value TEXT,
+    account_username_value TEXT DEFAULT NULL,
+    token_expires_at_value TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    permissions_value TEXT[] DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    saved_id UUID;
+BEGIN
+    INSERT INTO social_accounts (
+        organization_id,
+        user_id,
+        platform,
+        platform_account_id,
+        account_name,
+        account_username,
+        access_token_encrypted,
+        token_encrypted,
+        token_expires_at,
+        permissions,
+        status,
+        is_active,
+        sync_error
+    ) VALUES (
+        org_id,
+        owner_id,
+        platform_name,
+        platform_account_id_value,
+        account_name_value,
+        account_username_value,
+        encrypt_token(access_token_value),
+        true,
+        token_expires_at_value,
+        permissions_value,
+        'active',
+        true,
+        NULL
+    )
+    ON CONFLICT (organization_id, platform, platform_account_id) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        account_name = EXCLUDED.account_name,
+        account_username = EXCLUDED.account_username,
+        access_token_encrypted = EXCLUDED.access_token_encrypted,
+        token_encrypted = true,
+        token_expires_at = EXCLUDED.token_expires_at,
+        permissions = EXCLUDED.permissions,
+        status = 'active',
+        is_active = true,
+        sync_error = NULL,
+        -- A fresh token gets a fresh health check and expiry warning
+        token_checked_at = NULL,
+        expiry_warning_sent_at = NULL
+    RETURNING id INTO saved_id;
+
+    RETURN saved_id;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- The browser may read the health columns (token columns stay service-role only)
+GRANT SELECT (token_checked_at, expiry_warning_sent_at) ON social_accounts TO authenticated;
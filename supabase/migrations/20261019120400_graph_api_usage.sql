@@ -0,0 +1,98 @@
+-- Graph API rate limiting from Meta's usage headers
+-- Replaces the in-memory hourly counter with per-budget usage shared by every processor.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+-- Graph API rate limit usage, shared by every queue processor
+-- One row per budget: 'app', 'page:<id>' or 'instagram:<id>'. Percentages come
+-- from Meta's X-App-Usage, X-Page-Usage and X-Business-Use-Case-Usage headers.
+CREATE TABLE IF NOT EXISTS graph_api_usage (
+  budget_key TEXT PRIMARY KEY,
+  call_count INTEGER DEFAULT 0 NOT NULL,
+  total_cputime INTEGER DEFAULT 0 NOT NULL,
+  total_time INTEGER DEFAULT 0 NOT NULL,
+  blocked_until TIMESTAMP WITH TIME ZONE, -- No calls to this budget before this time
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- No policies: only the service role reads and writes rate limit usage
+ALTER TABLE graph_api_usage ENABLE ROW LEVEL SECURITY;
+
+-- Instagram calls are made with the token of the Page the account is linked
+-- through, so they count against that Page's X-Page-Usage as well
+ALTER TABLE social_accounts ADD COLUMN IF NOT EXISTS facebook_page_id TEXT;
+
+-- save_social_account takes the linked Page; the old signature is dropped so calls stay unambiguous
+DROP FUNCTION IF EXISTS save_social_account(UUID, UUID, platform_type, TEXT, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TEXT[]);
+
+-- Function to store a connected social account with its token encrypted
+-- Called by the Netlify functions after the OAuth exchange, so the browser never sees a page token
+CREATE OR REPLACE FUNCTION save_social_account(
+    org_id UUID,
+    owner_id UUID,
+    platform_name platform_type,
+    platform_account_id_value TEXT,
+    account_name_value TEXT,
+    access_token_value TEXT,
+    account_username_value TEXT DEFAULT NULL,
+    token_expires_at_value TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    permissions_value TEXT[] DEFAULT NULL,
+    facebook_page_id_value TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    saved_id UUID;
+BEGIN
+    INSERT INTO social_accounts (
+        organization_id,
+        user_id,
+        platform,
+        platform_account_id,
+        account_name,
+        account_username,
+        access_token_encrypted,
+        token_encrypted,
+        token_expires_at,
+        permissions,
+        facebook_page_id,
+        status,
+        is_active,
+        sync_error
+    ) VALUES (
+        org_id,
+        owner_id,
+        platform_name,
+        platform_account_id_value,
+        account_name_value,
+        account_username_value,
+        encrypt_token(access_token_value),
+        true,
+        token_expires_at_value,
+        permissions_value,
+        facebook_page_id_value,
+        'active',
+        true,
+        NULL
+    )
+    ON CONFLICT (organization_id, platform, platform_account_id) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        account_name = EXCLUDED.account_name,
+        account_username = EXCLUDED.account_username,
+        access_token_encrypted = EXCLUDED.access_token_encrypted,
+        token_encrypted = true,
+        token_expires_at = EXCLUDED.token_expires_at,
+        permissions = EXCLUDED.permissions,
+        facebook_page_id = EXCLUDED.facebook_page_id,
+        status = 'active',
+        is_active = true,
+        sync_error = NULL,
+        -- A fresh token gets a fresh health check and expiry warning
+        token_checked_at = NULL,
+        expiry_warning_sent_at = NULL
+    RETURNING id INTO saved_id;
+
+    RETURN saved_id;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION save_social_account(UUID, UUID, platform_type, TEXT, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TEXT[], TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION save_social_account(UUID, UUID, platform_type, TEXT, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TEXT[], TEXT) TO service_role;
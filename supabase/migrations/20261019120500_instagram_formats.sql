@@ -0,0 +1,15 @@
+-- Instagram post formats
+-- Posts pick how they are published to Instagram: feed posts (a carousel when
+-- they have several media), Reels or Stories. Reels keep their cover and
+-- share-to-feed choices in format_options.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+DO $$ BEGIN
+    CREATE TYPE post_format AS ENUM ('feed', 'reel', 'story');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS post_format post_format DEFAULT 'feed' NOT NULL,
+  ADD COLUMN IF NOT EXISTS format_options JSONB;
@@ -0,0 +1,7 @@
+-- Per-photo captions
+-- Multi-photo Facebook posts upload each photo with its own caption before the
+-- feed post references them. Captions are kept in the same order as media_urls.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS media_captions TEXT[];
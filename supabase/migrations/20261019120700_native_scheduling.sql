@@ -0,0 +1,131 @@
+-- Native platform scheduling
+-- Posts can be handed to Facebook's own scheduler when they are created, so they
+-- go out on time even if the queue processor is down. A trigger flags creations,
+-- edits and cancellations; the processor claims them and syncs them to Facebook.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS native_scheduling BOOLEAN DEFAULT false NOT NULL,
+  ADD COLUMN IF NOT EXISTS native_sync_requested_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS native_synced_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_native_sync ON scheduled_posts(native_sync_requested_at)
+  WHERE native_sync_requested_at IS NOT NULL;
+
+-- Function to atomically claim due posts for a queue processor
+-- Locks rows with SKIP LOCKED so concurrent processors never claim the same post,
+-- and reclaims posts whose lease expired (processor crashed mid-publish)
+CREATE OR REPLACE FUNCTION claim_due_posts(
+    worker_id TEXT,
+    batch_size INTEGER DEFAULT 10,
+    lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF scheduled_posts AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_posts
+    SET
+        status = 'processing',
+        lease_owner = worker_id,
+        lease_expires_at = NOW() + make_interval(secs => lease_seconds),
+        -- A reclaimed post counts as a failed attempt so a crashing post cannot loop forever
+        retry_count = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.retry_count
+            ELSE COALESCE(scheduled_posts.retry_count, 0) + 1
+        END,
+        last_retry_at = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.last_retry_at
+            ELSE NOW()
+        END
+    WHERE scheduled_posts.id IN (
+        SELECT due.id
+        FROM scheduled_posts AS due
+        WHERE (
+            due.status = 'scheduled' AND due.scheduled_for <= NOW()
+            -- Skip posts leased by claim_native_sync_posts
+            AND (due.lease_expires_at IS NULL OR due.lease_expires_at < NOW())
+          )
+           OR (due.status IN ('processing', 'posting') AND due.lease_expires_at < NOW())
+        ORDER BY due.scheduled_for
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING scheduled_posts.*;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Only the service-role queue processor may claim posts
+REVOKE EXECUTE ON FUNCTION claim_due_posts(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_due_posts(TEXT, INTEGER, INTEGER) TO service_role;
+
+-- Function to flag natively scheduled posts whose Facebook copy is out of date
+-- Fires on creation, on edits to anything Facebook shows or schedules, and on cancellation
+-- clock_timestamp() rather than NOW(): an edit committed while a claim holds the row
+-- must still be stamped later than that claim
+CREATE OR REPLACE FUNCTION request_native_sync()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.native_scheduling THEN
+            NEW.native_sync_requested_at = clock_timestamp();
+        END IF;
+    ELSIF (NEW.native_scheduling OR OLD.native_scheduling) AND (
+        NEW.native_scheduling IS DISTINCT FROM OLD.native_scheduling OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.media_captions IS DISTINCT FROM OLD.media_captions OR
+        NEW.link_url IS DISTINCT FROM OLD.link_url OR
+        NEW.post_format IS DISTINCT FROM OLD.post_format OR
+        NEW.format_options IS DISTINCT FROM OLD.format_options OR
+        NEW.social_account_ids IS DISTINCT FROM OLD.social_account_ids OR
+        NEW.scheduled_for IS DISTINCT FROM OLD.scheduled_for OR
+        (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+    ) THEN
+        NEW.native_sync_requested_at = clock_timestamp();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to claim natively scheduled posts whose changes still need to reach Facebook
+-- Facebook accepts scheduled posts up to 30 days ahead; later posts wait until they are in range.
+-- Claiming marks the change as synced and leases the post so claim_due_posts leaves it alone.
+CREATE OR REPLACE FUNCTION claim_native_sync_posts(
+    worker_id TEXT,
+    batch_size INTEGER DEFAULT 10,
+    lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF scheduled_posts AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_posts
+    SET
+        native_synced_at = clock_timestamp(),
+        lease_owner = worker_id,
+        lease_expires_at = NOW() + make_interval(secs => lease_seconds)
+    WHERE scheduled_posts.id IN (
+        SELECT pending.id
+        FROM scheduled_posts AS pending
+        WHERE pending.native_sync_requested_at IS NOT NULL
+          AND (pending.native_synced_at IS NULL OR pending.native_synced_at < pending.native_sync_requested_at)
+          AND (
+            pending.status = 'cancelled' OR
+            (pending.status = 'scheduled' AND pending.scheduled_for <= NOW() + INTERVAL '30 days')
+          )
+          AND (pending.lease_expires_at IS NULL OR pending.lease_expires_at < NOW())
+        ORDER BY pending.native_sync_requested_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING scheduled_posts.*;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Only the service-role queue processor may claim posts
+REVOKE EXECUTE ON FUNCTION claim_native_sync_posts(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_native_sync_posts(TEXT, INTEGER, INTEGER) TO service_role;
+
+DROP TRIGGER IF EXISTS request_scheduled_posts_native_sync ON scheduled_posts;
+CREATE TRIGGER request_scheduled_posts_native_sync BEFORE INSERT OR UPDATE ON scheduled_posts
+    FOR EACH ROW EXECUTE PROCEDURE request_native_sync();
@@ -0,0 +1,89 @@
+-- Recurring posts
+-- A series repeats one post on a recurrence rule ("every Friday at 4pm", "first
+-- Monday of the month"). Upcoming occurrences are materialized into
+-- scheduled_posts, where they can be skipped or edited one at a time.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE post_templates
+  ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+
+-- Recurring posts: one post repeated on a recurrence rule (RRULE subset, see src/lib/recurrence.js)
+-- Upcoming occurrences are materialized into scheduled_posts ahead of time by src/lib/postSeries.js.
+CREATE TABLE post_series (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  template_id UUID REFERENCES post_templates ON DELETE SET NULL,
+  social_account_ids UUID[] NOT NULL,
+
+  -- Content copied to every occurrence
+  content TEXT NOT NULL,
+  media_urls TEXT[],
+  media_captions TEXT[],
+  hashtags TEXT[],
+  location_name TEXT,
+  link_url TEXT,
+  post_format post_format DEFAULT 'feed' NOT NULL,
+  format_options JSONB,
+  native_scheduling BOOLEAN DEFAULT false NOT NULL,
+
+  -- Schedule
+  recurrence_rule TEXT NOT NULL, -- e.g. 'FREQ=WEEKLY;BYDAY=FR' or 'FREQ=MONTHLY;BYDAY=1MO;COUNT=6'
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL, -- First occurrence; every occurrence keeps its local time
+  timezone TEXT DEFAULT 'UTC' NOT NULL, -- IANA timezone the rule is read in
+  materialized_until TIMESTAMP WITH TIME ZONE, -- Occurrences before this are already in scheduled_posts
+  is_active BOOLEAN DEFAULT true NOT NULL, -- false once the user ends the series or the rule runs out
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES post_series ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS series_occurrence_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS series_override BOOLEAN DEFAULT false NOT NULL;
+
+-- One occurrence per series slot, so materializing twice is harmless
+ALTER TABLE scheduled_posts
+  ADD CONSTRAINT scheduled_posts_series_id_series_occurrence_at_key UNIQUE (series_id, series_occurrence_at);
+
+ALTER TABLE post_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view series in their organization" ON post_series
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = post_series.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage series" ON post_series
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = post_series.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE TRIGGER handle_post_series_updated_at BEFORE UPDATE ON post_series
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+CREATE INDEX idx_post_series_organization_id ON post_series(organization_id);
+CREATE INDEX idx_post_series_user_id ON post_series(user_id);
+CREATE INDEX idx_post_series_materialized_until ON post_series(materialized_until) WHERE is_active = true;
+
+-- Suggested repeat schedules for the templates that naturally recur
+UPDATE post_templates SET recurrence_rule = CASE name
+    WHEN 'Daily Special Announcement' THEN 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'
+    WHEN 'Happy Hour Promotion' THEN 'FREQ=WEEKLY;BYDAY=FR'
+    WHEN 'Workout Motivation' THEN 'FREQ=WEEKLY;BYDAY=MO'
+    WHEN 'Class Schedule Update' THEN 'FREQ=WEEKLY;BYDAY=SU'
+    WHEN 'Weekend Sale' THEN 'FREQ=MONTHLY;BYDAY=1FR'
+END
+WHERE is_public = true AND organization_id IS NULL AND recurrence_rule IS NULL
+AND name IN ('Daily Special Announcement', 'Happy Hour Promotion', 'Workout Motivation', 'Class Schedule Update', 'Weekend Sale');
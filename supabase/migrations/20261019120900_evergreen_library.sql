@@ -0,0 +1,86 @@
+-- Evergreen content library
+-- Each social account can have a weekly posting schedule. Slots nothing else is
+-- scheduled in are filled by the queue processor with posts recycled from the
+-- organization's evergreen templates, rotating through their variations.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE post_templates
+  ADD COLUMN IF NOT EXISTS variations TEXT[],
+  ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS evergreen BOOLEAN DEFAULT false NOT NULL;
+
+-- Weekly posting schedule per social account
+-- Slots nothing else is scheduled in are filled from the organization's evergreen
+-- library (post_templates in the 'evergreen' category), see src/lib/evergreen.js.
+CREATE TABLE posting_schedules (
+  social_account_id UUID REFERENCES social_accounts ON DELETE CASCADE PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  slots JSONB DEFAULT '[]'::jsonb NOT NULL, -- [{"weekday": 5, "time": "16:00"}], weekday 0 is Sunday, time in timezone
+  timezone TEXT DEFAULT 'UTC' NOT NULL,
+  evergreen_enabled BOOLEAN DEFAULT false NOT NULL,
+  evergreen_min_days_between_repeats INTEGER DEFAULT 30 NOT NULL CHECK (evergreen_min_days_between_repeats >= 0), -- Per evergreen post and account
+  evergreen_max_weekly_share DECIMAL(3,2) DEFAULT 0.50 NOT NULL CHECK (evergreen_max_weekly_share BETWEEN 0 AND 1), -- Most of a week's posts that may be evergreen
+  filled_until TIMESTAMP WITH TIME ZONE, -- Slots before this have been filled or left alone
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE posting_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view posting schedules in their organization" ON posting_schedules
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = posting_schedules.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage posting schedules" ON posting_schedules
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = posting_schedules.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE TRIGGER handle_posting_schedules_updated_at BEFORE UPDATE ON posting_schedules
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+-- Function to give a slot back when another post is scheduled into it
+-- Evergreen posts only fill slots nothing else is scheduled in; one that now shares its
+-- hour with a regular post on the same account is cancelled.
+CREATE OR REPLACE FUNCTION yield_evergreen_slots()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE scheduled_posts
+    SET
+        status = 'cancelled',
+        error_details = jsonb_build_object('message', 'Slot taken by another post')
+    WHERE scheduled_posts.evergreen
+      AND scheduled_posts.status = 'scheduled'
+      AND scheduled_posts.id <> NEW.id
+      AND scheduled_posts.social_account_ids && NEW.social_account_ids
+      AND scheduled_posts.scheduled_for > NEW.scheduled_for - INTERVAL '1 hour'
+      AND scheduled_posts.scheduled_for < NEW.scheduled_for + INTERVAL '1 hour';
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS yield_scheduled_posts_evergreen_slots ON scheduled_posts;
+CREATE TRIGGER yield_scheduled_posts_evergreen_slots
+    AFTER INSERT OR UPDATE OF status, scheduled_for, social_account_ids ON scheduled_posts
+    FOR EACH ROW WHEN (NOT NEW.evergreen AND NEW.status = 'scheduled')
+    EXECUTE PROCEDURE yield_evergreen_slots();
+
+CREATE INDEX idx_posting_schedules_organization_id ON posting_schedules(organization_id);
+CREATE INDEX idx_posting_schedules_filled_until ON posting_schedules(filled_until) WHERE evergreen_enabled = true;
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_evergreen ON scheduled_posts(scheduled_for)
+  WHERE evergreen = true AND status = 'scheduled';
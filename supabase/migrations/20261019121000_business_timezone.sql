@@ -0,0 +1,62 @@
+-- Business timezone
+-- Each organization schedules in its own timezone, whatever timezone the person
+-- scheduling is in. New organizations start with the timezone of the browser
+-- that signed up.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS timezone TEXT; -- IANA timezone the business schedules in; NULL until set, the app then uses the viewer's
+
+-- Function to create organization and profile on user signup
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS TRIGGER AS $$
+DECLARE
+    new_org_id UUID;
+    business_name TEXT;
+    business_timezone TEXT;
+BEGIN
+    -- Extract business name from user metadata or use email domain
+    business_name := COALESCE(
+        NEW.raw_user_meta_data->>'business_name',
+        SPLIT_PART(NEW.email, '@', 1)
+    );
+
+    -- Timezone of the browser that signed up, if Postgres knows it
+    SELECT name INTO business_timezone
+    FROM pg_timezone_names
+    WHERE name = NEW.raw_user_meta_data->>'timezone';
+    
+    -- Create organization
+    INSERT INTO organizations (name, slug, billing_email, max_users, timezone)
+    VALUES (
+        business_name,
+        LOWER(REPLACE(business_name, ' ', '-')) || '-' || EXTRACT(epoch FROM NOW())::TEXT,
+        NEW.email,
+        1,
+        business_timezone
+    )
+    RETURNING id INTO new_org_id;
+    
+    -- Create profile
+    INSERT INTO profiles (
+        id, 
+        organization_id, 
+        email, 
+        full_name, 
+        role
+    )
+    VALUES (
+        NEW.id,
+        new_org_id,
+        NEW.email,
+        COALESCE(NEW.raw_user_meta_data->>'full_name', ''),
+        'owner'
+    );
+    
+    -- Create notification settings
+    INSERT INTO notification_settings (user_id)
+    VALUES (NEW.id);
+    
+    RETURN NEW;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
@@ -0,0 +1,53 @@
+-- Business hours and blackout windows
+-- Posting rules per business profile ("only publish while open", "no posts
+-- between 10pm and 7am") and a blackout calendar of days it never posts. The
+-- queue defers posts that break them to the next allowed time.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE business_profiles
+  ADD COLUMN IF NOT EXISTS posting_rules JSONB DEFAULT '{}'::jsonb NOT NULL; -- {only_while_open: true, quiet_hours: {start: "22:00", end: "07:00"}}
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS deferred_from TIMESTAMP WITH TIME ZONE; -- Time the post was scheduled for before posting rules moved it
+
+-- Blackout calendar: days a business never posts (closed holidays, events)
+-- Posts that fall on one are deferred by the queue, see src/lib/postingRules.js.
+CREATE TABLE business_blackouts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  business_profile_id UUID REFERENCES business_profiles ON DELETE CASCADE NOT NULL,
+  starts_on DATE NOT NULL, -- In the organization's timezone
+  ends_on DATE NOT NULL, -- Inclusive
+  reason TEXT, -- e.g. 'Closed for Thanksgiving'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  CHECK (ends_on >= starts_on)
+);
+
+ALTER TABLE business_blackouts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view blackouts in their organization" ON business_blackouts
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = business_blackouts.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage blackouts" ON business_blackouts
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = business_blackouts.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE TRIGGER handle_business_blackouts_updated_at BEFORE UPDATE ON business_blackouts
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+CREATE INDEX idx_business_blackouts_business_profile_id ON business_blackouts(business_profile_id, ends_on);
@@ -0,0 +1,83 @@
+-- Best times to post
+-- Signups keep the business type they picked in a business profile, so best
+-- posting times can start from industry defaults, and the public templates get
+-- those defaults as their scheduling suggestions.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+-- Function to create organization and profile on user signup
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS TRIGGER AS $$
+DECLARE
+    new_org_id UUID;
+    business_name TEXT;
+    business_timezone TEXT;
+BEGIN
+    -- Extract business name from user metadata or use email domain
+    business_name := COALESCE(
+        NEW.raw_user_meta_data->>'business_name',
+        SPLIT_PART(NEW.email, '@', 1)
+    );
+
+    -- Timezone of the browser that signed up, if Postgres knows it
+    SELECT name INTO business_timezone
+    FROM pg_timezone_names
+    WHERE name = NEW.raw_user_meta_data->>'timezone';
+    
+    -- Create organization
+    INSERT INTO organizations (name, slug, billing_email, max_users, timezone)
+    VALUES (
+        business_name,
+        LOWER(REPLACE(business_name, ' ', '-')) || '-' || EXTRACT(epoch FROM NOW())::TEXT,
+        NEW.email,
+        1,
+        business_timezone
+    )
+    RETURNING id INTO new_org_id;
+    
+    -- Create profile
+    INSERT INTO profiles (
+        id, 
+        organization_id, 
+        email, 
+        full_name, 
+        role
+    )
+    VALUES (
+        NEW.id,
+        new_org_id,
+        NEW.email,
+        COALESCE(NEW.raw_user_meta_data->>'full_name', ''),
+        'owner'
+    );
+    
+    -- Create notification settings
+    INSERT INTO notification_settings (user_id)
+    VALUES (NEW.id);
+
+    -- Business profile with the type picked at signup, for industry best posting times
+    INSERT INTO business_profiles (organization_id, business_name, business_type)
+    VALUES (new_org_id, business_name, NULLIF(NEW.raw_user_meta_data->>'business_type', ''));
+    
+    RETURN NEW;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Organizations that signed up earlier get a business profile from their owner's signup
+INSERT INTO business_profiles (organization_id, business_name, business_type)
+SELECT DISTINCT ON (o.id) o.id, o.name, NULLIF(u.raw_user_meta_data->>'business_type', '')
+FROM organizations o
+JOIN profiles p ON p.organization_id = o.id AND p.role = 'owner'
+JOIN auth.users u ON u.id = p.id
+WHERE NOT EXISTS (SELECT 1 FROM business_profiles bp WHERE bp.organization_id = o.id)
+ORDER BY o.id, p.created_at;
+
+-- Starting best times for the public templates, until posts made from them have analytics
+-- Hours are local to whichever business uses the template; see src/lib/bestTimes.js
+UPDATE post_templates SET scheduling_suggestions = CASE industry[1]
+    WHEN 'restaurant' THEN '{"source": "industry", "windows": [{"weekday": 2, "hour": 11}, {"weekday": 3, "hour": 11}, {"weekday": 4, "hour": 11}, {"weekday": 5, "hour": 11}, {"weekday": 4, "hour": 17}, {"weekday": 5, "hour": 17}, {"weekday": 6, "hour": 17}, {"weekday": 0, "hour": 10}, {"weekday": 6, "hour": 10}]}'::jsonb
+    WHEN 'salon' THEN '{"source": "industry", "windows": [{"weekday": 2, "hour": 10}, {"weekday": 3, "hour": 10}, {"weekday": 4, "hour": 10}, {"weekday": 4, "hour": 18}, {"weekday": 5, "hour": 18}, {"weekday": 6, "hour": 9}]}'::jsonb
+    WHEN 'fitness' THEN '{"source": "industry", "windows": [{"weekday": 1, "hour": 6}, {"weekday": 2, "hour": 6}, {"weekday": 3, "hour": 6}, {"weekday": 4, "hour": 6}, {"weekday": 5, "hour": 6}, {"weekday": 1, "hour": 17}, {"weekday": 2, "hour": 17}, {"weekday": 3, "hour": 17}, {"weekday": 4, "hour": 17}, {"weekday": 0, "hour": 18}]}'::jsonb
+    WHEN 'retail' THEN '{"source": "industry", "windows": [{"weekday": 3, "hour": 12}, {"weekday": 4, "hour": 12}, {"weekday": 5, "hour": 12}, {"weekday": 6, "hour": 10}, {"weekday": 0, "hour": 11}]}'::jsonb
+    ELSE '{"source": "industry", "windows": [{"weekday": 2, "hour": 9}, {"weekday": 3, "hour": 9}, {"weekday": 4, "hour": 9}, {"weekday": 3, "hour": 12}, {"weekday": 5, "hour": 11}]}'::jsonb
+END
+WHERE is_public = true AND organization_id IS NULL AND scheduling_suggestions IS NULL;
@@ -0,0 +1,24 @@
+-- Post insights
+-- The sync-post-insights job pulls engagement of published posts into
+-- post_analytics, one row per account a post went to, at decaying intervals
+-- after publishing. Posts from the last 30 days are picked up on its next run.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS insights_sync_at TIMESTAMP WITH TIME ZONE; -- Next time post insights are pulled; NULL when done, see src/lib/postInsights.js
+
+ALTER TABLE post_analytics
+  ADD COLUMN IF NOT EXISTS platform_deleted_at TIMESTAMP WITH TIME ZONE, -- Post was deleted on the platform; metrics are its last known
+  ADD COLUMN IF NOT EXISTS sync_error TEXT; -- Why the last pull failed
+
+-- One row per account a post was published to
+ALTER TABLE post_analytics
+  ADD CONSTRAINT post_analytics_scheduled_post_id_social_account_id_key UNIQUE (scheduled_post_id, social_account_id);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_insights_sync ON scheduled_posts(insights_sync_at)
+    WHERE insights_sync_at IS NOT NULL;
+
+UPDATE scheduled_posts SET insights_sync_at = NOW()
+WHERE status IN ('posted', 'partially_posted')
+AND posted_at >= NOW() - INTERVAL '30 days'
+AND insights_sync_at IS NULL;
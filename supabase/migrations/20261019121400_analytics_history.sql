@@ -0,0 +1,63 @@
+-- Analytics history
+-- Keeps each pull of a post's insights and each account's daily follower
+-- count, for trends and per-post drilldowns in the analytics screen. The
+-- dashboard_analytics view now only shows the reader's own organization.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+-- Metrics of a post_analytics row at each pull, for how a post did over time
+CREATE TABLE post_analytics_snapshots (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  post_analytics_id UUID REFERENCES post_analytics ON DELETE CASCADE NOT NULL,
+  recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  likes INTEGER DEFAULT 0,
+  comments INTEGER DEFAULT 0,
+  shares INTEGER DEFAULT 0,
+  saves INTEGER DEFAULT 0,
+  clicks INTEGER DEFAULT 0,
+  reach INTEGER DEFAULT 0,
+  impressions INTEGER DEFAULT 0,
+  engagement_rate DECIMAL(5,2) DEFAULT 0,
+  total_video_views INTEGER DEFAULT 0
+);
+
+-- Followers of each account, recorded once a day by sync-post-insights
+CREATE TABLE follower_counts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  social_account_id UUID REFERENCES social_accounts ON DELETE CASCADE NOT NULL,
+  recorded_on DATE NOT NULL, -- UTC
+  follower_count INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  UNIQUE(social_account_id, recorded_on)
+);
+
+ALTER TABLE post_analytics_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE follower_counts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view analytics history for their organization" ON post_analytics_snapshots
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM post_analytics
+      JOIN scheduled_posts ON scheduled_posts.id = post_analytics.scheduled_post_id
+      JOIN profiles ON profiles.organization_id = scheduled_posts.organization_id
+      WHERE post_analytics.id = post_analytics_snapshots.post_analytics_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can view follower counts for their organization" ON follower_counts
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.organization_id = follower_counts.organization_id
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE INDEX idx_post_analytics_snapshots_post_analytics_id ON post_analytics_snapshots(post_analytics_id, recorded_at);
+CREATE INDEX idx_follower_counts_organization_id ON follower_counts(organization_id, recorded_on);
+
+-- Runs with the reader's permissions, so each user only sees their own organization
+ALTER VIEW dashboard_analytics SET (security_invoker = true);
@@ -0,0 +1,46 @@
+-- Per-platform post content
+-- Posts can have a different caption or media on Facebook and Instagram, and
+-- can tag a place. Hashtags, the place and the overrides are published, so
+-- changing them also updates posts scheduled on Facebook.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE post_series
+  ADD COLUMN IF NOT EXISTS location_id TEXT,
+  ADD COLUMN IF NOT EXISTS platform_overrides JSONB;
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS location_id TEXT, -- Facebook Page ID of the place, tagged on Facebook and Instagram
+  ADD COLUMN IF NOT EXISTS platform_overrides JSONB; -- {facebook: {content: "", media_urls: [], media_captions: []}, instagram: {...}}
+
+-- Function to flag natively scheduled posts whose Facebook copy is out of date
+-- Fires on creation, on edits to anything Facebook shows or schedules, and on cancellation
+-- clock_timestamp() rather than NOW(): an edit committed while a claim holds the row
+-- must still be stamped later than that claim
+CREATE OR REPLACE FUNCTION request_native_sync()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.native_scheduling THEN
+            NEW.native_sync_requested_at = clock_timestamp();
+        END IF;
+    ELSIF (NEW.native_scheduling OR OLD.native_scheduling) AND (
+        NEW.native_scheduling IS DISTINCT FROM OLD.native_scheduling OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.media_captions IS DISTINCT FROM OLD.media_captions OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags OR
+        NEW.location_id IS DISTINCT FROM OLD.location_id OR
+        NEW.link_url IS DISTINCT FROM OLD.link_url OR
+        NEW.platform_overrides IS DISTINCT FROM OLD.platform_overrides OR
+        NEW.post_format IS DISTINCT FROM OLD.post_format OR
+        NEW.format_options IS DISTINCT FROM OLD.format_options OR
+        NEW.social_account_ids IS DISTINCT FROM OLD.social_account_ids OR
+        NEW.scheduled_for IS DISTINCT FROM OLD.scheduled_for OR
+        (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+    ) THEN
+        NEW.native_sync_requested_at = clock_timestamp();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
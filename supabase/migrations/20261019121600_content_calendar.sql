@@ -0,0 +1,34 @@
+-- Content calendar
+-- Lets organizations read and edit their planned calendar items, and links an
+-- item to the draft post it was promoted into.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE content_calendar
+  ADD COLUMN IF NOT EXISTS scheduled_post_id UUID REFERENCES scheduled_posts ON DELETE SET NULL; -- Draft post the item was promoted into
+
+-- Content calendar policies
+CREATE POLICY "Users can view calendar items in their organization" ON content_calendar
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = content_calendar.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Editors can manage calendar items" ON content_calendar
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = content_calendar.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin', 'editor')
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE TRIGGER handle_content_calendar_updated_at BEFORE UPDATE ON content_calendar
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+CREATE INDEX idx_content_calendar_scheduled_post_id ON content_calendar(scheduled_post_id);
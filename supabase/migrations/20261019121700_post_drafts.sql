@@ -0,0 +1,8 @@
+-- Post drafts
+-- Lets drafts be saved before they have a time, and indexes each user's drafts.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE scheduled_posts ALTER COLUMN scheduled_for DROP NOT NULL; -- NULL only for drafts that haven't been given a time
+ALTER TABLE scheduled_posts ADD CHECK (status = 'draft' OR scheduled_for IS NOT NULL);
+
+CREATE INDEX idx_scheduled_posts_drafts ON scheduled_posts(user_id, updated_at) WHERE status = 'draft';
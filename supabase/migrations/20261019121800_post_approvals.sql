@@ -0,0 +1,280 @@
+-- Post approvals
+-- Adds the Agency plan, per-organization approval steps by profiles.role, approval state
+-- on posts, review_post() for reviewers' decisions and inline review comments. Natively
+-- scheduled posts are only handed to Facebook once approved.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TYPE plan_type ADD VALUE IF NOT EXISTS 'agency' BEFORE 'enterprise';
+CREATE TYPE approval_status AS ENUM ('pending_approval', 'approved', 'changes_requested');
+
+-- Client sign-off steps per organization (Agency plan), reviewed in step order
+-- A post goes through every step whose author_roles include its author's profiles.role,
+-- see request_post_approval() and review_post().
+CREATE TABLE approval_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  step INTEGER NOT NULL CHECK (step >= 1),
+  reviewer_role TEXT NOT NULL, -- profiles.role that signs off this step, e.g. 'viewer' for client logins
+  author_roles TEXT[] NOT NULL, -- Posts by these roles go through this step
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  UNIQUE(organization_id, step)
+);
+
+ALTER TABLE scheduled_posts
+  ADD COLUMN IF NOT EXISTS approval_status approval_status, -- Set by request_post_approval(); NULL when the post needs no sign-off
+  ADD COLUMN IF NOT EXISTS approval_step INTEGER; -- approval_rules.step the post waits on, or was last reviewed at
+
+-- Review comments on posts; quoted ones are about a passage of the caption
+CREATE TABLE post_comments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  organization_id UUID REFERENCES organizations ON DELETE CASCADE NOT NULL,
+  scheduled_post_id UUID REFERENCES scheduled_posts ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  quote TEXT, -- Caption passage the comment is about; NULL for the whole post
+  quote_offset INTEGER, -- Where the quote started in the caption when it was made
+  decision approval_status, -- Set on the comment left with a review_post() decision
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE approval_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_comments ENABLE ROW LEVEL SECURITY;
+
+-- Approval rules policies
+CREATE POLICY "Users can view approval rules in their organization" ON approval_rules
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = approval_rules.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Admins can manage approval rules" ON approval_rules
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = approval_rules.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.role IN ('owner', 'admin')
+      AND profiles.is_active = true
+    )
+  );
+
+-- Post comments policies
+-- Every member may comment, viewers included: clients review from viewer logins
+CREATE POLICY "Users can view post comments in their organization" ON post_comments
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_comments.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can comment on posts in their organization" ON post_comments
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_comments.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+    AND EXISTS (
+      SELECT 1 FROM scheduled_posts
+      WHERE scheduled_posts.id = post_comments.scheduled_post_id
+      AND scheduled_posts.organization_id = post_comments.organization_id
+    )
+  );
+
+CREATE POLICY "Users can resolve post comments in their organization" ON post_comments
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM profiles 
+      WHERE profiles.organization_id = post_comments.organization_id 
+      AND profiles.id = auth.uid()
+      AND profiles.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can delete their own post comments" ON post_comments
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Function to flag natively scheduled posts whose Facebook copy is out of date
+-- Fires on creation, on edits to anything Facebook shows or schedules, on approval changes
+-- (unapproved posts are kept out of Facebook's scheduler) and on cancellation
+-- clock_timestamp() rather than NOW(): an edit committed while a claim holds the row
+-- must still be stamped later than that claim
+CREATE OR REPLACE FUNCTION request_native_sync()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.native_scheduling THEN
+            NEW.native_sync_requested_at = clock_timestamp();
+        END IF;
+    ELSIF (NEW.native_scheduling OR OLD.native_scheduling) AND (
+        NEW.native_scheduling IS DISTINCT FROM OLD.native_scheduling OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.media_captions IS DISTINCT FROM OLD.media_captions OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags OR
+        NEW.location_id IS DISTINCT FROM OLD.location_id OR
+        NEW.link_url IS DISTINCT FROM OLD.link_url OR
+        NEW.platform_overrides IS DISTINCT FROM OLD.platform_overrides OR
+        NEW.post_format IS DISTINCT FROM OLD.post_format OR
+        NEW.format_options IS DISTINCT FROM OLD.format_options OR
+        NEW.social_account_ids IS DISTINCT FROM OLD.social_account_ids OR
+        NEW.scheduled_for IS DISTINCT FROM OLD.scheduled_for OR
+        NEW.approval_status IS DISTINCT FROM OLD.approval_status OR
+        (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+    ) THEN
+        NEW.native_sync_requested_at = clock_timestamp();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to put posts up for approval under their organization's approval_rules
+-- A post starts at the first step covering its author's role when it leaves draft, and
+-- starts over whenever what it publishes changes, so an approved post that is edited is
+-- reviewed again. Otherwise the approval columns keep their values: only review_post()
+-- changes them. Evergreen posts recycle content that was published before.
+CREATE OR REPLACE FUNCTION request_post_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('localsocial.reviewing_post', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.status = 'draft' OR NEW.evergreen THEN
+        NEW.approval_status = NULL;
+        NEW.approval_step = NULL;
+    ELSIF TG_OP = 'INSERT' OR OLD.status = 'draft' OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.media_captions IS DISTINCT FROM OLD.media_captions OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags OR
+        NEW.location_id IS DISTINCT FROM OLD.location_id OR
+        NEW.link_url IS DISTINCT FROM OLD.link_url OR
+        NEW.platform_overrides IS DISTINCT FROM OLD.platform_overrides OR
+        NEW.post_format IS DISTINCT FROM OLD.post_format OR
+        NEW.format_options IS DISTINCT FROM OLD.format_options OR
+        NEW.social_account_ids IS DISTINCT FROM OLD.social_account_ids
+    THEN
+        NEW.approval_step = (
+            SELECT MIN(approval_rules.step)
+            FROM approval_rules
+            JOIN profiles ON profiles.id = NEW.user_id
+            WHERE approval_rules.organization_id = NEW.organization_id
+              AND profiles.role = ANY(approval_rules.author_roles)
+        );
+        NEW.approval_status = CASE WHEN NEW.approval_step IS NULL THEN NULL ELSE 'pending_approval'::approval_status END;
+    ELSE
+        NEW.approval_status = OLD.approval_status;
+        NEW.approval_step = OLD.approval_step;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to record a reviewer's decision on a post awaiting approval
+-- Only active members with the reviewer role of the post's current step may decide.
+-- Approving moves the post on to the next step covering its author, or approves it after
+-- the last; requesting changes sends it back to its author. The decision's comment joins
+-- the post's comments and the decision goes to the activity log.
+CREATE OR REPLACE FUNCTION review_post(
+    post_id UUID,
+    decision approval_status,
+    review_comment TEXT DEFAULT NULL
+)
+RETURNS scheduled_posts AS $$
+DECLARE
+    post scheduled_posts;
+    next_step INTEGER;
+BEGIN
+    SELECT * INTO post FROM scheduled_posts WHERE scheduled_posts.id = post_id FOR UPDATE;
+
+    IF NOT FOUND OR post.approval_status IS DISTINCT FROM 'pending_approval' THEN
+        RAISE EXCEPTION 'This post is not waiting for approval';
+    END IF;
+
+    IF decision = 'pending_approval' THEN
+        RAISE EXCEPTION 'A review approves the post or requests changes';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM approval_rules
+        JOIN profiles ON profiles.id = auth.uid()
+        WHERE approval_rules.organization_id = post.organization_id
+          AND approval_rules.step = post.approval_step
+          AND profiles.organization_id = post.organization_id
+          AND profiles.role = approval_rules.reviewer_role
+          AND profiles.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'Only the reviewers of this step can review the post';
+    END IF;
+
+    IF decision = 'changes_requested' AND COALESCE(TRIM(review_comment), '') = '' THEN
+        RAISE EXCEPTION 'Describe the changes you need';
+    END IF;
+
+    IF decision = 'approved' THEN
+        SELECT MIN(approval_rules.step) INTO next_step
+        FROM approval_rules
+        JOIN profiles ON profiles.id = post.user_id
+        WHERE approval_rules.organization_id = post.organization_id
+          AND approval_rules.step > post.approval_step
+          AND profiles.role = ANY(approval_rules.author_roles);
+    END IF;
+
+    IF COALESCE(TRIM(review_comment), '') <> '' THEN
+        INSERT INTO post_comments (organization_id, scheduled_post_id, user_id, body, decision)
+        VALUES (post.organization_id, post_id, auth.uid(), TRIM(review_comment), decision);
+    END IF;
+
+    PERFORM log_activity(post.organization_id, 'post_' || decision::TEXT, 'post', post_id::TEXT, jsonb_build_object(
+        'step', post.approval_step,
+        'next_step', next_step,
+        'author_id', post.user_id,
+        'comment', NULLIF(TRIM(review_comment), '')
+    ));
+
+    -- Lets request_post_approval() through
+    PERFORM set_config('localsocial.reviewing_post', 'on', true);
+    UPDATE scheduled_posts
+    SET
+        approval_status = CASE WHEN next_step IS NULL THEN decision ELSE 'pending_approval'::approval_status END,
+        approval_step = COALESCE(next_step, scheduled_posts.approval_step)
+    WHERE scheduled_posts.id = post_id
+    RETURNING * INTO post;
+    PERFORM set_config('localsocial.reviewing_post', 'off', true);
+
+    RETURN post;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION review_post(UUID, approval_status, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION review_post(UUID, approval_status, TEXT) TO authenticated;
+
+CREATE TRIGGER handle_approval_rules_updated_at BEFORE UPDATE ON approval_rules
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+CREATE TRIGGER handle_post_comments_updated_at BEFORE UPDATE ON post_comments
+    FOR EACH ROW EXECUTE PROCEDURE handle_updated_at();
+
+-- Approval trigger; runs before the native sync trigger, which sees its changes
+CREATE TRIGGER request_scheduled_posts_approval BEFORE INSERT OR UPDATE ON scheduled_posts
+    FOR EACH ROW EXECUTE PROCEDURE request_post_approval();
+
+CREATE INDEX idx_scheduled_posts_approval_status ON scheduled_posts(organization_id, approval_status)
+    WHERE approval_status IS NOT NULL;
+CREATE INDEX idx_post_comments_scheduled_post_id ON post_comments(scheduled_post_id, created_at);
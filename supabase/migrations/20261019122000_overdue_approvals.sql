@@ -0,0 +1,58 @@
+-- Overdue approvals
+-- Posts still awaiting sign-off when they fall due are no longer claimed and failed:
+-- they stay scheduled, show as overdue in Approvals, and go out once approved. Posts
+-- the queue already failed for that reason are put back in the queue.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+-- Function to atomically claim due posts for a queue processor
+-- Locks rows with SKIP LOCKED so concurrent processors never claim the same post,
+-- and reclaims posts whose lease expired (processor crashed mid-publish)
+CREATE OR REPLACE FUNCTION claim_due_posts(
+    worker_id TEXT,
+    batch_size INTEGER DEFAULT 10,
+    lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF scheduled_posts AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_posts
+    SET
+        status = 'processing',
+        lease_owner = worker_id,
+        lease_expires_at = NOW() + make_interval(secs => lease_seconds),
+        -- A reclaimed post counts as a failed attempt so a crashing post cannot loop forever
+        retry_count = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.retry_count
+            ELSE COALESCE(scheduled_posts.retry_count, 0) + 1
+        END,
+        last_retry_at = CASE
+            WHEN scheduled_posts.status = 'scheduled' THEN scheduled_posts.last_retry_at
+            ELSE NOW()
+        END
+    WHERE scheduled_posts.id IN (
+        SELECT due.id
+        FROM scheduled_posts AS due
+        -- Drafts are never claimed, whatever their scheduled_for
+        WHERE (
+            due.status = 'scheduled' AND due.scheduled_for <= NOW()
+            -- Skip posts leased by claim_native_sync_posts
+            AND (due.lease_expires_at IS NULL OR due.lease_expires_at < NOW())
+            -- Posts awaiting sign-off stay scheduled, and go out once approved
+            AND (due.approval_status IS NULL OR due.approval_status = 'approved')
+          )
+           OR (due.status IN ('processing', 'posting') AND due.lease_expires_at < NOW())
+        ORDER BY due.scheduled_for
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING scheduled_posts.*;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+UPDATE scheduled_posts
+SET
+    status = 'scheduled',
+    error_details = NULL
+WHERE status = 'failed'
+  AND error_details->>'type' = 'not_approved'
+  AND approval_status IN ('pending_approval', 'changes_requested');
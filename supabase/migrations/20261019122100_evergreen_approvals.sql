@@ -0,0 +1,217 @@
+-- Evergreen approvals
+-- Evergreen posts skipped approval, and clients could set scheduled_posts.evergreen
+-- themselves to skip it. The flag is now only taken from the service role, and evergreen
+-- posts in the library go through the organization's approval steps before the queue
+-- schedules them (review_template()). Evergreen posts already in the library go up for
+-- approval, and those already scheduled from them are cancelled.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+ALTER TABLE post_templates
+  ADD COLUMN IF NOT EXISTS approval_status approval_status, -- Evergreen posts only; set by request_template_approval(), NULL when it needs no sign-off
+  ADD COLUMN IF NOT EXISTS approval_step INTEGER, -- approval_rules.step the template waits on, or was last reviewed at
+  ADD COLUMN IF NOT EXISTS approval_comment TEXT; -- Comment left with the last review_template() decision
+
+-- Function to keep clients from marking posts evergreen
+-- Evergreen posts the queue schedules skip approval, so the flag is only taken from
+-- the service role; posts clients write keep the value they had.
+CREATE OR REPLACE FUNCTION protect_evergreen_flag()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.evergreen = CASE WHEN TG_OP = 'INSERT' THEN false ELSE OLD.evergreen END;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to put posts up for approval under their organization's approval_rules
+-- A post starts at the first step covering its author's role when it leaves draft, and
+-- starts over whenever what it publishes changes, so an approved post that is edited is
+-- reviewed again. Otherwise the approval columns keep their values: only review_post()
+-- changes them. Evergreen posts the queue schedules were reviewed as templates (see
+-- request_template_approval()); clients editing one send it for approval like any post.
+CREATE OR REPLACE FUNCTION request_post_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('localsocial.reviewing_post', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.status = 'draft' OR (NEW.evergreen AND current_user NOT IN ('anon', 'authenticated')) THEN
+        NEW.approval_status = NULL;
+        NEW.approval_step = NULL;
+    ELSIF TG_OP = 'INSERT' OR OLD.status = 'draft' OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.media_captions IS DISTINCT FROM OLD.media_captions OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags OR
+        NEW.location_id IS DISTINCT FROM OLD.location_id OR
+        NEW.link_url IS DISTINCT FROM OLD.link_url OR
+        NEW.platform_overrides IS DISTINCT FROM OLD.platform_overrides OR
+        NEW.post_format IS DISTINCT FROM OLD.post_format OR
+        NEW.format_options IS DISTINCT FROM OLD.format_options OR
+        NEW.social_account_ids IS DISTINCT FROM OLD.social_account_ids
+    THEN
+        NEW.approval_step = (
+            SELECT MIN(approval_rules.step)
+            FROM approval_rules
+            JOIN profiles ON profiles.id = NEW.user_id
+            WHERE approval_rules.organization_id = NEW.organization_id
+              AND profiles.role = ANY(approval_rules.author_roles)
+        );
+        NEW.approval_status = CASE WHEN NEW.approval_step IS NULL THEN NULL ELSE 'pending_approval'::approval_status END;
+    ELSE
+        NEW.approval_status = OLD.approval_status;
+        NEW.approval_step = OLD.approval_step;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to put evergreen posts in the library up for approval under approval_rules
+-- The queue schedules evergreen posts without a review of their own, so their template
+-- goes through the steps covering its author's role when it joins the library and whenever
+-- what it publishes changes. Otherwise only review_template() changes the approval columns.
+CREATE OR REPLACE FUNCTION request_template_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('localsocial.reviewing_post', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.category IS DISTINCT FROM 'evergreen' THEN
+        NEW.approval_status = NULL;
+        NEW.approval_step = NULL;
+        NEW.approval_comment = NULL;
+    ELSIF TG_OP = 'INSERT' OR OLD.category IS DISTINCT FROM 'evergreen' OR
+        NEW.content IS DISTINCT FROM OLD.content OR
+        NEW.variations IS DISTINCT FROM OLD.variations OR
+        NEW.media_urls IS DISTINCT FROM OLD.media_urls OR
+        NEW.hashtags IS DISTINCT FROM OLD.hashtags
+    THEN
+        NEW.approval_step = (
+            SELECT MIN(approval_rules.step)
+            FROM approval_rules
+            JOIN profiles ON profiles.id = NEW.user_id
+            WHERE approval_rules.organization_id = NEW.organization_id
+              AND profiles.role = ANY(approval_rules.author_roles)
+        );
+        NEW.approval_status = CASE WHEN NEW.approval_step IS NULL THEN NULL ELSE 'pending_approval'::approval_status END;
+        NEW.approval_comment = NULL;
+    ELSE
+        NEW.approval_status = OLD.approval_status;
+        NEW.approval_step = OLD.approval_step;
+        NEW.approval_comment = OLD.approval_comment;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Function to record a reviewer's decision on an evergreen post in the library
+-- As review_post(): the reviewers of the template's current step approve it on to the next
+-- step covering its author, or request changes; the decision's comment is kept on the template.
+CREATE OR REPLACE FUNCTION review_template(
+    template_id UUID,
+    decision approval_status,
+    review_comment TEXT DEFAULT NULL
+)
+RETURNS post_templates AS $$
+DECLARE
+    template post_templates;
+    next_step INTEGER;
+BEGIN
+    SELECT * INTO template FROM post_templates WHERE post_templates.id = template_id FOR UPDATE;
+
+    IF NOT FOUND OR template.approval_status IS DISTINCT FROM 'pending_approval' THEN
+        RAISE EXCEPTION 'This evergreen post is not waiting for approval';
+    END IF;
+
+    IF decision = 'pending_approval' THEN
+        RAISE EXCEPTION 'A review approves the evergreen post or requests changes';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM approval_rules
+        JOIN profiles ON profiles.id = auth.uid()
+        WHERE approval_rules.organization_id = template.organization_id
+          AND approval_rules.step = template.approval_step
+          AND profiles.organization_id = template.organization_id
+          AND profiles.role = approval_rules.reviewer_role
+          AND profiles.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'Only the reviewers of this step can review the evergreen post';
+    END IF;
+
+    IF decision = 'changes_requested' AND COALESCE(TRIM(review_comment), '') = '' THEN
+        RAISE EXCEPTION 'Describe the changes you need';
+    END IF;
+
+    IF decision = 'approved' THEN
+        SELECT MIN(approval_rules.step) INTO next_step
+        FROM approval_rules
+        JOIN profiles ON profiles.id = template.user_id
+        WHERE approval_rules.organization_id = template.organization_id
+          AND approval_rules.step > template.approval_step
+          AND profiles.role = ANY(approval_rules.author_roles);
+    END IF;
+
+    PERFORM log_activity(template.organization_id, 'template_' || decision::TEXT, 'post_template', template_id::TEXT, jsonb_build_object(
+        'step', template.approval_step,
+        'next_step', next_step,
+        'author_id', template.user_id,
+        'comment', NULLIF(TRIM(review_comment), '')
+    ));
+
+    -- Lets request_template_approval() through
+    PERFORM set_config('localsocial.reviewing_post', 'on', true);
+    UPDATE post_templates
+    SET
+        approval_status = CASE WHEN next_step IS NULL THEN decision ELSE 'pending_approval'::approval_status END,
+        approval_step = COALESCE(next_step, post_templates.approval_step),
+        approval_comment = NULLIF(TRIM(review_comment), '')
+    WHERE post_templates.id = template_id
+    RETURNING * INTO template;
+    PERFORM set_config('localsocial.reviewing_post', 'off', true);
+
+    RETURN template;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION review_template(UUID, approval_status, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION review_template(UUID, approval_status, TEXT) TO authenticated;
+
+-- Put the library up for approval under the current steps, before the trigger keeps these columns
+UPDATE post_templates
+SET approval_step = (
+    SELECT MIN(approval_rules.step)
+    FROM approval_rules
+    JOIN profiles ON profiles.id = post_templates.user_id
+    WHERE approval_rules.organization_id = post_templates.organization_id
+      AND profiles.role = ANY(approval_rules.author_roles)
+)
+WHERE category = 'evergreen' AND approval_status IS NULL;
+
+UPDATE post_templates
+SET approval_status = 'pending_approval'
+WHERE category = 'evergreen' AND approval_status IS NULL AND approval_step IS NOT NULL;
+
+UPDATE scheduled_posts
+SET
+    status = 'cancelled',
+    error_details = jsonb_build_object('message', 'Evergreen post awaiting approval')
+WHERE evergreen
+  AND status = 'scheduled'
+  AND template_id IN (SELECT id FROM post_templates WHERE approval_status = 'pending_approval');
+
+DROP TRIGGER IF EXISTS request_post_templates_approval ON post_templates;
+CREATE TRIGGER request_post_templates_approval BEFORE INSERT OR UPDATE ON post_templates
+    FOR EACH ROW EXECUTE PROCEDURE request_template_approval();
+
+-- Evergreen flag trigger; runs before the approval trigger, which reads the flag
+DROP TRIGGER IF EXISTS protect_scheduled_posts_evergreen ON scheduled_posts;
+CREATE TRIGGER protect_scheduled_posts_evergreen BEFORE INSERT OR UPDATE ON scheduled_posts
+    FOR EACH ROW EXECUTE PROCEDURE protect_evergreen_flag();
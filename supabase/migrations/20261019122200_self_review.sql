@@ -0,0 +1,162 @@
+-- Self-review
+-- Authors could approve their own posts when their role also reviewed the step the
+-- post was waiting on. review_post() and review_template() now turn such reviews away,
+-- so another member with the step's reviewer role has to sign off.
+-- Run in the Supabase SQL editor on databases created from an earlier database-schema.sql
+
+-- Function to record a reviewer's decision on a post awaiting approval
+-- Only active members with the reviewer role of the post's current step may decide, and
+-- never the post's own author.
+-- Approving moves the post on to the next step covering its author, or approves it after
+-- the last; requesting changes sends it back to its author. The decision's comment joins
+-- the post's comments and the decision goes to the activity log.
+CREATE OR REPLACE FUNCTION review_post(
+    post_id UUID,
+    decision approval_status,
+    review_comment TEXT DEFAULT NULL
+)
+RETURNS scheduled_posts AS $$
+DECLARE
+    post scheduled_posts;
+    next_step INTEGER;
+BEGIN
+    SELECT * INTO post FROM scheduled_posts WHERE scheduled_posts.id = post_id FOR UPDATE;
+
+    IF NOT FOUND OR post.approval_status IS DISTINCT FROM 'pending_approval' THEN
+        RAISE EXCEPTION 'This post is not waiting for approval';
+    END IF;
+
+    IF decision = 'pending_approval' THEN
+        RAISE EXCEPTION 'A review approves the post or requests changes';
+    END IF;
+
+    IF post.user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t review your own post';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM approval_rules
+        JOIN profiles ON profiles.id = auth.uid()
+        WHERE approval_rules.organization_id = post.organization_id
+          AND approval_rules.step = post.approval_step
+          AND profiles.organization_id = post.organization_id
+          AND profiles.role = approval_rules.reviewer_role
+          AND profiles.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'Only the reviewers of this step can review the post';
+    END IF;
+
+    IF decision = 'changes_requested' AND COALESCE(TRIM(review_comment), '') = '' THEN
+        RAISE EXCEPTION 'Describe the changes you need';
+    END IF;
+
+    IF decision = 'approved' THEN
+        SELECT MIN(approval_rules.step) INTO next_step
+        FROM approval_rules
+        JOIN profiles ON profiles.id = post.user_id
+        WHERE approval_rules.organization_id = post.organization_id
+          AND approval_rules.step > post.approval_step
+          AND profiles.role = ANY(approval_rules.author_roles);
+    END IF;
+
+    IF COALESCE(TRIM(review_comment), '') <> '' THEN
+        INSERT INTO post_comments (organization_id, scheduled_post_id, user_id, body, decision)
+        VALUES (post.organization_id, post_id, auth.uid(), TRIM(review_comment), decision);
+    END IF;
+
+    PERFORM log_activity(post.organization_id, 'post_' || decision::TEXT, 'post', post_id::TEXT, jsonb_build_object(
+        'step', post.approval_step,
+        'next_step', next_step,
+        'author_id', post.user_id,
+        'comment', NULLIF(TRIM(review_comment), '')
+    ));
+
+    -- Lets request_post_approval() through
+    PERFORM set_config('localsocial.reviewing_post', 'on', true);
+    UPDATE scheduled_posts
+    SET
+        approval_status = CASE WHEN next_step IS NULL THEN decision ELSE 'pending_approval'::approval_status END,
+        approval_step = COALESCE(next_step, scheduled_posts.approval_step)
+    WHERE scheduled_posts.id = post_id
+    RETURNING * INTO post;
+    PERFORM set_config('localsocial.reviewing_post', 'off', true);
+
+    RETURN post;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Function to record a reviewer's decision on an evergreen post in the library
+-- As review_post(): the reviewers of the template's current step approve it on to the next
+-- step covering its author, or request changes; the decision's comment is kept on the template.
+CREATE OR REPLACE FUNCTION review_template(
+    template_id UUID,
+    decision approval_status,
+    review_comment TEXT DEFAULT NULL
+)
+RETURNS post_templates AS $$
+DECLARE
+    template post_templates;
+    next_step INTEGER;
+BEGIN
+    SELECT * INTO template FROM post_templates WHERE post_templates.id = template_id FOR UPDATE;
+
+    IF NOT FOUND OR template.approval_status IS DISTINCT FROM 'pending_approval' THEN
+        RAISE EXCEPTION 'This evergreen post is not waiting for approval';
+    END IF;
+
+    IF decision = 'pending_approval' THEN
+        RAISE EXCEPTION 'A review approves the evergreen post or requests changes';
+    END IF;
+
+    IF template.user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t review your own evergreen post';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM approval_rules
+        JOIN profiles ON profiles.id = auth.uid()
+        WHERE approval_rules.organization_id = template.organization_id
+          AND approval_rules.step = template.approval_step
+          AND profiles.organization_id = template.organization_id
+          AND profiles.role = approval_rules.reviewer_role
+          AND profiles.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'Only the reviewers of this step can review the evergreen post';
+    END IF;
+
+    IF decision = 'changes_requested' AND COALESCE(TRIM(review_comment), '') = '' THEN
+        RAISE EXCEPTION 'Describe the changes you need';
+    END IF;
+
+    IF decision = 'approved' THEN
+        SELECT MIN(approval_rules.step) INTO next_step
+        FROM approval_rules
+        JOIN profiles ON profiles.id = template.user_id
+        WHERE approval_rules.organization_id = template.organization_id
+          AND approval_rules.step > template.approval_step
+          AND profiles.role = ANY(approval_rules.author_roles);
+    END IF;
+
+    PERFORM log_activity(template.organization_id, 'template_' || decision::TEXT, 'post_template', template_id::TEXT, jsonb_build_object(
+        'step', template.approval_step,
+        'next_step', next_step,
+        'author_id', template.user_id,
+        'comment', NULLIF(TRIM(review_comment), '')
+    ));
+
+    -- Lets request_template_approval() through
+    PERFORM set_config('localsocial.reviewing_post', 'on', true);
+    UPDATE post_templates
+    SET
+        approval_status = CASE WHEN next_step IS NULL THEN decision ELSE 'pending_approval'::approval_status END,
+        approval_step = COALESCE(next_step, post_templates.approval_step),
+        approval_comment = NULLIF(TRIM(review_comment), '')
+    WHERE post_templates.id = template_id
+    RETURNING * INTO template;
+    PERFORM set_config('localsocial.reviewing_post', 'off', true);
+
+    RETURN template;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
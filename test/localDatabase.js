@@ -0,0 +1,105 @@
+// Local Database for LocalSocial tests
+// An in-process Postgres (PGlite) built from supabase/migrations, or from
+// database-schema.sql, on top of the Supabase stand-ins in supabase-prelude.sql.
+// fetch answers supabase-js the way PostgREST does (see ./postgrest), so the
+// app's own client code runs against it unchanged, row level security included.
+
+import { readFileSync, readdirSync } from 'node:fs'
+import { PGlite } from '@electric-sql/pglite'
+import { pgcrypto } from '@electric-sql/pglite/contrib/pgcrypto'
+import { uuid_ossp } from '@electric-sql/pglite/contrib/uuid_ossp'
+import { createClient } from '@supabase/supabase-js'
+import { createPostgrest, SERVICE_ROLE_KEY } from './postgrest'
+
+const ROOT = new URL('../', import.meta.url)
+const MIGRATIONS = new URL('supabase/migrations/', ROOT)
+
+const read = url => readFileSync(url, 'utf8')
+
+/**
+ * SQL files a database is built from, in order
+ * @param {'migrations'|'schema'} source
+ * @returns {Array<{name: string, sql: string}>}
+ */
+export function getSchemaFiles(source) {
+  if (source === 'schema') {
+    return [{ name: 'database-schema.sql', sql: read(new URL('database-schema.sql', ROOT)) }]
+  }
+
+  return readdirSync(MIGRATIONS)
+    .filter(name => name.endsWith('.sql'))
+    .sort()
+    .map(name => ({ name, sql: read(new URL(name, MIGRATIONS)) }))
+}
+
+/**
+ * Start a fresh database
+ * @param {Object} [options]
+ * @param {'migrations'|'schema'} [options.source] - Replay every migration (default) or run database-schema.sql
+ * @returns {Promise<{pg: PGlite, fetch: Function, setUser: Function, close: Function}>}
+ *   pg runs SQL as the superuser, for seeding and checking rows. fetch serves
+ *   /rest/v1 as the signed-in user set with setUser(id), or as anon after setUser(null);
+ *   requests made with the service-role key (see createServiceClient) run as service_role.
+ */
+export async function createLocalDatabase({ source = 'migrations' } = {}) {
+  const pg = new PGlite({ extensions: { pgcrypto, uuid_ossp } })
+  await pg.exec(read(new URL('supabase-prelude.sql', import.meta.url)))
+
+  for (const file of getSchemaFiles(source)) {
+    try {
+      await pg.exec(file.sql)
+    } catch (error) {
+      throw new Error(`${file.name}: ${error.message}`)
+    }
+  }
+
+  const postgrest = await createPostgrest(pg)
+
+  return {
+    pg,
+    fetch: postgrest.fetch,
+    setUser: postgrest.setUser,
+    close: () => pg.close()
+  }
+}
+
+/**
+ * Sign a user up the way Supabase Auth does; handle_new_user() creates their
+ * organization and owner profile
+ * @param {PGlite} pg
+ * @param {Object} [fields]
+ * @param {string} [fields.email]
+ * @param {Object} [fields.metadata] - raw_user_meta_data, e.g. {business_name, timezone}
+ * @returns {Promise<{userId: string, organizationId: string}>}
+ */
+export async function signUp(pg, { email = `${crypto.randomUUID()}@example.com`, metadata = {} } = {}) {
+  const { rows: [user] } = await pg.query(
+    'INSERT INTO auth.users (email, raw_user_meta_data) VALUES ($1, $2) RETURNING id',
+    [email, metadata]
+  )
+  const { rows: [profile] } = await pg.query('SELECT organization_id FROM profiles WHERE id = $1', [user.id])
+  return { userId: user.id, organizationId: profile.organization_id }
+}
+
+/**
+ * Sign a user up into an existing organization with a role
+ * @returns {Promise<string>} The user's id
+ */
+export async function addMember(pg, organizationId, role, fields = {}) {
+  const { userId } = await signUp(pg, fields)
+  await pg.query('UPDATE profiles SET organization_id = $1, role = $2 WHERE id = $3', [organizationId, role, userId])
+  return userId
+}
+
+/**
+ * A service-role supabase-js client on the local database, like the one the
+ * Netlify functions create
+ * @param {{fetch: Function}} database - From createLocalDatabase
+ * @returns {import('@supabase/supabase-js').SupabaseClient}
+ */
+export function createServiceClient(database) {
+  return createClient('http://localhost:54321', SERVICE_ROLE_KEY, {
+    auth: { autoRefreshToken: false, persistSession: false },
+    global: { fetch: database.fetch }
+  })
+}
@@ -0,0 +1,86 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { createLocalDatabase } from './localDatabase'
+
+// What the public schema is made of, sorted so the order columns or policies
+// were added in doesn't matter. Column order differs by design: migrations
+// append columns that database-schema.sql declares in place.
+const CATALOG_QUERIES = {
+  columns: `
+    SELECT table_name, column_name, data_type, udt_name, is_nullable, column_default
+    FROM information_schema.columns WHERE table_schema = 'public'
+    ORDER BY table_name, column_name`,
+  enums: `
+    SELECT t.typname, array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS labels
+    FROM pg_type t JOIN pg_enum e ON e.enumtypid = t.oid
+    WHERE t.typnamespace = 'public'::regnamespace GROUP BY t.typname ORDER BY t.typname`,
+  constraints: `
+    SELECT conrelid::regclass::text AS table_name, contype, pg_get_constraintdef(oid) AS definition
+    FROM pg_constraint WHERE connamespace = 'public'::regnamespace
+    ORDER BY 1, 2, 3`,
+  indexes: `
+    SELECT tablename, indexname, indexdef FROM pg_indexes WHERE schemaname = 'public'
+    ORDER BY tablename, indexname`,
+  functions: `
+    SELECT p.proname, pg_get_function_identity_arguments(p.oid) AS arguments, pg_get_functiondef(p.oid) AS definition,
+      p.proacl::text AS privileges
+    FROM pg_proc p WHERE p.pronamespace = 'public'::regnamespace
+    ORDER BY 1, 2`,
+  triggers: `
+    SELECT event_object_table, trigger_name, event_manipulation, action_timing, action_statement
+    FROM information_schema.triggers
+    ORDER BY 1, 2, 3`,
+  policies: `
+    SELECT tablename, policyname, cmd, roles::text, qual, with_check FROM pg_policies WHERE schemaname = 'public'
+    ORDER BY tablename, policyname`,
+  rowSecurity: `
+    SELECT relname, relrowsecurity FROM pg_class
+    WHERE relnamespace = 'public'::regnamespace AND relkind = 'r' ORDER BY relname`,
+  views: `
+    SELECT viewname, definition FROM pg_views WHERE schemaname = 'public' ORDER BY viewname`,
+  tablePrivileges: `
+    SELECT table_name, grantee, privilege_type FROM information_schema.table_privileges
+    WHERE table_schema = 'public' ORDER BY 1, 2, 3`,
+  columnPrivileges: `
+    SELECT table_name, column_name, grantee, privilege_type FROM information_schema.column_privileges
+    WHERE table_schema = 'public' ORDER BY 1, 2, 3, 4`
+}
+
+// Migrations don't redefine a function only to change a comment in its body
+const stripComments = definition => definition
+  .split('\n')
+  .map(line => line.replace(/\s*--.*$/, ''))
+  .filter(line => line.trim())
+  .join('\n')
+
+const describeCatalog = async (pg) => {
+  const catalog = {}
+  for (const [name, sql] of Object.entries(CATALOG_QUERIES)) {
+    catalog[name] = (await pg.query(sql)).rows
+  }
+  catalog.functions = catalog.functions.map(fn => ({ ...fn, definition: stripComments(fn.definition) }))
+  return catalog
+}
+
+describe('supabase/migrations', () => {
+  let fromMigrations
+  let fromSchema
+
+  beforeAll(async () => {
+    fromMigrations = await createLocalDatabase({ source: 'migrations' })
+    fromSchema = await createLocalDatabase({ source: 'schema' })
+  })
+
+  afterAll(async () => {
+    await fromMigrations?.close()
+    await fromSchema?.close()
+  })
+
+  it('build the same database as database-schema.sql', async () => {
+    const migrated = await describeCatalog(fromMigrations.pg)
+    const declared = await describeCatalog(fromSchema.pg)
+
+    for (const name of Object.keys(CATALOG_QUERIES)) {
+      expect(migrated[name], name).toEqual(declared[name])
+    }
+  })
+})
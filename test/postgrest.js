@@ -0,0 +1,454 @@
+// PostgREST stand-in for LocalSocial tests
+// Answers the requests supabase-js sends to /rest/v1 with SQL run against a
+// PGlite database, inside a transaction that takes on the request's role and
+// user the way PostgREST does. Covers the part of PostgREST the app uses:
+// column lists and embedded resources (one-to-many, many-to-one, !inner),
+// filters on the table and on embedded tables, or=(...), not., order, limit,
+// single objects, insert, upsert, update, delete and rpc.
+
+// Requests sent with this key run as service_role, like a Supabase service-role client's
+export const SERVICE_ROLE_KEY = 'local-service-role-key'
+
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns', 'or', 'and'])
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  cs: '@>',
+  cd: '<@',
+  ov: '&&'
+}
+
+const IS_VALUES = { null: 'NULL', true: 'TRUE', false: 'FALSE', unknown: 'UNKNOWN' }
+
+export class PostgrestError extends Error {
+  constructor(status, { code = null, message, details = null, hint = null }) {
+    super(message)
+    this.status = status
+    this.body = { code, message, details, hint }
+  }
+}
+
+const quoteIdent = name => `"${String(name).replace(/"/g, '""')}"`
+
+// Split on commas outside parentheses, braces and double quotes
+function splitTopLevel(text) {
+  const parts = []
+  let depth = 0
+  let quoted = false
+  let current = ''
+  for (const char of text) {
+    if (char === '"') quoted = !quoted
+    if (!quoted && (char === '(' || char === '{')) depth++
+    if (!quoted && (char === ')' || char === '}')) depth--
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current) parts.push(current)
+  return parts
+}
+
+// in.(a,"b,c") to a Postgres array literal
+function toArrayLiteral(list) {
+  const items = splitTopLevel(list.replace(/^\(|\)$/g, ''))
+    .map(item => item.startsWith('"') ? item : `"${item.replace(/(["\\])/g, '\\$1')}"`)
+  return `{${items.join(',')}}`
+}
+
+/**
+ * Parse a select parameter into columns and embedded resources
+ * "*, organizations (id, name)" → [{star}, {embed: 'organizations', select: [...]}]
+ */
+export function parseSelect(select = '*') {
+  return splitTopLevel(select.replace(/\s+/g, '')).map(item => {
+    const embed = item.match(/^(?:(\w+):)?(\w+)((?:!\w+)*)\((.*)\)$/)
+    if (embed) {
+      const [, alias, table, hints, inner] = embed
+      return {
+        embed: table,
+        alias: alias || table,
+        inner: hints.split('!').includes('inner'),
+        select: parseSelect(inner || '*')
+      }
+    }
+    if (item === '*') return { star: true }
+
+    const [name, source = name] = item.includes(':') ? item.split(':') : [item]
+    return { column: source.replace(/::\w+$/, ''), alias: name }
+  })
+}
+
+export async function createPostgrest(pg) {
+  const catalog = await loadCatalog(pg)
+  let currentUser = null
+
+  // Query state for one request: positional parameters and their SQL
+  const createQuery = () => {
+    const params = []
+    return {
+      params,
+      param(value) {
+        params.push(value)
+        return `$${params.length}`
+      }
+    }
+  }
+
+  const getRelationship = (parent, child) => {
+    const manyToOne = catalog.foreignKeys.find(fk => fk.table === parent && fk.refTable === child)
+    if (manyToOne) return { many: false, childColumn: manyToOne.refColumn, parentColumn: manyToOne.column }
+
+    const oneToMany = catalog.foreignKeys.find(fk => fk.table === child && fk.refTable === parent)
+    if (oneToMany) return { many: true, childColumn: oneToMany.column, parentColumn: oneToMany.refColumn }
+
+    throw new PostgrestError(400, {
+      code: 'PGRST200',
+      message: `Could not find a relationship between '${parent}' and '${child}' in the schema cache`
+    })
+  }
+
+  // One filter: "eq.value", "not.eq.value", "in.(a,b)", "is.null"
+  const buildCondition = (query, alias, column, expression) => {
+    let negate = false
+    let rest = expression
+    if (rest.startsWith('not.')) {
+      negate = true
+      rest = rest.slice(4)
+    }
+
+    const dot = rest.indexOf('.')
+    const operator = rest.slice(0, dot)
+    const value = rest.slice(dot + 1)
+    const target = `${alias}.${quoteIdent(column)}`
+    let condition
+
+    if (operator === 'is') {
+      if (!(value in IS_VALUES)) throw new PostgrestError(400, { code: 'PGRST100', message: `Invalid is value "${value}"` })
+      condition = `${target} IS ${IS_VALUES[value]}`
+    } else if (operator === 'in') {
+      condition = `${target} = ANY(${query.param(toArrayLiteral(value))})`
+    } else if (OPERATORS[operator]) {
+      const operand = ['like', 'ilike'].includes(operator) ? value.replace(/\*/g, '%') : value
+      condition = `${target} ${OPERATORS[operator]} ${query.param(operand)}`
+    } else {
+      throw new PostgrestError(400, { code: 'PGRST100', message: `Unsupported operator "${operator}"` })
+    }
+
+    return negate ? `NOT (${condition})` : condition
+  }
+
+  // or=(a.eq.1,and(b.gt.2,c.is.null))
+  const buildLogic = (query, alias, joiner, list) => {
+    const conditions = splitTopLevel(list.replace(/^\(|\)$/g, '')).map(part => {
+      const nested = part.match(/^(not\.)?(and|or)(\(.*\))$/)
+      if (nested) {
+        const condition = buildLogic(query, alias, nested[2].toUpperCase(), nested[3])
+        return nested[1] ? `NOT ${condition}` : condition
+      }
+      const dot = part.indexOf('.')
+      return buildCondition(query, alias, part.slice(0, dot), part.slice(dot + 1))
+    })
+    return `(${conditions.join(` ${joiner} `)})`
+  }
+
+  // Filters of one table: top-level params for the root, "embed.column" params for embeds
+  const buildWhere = (query, alias, filters) => {
+    const conditions = []
+    for (const [key, value] of filters) {
+      if (key === 'or' || key === 'and') {
+        conditions.push(buildLogic(query, alias, key.toUpperCase(), value))
+      } else if (!RESERVED_PARAMS.has(key)) {
+        conditions.push(buildCondition(query, alias, key, value))
+      }
+    }
+    return conditions
+  }
+
+  const buildOrder = (alias, order) => order
+    ? order.split(',').map(term => {
+      const [column, ...modifiers] = term.split('.')
+      const direction = modifiers.includes('desc') ? 'DESC' : 'ASC'
+      const nulls = modifiers.includes('nullsfirst') ? ' NULLS FIRST' : modifiers.includes('nullslast') ? ' NULLS LAST' : ''
+      return `${alias}.${quoteIdent(column)} ${direction}${nulls}`
+    }).join(', ')
+    : null
+
+  // Params that belong to an embed, keyed by the embed's path
+  const paramsFor = (params, path) => params
+    .filter(([key]) => path ? key.startsWith(`${path}.`) && !key.slice(path.length + 1).includes('.') : !key.includes('.'))
+    .map(([key, value]) => [path ? key.slice(path.length + 1) : key, value])
+
+  // jsonb of one row of `table` aliased `alias`, with the selected columns and embeds
+  const buildRow = (query, table, alias, items, params, path, depth) => {
+    const pieces = []
+    const columns = items.filter(item => item.column)
+    if (items.some(item => item.star)) pieces.push(`to_jsonb(${alias})`)
+    if (columns.length > 0) {
+      pieces.push(`jsonb_build_object(${columns.map(item => `'${item.alias}', ${alias}.${quoteIdent(item.column)}`).join(', ')})`)
+    }
+
+    const innerJoins = []
+    for (const item of items.filter(entry => entry.embed)) {
+      const embedPath = path ? `${path}.${item.alias}` : item.alias
+      const embedParams = paramsFor(params, embedPath)
+      const childAlias = `_${depth + 1}_${item.alias}`
+      const relationship = getRelationship(table, item.embed)
+      const join = `${childAlias}.${quoteIdent(relationship.childColumn)} = ${alias}.${quoteIdent(relationship.parentColumn)}`
+      const where = [join, ...buildWhere(query, childAlias, embedParams)].join(' AND ')
+      const childRow = buildRow(query, item.embed, childAlias, item.select, params, embedPath, depth + 1).row
+      const from = `FROM ${quoteIdent(item.embed)} ${childAlias} WHERE ${where}`
+
+      if (relationship.many) {
+        const order = buildOrder(childAlias, embedParams.find(([key]) => key === 'order')?.[1])
+        pieces.push(`jsonb_build_object('${item.alias}', COALESCE((SELECT jsonb_agg(${childRow}${order ? ` ORDER BY ${order}` : ''}) ${from}), '[]'::jsonb))`)
+      } else {
+        pieces.push(`jsonb_build_object('${item.alias}', (SELECT ${childRow} ${from}))`)
+      }
+
+      // !inner drops parents without a matching embed; so do filters on a to-one embed's columns
+      if (item.inner) innerJoins.push(`EXISTS (SELECT 1 ${from})`)
+    }
+
+    return { row: pieces.length > 0 ? pieces.join(' || ') : `'{}'::jsonb`, innerJoins }
+  }
+
+  // SELECT over rows of `source` (a table, or a CTE of changed rows), as a jsonb array
+  const buildSelect = (query, table, source, url, { filter = true } = {}) => {
+    const params = [...url.searchParams]
+    const items = parseSelect(url.searchParams.get('select') || '*')
+    const { row, innerJoins } = buildRow(query, table, '_0', items, params, '', 0)
+    const where = [...(filter ? buildWhere(query, '_0', paramsFor(params, '')) : []), ...innerJoins]
+    const order = buildOrder('_0', url.searchParams.get('order'))
+    const limit = url.searchParams.get('limit')
+    const offset = url.searchParams.get('offset')
+
+    return `SELECT COALESCE(jsonb_agg(_row ORDER BY _n), '[]'::jsonb) AS rows FROM (
+      SELECT ${row} AS _row, row_number() OVER (${order ? `ORDER BY ${order}` : ''}) AS _n
+      FROM ${source} _0
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ${order ? `ORDER BY ${order}` : ''}
+      ${limit ? `LIMIT ${Number(limit)}` : ''}
+      ${offset ? `OFFSET ${Number(offset)}` : ''}
+    ) _rows`
+  }
+
+  const getTable = (name) => {
+    if (!catalog.columns.has(name)) {
+      throw new PostgrestError(404, { code: '42P01', message: `relation "public.${name}" does not exist` })
+    }
+    return name
+  }
+
+  // Columns a mutation returns: only what the response selects, as PostgREST does,
+  // so writes to tables with column grants don't need SELECT on every column
+  const buildReturning = (table, url, representation) => {
+    if (!representation) return 'RETURNING 1'
+    const items = parseSelect(url.searchParams.get('select') || '*')
+    if (items.some(item => item.star)) return 'RETURNING _0.*'
+
+    const columns = new Set(items.filter(item => item.column).map(item => item.column))
+    for (const item of items.filter(entry => entry.embed)) {
+      columns.add(getRelationship(table, item.embed).parentColumn)
+    }
+    return `RETURNING ${[...columns].map(column => `_0.${quoteIdent(column)}`).join(', ')}`
+  }
+
+  const buildMutation = (query, method, table, url, headers, body) => {
+    const prefer = headers.get('prefer') || ''
+    const values = body === undefined ? null : JSON.parse(body)
+    const returning = buildReturning(table, url, prefer.includes('return=representation'))
+
+    if (method === 'DELETE') {
+      const where = buildWhere(query, '_0', paramsFor([...url.searchParams], ''))
+      return `DELETE FROM ${quoteIdent(table)} AS _0 ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ${returning}`
+    }
+
+    const rows = Array.isArray(values) ? values : [values]
+    const columns = url.searchParams.get('columns')
+      ? url.searchParams.get('columns').split(',').map(column => column.replace(/"/g, ''))
+      : [...new Set(rows.flatMap(row => Object.keys(row)))]
+    const columnList = columns.map(quoteIdent).join(', ')
+
+    if (method === 'PATCH') {
+      const where = buildWhere(query, '_0', paramsFor([...url.searchParams], ''))
+      return `UPDATE ${quoteIdent(table)} AS _0 SET (${columnList}) = ROW(${columns.map(column => `_input.${quoteIdent(column)}`).join(', ')})
+        FROM jsonb_populate_record(NULL::${quoteIdent(table)}, ${query.param(JSON.stringify(values))}::jsonb) AS _input
+        ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ${returning}`
+    }
+
+    let conflict = ''
+    if (prefer.includes('resolution=')) {
+      const target = url.searchParams.get('on_conflict')?.split(',') || catalog.primaryKeys.get(table)
+      conflict = prefer.includes('resolution=ignore-duplicates')
+        ? `ON CONFLICT (${target.map(quoteIdent).join(', ')}) DO NOTHING`
+        : `ON CONFLICT (${target.map(quoteIdent).join(', ')}) DO UPDATE SET ${columns.map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`).join(', ')}`
+    }
+
+    return `INSERT INTO ${quoteIdent(table)} AS _0 (${columnList})
+      SELECT ${columnList} FROM jsonb_populate_recordset(NULL::${quoteIdent(table)}, ${query.param(JSON.stringify(rows))}::jsonb)
+      ${conflict} ${returning}`
+  }
+
+  const buildRpc = (query, name, body) => {
+    const fn = catalog.functions.get(name)
+    if (!fn) {
+      throw new PostgrestError(404, { code: 'PGRST202', message: `Could not find the function public.${name} in the schema cache` })
+    }
+
+    const args = body === undefined ? {} : JSON.parse(body)
+    const names = Object.keys(args)
+    const unknown = names.find(arg => !fn.args.has(arg))
+    if (unknown) {
+      throw new PostgrestError(404, { code: 'PGRST202', message: `Could not find the function public.${name}(${names.join(', ')}) in the schema cache` })
+    }
+
+    const definitions = names.map(arg => `${quoteIdent(arg)} ${fn.args.get(arg)}`).join(', ')
+    const call = `${quoteIdent(name)}(${names.map(arg => `${quoteIdent(arg)} => _args.${quoteIdent(arg)}`).join(', ')})`
+    const from = names.length > 0
+      ? `FROM jsonb_to_record(${query.param(JSON.stringify(args))}::jsonb) AS _args(${definitions})`
+      : ''
+
+    const source = `${from || 'FROM (SELECT 1) _none'}, LATERAL ${call} AS _r`
+
+    if (fn.returnsVoid) return `SELECT NULL::jsonb AS result ${source}`
+    if (fn.returnsSet) {
+      return `SELECT COALESCE(jsonb_agg(${fn.composite ? 'to_jsonb(_r)' : '_r'}), '[]'::jsonb) AS result ${source}`
+    }
+    return `SELECT to_jsonb(_r) AS result ${source}`
+  }
+
+  const respond = (status, body) => new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
+
+  const handle = async (url, method, headers, body) => {
+    const [, resource, name] = url.pathname.match(/^\/rest\/v1\/(rpc\/)?([^/]+)$/) || []
+    if (!name) return respond(404, { message: `No route for ${url.pathname}` })
+
+    const wantsObject = (headers.get('accept') || '').includes('vnd.pgrst.object')
+    const prefer = headers.get('prefer') || ''
+
+    const serviceRole = headers.get('apikey') === SERVICE_ROLE_KEY
+    const userId = serviceRole ? null : currentUser
+    const role = serviceRole ? 'service_role' : userId ? 'authenticated' : 'anon'
+
+    return pg.transaction(async (tx) => {
+      await tx.query(
+        `SELECT set_config('role', $1, true), set_config('request.jwt.claim.sub', $2, true),
+          set_config('request.jwt.claims', $3, true)`,
+        [role, userId || '', JSON.stringify(userId ? { sub: userId, role } : { role })]
+      )
+
+      const query = createQuery()
+      let rows
+
+      if (resource) {
+        const { rows: [{ result }] } = await tx.query(buildRpc(query, name, body), query.params)
+        if (catalog.functions.get(name).returnsVoid) return respond(204)
+        return respond(200, result)
+      }
+
+      const table = getTable(name)
+      if (method === 'GET') {
+        ;({ rows: [{ rows }] } = await tx.query(buildSelect(query, table, quoteIdent(table), url), query.params))
+      } else {
+        const mutation = buildMutation(query, method, table, url, headers, body)
+        if (!prefer.includes('return=representation')) {
+          await tx.query(mutation, query.params)
+          return respond(method === 'POST' ? 201 : 204)
+        }
+
+        const select = buildSelect(query, table, '_changed', url, { filter: false })
+        ;({ rows: [{ rows }] } = await tx.query(`WITH _changed AS (${mutation}) ${select}`, query.params))
+      }
+
+      if (wantsObject) {
+        if (rows.length !== 1) {
+          throw new PostgrestError(406, {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned',
+            details: `The result contains ${rows.length} rows`
+          })
+        }
+        return respond(method === 'POST' ? 201 : 200, rows[0])
+      }
+      return respond(method === 'POST' ? 201 : 200, rows)
+    })
+  }
+
+  return {
+    setUser(userId) {
+      currentUser = userId
+    },
+
+    async fetch(input, init = {}) {
+      const url = new URL(typeof input === 'string' ? input : input.url)
+      const headers = new Headers(init.headers)
+      try {
+        return await handle(url, (init.method || 'GET').toUpperCase(), headers, init.body)
+      } catch (error) {
+        if (error instanceof PostgrestError) return respond(error.status, error.body)
+        // Postgres errors carry their SQLSTATE like PostgREST's responses
+        const status = error.code === '42501' ? (currentUser ? 403 : 401) : 400
+        return respond(status, {
+          code: error.code || null,
+          message: error.message,
+          details: error.detail || null,
+          hint: error.hint || null
+        })
+      }
+    }
+  }
+}
+
+// Tables, views, foreign keys, primary keys and functions of the public schema
+async function loadCatalog(pg) {
+  const { rows: columns } = await pg.query(`
+    SELECT c.relname AS table, array_agg(a.attname::text) AS columns
+    FROM pg_class c JOIN pg_attribute a ON a.attrelid = c.oid
+    WHERE c.relnamespace = 'public'::regnamespace AND c.relkind IN ('r', 'v', 'm') AND a.attnum > 0 AND NOT a.attisdropped
+    GROUP BY c.relname`)
+
+  const { rows: foreignKeys } = await pg.query(`
+    SELECT c.conrelid::regclass::text AS table, a.attname AS column,
+      c.confrelid::regclass::text AS "refTable", af.attname AS "refColumn"
+    FROM pg_constraint c
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+    JOIN pg_attribute af ON af.attrelid = c.confrelid AND af.attnum = c.confkey[1]
+    WHERE c.contype = 'f' AND c.connamespace = 'public'::regnamespace AND array_length(c.conkey, 1) = 1`)
+
+  const { rows: primaryKeys } = await pg.query(`
+    SELECT c.conrelid::regclass::text AS table, array_agg(a.attname::text ORDER BY a.attnum) AS columns
+    FROM pg_constraint c JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+    WHERE c.contype = 'p' AND c.connamespace = 'public'::regnamespace
+    GROUP BY c.conrelid`)
+
+  const { rows: functions } = await pg.query(`
+    SELECT p.proname AS name, p.proretset AS "returnsSet", t.typtype = 'c' AS composite,
+      t.typname = 'void' AS "returnsVoid",
+      COALESCE(p.proargnames[1:p.pronargs], '{}') AS "argNames",
+      ARRAY(SELECT format_type(oid, NULL) FROM unnest(p.proargtypes) AS oid) AS "argTypes"
+    FROM pg_proc p JOIN pg_type t ON t.oid = p.prorettype
+    WHERE p.pronamespace = 'public'::regnamespace`)
+
+  return {
+    columns: new Map(columns.map(row => [row.table, row.columns])),
+    foreignKeys,
+    primaryKeys: new Map(primaryKeys.map(row => [row.table, row.columns])),
+    functions: new Map(functions.map(fn => [fn.name, {
+      ...fn,
+      args: new Map(fn.argNames.map((arg, index) => [arg, fn.argTypes[index]]))
+    }]))
+  }
+}
@@ -4,4 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.{js,jsx}', 'test/**/*.test.js'],
+    // The local database is built from the migrations once per test file
+    testTimeout: 30000,
+    hookTimeout: 120000
+  }
 })